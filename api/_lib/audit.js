@@ -0,0 +1,134 @@
+import crypto from 'node:crypto';
+import { readCollection, updateCollection } from './store.js';
+import { AUDIT_ACTION_LABELS, AUDIT_ENTITY_LABELS } from '../../src/config/audit.js';
+import { summarizeAudit } from '../../src/utils/audit.js';
+import { shopDate } from '../../src/utils/dates.js';
+
+/**
+ * Append-only audit log of every change to stock, prices, purchase orders, quotes and sales.
+ * The _lib functions that change data take an optional AuditContext (who and why) from the route
+ * and record their before/after values here once the change was written. Entries are never edited
+ * or removed; there is deliberately no API for it.
+ */
+
+const COLLECTION = 'audit-log';
+const DEFAULT_LIMIT = 200;
+
+/**
+ * @typedef {Object} AuditContext
+ * @property {{ username: string, name: string, role: string }} actor
+ * @property {string} reason - Free text, may be empty
+ */
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {string} id
+ * @property {string} at - ISO timestamp
+ * @property {{ username: string, name: string, role: string }} actor
+ * @property {string} action - e.g. "stock.adjust", see AUDIT_ACTION_LABELS
+ * @property {{ type: string, id: string, label: string }} entity - type is "stock", "price", "purchase-order", "quote" or "sale"
+ * @property {Object|null} before - null when the entity was created
+ * @property {Object|null} after - null when the entity was deleted
+ * @property {string} reason
+ */
+
+/**
+ * @param {{ username: string, name: string, role: string }} user - The signed-in user
+ * @param {string} [reason]
+ * @returns {AuditContext}
+ */
+export const auditContext = (user, reason) => ({
+    actor: { username: user.username, name: user.name, role: user.role },
+    reason: String(reason || '').trim()
+});
+
+/**
+ * Append entries for one operation. Does nothing without a context (scripts, the sync cron).
+ * The change itself is already saved, so a failure here is logged rather than failing the request.
+ * @param {AuditContext|undefined} context
+ * @param {string} action
+ * @param {{ entity: AuditEntry['entity'], before: Object|null, after: Object|null }[]} changes
+ */
+export const recordAudit = async (context, action, changes) => {
+    if (!context || changes.length === 0) return;
+    const at = new Date().toISOString();
+    const entries = changes.map(({ entity, before, after }) => ({
+        id: crypto.randomUUID(),
+        at,
+        actor: context.actor,
+        action,
+        entity,
+        before: before ?? null,
+        after: after ?? null,
+        reason: context.reason
+    }));
+    await updateCollection(COLLECTION, [], (log) => ({ data: [...log, ...entries] }))
+        .catch(error => console.error(`[Audit] Could not record ${action}:`, error));
+};
+
+const matchesQuery = (entry, query) => [entry.entity.id, entry.entity.label, entry.reason]
+    .join(' ')
+    .toLowerCase()
+    .includes(query.toLowerCase());
+
+/**
+ * @param {{ type?: string, action?: string, actor?: string, q?: string, from?: string, to?: string }} [filter]
+ *   from/to are YYYY-MM-DD shop (KST) days, inclusive; q matches the entity code/number and the reason
+ * @returns {Promise<AuditEntry[]>} Newest first
+ */
+export const listAudit = async ({ type, action, actor, q, from, to } = {}) => {
+    const log = await readCollection(COLLECTION, []);
+    const query = (q || '').trim();
+    return log
+        .filter(entry => (!type || entry.entity.type === type)
+            && (!action || entry.action === action)
+            && (!actor || entry.actor.username === actor)
+            && (!from || shopDate(entry.at) >= from)
+            && (!to || shopDate(entry.at) <= to)
+            && (!query || matchesQuery(entry, query)))
+        .reverse();
+};
+
+/**
+ * A page of listAudit plus the total, for the log screen.
+ * @param {Object} filter - See listAudit
+ * @param {number} [limit]
+ * @returns {Promise<{ entries: AuditEntry[], total: number }>}
+ */
+export const pageAudit = async (filter, limit = DEFAULT_LIMIT) => {
+    const entries = await listAudit(filter);
+    return { entries: entries.slice(0, Math.max(1, Number(limit) || DEFAULT_LIMIT)), total: entries.length };
+};
+
+/**
+ * Actors that appear in the log, for the screen's filter.
+ * @returns {Promise<{ username: string, name: string }[]>}
+ */
+export const listAuditActors = async () => {
+    const log = await readCollection(COLLECTION, []);
+    const actors = new Map(log.map(entry => [entry.actor.username, { username: entry.actor.username, name: entry.actor.name }]));
+    return [...actors.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * @param {AuditEntry[]} entries
+ */
+export const auditCsvRows = (entries) => entries.map(entry => ({
+    at: entry.at,
+    actor: `${entry.actor.name} (${entry.actor.username})`,
+    action: AUDIT_ACTION_LABELS[entry.action] || entry.action,
+    entityType: AUDIT_ENTITY_LABELS[entry.entity.type] || entry.entity.type,
+    entity: entry.entity.label,
+    changes: summarizeAudit(entry.before, entry.after),
+    reason: entry.reason
+}));
+
+export const AUDIT_CSV_COLUMNS = [
+    { key: 'at', label: '일시' },
+    { key: 'actor', label: '작업자' },
+    { key: 'action', label: '작업' },
+    { key: 'entityType', label: '구분' },
+    { key: 'entity', label: '대상' },
+    { key: 'changes', label: '변경 내용' },
+    { key: 'reason', label: '사유' }
+];
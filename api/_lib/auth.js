@@ -0,0 +1,132 @@
+import crypto from 'node:crypto';
+import { findUser, publicUser } from './users.js';
+import { HttpError, sendError } from './http.js';
+import { hasPermission } from '../../src/config/roles.js';
+
+/**
+ * Login sessions as signed cookies: `<base64url payload>.<HMAC-SHA256>`, keyed by DDWT_SESSION_SECRET.
+ * Nothing is stored server-side; the account is read again on every request so role changes and
+ * deleted accounts take effect immediately, and a password change (sessionVersion) ends old sessions.
+ */
+
+const COOKIE_NAME = 'ddwt_session';
+const SESSION_HOURS = Number(process.env.DDWT_SESSION_HOURS) || 12;
+
+let devSecret = null;
+
+const sessionSecret = () => {
+    if (process.env.DDWT_SESSION_SECRET) return process.env.DDWT_SESSION_SECRET;
+    if (process.env.VERCEL) throw new HttpError(500, 'auth_not_configured', 'DDWT_SESSION_SECRET is not set');
+    if (!devSecret) {
+        devSecret = crypto.randomBytes(32).toString('hex');
+        console.warn('[Auth] DDWT_SESSION_SECRET is not set; using a random secret, sessions end when the server restarts');
+    }
+    return devSecret;
+};
+
+const sign = (value) => crypto.createHmac('sha256', sessionSecret()).update(value).digest('base64url');
+
+/**
+ * Cookie header -> { name: value }. A value that is not valid percent-encoding (another site's cookie,
+ * a mangled one) is skipped instead of failing the request.
+ */
+const parseCookies = (header = '') => Object.fromEntries(header.split(';')
+    .map(part => part.trim().split('='))
+    .filter(([name]) => name)
+    .flatMap(([name, ...value]) => {
+        try {
+            return [[name, decodeURIComponent(value.join('='))]];
+        } catch {
+            return [];
+        }
+    }));
+
+/**
+ * @returns {{ u: string, v: number, exp: number }|null} null when missing, tampered with or expired
+ */
+const readSession = (req) => {
+    const cookie = parseCookies(req.headers.cookie)[COOKIE_NAME];
+    if (!cookie) return null;
+    const [payload, signature] = cookie.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+        const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return session.exp > Date.now() ? session : null;
+    } catch {
+        return null;
+    }
+};
+
+const cookieAttributes = (req, maxAge) => [
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${maxAge}`,
+    ...(process.env.VERCEL || req.headers['x-forwarded-proto'] === 'https' ? ['Secure'] : [])
+].join('; ');
+
+/**
+ * Sign the user in on this response.
+ * @param {import('./users.js').User} user
+ */
+export const startSession = (req, res, user) => {
+    const payload = Buffer.from(JSON.stringify({
+        u: user.username,
+        v: user.sessionVersion,
+        exp: Date.now() + SESSION_HOURS * 3600000
+    })).toString('base64url');
+    res.setHeader('Set-Cookie', `${COOKIE_NAME}=${payload}.${sign(payload)}; ${cookieAttributes(req, SESSION_HOURS * 3600)}`);
+};
+
+export const endSession = (req, res) => {
+    res.setHeader('Set-Cookie', `${COOKIE_NAME}=; ${cookieAttributes(req, 0)}`);
+};
+
+/**
+ * The signed-in user, or null.
+ * @returns {Promise<Object|null>} Public user fields
+ */
+export const getSessionUser = async (req) => {
+    const session = readSession(req);
+    if (!session) return null;
+    const user = await findUser(session.u);
+    return user && user.sessionVersion === session.v ? publicUser(user) : null;
+};
+
+/**
+ * Reject the request unless someone is signed in (401) and, when given, their role has the
+ * permission (403). Returns the user, or null when the request was rejected.
+ * @param {keyof import('../../src/config/roles.js').PERMISSIONS} [permission]
+ * @returns {Promise<Object|null>}
+ */
+export const requireUser = async (req, res, permission) => {
+    try {
+        const user = await getSessionUser(req);
+        if (!user) throw new HttpError(401, 'unauthenticated', 'Login required');
+        if (permission && !hasPermission(user.role, permission)) {
+            throw new HttpError(403, 'forbidden', `Your role (${user.role}) cannot do this`);
+        }
+        return user;
+    } catch (error) {
+        sendError(res, error, 'Auth Error');
+        return null;
+    }
+};
+
+/**
+ * Drop cost fields for roles that may not see them.
+ * @template T
+ * @param {{ role: string }} user
+ * @param {T[]} items
+ * @param {string[]} [fields]
+ * @returns {T[]}
+ */
+export const withoutCost = (user, items, fields = ['supplyPrice']) => {
+    if (hasPermission(user.role, 'viewCost')) return items;
+    return items.map(item => Object.fromEntries(Object.entries(item).filter(([key]) => !fields.includes(key))));
+};
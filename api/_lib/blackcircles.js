@@ -0,0 +1,208 @@
+/**
+ * Shared upstream access for the Blackcircles seller site.
+ * Every /api route that talks to Blackcircles goes through here so that
+ * dev (vite) and prod (Vercel) send identical requests.
+ *
+ * The session cookie is obtained by logging in with BLACKCIRCLES_ID / BLACKCIRCLES_PASSWORD
+ * and cached for the lifetime of the server instance. When an upstream page turns out to be
+ * the login screen, we log in again and retry once before giving up with SessionExpiredError.
+ */
+
+export const BLACKCIRCLES_BASE_URL = process.env.BLACKCIRCLES_BASE_URL || 'https://blackcircles.co.kr';
+
+const DEFAULT_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+/**
+ * Upstream paths for each proxied route.
+ */
+export const UPSTREAM_PATHS = {
+    login: process.env.BLACKCIRCLES_LOGIN_PATH || '/bbs/login_check.php',
+    inventory: '/seller/stock_list_option.php',
+    shop: '/shop/list.php',
+    shopAjax: '/ajax_call/shop/list_more.php'
+};
+
+/**
+ * Thrown when Blackcircles keeps answering with its login page, even after a fresh login.
+ */
+export class SessionExpiredError extends Error {
+    constructor(message = 'Blackcircles session expired and re-login failed') {
+        super(message);
+        this.name = 'SessionExpiredError';
+        this.code = 'session_expired';
+    }
+}
+
+// Server-side session cache (one per warm serverless instance / dev server)
+let sessionCookie = process.env.BLACKCIRCLES_COOKIE || '';
+let loginPromise = null;
+
+const userAgent = () => process.env.BLACKCIRCLES_UA || DEFAULT_UA;
+
+/**
+ * Merge Set-Cookie headers into an existing "a=1; b=2" cookie string.
+ * @param {string} cookie
+ * @param {string[]} setCookies
+ * @returns {string}
+ */
+const mergeCookies = (cookie, setCookies) => {
+    const jar = new Map();
+    cookie.split(';').map(c => c.trim()).filter(Boolean).forEach(pair => {
+        const eq = pair.indexOf('=');
+        if (eq > 0) jar.set(pair.slice(0, eq), pair.slice(eq + 1));
+    });
+    setCookies.forEach(header => {
+        const pair = header.split(';')[0].trim();
+        const eq = pair.indexOf('=');
+        if (eq <= 0) return;
+        const value = pair.slice(eq + 1);
+        if (value === '' || value === 'deleted') jar.delete(pair.slice(0, eq));
+        else jar.set(pair.slice(0, eq), value);
+    });
+    return Array.from(jar, ([name, value]) => `${name}=${value}`).join('; ');
+};
+
+/**
+ * Detect the G5 login screen (or the alert/redirect that leads to it).
+ * @param {string} body
+ * @param {string} [finalUrl] - URL after redirects
+ * @returns {boolean}
+ */
+export const isLoginPage = (body, finalUrl = '') => {
+    if (/\/bbs\/login\.php/.test(finalUrl)) return true;
+    return /name=["']?mb_password/i.test(body) ||
+        /login_check\.php/i.test(body) ||
+        /location\.(?:replace|href)\s*\(?\s*["'][^"']*login\.php/i.test(body);
+};
+
+/**
+ * Log in with the configured credentials and cache the resulting session cookie.
+ * Concurrent callers share one login request.
+ * @returns {Promise<string>} The new cookie string
+ */
+export const login = () => {
+    if (loginPromise) return loginPromise;
+
+    loginPromise = (async () => {
+        const id = process.env.BLACKCIRCLES_ID;
+        const password = process.env.BLACKCIRCLES_PASSWORD;
+        if (!id || !password) {
+            throw new SessionExpiredError('BLACKCIRCLES_ID / BLACKCIRCLES_PASSWORD are not configured');
+        }
+
+        const response = await fetch(new URL(UPSTREAM_PATHS.login, BLACKCIRCLES_BASE_URL), {
+            method: 'POST',
+            redirect: 'manual', // The session cookie is set on the redirect response
+            headers: {
+                'User-Agent': userAgent(),
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: new URLSearchParams({ mb_id: id, mb_password: password, url: '/' }).toString()
+        });
+
+        const cookie = mergeCookies('', response.headers.getSetCookie());
+        if (!cookie) throw new SessionExpiredError(`Blackcircles login failed (HTTP ${response.status})`);
+
+        console.log('[Blackcircles] Logged in, session cookie refreshed');
+        sessionCookie = cookie;
+        return cookie;
+    })().finally(() => {
+        loginPromise = null;
+    });
+
+    return loginPromise;
+};
+
+/**
+ * Forget the cached session (e.g. after the upstream showed its login page).
+ */
+export const resetSession = () => {
+    sessionCookie = '';
+};
+
+/**
+ * Convert a parsed request body (object or string) into a form-encoded string.
+ * @param {Object|string|undefined} body
+ * @returns {string}
+ */
+export const toFormBody = (body) => {
+    if (!body) return '';
+    if (typeof body === 'string') return body;
+    if (Buffer.isBuffer(body)) return body.toString('utf8');
+    return new URLSearchParams(body).toString();
+};
+
+const requestOnce = async (url, { method, body }) => {
+    const headers = {
+        'Cookie': sessionCookie,
+        'User-Agent': userAgent(),
+        'Accept': 'text/html'
+    };
+    if (method === 'POST') {
+        headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    }
+
+    const response = await fetch(url, { method, headers, body: method === 'POST' ? body : undefined });
+    const text = await response.text();
+    // Keep any cookie rotation the upstream does on normal pages
+    const setCookies = response.headers.getSetCookie();
+    if (setCookies.length > 0) sessionCookie = mergeCookies(sessionCookie, setCookies);
+
+    return { status: response.status, body: text, loginRequired: isLoginPage(text, response.url) };
+};
+
+/**
+ * Fetch a page from Blackcircles with the session attached.
+ * Logs in first when no session is cached, and re-logs in + retries once on a login page.
+ * @param {string} path - Upstream path (see UPSTREAM_PATHS)
+ * @param {Object} [options]
+ * @param {Object} [options.query] - Query string parameters
+ * @param {'GET'|'POST'} [options.method]
+ * @param {string} [options.body] - Form-encoded body for POST requests
+ * @returns {Promise<{ status: number, body: string }>}
+ * @throws {SessionExpiredError}
+ */
+export const fetchBlackcircles = async (path, { query = {}, method = 'GET', body } = {}) => {
+    const url = new URL(path, BLACKCIRCLES_BASE_URL);
+    Object.entries(query).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) url.searchParams.append(key, value);
+    });
+
+    if (!sessionCookie) await login();
+
+    let result = await requestOnce(url, { method, body });
+    if (result.loginRequired) {
+        console.warn(`[Blackcircles] Login page returned for ${path}, logging in again`);
+        resetSession();
+        await login();
+        result = await requestOnce(url, { method, body });
+        if (result.loginRequired) throw new SessionExpiredError();
+    }
+
+    return { status: result.status, body: result.body };
+};
+
+/**
+ * Send an upstream HTML body back to the client.
+ * Cached by the browser only: the routes require a login, so the shared edge cache must not keep them.
+ */
+export const sendHtml = (res, body, cacheSeconds = 60) => {
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Cache-Control', `private, max-age=${cacheSeconds}`);
+    res.setHeader('Vary', 'Cookie');
+    res.status(200).send(body);
+};
+
+/**
+ * Common error response for the proxy routes.
+ * Session problems become `401 { error: 'session_expired' }` so the client can tell them apart.
+ */
+export const sendProxyError = (res, error) => {
+    if (error instanceof SessionExpiredError) {
+        console.warn('[Blackcircles] Session expired:', error.message);
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(401).json({ error: error.code, message: error.message });
+    }
+    console.error('Proxy Error:', error);
+    res.status(500).send(`Proxy Error: ${error.message}`);
+};
@@ -0,0 +1,126 @@
+import { fetchBlackcircles, UPSTREAM_PATHS } from './blackcircles.js';
+import { readCollection, writeCollection } from './store.js';
+import { recordStockSnapshots } from './stockHistory.js';
+import { googleSheetService } from '../../src/services/GoogleSheetService.js';
+import { parseStockList } from '../../src/utils/stockListParser.js';
+import { collectPages } from '../../src/utils/paging.js';
+import { toShopItems, filterSheetBySize, mergeSheetWithStock } from '../../src/utils/catalog.js';
+
+/**
+ * Catalog snapshot: Google Sheet (price, DOT) merged with the full Blackcircles stock list.
+ * Written by syncCatalog (cron via /api/sync), read by /api/catalog.
+ * When one upstream fails, the previous data for that source is kept, so searches keep working.
+ */
+
+const COLLECTION = 'catalog';
+
+// The whole stock list, not just one search term, so allow many more pages than a live search
+const SYNC_MAX_PAGES = Number(process.env.CATALOG_SYNC_MAX_PAGES || 100);
+
+/** Snapshots older than this are refreshed on the next read. */
+export const CATALOG_MAX_AGE_MS = Number(process.env.CATALOG_MAX_AGE_MINUTES || 15) * 60 * 1000;
+
+/**
+ * @typedef {Object} SourceStatus
+ * @property {string|null} fetchedAt - ISO time of the data currently held for this source
+ * @property {number} count
+ * @property {string|null} error - Message from the last failed attempt (data is then from fetchedAt)
+ */
+
+/**
+ * @typedef {Object} CatalogSnapshot
+ * @property {string} syncedAt
+ * @property {{ sheet: SourceStatus, stock: SourceStatus }} sources
+ * @property {Object[]} sheetRows
+ * @property {Object[]} stockItems
+ */
+
+const EMPTY_SOURCE = { fetchedAt: null, count: 0, error: null };
+
+export const readCatalog = () => readCollection(COLLECTION, null);
+
+const fetchSheetRows = async () => {
+    const rows = await googleSheetService.fetchSheetData(true);
+    // fetchSheetData swallows network errors and returns []; an empty sheet is never valid
+    const withCode = rows.filter(row => row.code);
+    if (withCode.length === 0) throw new Error('Google Sheet returned no rows');
+    return rows;
+};
+
+const fetchStockItems = async () => {
+    const { items, pages, lastPage, truncated } = await collectPages(async (page) => {
+        const { body } = await fetchBlackcircles(UPSTREAM_PATHS.inventory, { query: page > 1 ? { page } : {} });
+        const result = parseStockList(body);
+        if (result.drift && result.drift.missing.length > 0) {
+            throw new Error(`Stock list schema drift (missing: ${result.drift.missing.join(', ')})`);
+        }
+        return result;
+    }, { maxPages: SYNC_MAX_PAGES });
+
+    console.log(`[Catalog Sync] Stock: ${items.length} rows from ${pages.length}/${lastPage} pages`);
+    if (truncated) console.warn(`[Catalog Sync] Stock list truncated at ${SYNC_MAX_PAGES} pages`);
+    return toShopItems(items);
+};
+
+/**
+ * Run one source fetch, falling back to the previous snapshot's data on failure.
+ */
+const refreshSource = async (name, fetcher, previousData, previousStatus) => {
+    try {
+        const data = await fetcher();
+        return { data, status: { fetchedAt: new Date().toISOString(), count: data.length, error: null } };
+    } catch (error) {
+        console.error(`[Catalog Sync] ${name} failed, keeping previous data:`, error.message);
+        return { data: previousData, status: { ...EMPTY_SOURCE, ...previousStatus, error: error.message } };
+    }
+};
+
+let syncPromise = null;
+
+/**
+ * Pull both sources and store the merged catalog. Concurrent calls share one sync.
+ * @returns {Promise<CatalogSnapshot>}
+ */
+export const syncCatalog = () => {
+    if (syncPromise) return syncPromise;
+
+    syncPromise = (async () => {
+        const previous = await readCatalog();
+        const [sheet, stock] = await Promise.all([
+            refreshSource('sheet', fetchSheetRows, previous?.sheetRows || [], previous?.sources.sheet),
+            refreshSource('stock', fetchStockItems, previous?.stockItems || [], previous?.sources.stock)
+        ]);
+
+        const snapshot = {
+            syncedAt: new Date().toISOString(),
+            sources: { sheet: sheet.status, stock: stock.status },
+            sheetRows: sheet.data,
+            stockItems: stock.data
+        };
+
+        await writeCollection(COLLECTION, snapshot);
+        if (!stock.status.error) await recordStockSnapshots(stock.data, new Date(stock.status.fetchedAt));
+        console.log(`[Catalog Sync] Stored ${sheet.data.length} sheet rows and ${stock.data.length} stock items`);
+        return snapshot;
+    })().finally(() => {
+        syncPromise = null;
+    });
+
+    return syncPromise;
+};
+
+/**
+ * Search the snapshot exactly like the live ProductList search (sheet-first, size match, price > 0).
+ * @param {CatalogSnapshot} snapshot
+ * @param {string} sizeSearch
+ * @param {{ alternatives?: boolean }} [options] - Include same-rim / plus-size alternatives
+ * @returns {Object[]}
+ */
+export const searchCatalog = (snapshot, sizeSearch, options) =>
+    mergeSheetWithStock(filterSheetBySize(snapshot.sheetRows, sizeSearch, options), snapshot.stockItems);
+
+/**
+ * True when the snapshot should be refreshed.
+ * @param {CatalogSnapshot|null} snapshot
+ */
+export const isStale = (snapshot) => !snapshot || Date.now() - new Date(snapshot.syncedAt).getTime() > CATALOG_MAX_AGE_MS;
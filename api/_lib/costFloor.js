@@ -0,0 +1,42 @@
+import { HttpError } from './http.js';
+import { readCatalog } from './catalog.js';
+import { mergeSheetWithStock } from '../../src/utils/catalog.js';
+import { getFloorPrice } from '../../src/utils/pricing.js';
+
+/**
+ * The cost floor (getFloorPrice in utils/pricing) checked again on the server, so neither a hand-made request
+ * nor the whole-cart discount can quote or sell tires below cost. Supply prices come from the synced catalog;
+ * a code it does not know has no floor. Callers allowed to go below cost (sellBelowCost) skip the check.
+ */
+
+/**
+ * @param {string[]} codes - Sheet codes
+ * @returns {Promise<Object<string, number>>} code -> floor price per tire (VAT-inclusive)
+ */
+const floorPrices = async (codes) => {
+    const catalog = await readCatalog();
+    if (!catalog) return {};
+    const rows = catalog.sheetRows.filter(row => codes.includes(row.code));
+    return Object.fromEntries(mergeSheetWithStock(rows, catalog.stockItems)
+        .map(product => [product.partNo, getFloorPrice(product.supplyPrice)]));
+};
+
+/**
+ * @param {{ code: string, qty: number, unitPrice: number }[]} lines - Tire lines (VAT-inclusive prices)
+ * @param {number} total - What the customer pays for the whole quote or sale after its discount
+ * @throws {HttpError} 400 below_cost when a line is priced under its floor or the discount takes the total under the tires' floor
+ */
+export const assertCostFloor = async (lines, total) => {
+    if (lines.length === 0) return;
+    const floors = await floorPrices([...new Set(lines.map(line => line.code))]);
+    const floorOf = (line) => floors[line.code] || 0;
+
+    const below = lines.filter(line => line.unitPrice < floorOf(line));
+    if (below.length > 0) {
+        throw new HttpError(400, 'below_cost', `Price below cost for ${below.map(line => `${line.code} (min ${floorOf(line)})`).join(', ')}`);
+    }
+    const floorTotal = lines.reduce((sum, line) => sum + line.qty * floorOf(line), 0);
+    if (total < floorTotal) {
+        throw new HttpError(400, 'below_cost', `The discount takes the total below cost (min ${floorTotal})`);
+    }
+};
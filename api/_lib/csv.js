@@ -0,0 +1,34 @@
+/**
+ * CSV export helper (UTF-8 with BOM so Excel opens Korean text correctly).
+ */
+
+// Text Excel would run as a formula (CSV injection) gets a leading quote; numbers such as -4 stay numbers
+const FORMULA_START = /^[=+\-@]/;
+
+const escapeCell = (value) => {
+    const raw = value === null || value === undefined ? '' : String(value);
+    const text = typeof value === 'string' && FORMULA_START.test(raw) ? `'${raw}` : raw;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {Object[]} rows
+ * @param {{ key: string, label: string }[]} columns
+ * @returns {string}
+ */
+export const toCsv = (rows, columns) => {
+    const lines = [
+        columns.map(c => escapeCell(c.label)).join(','),
+        ...rows.map(row => columns.map(c => escapeCell(row[c.key])).join(','))
+    ];
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Send CSV as a download.
+ */
+export const sendCsv = (res, filename, csv) => {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.status(200).send(csv);
+};
@@ -0,0 +1,178 @@
+import crypto from 'node:crypto';
+import { readCollection, updateCollection } from './store.js';
+import { HttpError } from './http.js';
+import { listQuotes } from './quotes.js';
+import { listSales } from './sales.js';
+import { parseTireSize, formatTireSize } from '../../src/utils/tireSize.js';
+
+/**
+ * Customers and their vehicles. Quotes and sales keep their own copy of the customer's name and phone
+ * (what was on the document at the time) plus `customer.id` when they were linked to a customer here.
+ */
+
+const COLLECTION = 'customers';
+
+/**
+ * @typedef {Object} CustomerVehicle
+ * @property {string} id
+ * @property {string} plate - Normalized, e.g. "12가3456"
+ * @property {string} model - Free text, e.g. "현대 쏘나타 2021"
+ * @property {string} tireSize - e.g. "245/45R18", '' when unknown
+ * @property {string} note
+ */
+
+/**
+ * @typedef {Object} Customer
+ * @property {string} id
+ * @property {string} name
+ * @property {string} phone
+ * @property {CustomerVehicle[]} vehicles
+ * @property {string} note
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+const digitsOf = (phone) => String(phone || '').replace(/\D/g, '');
+
+/**
+ * "12가 3456" / "서울 12 가3456" -> "12가3456" / "서울12가3456"
+ */
+export const normalizePlate = (plate) => String(plate || '').replace(/[\s-]/g, '').toUpperCase();
+
+/**
+ * Sizes are stored the way the size search expects them; anything unreadable is kept as typed.
+ */
+const normalizeTireSize = (size) => {
+    const text = String(size || '').trim();
+    const specs = parseTireSize(text);
+    return specs ? formatTireSize(specs) : text;
+};
+
+const normalizeVehicles = (vehicles = []) => {
+    if (!Array.isArray(vehicles)) throw new HttpError(400, 'invalid_vehicles', 'vehicles must be an array');
+    return vehicles.map(vehicle => {
+        const normalized = {
+            id: vehicle.id || crypto.randomUUID(),
+            plate: normalizePlate(vehicle.plate),
+            model: String(vehicle.model || '').trim(),
+            tireSize: normalizeTireSize(vehicle.tireSize),
+            note: String(vehicle.note || '').trim()
+        };
+        if (!normalized.plate && !normalized.model) throw new HttpError(400, 'vehicle_required', 'A vehicle needs a plate or a model');
+        return normalized;
+    });
+};
+
+const normalizeCustomer = ({ name, phone, vehicles, note }) => {
+    const normalized = {
+        ...(name !== undefined ? { name: String(name).trim() } : {}),
+        ...(phone !== undefined ? { phone: String(phone).trim() } : {}),
+        ...(vehicles !== undefined ? { vehicles: normalizeVehicles(vehicles) } : {}),
+        ...(note !== undefined ? { note: String(note).trim() } : {})
+    };
+    if (normalized.name === '') throw new HttpError(400, 'name_required', 'name is required');
+    if (normalized.phone !== undefined && digitsOf(normalized.phone).length < 9) {
+        throw new HttpError(400, 'invalid_phone', 'phone must have at least 9 digits');
+    }
+    return normalized;
+};
+
+/**
+ * One customer per phone number, so a lookup by phone never has to pick between two.
+ * @throws {HttpError} 409 duplicate_phone
+ */
+const ensureUniquePhone = (customers, phone, exceptId) => {
+    const taken = customers.find(c => c.id !== exceptId && digitsOf(c.phone) === digitsOf(phone));
+    if (taken) throw new HttpError(409, 'duplicate_phone', `${phone} is already registered to ${taken.name}`);
+};
+
+const matchesQuery = (customer, query) => {
+    const digits = digitsOf(query);
+    const plate = normalizePlate(query);
+    const text = query.toLowerCase();
+    return (digits.length >= 3 && digitsOf(customer.phone).includes(digits))
+        || customer.vehicles.some(v => v.plate.includes(plate) || v.model.toLowerCase().includes(text))
+        || customer.name.toLowerCase().includes(text);
+};
+
+/**
+ * @param {{ q?: string }} [filter] - q matches phone digits (3+), plate, vehicle model and name
+ * @returns {Promise<Customer[]>} By name
+ */
+export const listCustomers = async ({ q } = {}) => {
+    const customers = await readCollection(COLLECTION, []);
+    const query = (q || '').trim();
+    return customers
+        .filter(customer => !query || matchesQuery(customer, query))
+        .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * @param {string} id
+ * @returns {Promise<Customer>}
+ */
+export const getCustomer = async (id) => {
+    const customers = await readCollection(COLLECTION, []);
+    const customer = customers.find(c => c.id === id);
+    if (!customer) throw new HttpError(404, 'not_found', `Customer ${id} not found`);
+    return customer;
+};
+
+/**
+ * Quotes and sales for a customer: those linked to them, and older unlinked ones with the same phone number.
+ * @param {Customer} customer
+ * @returns {Promise<{ quotes: import('./quotes.js').Quote[], sales: import('./sales.js').Sale[] }>} Newest first
+ */
+export const getCustomerHistory = async (customer) => {
+    const phone = digitsOf(customer.phone);
+    const belongs = (doc) => (doc.customer.id
+        ? doc.customer.id === customer.id
+        : Boolean(phone) && digitsOf(doc.customer.phone) === phone);
+    const [quotes, sales] = await Promise.all([listQuotes(), listSales()]);
+    return { quotes: quotes.filter(belongs), sales: sales.filter(belongs) };
+};
+
+/**
+ * @param {{ name: string, phone: string, vehicles?: CustomerVehicle[], note?: string }} input
+ * @returns {Promise<Customer>}
+ * @throws {HttpError} 400 on invalid input, 409 duplicate_phone
+ */
+export const createCustomer = async ({ name, phone, vehicles = [], note = '' }) => {
+    const normalized = normalizeCustomer({ name: name ?? '', phone: phone ?? '', vehicles, note });
+    return updateCollection(COLLECTION, [], (customers) => {
+        ensureUniquePhone(customers, normalized.phone);
+        const now = new Date().toISOString();
+        const customer = { id: crypto.randomUUID(), ...normalized, createdAt: now, updatedAt: now };
+        return { data: [...customers, customer], result: customer };
+    });
+};
+
+/**
+ * @param {string} id
+ * @param {{ name?: string, phone?: string, vehicles?: CustomerVehicle[], note?: string }} changes - vehicles replaces the list
+ * @returns {Promise<Customer>}
+ */
+export const updateCustomer = async (id, changes) => {
+    const normalized = normalizeCustomer(changes);
+    return updateCollection(COLLECTION, [], (customers) => {
+        if (normalized.phone !== undefined) ensureUniquePhone(customers, normalized.phone, id);
+        let changed = null;
+        const next = customers.map(customer => {
+            if (customer.id !== id) return customer;
+            changed = { ...customer, ...normalized, updatedAt: new Date().toISOString() };
+            return changed;
+        });
+        if (!changed) throw new HttpError(404, 'not_found', `Customer ${id} not found`);
+        return { data: next, result: changed };
+    });
+};
+
+/**
+ * Remove a customer. Their quotes and sales stay, with the name and phone they were made out to.
+ * @param {string} id
+ */
+export const deleteCustomer = async (id) => updateCollection(COLLECTION, [], (customers) => {
+    const customer = customers.find(c => c.id === id);
+    if (!customer) throw new HttpError(404, 'not_found', `Customer ${id} not found`);
+    return { data: customers.filter(c => c.id !== id), result: customer };
+});
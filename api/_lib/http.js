@@ -0,0 +1,55 @@
+/**
+ * Small helpers shared by the JSON /api routes.
+ */
+
+/**
+ * Error with an HTTP status and a machine-readable code, thrown by the _lib modules
+ * and turned into `{ error, message }` by sendError.
+ */
+export class HttpError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Reject anything but the listed methods with 405. Returns false when the request was rejected.
+ * @param {string[]} methods
+ */
+export const allowMethods = (req, res, methods) => {
+    if (methods.includes(req.method)) return true;
+    res.setHeader('Allow', methods.join(', '));
+    res.status(405).json({ error: 'method_not_allowed', message: `${req.method} is not supported` });
+    return false;
+};
+
+/**
+ * Parsed JSON body (Vercel and the dev plugin parse it; a raw string is parsed here as a fallback).
+ * @returns {Object}
+ */
+export const jsonBody = (req) => {
+    if (!req.body) return {};
+    if (typeof req.body === 'string') {
+        try {
+            return JSON.parse(req.body);
+        } catch {
+            throw new HttpError(400, 'invalid_json', 'Request body is not valid JSON');
+        }
+    }
+    return req.body;
+};
+
+/**
+ * Send an error as JSON. HttpErrors keep their status/code; anything else is a 500.
+ * @param {string} [context] - Log prefix for unexpected errors
+ */
+export const sendError = (res, error, context = 'API Error') => {
+    if (error instanceof HttpError) {
+        return res.status(error.status).json({ error: error.code, message: error.message });
+    }
+    console.error(`${context}:`, error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+};
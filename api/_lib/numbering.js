@@ -0,0 +1,32 @@
+import { updateCollection } from './store.js';
+import { shopDate } from '../../src/utils/dates.js';
+
+/**
+ * Human-readable document numbers: `<PREFIX>-<YYYYMMDD>-<NNN>`, counted per shop day.
+ * The last number handed out per prefix and day is persisted, so deleting a document never frees its number.
+ */
+
+const COUNTERS = 'document-counters';
+
+const suffixOf = (number, dayPrefix) => (number.startsWith(dayPrefix) ? Number(number.slice(dayPrefix.length)) || 0 : 0);
+
+/**
+ * Call it inside the documents' own updateCollection so two documents created at once cannot get the same number.
+ * @param {string} prefix - e.g. "PO"
+ * @param {{ number: string }[]} documents - Every existing document of that kind
+ * @param {Date} [now]
+ * @returns {Promise<string>} e.g. PO-20250312-002
+ */
+export const nextDocumentNumber = async (prefix, documents, now = new Date()) => {
+    const day = shopDate(now).replace(/-/g, '');
+    const dayPrefix = `${prefix}-${day}-`;
+    // Documents are checked too, so data from before the counter existed is never numbered over
+    const highest = documents.reduce((max, d) => Math.max(max, suffixOf(d.number, dayPrefix)), 0);
+    const next = await updateCollection(COUNTERS, {}, (counters) => {
+        const value = Math.max(counters[dayPrefix] || 0, highest) + 1;
+        // Earlier days' counters are no longer needed
+        const today = Object.fromEntries(Object.entries(counters).filter(([key]) => key.includes(`-${day}-`)));
+        return { data: { ...today, [dayPrefix]: value }, result: value };
+    });
+    return `${dayPrefix}${String(next).padStart(3, '0')}`;
+};
@@ -0,0 +1,235 @@
+import { updateCollection, readCollection } from './store.js';
+import { readCatalog } from './catalog.js';
+import { HttpError } from './http.js';
+import { recordAudit } from './audit.js';
+import { normalizeDot, dotSortKey } from '../../src/utils/dot.js';
+
+/**
+ * Our own store/warehouse stock (not the Blackcircles stock), one record per sheet `code` and location type.
+ * All changes go through applyStockChanges so a multi-record operation (move, sale, receiving)
+ * either applies completely or not at all.
+ *
+ * Each record also keeps `batches` (quantity per DOT). Stock received before DOTs were tracked
+ * is the difference between stockQty and the batch total ("untracked").
+ */
+
+const COLLECTION = 'own-stock';
+
+export const STOCK_TYPES = ['store', 'warehouse'];
+
+const DEFAULTS = {
+    store: { location: 'STORE-A1', reorderPoint: 4 },
+    warehouse: { location: 'WH-MAIN', reorderPoint: 20 }
+};
+
+/**
+ * @typedef {Object} StockChange
+ * @property {string} code - Sheet code
+ * @property {'store'|'warehouse'} type
+ * @property {number} [delta] - Quantity to add (negative to remove)
+ * @property {number} [set] - Absolute quantity (stock count); takes precedence over delta
+ * @property {number} [reorderPoint]
+ * @property {number} [cost]
+ * @property {string} [dot] - DOT batch ("WWYY") the delta is added to or taken from
+ */
+
+const validateType = (type) => {
+    if (!STOCK_TYPES.includes(type)) {
+        throw new HttpError(400, 'invalid_type', `type must be one of ${STOCK_TYPES.join(', ')}`);
+    }
+};
+
+const toQuantity = (value, field) => {
+    const number = Number(value);
+    if (!Number.isInteger(number)) throw new HttpError(400, 'invalid_quantity', `${field} must be an integer`);
+    return number;
+};
+
+/**
+ * Brand/model/size for codes not yet in the stock file, taken from the synced sheet.
+ */
+const describeCodes = async (codes) => {
+    const catalog = await readCatalog();
+    const rows = catalog?.sheetRows || [];
+    return Object.fromEntries(codes.map(code => {
+        const row = rows.find(r => r.code === code);
+        return [code, row ? { brand: row.brand, model: row.model, size: row.size } : { brand: '', model: '', size: '' }];
+    }));
+};
+
+export const isLowStock = (record) => record.stockQty <= record.reorderPoint;
+
+const recordKey = (record) => `${record.code}|${record.type}`;
+
+/** What the audit log keeps of a stock record. */
+const stockSnapshot = (record) => ({
+    stockQty: record.stockQty,
+    batches: record.batches.map(({ dot, qty }) => ({ dot, qty })),
+    cost: record.cost,
+    reorderPoint: record.reorderPoint
+});
+
+const batchTotal = (batches) => batches.reduce((sum, batch) => sum + batch.qty, 0);
+
+/**
+ * Remove `qty` from the record's batches: from `dot` when given, otherwise from untracked
+ * stock first and then the oldest DOTs. Mutates record.batches.
+ */
+const takeFromBatches = (record, qty, dot) => {
+    if (dot) {
+        const batch = record.batches.find(b => b.dot === dot);
+        if (!batch || batch.qty < qty) {
+            throw new HttpError(409, 'insufficient_stock', `Insufficient stock for ${record.code} DOT ${dot} at ${record.type} (have ${batch?.qty || 0})`);
+        }
+        batch.qty -= qty;
+    } else {
+        let remaining = Math.max(0, qty - Math.max(0, record.stockQty - batchTotal(record.batches)));
+        [...record.batches].sort((a, b) => dotSortKey(a.dot).localeCompare(dotSortKey(b.dot))).forEach(batch => {
+            const taken = Math.min(batch.qty, remaining);
+            batch.qty -= taken;
+            remaining -= taken;
+        });
+    }
+    record.batches = record.batches.filter(b => b.qty > 0);
+};
+
+/**
+ * Add `qty` to the record's `dot` batch. Mutates record.batches.
+ */
+const addToBatch = (record, qty, dot, at) => {
+    const batch = record.batches.find(b => b.dot === dot);
+    if (batch) batch.qty += qty;
+    else record.batches.push({ dot, qty, receivedAt: at });
+    record.batches.sort((a, b) => dotSortKey(a.dot).localeCompare(dotSortKey(b.dot)));
+};
+
+/**
+ * List stock records, optionally filtered.
+ * @param {{ type?: string, code?: string }} [filter]
+ * @returns {Promise<import('../../src/data/types').StockRecord[]>}
+ */
+export const listStock = async ({ type, code } = {}) => {
+    const records = await readCollection(COLLECTION, []);
+    return records.filter(r => (!type || r.type === type) && (!code || r.code === code));
+};
+
+/**
+ * Apply several changes atomically. Creates records on first use.
+ * @param {StockChange[]} changes
+ * @param {import('./audit.js').AuditContext} [audit] - Records one audit entry per changed record
+ * @param {string} [action] - Audit action, e.g. "stock.move"
+ * @returns {Promise<import('../../src/data/types').StockRecord[]>} The changed records, in order
+ * @throws {HttpError} 400 on invalid input, 409 when stock would go negative
+ */
+export const applyStockChanges = async (changes, audit, action = 'stock.adjust') => {
+    changes.forEach(change => {
+        if (!change.code) throw new HttpError(400, 'code_required', 'code is required');
+        validateType(change.type);
+        if (change.dot && !normalizeDot(change.dot)) throw new HttpError(400, 'invalid_dot', `Invalid DOT ${change.dot}`);
+    });
+    const descriptions = await describeCodes([...new Set(changes.map(c => c.code))]);
+
+    const { changed, before } = await updateCollection(COLLECTION, [], (records) => {
+        const now = new Date().toISOString();
+        const next = records.map(r => ({ ...r, batches: (r.batches || []).map(b => ({ ...b })) }));
+        const snapshots = new Map(); // record key -> state before this call (null when created here)
+
+        const changedRecords = changes.map(change => {
+            let record = next.find(r => r.code === change.code && r.type === change.type);
+            const key = recordKey(change);
+            if (!snapshots.has(key)) snapshots.set(key, record ? stockSnapshot(record) : null);
+            if (!record) {
+                record = {
+                    code: change.code,
+                    type: change.type,
+                    ...descriptions[change.code],
+                    stockQty: 0,
+                    batches: [],
+                    cost: 0,
+                    ...DEFAULTS[change.type],
+                    updatedAt: now
+                };
+                next.push(record);
+            }
+
+            const quantity = change.set !== undefined
+                ? toQuantity(change.set, 'set')
+                : record.stockQty + toQuantity(change.delta ?? 0, 'delta');
+            if (quantity < 0) {
+                throw new HttpError(409, 'insufficient_stock', `Insufficient stock for ${change.code} at ${change.type} (have ${record.stockQty})`);
+            }
+
+            const dot = change.dot ? normalizeDot(change.dot) : null;
+            if (quantity > record.stockQty && dot) addToBatch(record, quantity - record.stockQty, dot, now);
+            if (quantity < record.stockQty) takeFromBatches(record, record.stockQty - quantity, dot);
+            record.stockQty = quantity;
+            if (change.reorderPoint !== undefined) record.reorderPoint = toQuantity(change.reorderPoint, 'reorderPoint');
+            if (change.cost !== undefined) record.cost = Number(change.cost) || 0;
+            record.updatedAt = now;
+            return record;
+        });
+
+        changedRecords.filter(isLowStock).forEach(record => {
+            console.warn(`[ALERT] Low stock for ${record.code} at ${record.type}. Current: ${record.stockQty}, Reorder Point: ${record.reorderPoint}`);
+        });
+
+        return { data: next, result: { changed: changedRecords, before: snapshots } };
+    });
+
+    const unique = [...new Map(changed.map(record => [recordKey(record), record])).values()];
+    await recordAudit(audit, action, unique.map(record => ({
+        entity: { type: 'stock', id: recordKey(record), label: `${record.code} (${record.type === 'store' ? '매장' : '물류센터'})` },
+        before: before.get(recordKey(record)),
+        after: stockSnapshot(record)
+    })));
+    return changed;
+};
+
+/**
+ * Split a quantity taken from a record into DOT parts the way a sale takes it: untracked stock first,
+ * then the oldest DOTs. Whatever the record cannot cover is a last part without a DOT, so
+ * applyStockChanges reports insufficient_stock for it.
+ * @param {import('../../src/data/types').StockRecord|undefined} record
+ * @param {number} qty
+ * @returns {{ dot: string|undefined, qty: number }[]}
+ */
+export const splitByDot = (record, qty) => {
+    const batches = record?.batches || [];
+    const untracked = Math.min(qty, Math.max(0, (record?.stockQty || 0) - batchTotal(batches)));
+    const parts = untracked > 0 ? [{ dot: undefined, qty: untracked }] : [];
+    let remaining = qty - untracked;
+    [...batches].sort((a, b) => dotSortKey(a.dot).localeCompare(dotSortKey(b.dot))).forEach(batch => {
+        if (remaining <= 0) return;
+        const taken = Math.min(batch.qty, remaining);
+        parts.push({ dot: batch.dot, qty: taken });
+        remaining -= taken;
+    });
+    if (remaining > 0) parts.push({ dot: undefined, qty: remaining });
+    return parts;
+};
+
+/**
+ * Move stock between store and warehouse. Without a `dot` the quantity is taken the same way as a sale
+ * (untracked first, then oldest DOT) and each DOT batch keeps its DOT at the destination.
+ * @param {{ code: string, from: string, to: string, qty: number, dot?: string }} move
+ * @param {import('./audit.js').AuditContext} [audit]
+ */
+export const moveStock = async ({ code, from, to, qty, dot }, audit) => {
+    const quantity = toQuantity(qty, 'qty');
+    if (quantity <= 0) throw new HttpError(400, 'invalid_quantity', 'qty must be positive');
+    if (from === to) throw new HttpError(400, 'invalid_move', 'from and to must differ');
+
+    let parts = [{ dot, qty: quantity }];
+    if (!dot) {
+        const [source] = await listStock({ type: from, code });
+        parts = splitByDot(source, quantity);
+    }
+
+    const changes = parts.flatMap(part => [
+        { code, type: from, delta: -part.qty, dot: part.dot },
+        { code, type: to, delta: part.qty, dot: part.dot }
+    ]);
+    const changed = await applyStockChanges(changes, audit, 'stock.move');
+    // One record per location, in [from, to] order
+    return [changed.find(r => r.type === from), changed.find(r => r.type === to)];
+};
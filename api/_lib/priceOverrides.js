@@ -0,0 +1,121 @@
+import { readCollection, updateCollection } from './store.js';
+import { HttpError } from './http.js';
+import { recordAudit } from './audit.js';
+import { shopDate } from '../../src/utils/dates.js';
+
+/**
+ * Manual price edits per sheet code (factoryPrice and/or discountRate), applied on top of the
+ * sheet on every search until they expire or are reset.
+ */
+
+const COLLECTION = 'price-overrides';
+
+/**
+ * @typedef {Object} PriceOverride
+ * @property {string} code - Sheet code (partNo)
+ * @property {number|null} factoryPrice - null = use the sheet price
+ * @property {number|null} discountRate - null = use the tier default
+ * @property {string} updatedBy
+ * @property {string} updatedAt
+ * @property {string|null} expiresAt - YYYY-MM-DD, last shop (KST) day the override applies; null = no expiry
+ */
+
+const todayDate = () => shopDate();
+
+const priceEntity = (code) => ({ type: 'price', id: code, label: code });
+
+/** What the audit log keeps of an override. */
+const priceSnapshot = (override) => (override
+    ? { factoryPrice: override.factoryPrice, discountRate: override.discountRate, expiresAt: override.expiresAt }
+    : null);
+
+const isActive = (override, today = todayDate()) => !override.expiresAt || override.expiresAt >= today;
+
+const toFactoryPrice = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const price = Number(value);
+    if (!Number.isFinite(price) || price <= 0) throw new HttpError(400, 'invalid_price', 'factoryPrice must be a positive number');
+    return Math.round(price);
+};
+
+const toDiscountRate = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const rate = Number(value);
+    if (!Number.isFinite(rate) || rate < 0 || rate > 100) throw new HttpError(400, 'invalid_discount', 'discountRate must be between 0 and 100');
+    return rate;
+};
+
+const toExpiry = (value) => {
+    if (!value) return null;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value)) || Number.isNaN(Date.parse(value))) {
+        throw new HttpError(400, 'invalid_date', 'expiresAt must be YYYY-MM-DD');
+    }
+    return value;
+};
+
+/**
+ * Active (not expired) overrides.
+ * @param {{ codes?: string[] }} [filter]
+ * @returns {Promise<PriceOverride[]>}
+ */
+export const listPriceOverrides = async ({ codes } = {}) => {
+    const overrides = await readCollection(COLLECTION, []);
+    const wanted = codes ? new Set(codes) : null;
+    const today = todayDate();
+    return overrides.filter(o => isActive(o, today) && (!wanted || wanted.has(o.code)));
+};
+
+/**
+ * Save the override for one code. Clearing both values removes it (back to the sheet).
+ * Expired overrides are dropped on every write.
+ * @param {string} code
+ * @param {{ factoryPrice?: number|null, discountRate?: number|null, expiresAt?: string|null, updatedBy?: string }} values
+ * @param {import('./audit.js').AuditContext} [audit]
+ * @returns {Promise<PriceOverride|null>} null when the override was removed
+ */
+export const setPriceOverride = async (code, { factoryPrice, discountRate, expiresAt, updatedBy }, audit) => {
+    if (!code) throw new HttpError(400, 'code_required', 'code is required');
+    const values = {
+        factoryPrice: toFactoryPrice(factoryPrice),
+        discountRate: toDiscountRate(discountRate),
+        expiresAt: toExpiry(expiresAt)
+    };
+
+    const { previous, override } = await updateCollection(COLLECTION, [], (overrides) => {
+        const today = todayDate();
+        const existing = overrides.find(o => o.code === code && isActive(o, today)) || null;
+        const rest = overrides.filter(o => o.code !== code && isActive(o, today));
+        if (values.factoryPrice === null && values.discountRate === null) return { data: rest, result: { previous: existing, override: null } };
+
+        const saved = {
+            code,
+            ...values,
+            updatedBy: String(updatedBy || '').trim() || '알 수 없음',
+            updatedAt: new Date().toISOString()
+        };
+        return { data: [...rest, saved], result: { previous: existing, override: saved } };
+    });
+
+    if (previous || override) {
+        await recordAudit(audit, override ? 'price.set' : 'price.reset', [
+            { entity: priceEntity(code), before: priceSnapshot(previous), after: priceSnapshot(override) }
+        ]);
+    }
+    return override;
+};
+
+/**
+ * Reset codes to their sheet values.
+ * @param {string[]} codes
+ * @param {import('./audit.js').AuditContext} [audit]
+ * @returns {Promise<PriceOverride[]>} The overrides that were removed
+ */
+export const deletePriceOverrides = async (codes, audit) => {
+    const wanted = new Set(codes);
+    const removed = await updateCollection(COLLECTION, [], (overrides) => ({
+        data: overrides.filter(o => !wanted.has(o.code)),
+        result: overrides.filter(o => wanted.has(o.code))
+    }));
+    await recordAudit(audit, 'price.reset', removed.map(o => ({ entity: priceEntity(o.code), before: priceSnapshot(o), after: null })));
+    return removed;
+};
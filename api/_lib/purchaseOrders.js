@@ -0,0 +1,273 @@
+import crypto from 'node:crypto';
+import { readCollection, updateCollection } from './store.js';
+import { listStock, isLowStock, applyStockChanges } from './ownStock.js';
+import { HttpError } from './http.js';
+import { recordAudit } from './audit.js';
+import { nextDocumentNumber } from './numbering.js';
+import { REORDER_TARGET_MULTIPLIER, getSupplierForBrand } from '../../src/config/purchasing.js';
+
+/**
+ * Purchase orders: drafts generated from reorder points (or created by hand),
+ * edited by staff, then sent and finally received into our own stock.
+ * Status flow: draft -> sent -> received.
+ */
+
+const COLLECTION = 'purchase-orders';
+
+export const PO_STATUSES = ['draft', 'sent', 'received'];
+
+const NEXT_STATUS = { draft: 'sent', sent: 'received' };
+
+/**
+ * @typedef {Object} PurchaseOrderLine
+ * @property {string} code
+ * @property {string} brand
+ * @property {string} model
+ * @property {string} size
+ * @property {'store'|'warehouse'} type - Where the goods go when received
+ * @property {number} qty
+ * @property {number} unitCost
+ */
+
+/**
+ * @typedef {Object} PurchaseOrder
+ * @property {string} id
+ * @property {string} number - e.g. PO-20250312-002
+ * @property {string} supplier
+ * @property {'draft'|'sent'|'received'} status
+ * @property {PurchaseOrderLine[]} lines
+ * @property {string} note
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ * @property {string|null} sentAt
+ * @property {string|null} receivedAt
+ * @property {Object[]} [receivedLines] - What was actually posted to stock (per DOT) when received via the receiving screen
+ */
+
+const normalizeLines = (lines) => {
+    if (!Array.isArray(lines)) throw new HttpError(400, 'invalid_lines', 'lines must be an array');
+    return lines.map(line => {
+        const qty = Number(line.qty);
+        if (!line.code) throw new HttpError(400, 'code_required', 'Every line needs a code');
+        if (!Number.isInteger(qty) || qty <= 0) throw new HttpError(400, 'invalid_quantity', `Invalid qty for ${line.code}`);
+        return {
+            code: String(line.code),
+            brand: line.brand || '',
+            model: line.model || '',
+            size: line.size || '',
+            type: line.type === 'warehouse' ? 'warehouse' : 'store',
+            qty,
+            unitCost: Number(line.unitCost) || 0
+        };
+    });
+};
+
+const orderEntity = (order) => ({ type: 'purchase-order', id: order.id, label: order.number });
+
+const createOrder = async (orders, { supplier, lines, note = '' }) => {
+    const now = new Date().toISOString();
+    return {
+        id: crypto.randomUUID(),
+        number: await nextDocumentNumber('PO', orders),
+        supplier: supplier || '미지정',
+        status: 'draft',
+        lines,
+        note,
+        createdAt: now,
+        updatedAt: now,
+        sentAt: null,
+        receivedAt: null
+    };
+};
+
+/**
+ * @param {{ status?: string }} [filter]
+ * @returns {Promise<PurchaseOrder[]>} Newest first
+ */
+export const listPurchaseOrders = async ({ status } = {}) => {
+    const orders = await readCollection(COLLECTION, []);
+    return orders
+        .filter(o => !status || o.status === status)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * @param {string} id
+ * @returns {Promise<PurchaseOrder>}
+ */
+export const getPurchaseOrder = async (id) => {
+    const orders = await readCollection(COLLECTION, []);
+    const order = orders.find(o => o.id === id);
+    if (!order) throw new HttpError(404, 'not_found', `Purchase order ${id} not found`);
+    return order;
+};
+
+/**
+ * Suggested reorder lines: every record at or below its reorder point, topped up to
+ * reorderPoint × REORDER_TARGET_MULTIPLIER. Codes already on an open (draft/sent) PO are skipped.
+ * @returns {Promise<PurchaseOrderLine[]>}
+ */
+export const suggestReorderLines = async () => {
+    const [records, orders] = await Promise.all([listStock(), readCollection(COLLECTION, [])]);
+    const onOrder = new Set(orders
+        .filter(o => o.status !== 'received')
+        .flatMap(o => o.lines.map(line => `${line.code}|${line.type}`)));
+
+    return records
+        .filter(isLowStock)
+        .filter(r => !onOrder.has(`${r.code}|${r.type}`))
+        .map(r => ({
+            code: r.code,
+            brand: r.brand,
+            model: r.model,
+            size: r.size,
+            type: r.type,
+            qty: Math.max(1, r.reorderPoint * REORDER_TARGET_MULTIPLIER - r.stockQty),
+            unitCost: r.cost || 0
+        }));
+};
+
+/**
+ * Create one draft PO per supplier from the reorder suggestions.
+ * @param {import('./audit.js').AuditContext} [audit]
+ * @returns {Promise<PurchaseOrder[]>} The new drafts (empty when nothing needs ordering)
+ */
+export const generateDraftOrders = async (audit) => {
+    const lines = await suggestReorderLines();
+    if (lines.length === 0) return [];
+
+    const bySupplier = new Map();
+    lines.forEach(line => {
+        const supplier = getSupplierForBrand(line.brand);
+        bySupplier.set(supplier, [...(bySupplier.get(supplier) || []), line]);
+    });
+
+    const created = await updateCollection(COLLECTION, [], async (orders) => {
+        const drafts = [];
+        for (const [supplier, supplierLines] of bySupplier) {
+            drafts.push(await createOrder([...orders, ...drafts], { supplier, lines: supplierLines, note: '재고 부족 자동 제안' }));
+        }
+        return { data: [...orders, ...drafts], result: drafts };
+    });
+    await recordAudit(audit, 'purchase-order.create', created.map(order => ({ entity: orderEntity(order), before: null, after: order })));
+    return created;
+};
+
+/**
+ * Create a draft PO by hand.
+ * @param {{ supplier: string, lines: PurchaseOrderLine[], note?: string }} input
+ * @param {import('./audit.js').AuditContext} [audit]
+ */
+export const createPurchaseOrder = async ({ supplier, lines, note }, audit) => {
+    const normalized = normalizeLines(lines || []);
+    const order = await updateCollection(COLLECTION, [], async (orders) => {
+        const created = await createOrder(orders, { supplier, lines: normalized, note });
+        return { data: [...orders, created], result: created };
+    });
+    await recordAudit(audit, 'purchase-order.create', [{ entity: orderEntity(order), before: null, after: order }]);
+    return order;
+};
+
+/**
+ * Edit a draft (supplier, note, lines) and/or move it to the next status.
+ * Marking a PO `received` adds every line to our own stock, or `receivedLines` instead when given
+ * (the receiving screen posts the counted quantities per DOT). The status is claimed under the lock first
+ * so a double click cannot receive it twice, and handed back when the stock cannot be posted.
+ * @param {string} id
+ * @param {{ supplier?: string, note?: string, lines?: PurchaseOrderLine[], status?: string, receivedLines?: import('./ownStock.js').StockChange[] }} changes
+ * @param {import('./audit.js').AuditContext} [audit]
+ * @returns {Promise<PurchaseOrder>}
+ */
+export const updatePurchaseOrder = async (id, { supplier, note, lines, status, receivedLines }, audit) => {
+    const current = await getPurchaseOrder(id);
+    const editing = supplier !== undefined || note !== undefined || lines !== undefined;
+
+    if (editing && current.status !== 'draft') {
+        throw new HttpError(409, 'not_editable', 'Only draft purchase orders can be edited');
+    }
+    if (status !== undefined && status !== current.status && NEXT_STATUS[current.status] !== status) {
+        throw new HttpError(409, 'invalid_status', `Cannot change status from ${current.status} to ${status}`);
+    }
+    const normalizedLines = lines !== undefined ? normalizeLines(lines) : undefined;
+    if (status === 'sent' && (normalizedLines || current.lines).length === 0) {
+        throw new HttpError(400, 'empty_order', 'Cannot send an empty purchase order');
+    }
+
+    const updated = await updateCollection(COLLECTION, [], (orders) => {
+        const now = new Date().toISOString();
+        let changed = null;
+        const next = orders.map(order => {
+            if (order.id !== id) return order;
+            // Re-checked under the lock so a double click cannot receive the same PO twice
+            if (order.status !== current.status) {
+                throw new HttpError(409, 'invalid_status', `Purchase order is already ${order.status}`);
+            }
+            changed = {
+                ...order,
+                ...(supplier !== undefined ? { supplier } : {}),
+                ...(note !== undefined ? { note } : {}),
+                ...(normalizedLines ? { lines: normalizedLines } : {}),
+                updatedAt: now
+            };
+            if (status === 'sent' && order.status === 'draft') Object.assign(changed, { status, sentAt: now });
+            if (status === 'received' && order.status === 'sent') {
+                Object.assign(changed, { status, receivedAt: now, ...(receivedLines ? { receivedLines } : {}) });
+            }
+            return changed;
+        });
+        return { data: next, result: changed };
+    });
+
+    if (updated.status === 'received' && current.status === 'sent') {
+        const receiveAudit = audit && { ...audit, reason: audit.reason || `발주 ${updated.number} 입고` };
+        try {
+            await applyStockChanges(receivedLines
+                || updated.lines.map(line => ({ code: line.code, type: line.type, delta: line.qty })), receiveAudit, 'stock.receive');
+        } catch (error) {
+            // Nothing was posted, so the PO goes back to `sent` and can be received again
+            await updateCollection(COLLECTION, [], (orders) => ({ data: orders.map(o => (o.id === id ? current : o)) }));
+            throw error;
+        }
+    }
+
+    await recordAudit(audit, 'purchase-order.update', [{ entity: orderEntity(updated), before: current, after: updated }]);
+    return updated;
+};
+
+/**
+ * Delete a draft PO.
+ * @param {string} id
+ * @param {import('./audit.js').AuditContext} [audit]
+ */
+export const deletePurchaseOrder = async (id, audit) => {
+    const current = await getPurchaseOrder(id);
+    if (current.status !== 'draft') throw new HttpError(409, 'not_editable', 'Only draft purchase orders can be deleted');
+    await updateCollection(COLLECTION, [], (orders) => ({ data: orders.filter(o => o.id !== id) }));
+    await recordAudit(audit, 'purchase-order.delete', [{ entity: orderEntity(current), before: current, after: null }]);
+    return current;
+};
+
+/**
+ * Flatten a PO into CSV rows.
+ * @param {PurchaseOrder} order
+ */
+export const purchaseOrderCsvRows = (order) => order.lines.map(line => ({
+    number: order.number,
+    supplier: order.supplier,
+    ...line,
+    type: line.type === 'warehouse' ? '물류센터' : '매장',
+    amount: line.qty * line.unitCost
+}));
+
+export const PURCHASE_ORDER_CSV_COLUMNS = [
+    { key: 'number', label: '발주번호' },
+    { key: 'supplier', label: '공급처' },
+    { key: 'code', label: '상품코드' },
+    { key: 'brand', label: '브랜드' },
+    { key: 'model', label: '상품명' },
+    { key: 'size', label: '규격' },
+    { key: 'type', label: '입고위치' },
+    { key: 'qty', label: '수량' },
+    { key: 'unitCost', label: '단가' },
+    { key: 'amount', label: '금액' }
+];
@@ -0,0 +1,377 @@
+import crypto from 'node:crypto';
+import { readCollection, updateCollection } from './store.js';
+import { HttpError } from './http.js';
+import { nextDocumentNumber } from './numbering.js';
+import { shopDate, addDays } from '../../src/utils/dates.js';
+import { createSale } from './sales.js';
+import { assertCostFloor } from './costFloor.js';
+import { recordAudit } from './audit.js';
+import { withoutCost } from './auth.js';
+import { QUOTE_VALIDITY_DAYS } from '../../src/config/quotes.js';
+import { CUSTOMER_TIERS, DEFAULT_TIER } from '../../src/config/pricing.js';
+
+/**
+ * Customer quotes, saved from the cart so they can be found again, reopened and sold.
+ * Status flow: sent -> accepted -> (converted into a sale), with `expired` once validUntil has passed.
+ * Expiry is derived when reading, so a quote never has to be touched just because a day went by.
+ */
+
+const COLLECTION = 'quotes';
+
+export const QUOTE_STATUSES = ['sent', 'accepted', 'expired'];
+
+/**
+ * @typedef {Object} QuoteLine
+ * @property {string} code - Sheet code (partNo)
+ * @property {string} brand
+ * @property {string} model
+ * @property {string} size
+ * @property {number} qty
+ * @property {number} factoryPrice
+ * @property {number} discountRate - Percent off factoryPrice
+ * @property {number} unitPrice - Price quoted per tire, VAT-inclusive
+ * @property {number|null} supplyPrice - Cost the line was quoted against, null when unknown; hidden from roles without viewCost
+ */
+
+/**
+ * @typedef {Object} Quote
+ * @property {string} id
+ * @property {string} number - e.g. Q-20250312-004
+ * @property {'sent'|'accepted'|'expired'} status
+ * @property {{ id: string|null, name: string, phone: string }} customer - id when linked to a registered customer
+ * @property {string} vehicle - Free text, e.g. "현대 쏘나타 2021"
+ * @property {'retail'|'wholesale'|'fleet'} tier - Customer tier the prices were quoted at
+ * @property {QuoteLine[]} lines
+ * @property {import('../../src/utils/services.js').ServiceLine[]} services - Installation and other labor, no stock
+ * @property {number} discount - Won off the line total
+ * @property {number} subtotal - Tires + services
+ * @property {number} total
+ * @property {string} validUntil - YYYY-MM-DD, inclusive
+ * @property {string} note
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ * @property {string|null} acceptedAt
+ * @property {{ id: string, number: string, soldAt: string }|null} sale - Set once converted into a sale
+ */
+
+const todayDate = () => shopDate();
+
+const quoteEntity = (quote) => ({ type: 'quote', id: quote.id, label: quote.number });
+
+const defaultValidUntil = () => addDays(shopDate(), QUOTE_VALIDITY_DAYS);
+
+/**
+ * Quotes saved before services existed have none.
+ * @returns {Quote}
+ */
+const withDefaults = (quote) => ({ services: [], ...quote });
+
+/**
+ * The stored quote with `expired` applied when a sent quote is past its validity date.
+ * @param {Quote} quote
+ * @returns {Quote}
+ */
+const withExpiry = (quote) => (quote.status === 'sent' && quote.validUntil < todayDate()
+    ? { ...withDefaults(quote), status: 'expired' }
+    : withDefaults(quote));
+
+const toAmount = (value, field) => {
+    const amount = Number(value ?? 0);
+    if (!Number.isFinite(amount) || amount < 0) throw new HttpError(400, 'invalid_amount', `${field} must be a positive number`);
+    return Math.round(amount);
+};
+
+const normalizeLines = (lines) => {
+    if (!Array.isArray(lines) || lines.length === 0) throw new HttpError(400, 'invalid_lines', 'A quote needs at least one line');
+    return lines.map(line => {
+        const qty = Number(line.qty);
+        if (!line.code) throw new HttpError(400, 'code_required', 'Every line needs a code');
+        if (!Number.isInteger(qty) || qty <= 0) throw new HttpError(400, 'invalid_quantity', `Invalid qty for ${line.code}`);
+        return {
+            code: String(line.code),
+            brand: line.brand || '',
+            model: line.model || '',
+            size: line.size || '',
+            qty,
+            factoryPrice: toAmount(line.factoryPrice, 'factoryPrice'),
+            discountRate: Number(line.discountRate) || 0,
+            unitPrice: toAmount(line.unitPrice, 'unitPrice'),
+            supplyPrice: line.supplyPrice ? toAmount(line.supplyPrice, 'supplyPrice') : null
+        };
+    });
+};
+
+/**
+ * Lines sent by a role that cannot see costs come without supplyPrice: keep the one already stored for that code.
+ * @param {QuoteLine[]} lines
+ * @param {QuoteLine[]} previous
+ * @returns {QuoteLine[]}
+ */
+const keepSupplyPrices = (lines, previous) => lines.map(line => (line.supplyPrice === null
+    ? { ...line, supplyPrice: previous.find(old => old.code === line.code)?.supplyPrice ?? null }
+    : line));
+
+/**
+ * The quote as a user may see it: line costs are left out for roles without viewCost.
+ * @param {{ role: string }} user
+ * @param {Quote} quote
+ * @returns {Quote}
+ */
+export const quoteWithoutCost = (user, quote) => ({ ...quote, lines: withoutCost(user, quote.lines) });
+
+const normalizeServices = (services = []) => {
+    if (!Array.isArray(services)) throw new HttpError(400, 'invalid_services', 'services must be an array');
+    return services.map(line => {
+        const name = String(line.name || '').trim();
+        const qty = Number(line.qty ?? 1);
+        if (!name) throw new HttpError(400, 'name_required', 'Every service line needs a name');
+        if (!Number.isInteger(qty) || qty <= 0) throw new HttpError(400, 'invalid_quantity', `Invalid qty for ${name}`);
+        return {
+            serviceId: line.serviceId ? String(line.serviceId) : null,
+            rim: Number(line.rim) || null,
+            name,
+            qty,
+            unitPrice: toAmount(line.unitPrice, 'unitPrice')
+        };
+    });
+};
+
+const normalizeValidUntil = (value) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value)) || Number.isNaN(Date.parse(value))) {
+        throw new HttpError(400, 'invalid_date', 'validUntil must be YYYY-MM-DD');
+    }
+    return value;
+};
+
+const normalizeTier = (tier) => {
+    if (!CUSTOMER_TIERS.some(t => t.id === tier)) throw new HttpError(400, 'invalid_tier', `Unknown customer tier ${tier}`);
+    return tier;
+};
+
+const normalizeCustomer = (customer = {}) => ({
+    id: customer.id ? String(customer.id) : null,
+    name: String(customer.name || '').trim(),
+    phone: String(customer.phone || '').trim()
+});
+
+const lineTotal = (lines) => lines.reduce((sum, line) => sum + line.qty * line.unitPrice, 0);
+
+/**
+ * Recompute subtotal/total after lines, services or discount changed.
+ * @param {Quote} quote
+ */
+const withTotals = (quote) => {
+    const subtotal = lineTotal(quote.lines) + lineTotal(quote.services);
+    return { ...quote, subtotal, total: Math.max(0, subtotal - quote.discount) };
+};
+
+const matchesQuery = (quote, query) => {
+    const text = query.toLowerCase();
+    const digits = query.replace(/\D/g, '');
+    const haystack = [
+        quote.number,
+        quote.customer.name,
+        quote.vehicle,
+        quote.note,
+        ...quote.services.map(line => line.name),
+        ...quote.lines.flatMap(line => [line.brand, line.model, line.size])
+    ].join(' ').toLowerCase();
+    return haystack.includes(text) || (digits.length >= 3 && quote.customer.phone.replace(/\D/g, '').includes(digits));
+};
+
+/**
+ * @param {{ q?: string, status?: string }} [filter] - q matches number, customer, phone digits, vehicle and line items
+ * @returns {Promise<Quote[]>} Newest first
+ */
+export const listQuotes = async ({ q, status } = {}) => {
+    const quotes = await readCollection(COLLECTION, []);
+    const query = (q || '').trim();
+    return quotes
+        .map(withExpiry)
+        .filter(quote => (!status || quote.status === status) && (!query || matchesQuery(quote, query)))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * @param {string} id
+ * @returns {Promise<Quote>}
+ */
+export const getQuote = async (id) => {
+    const quotes = await readCollection(COLLECTION, []);
+    const quote = quotes.find(item => item.id === id);
+    if (!quote) throw new HttpError(404, 'not_found', `Quote ${id} not found`);
+    return withExpiry(quote);
+};
+
+/**
+ * Save a quote from the cart. New quotes start as `sent`.
+ * @param {{ customer?: Object, vehicle?: string, tier?: string, lines: QuoteLine[], services?: import('../../src/utils/services.js').ServiceLine[],
+ *   discount?: number, validUntil?: string, note?: string, allowBelowCost?: boolean }} input
+ * @param {import('./audit.js').AuditContext} [audit]
+ * @returns {Promise<Quote>}
+ * @throws {HttpError} 400 below_cost unless allowBelowCost
+ */
+export const createQuote = async ({ customer, vehicle, tier, lines, services, discount, validUntil, note, allowBelowCost = false }, audit) => {
+    const normalized = {
+        customer: normalizeCustomer(customer),
+        vehicle: String(vehicle || '').trim(),
+        tier: normalizeTier(tier || DEFAULT_TIER),
+        lines: normalizeLines(lines),
+        services: normalizeServices(services),
+        discount: toAmount(discount, 'discount'),
+        validUntil: validUntil ? normalizeValidUntil(validUntil) : defaultValidUntil(),
+        note: note || ''
+    };
+    if (!allowBelowCost) await assertCostFloor(normalized.lines, withTotals(normalized).total);
+
+    const created = await updateCollection(COLLECTION, [], async (quotes) => {
+        const now = new Date().toISOString();
+        const quote = withTotals({
+            id: crypto.randomUUID(),
+            number: await nextDocumentNumber('Q', quotes),
+            status: 'sent',
+            ...normalized,
+            createdAt: now,
+            updatedAt: now,
+            acceptedAt: null,
+            sale: null
+        });
+        return { data: [...quotes, quote], result: quote };
+    });
+    await recordAudit(audit, 'quote.create', [{ entity: quoteEntity(created), before: null, after: created }]);
+    return created;
+};
+
+/**
+ * Edit a quote and/or change its status. Any status can be set by hand (a customer may come back
+ * after expiry) and moving validUntil forward revives a quote that only expired by date.
+ * A quote that was already sold cannot be changed.
+ * @param {string} id
+ * @param {{ customer?: Object, vehicle?: string, tier?: string, lines?: QuoteLine[], services?: import('../../src/utils/services.js').ServiceLine[],
+ *   discount?: number, validUntil?: string, note?: string, status?: string, allowBelowCost?: boolean }} changes
+ * @param {import('./audit.js').AuditContext} [audit]
+ * @returns {Promise<Quote>}
+ * @throws {HttpError} 400 below_cost when new prices or discount go below cost, unless allowBelowCost
+ */
+export const updateQuote = async (id, { customer, vehicle, tier, lines, services, discount, validUntil, note, status, allowBelowCost = false }, audit) => {
+    if (status !== undefined && !QUOTE_STATUSES.includes(status)) {
+        throw new HttpError(400, 'invalid_status', `status must be one of ${QUOTE_STATUSES.join(', ')}`);
+    }
+    const changes = {
+        ...(customer !== undefined ? { customer: normalizeCustomer(customer) } : {}),
+        ...(vehicle !== undefined ? { vehicle: String(vehicle).trim() } : {}),
+        ...(tier !== undefined ? { tier: normalizeTier(tier) } : {}),
+        ...(lines !== undefined ? { lines: normalizeLines(lines) } : {}),
+        ...(services !== undefined ? { services: normalizeServices(services) } : {}),
+        ...(discount !== undefined ? { discount: toAmount(discount, 'discount') } : {}),
+        ...(validUntil !== undefined ? { validUntil: normalizeValidUntil(validUntil) } : {}),
+        ...(note !== undefined ? { note } : {})
+    };
+
+    const repriced = lines !== undefined || services !== undefined || discount !== undefined;
+
+    const { previous, updated } = await updateCollection(COLLECTION, [], async (quotes) => {
+        const now = new Date().toISOString();
+        let original = null;
+        let changed = null;
+        const next = quotes.map(quote => {
+            if (quote.id !== id) return quote;
+            if (quote.sale) throw new HttpError(409, 'not_editable', `Quote ${quote.number} was already sold`);
+
+            original = quote;
+            changed = withTotals({ ...withDefaults(quote), ...changes, updatedAt: now });
+            if (changes.lines) changed.lines = keepSupplyPrices(changes.lines, quote.lines);
+            if (status !== undefined) {
+                changed.status = status;
+                changed.acceptedAt = status === 'accepted' ? (quote.acceptedAt || now) : null;
+            }
+            return changed;
+        });
+        if (!changed) throw new HttpError(404, 'not_found', `Quote ${id} not found`);
+        // Only new prices are checked, so a quote the owner priced below cost can still be accepted by staff
+        if (repriced && !allowBelowCost) await assertCostFloor(changed.lines, changed.total);
+        return { data: next, result: { previous: original, updated: changed } };
+    });
+    await recordAudit(audit, 'quote.update', [{ entity: quoteEntity(updated), before: previous, after: updated }]);
+    return withExpiry(updated);
+};
+
+/**
+ * Delete a quote that was not sold.
+ * @param {string} id
+ * @param {import('./audit.js').AuditContext} [audit]
+ */
+export const deleteQuote = async (id, audit) => {
+    const current = await getQuote(id);
+    if (current.sale) throw new HttpError(409, 'not_editable', `Quote ${current.number} was already sold`);
+    await updateCollection(COLLECTION, [], (quotes) => ({ data: quotes.filter(quote => quote.id !== id) }));
+    await recordAudit(audit, 'quote.delete', [{ entity: quoteEntity(current), before: current, after: null }]);
+    return current;
+};
+
+/**
+ * Turn an accepted quote into a sale, taking its lines out of our own stock.
+ * The quote's services become the sale's labor unless checkout sends its own labor list.
+ * Checking out a cart opened from the quote sends the cart as `cart`: what is in it is sold (it may have been
+ * edited since the quote was saved) and the quote counts as accepted at the counter.
+ * The quote is claimed under the lock first so a double click cannot sell it twice.
+ * @param {string} id
+ * @param {{ paymentMethod: string, labor?: import('./sales.js').LaborLine[], note?: string,
+ *   cart?: { lines: QuoteLine[], discount?: number, customer?: Object, vehicle?: string }, allowBelowCost?: boolean }} checkout
+ * @param {import('./audit.js').AuditContext} [audit]
+ * @returns {Promise<{ quote: Quote, sale: import('./sales.js').Sale }>}
+ * @throws {HttpError} 409 when the quote is not accepted, already sold, or stock is short;
+ *   400 below_cost when the cart is priced below cost, unless allowBelowCost
+ */
+export const convertQuoteToSale = async (id, { paymentMethod, labor, note, cart, allowBelowCost = false } = {}, audit) => {
+    const claim = (quotes) => {
+        let claimed = null;
+        const next = quotes.map(quote => {
+            if (quote.id !== id) return quote;
+            if (quote.sale) throw new HttpError(409, 'already_sold', `Quote ${quote.number} was already sold`);
+            if (!cart && withExpiry(quote).status !== 'accepted') {
+                throw new HttpError(409, 'invalid_status', `Only accepted quotes can be sold (quote is ${withExpiry(quote).status})`);
+            }
+            claimed = { ...quote, sale: { id: null, number: null, soldAt: new Date().toISOString() } };
+            return claimed;
+        });
+        if (!claimed) throw new HttpError(404, 'not_found', `Quote ${id} not found`);
+        return { data: next, result: claimed };
+    };
+    const setSale = (sale) => (quotes) => {
+        let changed = null;
+        const next = quotes.map(quote => {
+            if (quote.id !== id) return quote;
+            changed = { ...quote, sale, updatedAt: new Date().toISOString() };
+            if (sale && quote.status !== 'accepted') Object.assign(changed, { status: 'accepted', acceptedAt: sale.soldAt });
+            return changed;
+        });
+        return { data: next, result: changed };
+    };
+
+    const quote = await updateCollection(COLLECTION, [], claim);
+    const sold = cart || quote;
+    let sale;
+    try {
+        sale = await createSale({
+            lines: (sold.lines || []).map(({ code, brand, model, size, qty, unitPrice }) => ({ code, brand, model, size, qty, unitPrice })),
+            labor: labor ?? withDefaults(quote).services,
+            discount: sold.discount,
+            paymentMethod,
+            customer: sold.customer ?? quote.customer,
+            vehicle: sold.vehicle ?? quote.vehicle,
+            note,
+            quoteId: quote.id,
+            quoteNumber: quote.number,
+            // The saved quote's prices were checked when it was saved; a cart may have been repriced since
+            allowBelowCost: allowBelowCost || !cart
+        }, audit);
+    } catch (error) {
+        await updateCollection(COLLECTION, [], setSale(null));
+        throw error;
+    }
+
+    const converted = await updateCollection(COLLECTION, [], setSale({ id: sale.id, number: sale.number, soldAt: sale.createdAt }));
+    await recordAudit(audit, 'quote.convert', [{ entity: quoteEntity(converted), before: { ...quote, sale: null }, after: converted }]);
+    return { quote: converted, sale };
+};
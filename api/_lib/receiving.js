@@ -0,0 +1,109 @@
+import crypto from 'node:crypto';
+import { readCollection, updateCollection } from './store.js';
+import { applyStockChanges } from './ownStock.js';
+import { updatePurchaseOrder, getPurchaseOrder } from './purchaseOrders.js';
+import { readCatalog } from './catalog.js';
+import { HttpError } from './http.js';
+import { normalizeDot } from '../../src/utils/dot.js';
+
+/**
+ * Goods receiving: counted quantities per DOT batch, posted to our own stock either
+ * against a sent purchase order (which is then marked received) or as a free receipt.
+ * Every posting is kept as a receipt so the screen can show what arrived recently.
+ */
+
+const COLLECTION = 'receipts';
+const RECENT_LIMIT = 50;
+
+/**
+ * @typedef {Object} ReceiptLine
+ * @property {string} code
+ * @property {'store'|'warehouse'} type
+ * @property {string|null} dot - "WWYY"; null when the DOT was not recorded
+ * @property {number} qty
+ */
+
+/**
+ * @typedef {Object} Receipt
+ * @property {string} id
+ * @property {string|null} orderId
+ * @property {string|null} orderNumber
+ * @property {ReceiptLine[]} lines
+ * @property {string} note
+ * @property {string} receivedAt
+ */
+
+const normalizeReceiptLines = (lines) => {
+    if (!Array.isArray(lines) || lines.length === 0) throw new HttpError(400, 'invalid_lines', 'lines must be a non-empty array');
+    return lines.map(line => {
+        const qty = Number(line.qty);
+        if (!line.code) throw new HttpError(400, 'code_required', 'Every line needs a code');
+        if (!Number.isInteger(qty) || qty <= 0) throw new HttpError(400, 'invalid_quantity', `Invalid qty for ${line.code}`);
+        const dot = line.dot ? normalizeDot(line.dot) : null;
+        if (line.dot && !dot) throw new HttpError(400, 'invalid_dot', `Invalid DOT ${line.dot} for ${line.code}`);
+        return { code: String(line.code).trim(), type: line.type === 'warehouse' ? 'warehouse' : 'store', dot, qty };
+    });
+};
+
+/**
+ * Post a receipt to stock.
+ * @param {{ orderId?: string, lines: ReceiptLine[], note?: string }} input
+ * @param {import('./audit.js').AuditContext} [audit] - The note is used as the reason when none is given
+ * @returns {Promise<Receipt>}
+ */
+export const postReceipt = async ({ orderId, lines, note = '' }, audit) => {
+    const normalized = normalizeReceiptLines(lines);
+    const changes = normalized.map(line => ({ code: line.code, type: line.type, delta: line.qty, dot: line.dot || undefined }));
+
+    const receiptAudit = audit && { ...audit, reason: audit.reason || note };
+
+    let order = null;
+    if (orderId) {
+        order = await getPurchaseOrder(orderId);
+        if (order.status !== 'sent') throw new HttpError(409, 'invalid_status', `Purchase order ${order.number} is ${order.status}`);
+        order = await updatePurchaseOrder(orderId, { status: 'received', receivedLines: changes }, receiptAudit);
+    } else {
+        await applyStockChanges(changes, receiptAudit, 'stock.receive');
+    }
+
+    return updateCollection(COLLECTION, [], (receipts) => {
+        const receipt = {
+            id: crypto.randomUUID(),
+            orderId: order?.id || null,
+            orderNumber: order?.number || null,
+            lines: normalized,
+            note,
+            receivedAt: new Date().toISOString()
+        };
+        return { data: [...receipts, receipt], result: receipt };
+    });
+};
+
+/**
+ * @returns {Promise<Receipt[]>} Newest first
+ */
+export const listRecentReceipts = async () => {
+    const receipts = await readCollection(COLLECTION, []);
+    return receipts.slice(-RECENT_LIMIT).reverse();
+};
+
+/**
+ * Resolve a scanned/typed code to a catalog row: sheet `code`, or a Blackcircles partNo/itId/stId mapped back to the sheet.
+ * @param {string} scanned
+ * @returns {Promise<{ code: string, brand: string, model: string, size: string }|null>}
+ */
+export const lookupCode = async (scanned) => {
+    const code = String(scanned || '').trim();
+    if (!code) return null;
+    const catalog = await readCatalog();
+    const rows = catalog?.sheetRows || [];
+
+    let row = rows.find(r => r.code === code);
+    if (!row) {
+        const item = (catalog?.stockItems || []).find(i => [i.partNo, i.itId, i.stId].includes(code));
+        if (!item) return null;
+        row = rows.find(r => [item.partNo, item.itId, item.stId].includes(r.code))
+            || { code: item.partNo || code, brand: item.brand, model: item.model, size: item.size };
+    }
+    return row ? { code: row.code, brand: row.brand, model: row.model, size: row.size } : null;
+};
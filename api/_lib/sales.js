@@ -0,0 +1,310 @@
+import crypto from 'node:crypto';
+import { readCollection, updateCollection } from './store.js';
+import { listStock, applyStockChanges, splitByDot } from './ownStock.js';
+import { HttpError } from './http.js';
+import { nextDocumentNumber } from './numbering.js';
+import { recordAudit } from './audit.js';
+import { assertCostFloor } from './costFloor.js';
+import { PAYMENT_METHODS } from '../../src/config/sales.js';
+import { shopDate } from '../../src/utils/dates.js';
+
+/**
+ * Sales: what left the shop, how it was paid, and the stock changes that were posted for it.
+ * A sale is never deleted. Voiding it keeps the record and puts the tires back where they came from.
+ */
+
+const COLLECTION = 'sales';
+
+export const SALE_STATUSES = ['completed', 'voided'];
+
+/**
+ * @typedef {Object} SaleLine
+ * @property {string} code - Sheet code
+ * @property {string} brand
+ * @property {string} model
+ * @property {string} size
+ * @property {number} qty
+ * @property {number} unitPrice - VAT-inclusive
+ */
+
+/**
+ * @typedef {Object} LaborLine
+ * @property {string|null} [serviceId] - SERVICE_CATALOG id when it came from the service catalog
+ * @property {string} name - e.g. "탈착·장착", "휠 밸런스"
+ * @property {number} qty
+ * @property {number} unitPrice - VAT-inclusive
+ */
+
+/**
+ * @typedef {Object} Sale
+ * @property {string} id
+ * @property {string} number - e.g. S-20250312-001
+ * @property {'completed'|'voided'} status
+ * @property {SaleLine[]} lines - Tires, taken out of our own stock
+ * @property {LaborLine[]} labor - Installation and other work, no stock
+ * @property {number} discount - Won off the line total
+ * @property {number} subtotal - Tires + labor
+ * @property {number} total
+ * @property {'cash'|'card'|'transfer'|null} paymentMethod - null on sales recorded before checkout existed
+ * @property {{ id: string|null, name: string, phone: string }} customer - id when linked to a registered customer
+ * @property {string} vehicle
+ * @property {string} note
+ * @property {string|null} quoteId
+ * @property {string|null} quoteNumber
+ * @property {import('./ownStock.js').StockChange[]} stockChanges - What was taken from our own stock, per DOT
+ * @property {string} createdAt
+ * @property {{ at: string, reason: string }|null} voided
+ */
+
+/**
+ * @typedef {Object} SalesSummary
+ * @property {string} date - YYYY-MM-DD
+ * @property {number} count - Completed sales
+ * @property {number} voidedCount
+ * @property {number} total
+ * @property {number} tireTotal
+ * @property {number} laborTotal
+ * @property {number} discount
+ * @property {number} tireQty
+ * @property {Object<string, { count: number, total: number }>} byPaymentMethod - Keyed by method id
+ */
+
+const saleEntity = (sale) => ({ type: 'sale', id: sale.id, label: sale.number });
+
+const lineTotal = (lines) => lines.reduce((sum, line) => sum + line.qty * line.unitPrice, 0);
+
+/**
+ * Fill in the fields older sales were stored without.
+ * @returns {Sale}
+ */
+const withDefaults = (sale) => ({
+    status: 'completed',
+    labor: [],
+    subtotal: lineTotal(sale.lines) + lineTotal(sale.labor || []),
+    paymentMethod: null,
+    note: '',
+    voided: null,
+    ...sale
+});
+
+const toAmount = (value, field) => {
+    const amount = Number(value ?? 0);
+    if (!Number.isFinite(amount) || amount < 0) throw new HttpError(400, 'invalid_amount', `${field} must be a positive number`);
+    return Math.round(amount);
+};
+
+const toQty = (value, label) => {
+    const qty = Number(value);
+    if (!Number.isInteger(qty) || qty <= 0) throw new HttpError(400, 'invalid_quantity', `Invalid qty for ${label}`);
+    return qty;
+};
+
+const normalizeLines = (lines = []) => {
+    if (!Array.isArray(lines)) throw new HttpError(400, 'invalid_lines', 'lines must be an array');
+    return lines.map(line => {
+        if (!line.code) throw new HttpError(400, 'code_required', 'Every line needs a code');
+        return {
+            code: String(line.code),
+            brand: line.brand || '',
+            model: line.model || '',
+            size: line.size || '',
+            qty: toQty(line.qty, line.code),
+            unitPrice: toAmount(line.unitPrice, 'unitPrice')
+        };
+    });
+};
+
+const normalizeLabor = (labor = []) => {
+    if (!Array.isArray(labor)) throw new HttpError(400, 'invalid_labor', 'labor must be an array');
+    return labor.map(line => {
+        const name = String(line.name || '').trim();
+        if (!name) throw new HttpError(400, 'name_required', 'Every labor line needs a name');
+        return {
+            serviceId: line.serviceId ? String(line.serviceId) : null,
+            name,
+            qty: toQty(line.qty ?? 1, name),
+            unitPrice: toAmount(line.unitPrice, 'unitPrice')
+        };
+    });
+};
+
+const normalizePaymentMethod = (method) => {
+    if (!PAYMENT_METHODS.some(m => m.id === method)) {
+        throw new HttpError(400, 'invalid_payment_method', `paymentMethod must be one of ${PAYMENT_METHODS.map(m => m.id).join(', ')}`);
+    }
+    return method;
+};
+
+/**
+ * Take each line from the store first and the warehouse for the rest; within a location untracked
+ * stock first, then the oldest DOT. Every change names its DOT so a void can put it back exactly.
+ * @param {SaleLine[]} lines
+ * @returns {Promise<import('./ownStock.js').StockChange[]>}
+ * @throws {HttpError} 409 insufficient_stock when store + warehouse cannot cover a line
+ */
+const allocateStock = async (lines) => {
+    const records = await listStock();
+    const recordOf = (code, type) => records.find(r => r.code === code && r.type === type);
+    const available = (code, type) => recordOf(code, type)?.stockQty || 0;
+    const needed = new Map();
+    lines.forEach(line => needed.set(line.code, (needed.get(line.code) || 0) + line.qty));
+
+    const short = [...needed].filter(([code, qty]) => available(code, 'store') + available(code, 'warehouse') < qty);
+    if (short.length > 0) {
+        throw new HttpError(409, 'insufficient_stock', `Insufficient stock for ${short.map(([code]) => code).join(', ')}`);
+    }
+
+    return [...needed].flatMap(([code, qty]) => {
+        const fromStore = Math.min(qty, available(code, 'store'));
+        const takes = [{ type: 'store', qty: fromStore }, { type: 'warehouse', qty: qty - fromStore }];
+        return takes.filter(take => take.qty > 0).flatMap(take => splitByDot(recordOf(code, take.type), take.qty)
+            .map(part => ({ code, type: take.type, delta: -part.qty, ...(part.dot ? { dot: part.dot } : {}) })));
+    });
+};
+
+/**
+ * Record a sale and take its tire lines out of our own stock. The sale is written first and removed again
+ * when the stock cannot be posted, so stock never leaves without a sale to show for it.
+ * @param {{ lines?: SaleLine[], labor?: LaborLine[], discount?: number, paymentMethod: string, customer?: Object,
+ *   vehicle?: string, note?: string, quoteId?: string, quoteNumber?: string, allowBelowCost?: boolean }} input
+ * @param {import('./audit.js').AuditContext} [audit]
+ * @returns {Promise<Sale>}
+ * @throws {HttpError} 400 on invalid input or below_cost (unless allowBelowCost), 409 insufficient_stock
+ */
+export const createSale = async ({ lines, labor, discount, paymentMethod, customer, vehicle = '', note = '', quoteId = null, quoteNumber = null, allowBelowCost = false }, audit) => {
+    const normalized = {
+        lines: normalizeLines(lines),
+        labor: normalizeLabor(labor),
+        discount: toAmount(discount, 'discount'),
+        paymentMethod: normalizePaymentMethod(paymentMethod),
+        customer: {
+            id: customer?.id ? String(customer.id) : null,
+            name: String(customer?.name || '').trim(),
+            phone: String(customer?.phone || '').trim()
+        },
+        vehicle: String(vehicle).trim(),
+        note: String(note).trim()
+    };
+    if (normalized.lines.length + normalized.labor.length === 0) throw new HttpError(400, 'empty_sale', 'A sale needs at least one line');
+    const subtotal = lineTotal(normalized.lines) + lineTotal(normalized.labor);
+    const total = Math.max(0, subtotal - normalized.discount);
+    if (!allowBelowCost) await assertCostFloor(normalized.lines, total);
+
+    const stockChanges = await allocateStock(normalized.lines);
+    const saleAudit = audit && { ...audit, reason: audit.reason || (quoteNumber ? `견적 ${quoteNumber} 판매` : '판매') };
+
+    const created = await updateCollection(COLLECTION, [], async (sales) => {
+        const sale = {
+            id: crypto.randomUUID(),
+            number: await nextDocumentNumber('S', sales),
+            status: 'completed',
+            ...normalized,
+            subtotal,
+            total,
+            quoteId,
+            quoteNumber,
+            stockChanges,
+            createdAt: new Date().toISOString(),
+            voided: null
+        };
+        return { data: [...sales, sale], result: sale };
+    });
+    try {
+        await applyStockChanges(stockChanges, saleAudit, 'stock.sale');
+    } catch (error) {
+        // No stock left the shop, so the sale did not happen
+        await updateCollection(COLLECTION, [], (sales) => ({ data: sales.filter(sale => sale.id !== created.id) }));
+        throw error;
+    }
+    await recordAudit(saleAudit, 'sale.create', [{ entity: saleEntity(created), before: null, after: created }]);
+    return created;
+};
+
+/**
+ * @param {string} id
+ * @returns {Promise<Sale>}
+ */
+export const getSale = async (id) => {
+    const sales = await readCollection(COLLECTION, []);
+    const sale = sales.find(item => item.id === id);
+    if (!sale) throw new HttpError(404, 'not_found', `Sale ${id} not found`);
+    return withDefaults(sale);
+};
+
+/**
+ * @param {{ date?: string }} [filter] - date is YYYY-MM-DD, the shop (KST) day the sale was made
+ * @returns {Promise<Sale[]>} Newest first
+ */
+export const listSales = async ({ date } = {}) => {
+    const sales = await readCollection(COLLECTION, []);
+    return sales
+        .map(withDefaults)
+        .filter(sale => !date || shopDate(sale.createdAt) === date)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * Totals for one day's sales. Voided sales are only counted in voidedCount.
+ * @param {Sale[]} sales - One day's sales (listSales({ date }))
+ * @param {string} date
+ * @returns {SalesSummary}
+ */
+export const summarizeSales = (sales, date) => {
+    const completed = sales.filter(sale => sale.status === 'completed');
+    const byPaymentMethod = Object.fromEntries(PAYMENT_METHODS.map(m => [m.id, { count: 0, total: 0 }]));
+    completed.forEach(sale => {
+        const bucket = byPaymentMethod[sale.paymentMethod];
+        if (!bucket) return;
+        bucket.count += 1;
+        bucket.total += sale.total;
+    });
+    return {
+        date,
+        count: completed.length,
+        voidedCount: sales.length - completed.length,
+        total: completed.reduce((sum, sale) => sum + sale.total, 0),
+        tireTotal: completed.reduce((sum, sale) => sum + lineTotal(sale.lines), 0),
+        laborTotal: completed.reduce((sum, sale) => sum + lineTotal(sale.labor), 0),
+        discount: completed.reduce((sum, sale) => sum + sale.discount, 0),
+        tireQty: completed.reduce((sum, sale) => sum + sale.lines.reduce((qty, line) => qty + line.qty, 0), 0),
+        byPaymentMethod
+    };
+};
+
+/**
+ * Void a sale and put its tires back into the locations and DOT batches they were taken from.
+ * The sale is claimed under the lock first so it cannot be voided (and restocked) twice,
+ * and handed back when the stock cannot be put back.
+ * @param {string} id
+ * @param {import('./audit.js').AuditContext} [audit]
+ * @returns {Promise<Sale>}
+ * @throws {HttpError} 409 already_voided
+ */
+export const voidSale = async (id, audit) => {
+    const reason = audit?.reason || '';
+    const { previous, updated } = await updateCollection(COLLECTION, [], (sales) => {
+        let original = null;
+        let changed = null;
+        const next = sales.map(sale => {
+            if (sale.id !== id) return sale;
+            if (sale.status === 'voided') throw new HttpError(409, 'already_voided', `Sale ${sale.number} was already voided`);
+            original = withDefaults(sale);
+            changed = { ...original, status: 'voided', voided: { at: new Date().toISOString(), reason } };
+            return changed;
+        });
+        if (!changed) throw new HttpError(404, 'not_found', `Sale ${id} not found`);
+        return { data: next, result: { previous: original, updated: changed } };
+    });
+
+    const restock = updated.stockChanges.map(change => ({ ...change, delta: -change.delta }));
+    const voidAudit = audit && { ...audit, reason: reason || `판매 ${updated.number} 취소` };
+    try {
+        await applyStockChanges(restock, voidAudit, 'stock.void');
+    } catch (error) {
+        // Nothing went back into stock, so the sale stands
+        await updateCollection(COLLECTION, [], (sales) => ({ data: sales.map(sale => (sale.id === id ? previous : sale)) }));
+        throw error;
+    }
+    await recordAudit(voidAudit, 'sale.void', [{ entity: saleEntity(updated), before: previous, after: updated }]);
+    return updated;
+};
@@ -0,0 +1,131 @@
+import { readCollection, updateCollection } from './store.js';
+
+/**
+ * Blackcircles stock snapshots per item, recorded by every catalog sync and live stock fetch.
+ * A point is only appended when the stock differs from the item's previous point,
+ * so the series is a list of changes rather than one row per sync.
+ */
+
+const COLLECTION = 'stock-history';
+const RETENTION_DAYS = Number(process.env.STOCK_HISTORY_RETENTION_DAYS || 180);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} StockPoint
+ * @property {string} at - ISO timestamp
+ * @property {number} stock
+ */
+
+/**
+ * @typedef {Object} StockSeries
+ * @property {string} partNo
+ * @property {string} itId
+ * @property {string} stId
+ * @property {StockPoint[]} points - Oldest first
+ */
+
+/**
+ * @typedef {Object} StockTrend
+ * @property {number} currentStock
+ * @property {number} days - Window length
+ * @property {number} sold - Total decrease within the window
+ * @property {number} restocked - Total increase within the window
+ * @property {string|null} outOfStockSince - When the stock last dropped to 0 (null if in stock)
+ */
+
+const seriesKey = (item) => String(item.partNo || item.itId || '').trim();
+
+/**
+ * Append changed stock levels for the given shop items.
+ * @param {{ partNo: string, itId: string, stId: string, totalStock: number }[]} items
+ * @param {Date} [at]
+ * @returns {Promise<number>} Number of points appended
+ */
+export const recordStockSnapshots = (items, at = new Date()) => updateCollection(COLLECTION, {}, (history) => {
+    const timestamp = at.toISOString();
+    const cutoff = at.getTime() - RETENTION_DAYS * DAY_MS;
+    let appended = 0;
+
+    items.forEach(item => {
+        const key = seriesKey(item);
+        if (!key) return;
+
+        const series = history[key] || { partNo: item.partNo || '', itId: item.itId || '', stId: item.stId || '', points: [] };
+        const last = series.points[series.points.length - 1];
+        const stock = Number(item.totalStock) || 0;
+        if (!last || last.stock !== stock) {
+            series.points.push({ at: timestamp, stock });
+            appended++;
+        }
+
+        // Keep the newest point before the cutoff as the baseline for the oldest window
+        const firstKept = series.points.findIndex(point => new Date(point.at).getTime() >= cutoff);
+        if (firstKept > 1) series.points = series.points.slice(firstKept - 1);
+
+        history[key] = series;
+    });
+
+    return { data: history, result: appended };
+});
+
+/**
+ * Summarize a series over the last `days` days.
+ * @param {StockPoint[]} points
+ * @param {number} [days]
+ * @param {Date} [now]
+ * @returns {StockTrend}
+ */
+export const summarizeTrend = (points, days = 7, now = new Date()) => {
+    const windowStart = now.getTime() - days * DAY_MS;
+    let sold = 0;
+    let restocked = 0;
+
+    points.forEach((point, i) => {
+        if (i === 0 || new Date(point.at).getTime() < windowStart) return;
+        const delta = point.stock - points[i - 1].stock;
+        if (delta < 0) sold += -delta;
+        else restocked += delta;
+    });
+
+    const last = points[points.length - 1];
+    return {
+        currentStock: last ? last.stock : 0,
+        days,
+        sold,
+        restocked,
+        outOfStockSince: last && last.stock === 0 ? last.at : null
+    };
+};
+
+/**
+ * Look up series by code (sheet code, Blackcircles partNo, itId or stId).
+ * @param {string[]} codes
+ * @returns {Promise<Object<string, StockSeries>>} Keyed by the requested code; unknown codes are omitted
+ */
+export const findSeries = async (codes) => {
+    const history = await readCollection(COLLECTION, {});
+    const index = new Map();
+    Object.values(history).forEach(series => {
+        [series.partNo, series.itId, series.stId].forEach(code => {
+            if (code && !index.has(code)) index.set(code, series);
+        });
+    });
+
+    const found = {};
+    codes.forEach(code => {
+        const series = index.get(String(code).trim());
+        if (series) found[code] = series;
+    });
+    return found;
+};
+
+/**
+ * Trends for many codes at once (used to decorate search results).
+ * @param {string[]} codes
+ * @param {number} [days]
+ * @returns {Promise<Object<string, StockTrend>>}
+ */
+export const findTrends = async (codes, days = 7) => {
+    const series = await findSeries(codes);
+    return Object.fromEntries(Object.entries(series).map(([code, s]) => [code, summarizeTrend(s.points, days)]));
+};
@@ -0,0 +1,72 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { HttpError } from './http.js';
+
+/**
+ * Tiny JSON file store for server-side data (one file per collection).
+ *
+ * Location: DDWT_DATA_DIR, else `.data/` in the project for local runs. On Vercel DDWT_DATA_DIR is required
+ * and must be durable storage shared by every instance: the only local writable path there (/tmp) is wiped
+ * with the instance, which would silently lose sales and stock, so the store refuses to run without it.
+ * Writes go through a temp file + rename so a crash never leaves half a file behind,
+ * and updates to one collection are serialized within the process.
+ */
+
+const locks = new Map(); // collection -> Promise of the last queued update
+
+const dataDir = () => {
+    if (process.env.DDWT_DATA_DIR) return process.env.DDWT_DATA_DIR;
+    if (process.env.VERCEL) throw new HttpError(500, 'storage_not_configured', 'DDWT_DATA_DIR is not set');
+    return path.resolve(process.cwd(), '.data');
+};
+
+const fileFor = (collection) => path.join(dataDir(), `${collection}.json`);
+
+/**
+ * Read a collection.
+ * @template T
+ * @param {string} collection
+ * @param {T} fallback - Returned when the collection does not exist yet
+ * @returns {Promise<T>}
+ */
+export const readCollection = async (collection, fallback) => {
+    try {
+        return JSON.parse(await fs.readFile(fileFor(collection), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return fallback;
+        throw error;
+    }
+};
+
+/**
+ * Replace a collection's contents.
+ * @param {string} collection
+ * @param {*} data
+ */
+export const writeCollection = async (collection, data) => {
+    await fs.mkdir(dataDir(), { recursive: true });
+    const file = fileFor(collection);
+    const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(data));
+    await fs.rename(tempFile, file);
+};
+
+/**
+ * Read-modify-write a collection. Updates to the same collection run one after another.
+ * @template T, R
+ * @param {string} collection
+ * @param {T} fallback
+ * @param {(data: T) => Promise<{ data: T, result?: R }> | { data: T, result?: R }} updater
+ * @returns {Promise<R>}
+ */
+export const updateCollection = (collection, fallback, updater) => {
+    const previous = locks.get(collection) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+        const current = await readCollection(collection, fallback);
+        const { data, result } = await updater(current);
+        await writeCollection(collection, data);
+        return result;
+    });
+    locks.set(collection, next);
+    return next;
+};
@@ -0,0 +1,193 @@
+import crypto from 'node:crypto';
+import { promisify } from 'node:util';
+import { readCollection, updateCollection } from './store.js';
+import { HttpError } from './http.js';
+import { ROLES } from '../../src/config/roles.js';
+
+/**
+ * Staff accounts, kept in the local JSON store. Passwords are stored as scrypt hashes only.
+ *
+ * The first owner comes from DDWT_OWNER_USERNAME / DDWT_OWNER_PASSWORD: while no account exists,
+ * logging in with those creates it. Everyone else is added by an owner from the app.
+ */
+
+const COLLECTION = 'users';
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * @typedef {Object} User
+ * @property {string} username - Lowercase login name
+ * @property {string} name - Shown in the header and recorded on price edits
+ * @property {'viewer'|'staff'|'owner'} role
+ * @property {string} passwordHash - "scrypt$<salt>$<hash>", never sent to the client
+ * @property {number} sessionVersion - Bumped on password change so older session cookies stop working
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+/** @returns {Omit<User, 'passwordHash'|'sessionVersion'>} */
+export const publicUser = ({ passwordHash, sessionVersion, ...user }) => user;
+
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+    const [, salt, hash] = String(stored).split('$');
+    if (!salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+};
+
+// Compared against for unknown usernames, so a wrong name takes as long as a wrong password
+const DUMMY_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(KEY_LENGTH * 2)}`;
+
+const normalizeUsername = (username) => {
+    const value = String(username || '').trim().toLowerCase();
+    if (!/^[a-z0-9._-]{2,32}$/.test(value)) {
+        throw new HttpError(400, 'invalid_username', 'username must be 2-32 letters, digits, ".", "_" or "-"');
+    }
+    return value;
+};
+
+const normalizeRole = (role) => {
+    if (!ROLES.some(r => r.id === role)) throw new HttpError(400, 'invalid_role', `Unknown role ${role}`);
+    return role;
+};
+
+const validatePassword = (password) => {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new HttpError(400, 'invalid_password', `password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    return password;
+};
+
+const ensureOwnerRemains = (users) => {
+    if (!users.some(user => user.role === 'owner')) {
+        throw new HttpError(409, 'last_owner', 'At least one owner account is required');
+    }
+};
+
+/**
+ * @returns {Promise<Object[]>} Public fields only, by username
+ */
+export const listUsers = async () => {
+    const users = await readCollection(COLLECTION, []);
+    return users.map(publicUser).sort((a, b) => a.username.localeCompare(b.username));
+};
+
+/**
+ * Stored account (with hash) for a session, or null.
+ * @param {string} username
+ * @returns {Promise<User|null>}
+ */
+export const findUser = async (username) => {
+    const users = await readCollection(COLLECTION, []);
+    return users.find(user => user.username === username) || null;
+};
+
+/**
+ * Create the owner from the environment when no account exists yet.
+ * @returns {Promise<User|null>}
+ */
+const bootstrapOwner = async (username, password) => {
+    const ownerUsername = String(process.env.DDWT_OWNER_USERNAME || '').trim().toLowerCase();
+    const ownerPassword = process.env.DDWT_OWNER_PASSWORD || '';
+    if (!ownerUsername || !ownerPassword || username !== ownerUsername || password !== ownerPassword) return null;
+
+    const passwordHash = await hashPassword(ownerPassword);
+    return updateCollection(COLLECTION, [], (users) => {
+        if (users.length > 0) return { data: users, result: null };
+        const now = new Date().toISOString();
+        const owner = { username: ownerUsername, name: ownerUsername, role: 'owner', passwordHash, sessionVersion: 1, createdAt: now, updatedAt: now };
+        console.warn(`[Auth] Created owner account "${ownerUsername}" from DDWT_OWNER_USERNAME`);
+        return { data: [owner], result: owner };
+    });
+};
+
+/**
+ * Check a login.
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<User|null>} null when the username or password is wrong
+ */
+export const authenticate = async (username, password) => {
+    const name = String(username || '').trim().toLowerCase();
+    const users = await readCollection(COLLECTION, []);
+    if (users.length === 0) return bootstrapOwner(name, String(password || ''));
+
+    const user = users.find(item => item.username === name);
+    const valid = await verifyPassword(password || '', user ? user.passwordHash : DUMMY_HASH);
+    return user && valid ? user : null;
+};
+
+/**
+ * @param {{ username: string, name?: string, role: string, password: string }} input
+ * @returns {Promise<Object>} The public user
+ */
+export const createUser = async ({ username, name, role, password }) => {
+    const normalized = {
+        username: normalizeUsername(username),
+        name: String(name || '').trim(),
+        role: normalizeRole(role),
+        passwordHash: await hashPassword(validatePassword(password))
+    };
+
+    return updateCollection(COLLECTION, [], (users) => {
+        if (users.some(user => user.username === normalized.username)) {
+            throw new HttpError(409, 'user_exists', `User ${normalized.username} already exists`);
+        }
+        const now = new Date().toISOString();
+        const user = { ...normalized, name: normalized.name || normalized.username, sessionVersion: 1, createdAt: now, updatedAt: now };
+        return { data: [...users, user], result: publicUser(user) };
+    });
+};
+
+/**
+ * Change name, role and/or password. A new password signs the user out everywhere.
+ * @param {string} username
+ * @param {{ name?: string, role?: string, password?: string }} changes
+ * @returns {Promise<Object>} The public user
+ */
+export const updateUser = async (username, { name, role, password }) => {
+    const changes = {
+        ...(name !== undefined ? { name: String(name).trim() || username } : {}),
+        ...(role !== undefined ? { role: normalizeRole(role) } : {}),
+        ...(password !== undefined ? { passwordHash: await hashPassword(validatePassword(password)) } : {})
+    };
+
+    return updateCollection(COLLECTION, [], (users) => {
+        let changed = null;
+        const next = users.map(user => {
+            if (user.username !== username) return user;
+            changed = {
+                ...user,
+                ...changes,
+                sessionVersion: changes.passwordHash ? user.sessionVersion + 1 : user.sessionVersion,
+                updatedAt: new Date().toISOString()
+            };
+            return changed;
+        });
+        if (!changed) throw new HttpError(404, 'not_found', `User ${username} not found`);
+        ensureOwnerRemains(next);
+        return { data: next, result: publicUser(changed) };
+    });
+};
+
+/**
+ * @param {string} username
+ * @returns {Promise<Object>} The removed public user
+ */
+export const deleteUser = async (username) => updateCollection(COLLECTION, [], (users) => {
+    const user = users.find(item => item.username === username);
+    if (!user) throw new HttpError(404, 'not_found', `User ${username} not found`);
+    const next = users.filter(item => item.username !== username);
+    ensureOwnerRemains(next);
+    return { data: next, result: publicUser(user) };
+});
@@ -0,0 +1,30 @@
+import { pageAudit, listAudit, listAuditActors, auditCsvRows, AUDIT_CSV_COLUMNS } from './_lib/audit.js';
+import { requireUser } from './_lib/auth.js';
+import { allowMethods, sendError } from './_lib/http.js';
+import { toCsv, sendCsv } from './_lib/csv.js';
+import { shopDate } from '../src/utils/dates.js';
+
+/**
+ * Change history (owners only). Read-only: entries are written by the routes that change data.
+ * GET ?type=&action=&actor=&q=&from=YYYY-MM-DD&to=YYYY-MM-DD&limit= -> { entries, total, actors } (newest first)
+ * GET ...&format=csv -> every matching entry as a CSV download
+ */
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET'])) return;
+    if (!await requireUser(req, res, 'viewAudit')) return;
+
+    const { type, action, actor, q, from, to, limit, format } = req.query;
+    const filter = { type, action, actor, q, from, to };
+    try {
+        if (format === 'csv') {
+            const entries = await listAudit(filter);
+            return sendCsv(res, `audit-log-${shopDate()}.csv`, toCsv(auditCsvRows(entries), AUDIT_CSV_COLUMNS));
+        }
+
+        const [{ entries, total }, actors] = await Promise.all([pageAudit(filter, limit), listAuditActors()]);
+        res.setHeader('Cache-Control', 'no-store');
+        res.status(200).json({ entries, total, actors });
+    } catch (error) {
+        sendError(res, error, 'Audit Log Error');
+    }
+}
@@ -0,0 +1,23 @@
+import { authenticate, publicUser } from '../_lib/users.js';
+import { startSession } from '../_lib/auth.js';
+import { allowMethods, jsonBody, sendError, HttpError } from '../_lib/http.js';
+
+/**
+ * Sign in.
+ * POST { username, password } -> { user } and the session cookie; 401 when the login is wrong
+ */
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['POST'])) return;
+
+    try {
+        const { username, password } = jsonBody(req);
+        const user = await authenticate(username, password);
+        if (!user) throw new HttpError(401, 'invalid_credentials', 'Wrong username or password');
+
+        startSession(req, res, user);
+        res.setHeader('Cache-Control', 'no-store');
+        res.status(200).json({ user: publicUser(user) });
+    } catch (error) {
+        sendError(res, error, 'Login Error');
+    }
+}
@@ -0,0 +1,12 @@
+import { endSession } from '../_lib/auth.js';
+import { allowMethods } from '../_lib/http.js';
+
+/**
+ * Sign out: POST -> { ok: true } and an expired session cookie
+ */
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['POST'])) return;
+
+    endSession(req, res);
+    res.status(200).json({ ok: true });
+}
@@ -0,0 +1,15 @@
+import { requireUser } from '../_lib/auth.js';
+import { allowMethods } from '../_lib/http.js';
+
+/**
+ * The signed-in user: GET -> { user }; 401 when nobody is signed in
+ */
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET'])) return;
+
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).json({ user });
+}
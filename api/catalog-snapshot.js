@@ -0,0 +1,33 @@
+import { readCatalog } from './_lib/catalog.js';
+import { allowMethods, sendError } from './_lib/http.js';
+import { requireUser, withoutCost } from './_lib/auth.js';
+
+/**
+ * The whole synced catalog, for size searches without a connection: the service worker (public/sw.js)
+ * keeps the last response and the browser searches it the way /api/catalog does.
+ * GET -> { syncedAt, sources, sheetRows, stockItems }; 503 catalog_empty before the first sync
+ * (the cron or "sync now" builds it; this never crawls upstream itself).
+ * `supplyPrice` is left out for roles that may not see costs.
+ */
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET'])) return;
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    try {
+        const snapshot = await readCatalog();
+        if (!snapshot || snapshot.sheetRows.length === 0) {
+            return res.status(503).json({ error: 'catalog_empty', message: 'Catalog has not been synced yet', sources: snapshot?.sources || null });
+        }
+
+        res.setHeader('Cache-Control', 'no-store');
+        res.status(200).json({
+            syncedAt: snapshot.syncedAt,
+            sources: snapshot.sources,
+            sheetRows: snapshot.sheetRows,
+            stockItems: withoutCost(user, snapshot.stockItems)
+        });
+    } catch (error) {
+        sendError(res, error, 'Catalog Error');
+    }
+}
@@ -0,0 +1,46 @@
+import { readCatalog, syncCatalog, searchCatalog, isStale } from './_lib/catalog.js';
+import { findTrends } from './_lib/stockHistory.js';
+import { requireUser, withoutCost } from './_lib/auth.js';
+
+/**
+ * Search the synced catalog: `/api/catalog?size=2454518`, plus `&alternatives=1` for same-rim and
+ * plus-size alternatives within ±3% overall diameter (each item carries `sizeMatch`).
+ * Responds with `{ items, syncedAt, sources, stale }`; 503 `catalog_empty` until the cron or "sync now"
+ * (/api/sync) has built a snapshot, so a search never waits on a full upstream crawl.
+ * Each item carries `trend` (StockTrend over the last 7 days) when stock history exists for it.
+ * `supplyPrice` is left out for roles that may not see costs.
+ */
+export default async function handler(req, res) {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    const { size = '', alternatives } = req.query;
+    if (!String(size).trim()) {
+        return res.status(400).json({ error: 'size_required', message: 'size query parameter is required' });
+    }
+
+    try {
+        const snapshot = await readCatalog();
+        if (!snapshot || snapshot.sheetRows.length === 0) {
+            return res.status(503).json({ error: 'catalog_empty', message: 'Catalog has not been synced yet', sources: snapshot?.sources || null });
+        }
+        if (isStale(snapshot)) {
+            // Serve what we have right away; the refresh lands for the next search
+            syncCatalog().catch(error => console.error('[Catalog] Background sync failed:', error));
+        }
+
+        const items = searchCatalog(snapshot, size, { alternatives: alternatives === '1' || alternatives === 'true' });
+        const trends = await findTrends(items.map(item => item.partNo));
+
+        res.setHeader('Cache-Control', 'no-store');
+        res.status(200).json({
+            items: withoutCost(user, items).map(item => ({ ...item, trend: trends[item.partNo] || null })),
+            syncedAt: snapshot.syncedAt,
+            sources: snapshot.sources,
+            stale: isStale(snapshot)
+        });
+    } catch (error) {
+        console.error('Catalog Error:', error);
+        res.status(500).json({ error: 'catalog_failed', message: error.message });
+    }
+}
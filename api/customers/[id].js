@@ -0,0 +1,41 @@
+import { getCustomer, getCustomerHistory, updateCustomer, deleteCustomer } from '../_lib/customers.js';
+import { allowMethods, jsonBody, sendError } from '../_lib/http.js';
+import { requireUser } from '../_lib/auth.js';
+import { quoteWithoutCost } from '../_lib/quotes.js';
+import { hasPermission } from '../../src/config/roles.js';
+
+/**
+ * One customer.
+ * GET -> { customer, history: { quotes, sales } } (sales only for roles that may see them)
+ * PATCH { name?, phone?, vehicles?, note? } -> { customer } (vehicles replaces the list)
+ * DELETE -> { customer } (their quotes and sales are kept)
+ */
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET', 'PATCH', 'DELETE'])) return;
+    const user = await requireUser(req, res, req.method === 'GET' ? null : 'manageCustomers');
+    if (!user) return;
+
+    const { id } = req.query;
+    try {
+        if (req.method === 'PATCH') {
+            const { name, phone, vehicles, note } = jsonBody(req);
+            return res.status(200).json({ customer: await updateCustomer(id, { name, phone, vehicles, note }) });
+        }
+        if (req.method === 'DELETE') {
+            return res.status(200).json({ customer: await deleteCustomer(id) });
+        }
+
+        const customer = await getCustomer(id);
+        const { quotes, sales } = await getCustomerHistory(customer);
+        res.setHeader('Cache-Control', 'no-store');
+        res.status(200).json({
+            customer,
+            history: {
+                quotes: quotes.map(quote => quoteWithoutCost(user, quote)),
+                sales: hasPermission(user.role, 'sell') ? sales : []
+            }
+        });
+    } catch (error) {
+        sendError(res, error, 'Customer Error');
+    }
+}
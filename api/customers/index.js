@@ -0,0 +1,26 @@
+import { listCustomers, createCustomer } from '../_lib/customers.js';
+import { allowMethods, jsonBody, sendError } from '../_lib/http.js';
+import { requireUser } from '../_lib/auth.js';
+
+/**
+ * Customers and their vehicles.
+ * GET ?q= (phone digits, plate, vehicle model or name) -> { customers }
+ * POST { name, phone, vehicles?: [{ plate, model, tireSize, note? }], note? } -> { customer }
+ */
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET', 'POST'])) return;
+    const user = await requireUser(req, res, req.method === 'GET' ? null : 'manageCustomers');
+    if (!user) return;
+
+    try {
+        if (req.method === 'POST') {
+            const { name, phone, vehicles, note } = jsonBody(req);
+            return res.status(201).json({ customer: await createCustomer({ name, phone, vehicles, note }) });
+        }
+
+        res.setHeader('Cache-Control', 'no-store');
+        res.status(200).json({ customers: await listCustomers({ q: req.query.q }) });
+    } catch (error) {
+        sendError(res, error, 'Customer Error');
+    }
+}
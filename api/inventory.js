@@ -1,33 +1,38 @@
-export default async function handler(req, res) {
-    const { stx } = req.query;
-
-    // URL for Blackcircles inventory
-    const targetUrl = `https://blackcircles.co.kr/seller/stock_list_option.php?stx=${encodeURIComponent(stx || '')}`;
+import { fetchBlackcircles, sendHtml, sendProxyError, UPSTREAM_PATHS } from './_lib/blackcircles.js';
+import { recordStockSnapshots } from './_lib/stockHistory.js';
+import { parseStockList } from '../src/utils/stockListParser.js';
+import { toShopItems } from '../src/utils/catalog.js';
+import { requireUser, withoutCost } from './_lib/auth.js';
 
-    // Use Environment Variables for sensitive headers if possible
-    // Falls back to current working values if not set
-    const cookie = process.env.BLACKCIRCLES_COOKIE || 'PHPSESSID=e0j66i422s2gfhukmng3hmjg1h; 6e1280981e1dfd9169c5dea9c28ff2e3=NTA0ODE3NDg1Mg%3D%3D; a3e94372a6379bc1ae3698dfdf38595b=NTJiYmM1MzNmMmY0OTNjNjM4YzhlMzI5N2UyNDI4ODU%3D';
-    const ua = process.env.BLACKCIRCLES_UA || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+/**
+ * Blackcircles inventory list (seller/stock_list_option.php).
+ * `?format=json` parses the table on the server and returns
+ * `{ items: StockRow[], drift: SchemaDrift | null, pagination: Pagination }`;
+ * otherwise the raw HTML is passed through. `page` is forwarded to the G5 pager.
+ * Requires a login; the raw HTML (which shows supply prices) only for roles that may see costs,
+ * and JSON items drop `supplyPrice` for everyone else.
+ */
+export default async function handler(req, res) {
+    // Forward the G5 search params (sfl, stx, ...) to the Blackcircles inventory list
+    const { format, ...query } = req.query;
+    const user = await requireUser(req, res, format === 'json' ? null : 'viewCost');
+    if (!user) return;
 
     try {
-        const response = await fetch(targetUrl, {
-            method: 'GET',
-            headers: {
-                'Cookie': cookie,
-                'User-Agent': ua,
-                'Accept': 'text/html'
-            }
-        });
-
-        const body = await response.text();
+        const { body } = await fetchBlackcircles(UPSTREAM_PATHS.inventory, { query });
 
-        // Set headers for the response
-        res.setHeader('Content-Type', 'text/html; charset=utf-8');
-        res.setHeader('Cache-Control', 's-maxage=60, stale-while-revalidate'); // Cache for 1 min on Vercel Edge
+        if (format === 'json') {
+            const { items, drift, pagination } = parseStockList(body);
+            // Every live fetch also feeds the stock history; a failure there must not break the search
+            await recordStockSnapshots(toShopItems(items)).catch(error => console.error('[Stock History] Record failed:', error));
+            // Don't let the edge cache hold on to a table we could not read
+            res.setHeader('Cache-Control', drift ? 'no-store' : 'private, max-age=60');
+            res.setHeader('Vary', 'Cookie'); // What is left out depends on who is signed in
+            return res.status(200).json({ items: withoutCost(user, items), drift, pagination });
+        }
 
-        res.status(200).send(body);
+        sendHtml(res, body, 60);
     } catch (error) {
-        console.error('Proxy Error:', error);
-        res.status(500).send(`Proxy Error: ${error.message}`);
+        sendProxyError(res, error);
     }
 }
@@ -0,0 +1,29 @@
+import { setPriceOverride, deletePriceOverrides } from '../_lib/priceOverrides.js';
+import { allowMethods, jsonBody, sendError } from '../_lib/http.js';
+import { requireUser } from '../_lib/auth.js';
+import { auditContext } from '../_lib/audit.js';
+
+/**
+ * Override for one sheet code.
+ * PUT { factoryPrice?, discountRate?, expiresAt?, reason? } -> { override } (null when both values were cleared),
+ * recorded as edited by the signed-in user
+ * DELETE { reason? } -> { removed }
+ */
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['PUT', 'DELETE'])) return;
+    const user = await requireUser(req, res, 'editPrices');
+    if (!user) return;
+
+    const { code } = req.query;
+    try {
+        if (req.method === 'DELETE') {
+            return res.status(200).json({ removed: await deletePriceOverrides([code], auditContext(user, jsonBody(req).reason)) });
+        }
+
+        const { factoryPrice, discountRate, expiresAt, reason } = jsonBody(req);
+        const values = { factoryPrice, discountRate, expiresAt, updatedBy: user.name };
+        res.status(200).json({ override: await setPriceOverride(code, values, auditContext(user, reason)) });
+    } catch (error) {
+        sendError(res, error, 'Price Override Error');
+    }
+}
@@ -0,0 +1,30 @@
+import { listPriceOverrides, deletePriceOverrides } from '../_lib/priceOverrides.js';
+import { allowMethods, jsonBody, sendError, HttpError } from '../_lib/http.js';
+import { requireUser } from '../_lib/auth.js';
+import { auditContext } from '../_lib/audit.js';
+
+const parseCodes = (codes) => String(codes || '').split(',').map(c => c.trim()).filter(Boolean);
+
+/**
+ * Manual price overrides.
+ * GET ?codes=A,B -> { overrides } (active only; every code when codes is omitted)
+ * DELETE ?codes=A,B { reason? } -> { removed } (reset to sheet values)
+ */
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET', 'DELETE'])) return;
+    const user = await requireUser(req, res, req.method === 'GET' ? null : 'editPrices');
+    if (!user) return;
+
+    try {
+        const codes = parseCodes(req.query.codes);
+        if (req.method === 'DELETE') {
+            if (codes.length === 0) throw new HttpError(400, 'codes_required', 'codes query parameter is required');
+            return res.status(200).json({ removed: await deletePriceOverrides(codes, auditContext(user, jsonBody(req).reason)) });
+        }
+
+        res.setHeader('Cache-Control', 'no-store');
+        res.status(200).json({ overrides: await listPriceOverrides(codes.length > 0 ? { codes } : {}) });
+    } catch (error) {
+        sendError(res, error, 'Price Override Error');
+    }
+}
@@ -0,0 +1,43 @@
+import {
+    getPurchaseOrder,
+    updatePurchaseOrder,
+    deletePurchaseOrder,
+    purchaseOrderCsvRows,
+    PURCHASE_ORDER_CSV_COLUMNS
+} from '../_lib/purchaseOrders.js';
+import { allowMethods, jsonBody, sendError } from '../_lib/http.js';
+import { requireUser } from '../_lib/auth.js';
+import { auditContext } from '../_lib/audit.js';
+import { toCsv, sendCsv } from '../_lib/csv.js';
+
+/**
+ * One purchase order.
+ * GET -> { order }, or a CSV download with ?format=csv
+ * PATCH { supplier?, note?, lines?, status?, reason? } -> { order }
+ * DELETE { reason? } -> { order } (drafts only)
+ */
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET', 'PATCH', 'DELETE'])) return;
+    const user = await requireUser(req, res, req.method === 'GET' ? 'viewCost' : 'managePurchaseOrders');
+    if (!user) return;
+
+    const { id, format } = req.query;
+    try {
+        if (req.method === 'PATCH') {
+            const { supplier, note, lines, status, reason } = jsonBody(req);
+            return res.status(200).json({ order: await updatePurchaseOrder(id, { supplier, note, lines, status }, auditContext(user, reason)) });
+        }
+        if (req.method === 'DELETE') {
+            return res.status(200).json({ order: await deletePurchaseOrder(id, auditContext(user, jsonBody(req).reason)) });
+        }
+
+        const order = await getPurchaseOrder(id);
+        if (format === 'csv') {
+            return sendCsv(res, `${order.number}.csv`, toCsv(purchaseOrderCsvRows(order), PURCHASE_ORDER_CSV_COLUMNS));
+        }
+        res.setHeader('Cache-Control', 'no-store');
+        res.status(200).json({ order });
+    } catch (error) {
+        sendError(res, error, 'Purchase Order Error');
+    }
+}
@@ -0,0 +1,20 @@
+import { generateDraftOrders } from '../_lib/purchaseOrders.js';
+import { allowMethods, sendError } from '../_lib/http.js';
+import { requireUser } from '../_lib/auth.js';
+import { auditContext } from '../_lib/audit.js';
+
+/**
+ * Create draft POs (one per supplier) for every stock record at or below its reorder point.
+ * POST -> { orders } (empty when nothing needs ordering)
+ */
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['POST'])) return;
+    const user = await requireUser(req, res, 'managePurchaseOrders');
+    if (!user) return;
+
+    try {
+        res.status(200).json({ orders: await generateDraftOrders(auditContext(user)) });
+    } catch (error) {
+        sendError(res, error, 'Purchase Order Generate Error');
+    }
+}
@@ -0,0 +1,28 @@
+import { listPurchaseOrders, createPurchaseOrder } from '../_lib/purchaseOrders.js';
+import { allowMethods, jsonBody, sendError } from '../_lib/http.js';
+import { requireUser } from '../_lib/auth.js';
+import { auditContext } from '../_lib/audit.js';
+
+/**
+ * Purchase orders.
+ * GET ?status=draft|sent|received -> { orders }
+ * POST { supplier, lines, note? } -> { order } (a new draft)
+ */
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET', 'POST'])) return;
+    const user = await requireUser(req, res, req.method === 'GET' ? 'viewCost' : 'managePurchaseOrders');
+    if (!user) return;
+
+    try {
+        if (req.method === 'POST') {
+            const { supplier, lines, note } = jsonBody(req);
+            const order = await createPurchaseOrder({ supplier, lines, note }, auditContext(user));
+            return res.status(201).json({ order });
+        }
+
+        res.setHeader('Cache-Control', 'no-store');
+        res.status(200).json({ orders: await listPurchaseOrders({ status: req.query.status }) });
+    } catch (error) {
+        sendError(res, error, 'Purchase Order Error');
+    }
+}
@@ -0,0 +1,25 @@
+import { convertQuoteToSale, quoteWithoutCost } from '../../_lib/quotes.js';
+import { allowMethods, jsonBody, sendError } from '../../_lib/http.js';
+import { requireUser } from '../../_lib/auth.js';
+import { auditContext } from '../../_lib/audit.js';
+import { hasPermission } from '../../../src/config/roles.js';
+
+/**
+ * Sell an accepted quote: records the sale and takes the tires out of our own stock.
+ * POST { paymentMethod, labor?, note?, cart? } -> { quote, sale } (labor defaults to the quote's services;
+ * cart is the checked-out cart when it was opened from the quote)
+ */
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['POST'])) return;
+    const user = await requireUser(req, res, 'manageQuotes');
+    if (!user) return;
+
+    try {
+        const { paymentMethod, labor, note, cart } = jsonBody(req);
+        const allowBelowCost = hasPermission(user.role, 'sellBelowCost');
+        const { quote, sale } = await convertQuoteToSale(req.query.id, { paymentMethod, labor, note, cart, allowBelowCost }, auditContext(user));
+        res.status(200).json({ quote: quoteWithoutCost(user, quote), sale });
+    } catch (error) {
+        sendError(res, error, 'Quote Error');
+    }
+}
@@ -0,0 +1,35 @@
+import { getQuote, updateQuote, deleteQuote, quoteWithoutCost } from '../../_lib/quotes.js';
+import { allowMethods, jsonBody, sendError } from '../../_lib/http.js';
+import { requireUser } from '../../_lib/auth.js';
+import { auditContext } from '../../_lib/audit.js';
+import { hasPermission } from '../../../src/config/roles.js';
+
+/**
+ * One quote.
+ * GET -> { quote }
+ * PATCH { customer?, vehicle?, tier?, lines?, services?, discount?, validUntil?, note?, status?, reason? } -> { quote }
+ * DELETE { reason? } -> { quote } (not once sold)
+ */
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET', 'PATCH', 'DELETE'])) return;
+    const user = await requireUser(req, res, req.method === 'GET' ? null : 'manageQuotes');
+    if (!user) return;
+
+    const { id } = req.query;
+    try {
+        if (req.method === 'PATCH') {
+            const { customer, vehicle, tier, lines, services, discount, validUntil, note, status, reason } = jsonBody(req);
+            const allowBelowCost = hasPermission(user.role, 'sellBelowCost');
+            const quote = await updateQuote(id, { customer, vehicle, tier, lines, services, discount, validUntil, note, status, allowBelowCost }, auditContext(user, reason));
+            return res.status(200).json({ quote: quoteWithoutCost(user, quote) });
+        }
+        if (req.method === 'DELETE') {
+            return res.status(200).json({ quote: quoteWithoutCost(user, await deleteQuote(id, auditContext(user, jsonBody(req).reason))) });
+        }
+
+        res.setHeader('Cache-Control', 'no-store');
+        res.status(200).json({ quote: quoteWithoutCost(user, await getQuote(id)) });
+    } catch (error) {
+        sendError(res, error, 'Quote Error');
+    }
+}
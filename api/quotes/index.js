@@ -0,0 +1,31 @@
+import { listQuotes, createQuote, quoteWithoutCost } from '../_lib/quotes.js';
+import { allowMethods, jsonBody, sendError } from '../_lib/http.js';
+import { requireUser } from '../_lib/auth.js';
+import { auditContext } from '../_lib/audit.js';
+import { hasPermission } from '../../src/config/roles.js';
+
+/**
+ * Customer quotes.
+ * GET ?q=&status=sent|accepted|expired -> { quotes }
+ * POST { customer, vehicle, tier?, lines, services?, discount?, validUntil?, note? } -> { quote }
+ */
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET', 'POST'])) return;
+    const user = await requireUser(req, res, req.method === 'GET' ? null : 'manageQuotes');
+    if (!user) return;
+
+    try {
+        if (req.method === 'POST') {
+            const { customer, vehicle, tier, lines, services, discount, validUntil, note } = jsonBody(req);
+            const allowBelowCost = hasPermission(user.role, 'sellBelowCost');
+            const quote = await createQuote({ customer, vehicle, tier, lines, services, discount, validUntil, note, allowBelowCost }, auditContext(user));
+            return res.status(201).json({ quote: quoteWithoutCost(user, quote) });
+        }
+
+        const { q, status } = req.query;
+        res.setHeader('Cache-Control', 'no-store');
+        res.status(200).json({ quotes: (await listQuotes({ q, status })).map(quote => quoteWithoutCost(user, quote)) });
+    } catch (error) {
+        sendError(res, error, 'Quote Error');
+    }
+}
@@ -0,0 +1,32 @@
+import { postReceipt, listRecentReceipts, lookupCode } from './_lib/receiving.js';
+import { allowMethods, jsonBody, sendError } from './_lib/http.js';
+import { requireUser } from './_lib/auth.js';
+import { auditContext } from './_lib/audit.js';
+
+/**
+ * Goods receiving.
+ * GET -> { receipts } (most recent first); GET ?code=... -> { item } for a scanned code (404 when unknown)
+ * POST { orderId?, lines: [{ code, type, dot?, qty }], note? } -> { receipt }
+ */
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET', 'POST'])) return;
+    const user = await requireUser(req, res, req.method === 'GET' ? null : 'adjustStock');
+    if (!user) return;
+
+    try {
+        if (req.method === 'POST') {
+            const { orderId, lines, note } = jsonBody(req);
+            return res.status(201).json({ receipt: await postReceipt({ orderId, lines, note }, auditContext(user)) });
+        }
+
+        res.setHeader('Cache-Control', 'no-store');
+        if (req.query.code !== undefined) {
+            const item = await lookupCode(req.query.code);
+            if (!item) return res.status(404).json({ error: 'not_found', message: `Unknown code ${req.query.code}` });
+            return res.status(200).json({ item });
+        }
+        res.status(200).json({ receipts: await listRecentReceipts() });
+    } catch (error) {
+        sendError(res, error, 'Receiving Error');
+    }
+}
@@ -0,0 +1,20 @@
+import { getSale } from '../../_lib/sales.js';
+import { allowMethods, sendError } from '../../_lib/http.js';
+import { requireUser } from '../../_lib/auth.js';
+
+/**
+ * One sale.
+ * GET -> { sale }
+ */
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET'])) return;
+    const user = await requireUser(req, res, 'sell');
+    if (!user) return;
+
+    try {
+        res.setHeader('Cache-Control', 'no-store');
+        res.status(200).json({ sale: await getSale(req.query.id) });
+    } catch (error) {
+        sendError(res, error, 'Sale Error');
+    }
+}
@@ -0,0 +1,20 @@
+import { voidSale } from '../../_lib/sales.js';
+import { allowMethods, jsonBody, sendError } from '../../_lib/http.js';
+import { requireUser } from '../../_lib/auth.js';
+import { auditContext } from '../../_lib/audit.js';
+
+/**
+ * Void a sale: keeps the record, marks it voided and puts its tires back into our own stock.
+ * POST { reason? } -> { sale }
+ */
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['POST'])) return;
+    const user = await requireUser(req, res, 'voidSales');
+    if (!user) return;
+
+    try {
+        res.status(200).json({ sale: await voidSale(req.query.id, auditContext(user, jsonBody(req).reason)) });
+    } catch (error) {
+        sendError(res, error, 'Sale Error');
+    }
+}
@@ -0,0 +1,33 @@
+import { listSales, summarizeSales, createSale } from '../_lib/sales.js';
+import { allowMethods, jsonBody, sendError } from '../_lib/http.js';
+import { requireUser } from '../_lib/auth.js';
+import { auditContext } from '../_lib/audit.js';
+import { hasPermission } from '../../src/config/roles.js';
+import { shopDate } from '../../src/utils/dates.js';
+
+/**
+ * Sales (checkout).
+ * GET ?date=YYYY-MM-DD (default today, KST) -> { sales, summary }
+ * POST { lines, labor?, discount?, paymentMethod, customer?, vehicle?, note? } -> { sale }
+ */
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET', 'POST'])) return;
+    const user = await requireUser(req, res, 'sell');
+    if (!user) return;
+
+    try {
+        if (req.method === 'POST') {
+            const { lines, labor, discount, paymentMethod, customer, vehicle, note } = jsonBody(req);
+            const allowBelowCost = hasPermission(user.role, 'sellBelowCost');
+            const sale = await createSale({ lines, labor, discount, paymentMethod, customer, vehicle, note, allowBelowCost }, auditContext(user));
+            return res.status(201).json({ sale });
+        }
+
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(req.query.date || '') ? req.query.date : shopDate();
+        const sales = await listSales({ date });
+        res.setHeader('Cache-Control', 'no-store');
+        res.status(200).json({ sales, summary: summarizeSales(sales, date) });
+    } catch (error) {
+        sendError(res, error, 'Sale Error');
+    }
+}
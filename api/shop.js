@@ -0,0 +1,16 @@
+import { fetchBlackcircles, sendHtml, sendProxyError, UPSTREAM_PATHS } from './_lib/blackcircles.js';
+import { requireUser } from './_lib/auth.js';
+
+/**
+ * Proxy for the public shop list (shop/list.php).
+ */
+export default async function handler(req, res) {
+    if (!await requireUser(req, res)) return;
+
+    try {
+        const { body } = await fetchBlackcircles(UPSTREAM_PATHS.shop, { query: { ...req.query } });
+        sendHtml(res, body, 300);
+    } catch (error) {
+        sendProxyError(res, error);
+    }
+}
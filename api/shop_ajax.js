@@ -0,0 +1,25 @@
+import { fetchBlackcircles, sendHtml, sendProxyError, toFormBody, UPSTREAM_PATHS } from './_lib/blackcircles.js';
+import { requireUser } from './_lib/auth.js';
+
+/**
+ * Proxy for the shop "load more" AJAX endpoint (ajax_call/shop/list_more.php).
+ * Used by InventoryService.fetchFactoryPrices to scrape factory prices.
+ */
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return res.status(405).send('Method Not Allowed');
+    }
+    if (!await requireUser(req, res)) return;
+
+    try {
+        const { body } = await fetchBlackcircles(UPSTREAM_PATHS.shopAjax, {
+            method: 'POST',
+            query: { ...req.query },
+            body: toFormBody(req.body)
+        });
+        sendHtml(res, body, 300);
+    } catch (error) {
+        sendProxyError(res, error);
+    }
+}
@@ -0,0 +1,34 @@
+import { findSeries, findTrends, summarizeTrend } from './_lib/stockHistory.js';
+import { requireUser } from './_lib/auth.js';
+
+/**
+ * Stock history per item.
+ *   GET /api/stock-history?code=THH1234567&days=30  -> { code, series, trend }
+ *   GET /api/stock-history?codes=A,B,C&days=7       -> { trends: { A: StockTrend, ... } }
+ * `code` may be the sheet code / 고유코드, itId or stId.
+ */
+export default async function handler(req, res) {
+    if (!await requireUser(req, res)) return;
+
+    const { code, codes, days } = req.query;
+    const windowDays = Math.max(1, Number(days) || 7);
+
+    try {
+        if (codes) {
+            const list = String(codes).split(',').map(c => c.trim()).filter(Boolean);
+            return res.status(200).json({ trends: await findTrends(list, windowDays) });
+        }
+
+        if (!code) {
+            return res.status(400).json({ error: 'code_required', message: 'code or codes query parameter is required' });
+        }
+
+        const series = (await findSeries([code]))[code];
+        if (!series) return res.status(404).json({ error: 'not_found', message: `No stock history for ${code}` });
+
+        res.status(200).json({ code, series, trend: summarizeTrend(series.points, windowDays) });
+    } catch (error) {
+        console.error('Stock History Error:', error);
+        res.status(500).json({ error: 'stock_history_failed', message: error.message });
+    }
+}
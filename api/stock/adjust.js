@@ -0,0 +1,23 @@
+import { applyStockChanges } from '../_lib/ownStock.js';
+import { allowMethods, jsonBody, sendError } from '../_lib/http.js';
+import { requireUser } from '../_lib/auth.js';
+import { auditContext } from '../_lib/audit.js';
+
+/**
+ * Adjust one stock record.
+ * POST { code, type: 'store'|'warehouse', delta?: number, set?: number, reorderPoint?: number, cost?: number, dot?: string, reason?: string }
+ * -> { record }
+ */
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['POST'])) return;
+    const user = await requireUser(req, res, 'adjustStock');
+    if (!user) return;
+
+    try {
+        const { code, type, delta, set, reorderPoint, cost, dot, reason } = jsonBody(req);
+        const [record] = await applyStockChanges([{ code, type, delta, set, reorderPoint, cost, dot }], auditContext(user, reason));
+        res.status(200).json({ record });
+    } catch (error) {
+        sendError(res, error, 'Stock Adjust Error');
+    }
+}
@@ -0,0 +1,21 @@
+import { listStock } from '../_lib/ownStock.js';
+import { allowMethods, sendError } from '../_lib/http.js';
+import { requireUser, withoutCost } from '../_lib/auth.js';
+
+/**
+ * Our own store/warehouse stock: `GET /api/stock?type=store&code=...` -> { records }
+ * `cost` is left out for roles that may not see costs.
+ */
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET'])) return;
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    try {
+        const { type, code } = req.query;
+        res.setHeader('Cache-Control', 'no-store');
+        res.status(200).json({ records: withoutCost(user, await listStock({ type, code }), ['cost']) });
+    } catch (error) {
+        sendError(res, error, 'Stock List Error');
+    }
+}
@@ -0,0 +1,21 @@
+import { moveStock } from '../_lib/ownStock.js';
+import { allowMethods, jsonBody, sendError } from '../_lib/http.js';
+import { requireUser } from '../_lib/auth.js';
+import { auditContext } from '../_lib/audit.js';
+
+/**
+ * Move stock between locations.
+ * POST { code, from: 'store'|'warehouse', to: 'store'|'warehouse', qty, dot?, reason? } -> { records: [from, to] }
+ */
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['POST'])) return;
+    const user = await requireUser(req, res, 'adjustStock');
+    if (!user) return;
+
+    try {
+        const { code, from, to, qty, dot, reason } = jsonBody(req);
+        res.status(200).json({ records: await moveStock({ code, from, to, qty, dot }, auditContext(user, reason)) });
+    } catch (error) {
+        sendError(res, error, 'Stock Move Error');
+    }
+}
@@ -0,0 +1,31 @@
+import { syncCatalog } from './_lib/catalog.js';
+import { requireUser } from './_lib/auth.js';
+
+/**
+ * Refresh the catalog snapshot.
+ * GET is the Vercel Cron entry point (authorized by CRON_SECRET). vercel.json runs it daily at 06:00 KST
+ * (21:00 UTC) because the Hobby plan only allows daily crons; during the day a search that finds the snapshot
+ * older than CATALOG_MAX_AGE_MINUTES refreshes it in the background. On Pro it can run every 15 minutes.
+ * POST is the "sync now" button in the app. Without the cron token either needs a staff login.
+ */
+export default async function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        res.setHeader('Allow', 'GET, POST');
+        return res.status(405).json({ error: 'method_not_allowed' });
+    }
+
+    const cronSecret = process.env.CRON_SECRET;
+    const isCron = req.method === 'GET' && cronSecret && req.headers.authorization === `Bearer ${cronSecret}`;
+    if (!isCron && !await requireUser(req, res, 'syncCatalog')) return;
+
+    try {
+        const snapshot = await syncCatalog();
+        res.status(200).json({
+            syncedAt: snapshot.syncedAt,
+            sources: snapshot.sources
+        });
+    } catch (error) {
+        console.error('Sync Error:', error);
+        res.status(500).json({ error: 'sync_failed', message: error.message });
+    }
+}
@@ -0,0 +1,27 @@
+import { updateUser, deleteUser } from '../_lib/users.js';
+import { requireUser } from '../_lib/auth.js';
+import { allowMethods, jsonBody, sendError, HttpError } from '../_lib/http.js';
+
+/**
+ * One staff account (owners only).
+ * PATCH { name?, role?, password? } -> { user }
+ * DELETE -> { user } (not your own account)
+ */
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['PATCH', 'DELETE'])) return;
+    const currentUser = await requireUser(req, res, 'manageUsers');
+    if (!currentUser) return;
+
+    const { username } = req.query;
+    try {
+        if (req.method === 'DELETE') {
+            if (username === currentUser.username) throw new HttpError(409, 'own_account', 'You cannot delete your own account');
+            return res.status(200).json({ user: await deleteUser(username) });
+        }
+
+        const { name, role, password } = jsonBody(req);
+        res.status(200).json({ user: await updateUser(username, { name, role, password }) });
+    } catch (error) {
+        sendError(res, error, 'Users Error');
+    }
+}
@@ -0,0 +1,25 @@
+import { listUsers, createUser } from '../_lib/users.js';
+import { requireUser } from '../_lib/auth.js';
+import { allowMethods, jsonBody, sendError } from '../_lib/http.js';
+
+/**
+ * Staff accounts (owners only).
+ * GET -> { users }
+ * POST { username, name?, role, password } -> { user }
+ */
+export default async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET', 'POST'])) return;
+    if (!await requireUser(req, res, 'manageUsers')) return;
+
+    try {
+        if (req.method === 'POST') {
+            const { username, name, role, password } = jsonBody(req);
+            return res.status(201).json({ user: await createUser({ username, name, role, password }) });
+        }
+
+        res.setHeader('Cache-Control', 'no-store');
+        res.status(200).json({ users: await listUsers() });
+    } catch (error) {
+        sendError(res, error, 'Users Error');
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * Service worker: keeps the app usable on the shop floor's unreliable Wi-Fi.
+ *
+ * - App shell (index.html and the built /assets) from the cache, so the app opens without a connection.
+ *   Pages are fetched from the network first so a new deploy is picked up as soon as it is reachable.
+ * - A few GET API responses are fetched from the network first and the last good one is kept for offline use:
+ *   the signed-in user and the catalog snapshot the offline size search runs on (src/services/OfflineCatalog.js).
+ * - Every other /api request goes straight to the network; writes made offline are queued by the page
+ *   (src/services/OfflineQueue.js), not here.
+ *
+ * The data cache is cleared on logout (authService.logout, via OfflineCatalog.clear), so it never outlives
+ * the session that filled it.
+ */
+
+const SHELL_CACHE = 'ddwt-shell-v1';
+const DATA_CACHE = 'ddwt-data';
+const OFFLINE_API = ['/api/auth/me', '/api/catalog-snapshot'];
+const SHELL_FILES = ['/manifest.webmanifest', '/icon.svg', '/icon-192.png', '/icon-512.png'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        // The built asset names are hashed, so read them from the page that references them
+        const page = await fetch('/', { cache: 'no-cache' });
+        const html = await page.clone().text();
+        const assets = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(match => match[1]);
+        await cache.put('/', page);
+        await cache.addAll([...SHELL_FILES, ...assets]);
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => ![SHELL_CACHE, DATA_CACHE].includes(name)).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+/**
+ * Network first; the cached copy (under `cacheKey`) when the network fails. Only 2xx responses are kept,
+ * and a 401 drops the cached copy so a signed-out session is not brought back offline.
+ */
+const networkFirst = async (request, cacheName, cacheKey = request) => {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(cacheKey, response.clone());
+        else if (response.status === 401) await cache.delete(cacheKey);
+        return response;
+    } catch (error) {
+        const cached = await cache.match(cacheKey);
+        if (cached) return cached;
+        throw error;
+    }
+};
+
+const cacheFirst = async (request) => {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (OFFLINE_API.includes(url.pathname)) {
+        // Cached per path: the snapshot and the session check take no query parameters that matter offline
+        event.respondWith(networkFirst(request, DATA_CACHE, url.pathname));
+    } else if (url.pathname.startsWith('/api/')) {
+        return;
+    } else if (request.mode === 'navigate') {
+        // Every route is the same single page
+        event.respondWith(networkFirst(request, SHELL_CACHE, '/'));
+    } else if (url.pathname.startsWith('/assets/') || SHELL_FILES.includes(url.pathname)) {
+        event.respondWith(cacheFirst(request));
+    }
+});
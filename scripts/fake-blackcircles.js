@@ -0,0 +1,152 @@
+/**
+ * Minimal fake of the Blackcircles seller site for exercising the /api proxy locally.
+ *
+ *   npm run fake:blackcircles
+ *   BLACKCIRCLES_BASE_URL=http://localhost:9090 BLACKCIRCLES_ID=demo BLACKCIRCLES_PASSWORD=demo npm run dev
+ *
+ * Endpoints mirror the real ones used by api/_lib/blackcircles.js.
+ * GET /__expire drops every session so the re-login path can be tested.
+ */
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const PORT = Number(process.env.FAKE_BC_PORT || 9090);
+const USER_ID = process.env.FAKE_BC_ID || 'demo';
+const PASSWORD = process.env.FAKE_BC_PASSWORD || 'demo';
+const SESSION_TTL = Number(process.env.FAKE_BC_SESSION_TTL || 0) * 1000; // 0 = never expires
+const PAGE_ROWS = Number(process.env.FAKE_BC_PAGE_ROWS || 10);
+
+const sessions = new Map(); // sessionId -> createdAt
+
+const BRANDS = ['한국타이어', '미쉐린', '금호타이어', '콘티넨탈', '피렐리'];
+const MODELS = ['Ventus S1 evo3', 'Pilot Sport 5', 'Ecsta PS71', 'PremiumContact 7', 'P Zero'];
+const SIZES = ['245/45R18 100W XL', '225/45R17 94W', '245/40R19 98Y', '235/55R19 105V', '275/40R20 106Y RF'];
+
+const ITEMS = SIZES.flatMap((size, s) => BRANDS.map((brand, b) => ({
+    brand,
+    model: MODELS[b],
+    size,
+    internalCode: `P${1000 + s * 10 + b}`,
+    code: `THH${1000000 + s * 10 + b}`,
+    itId: `${1700000000 + s * 10 + b}`,
+    stId: `${5000 + s * 10 + b}`,
+    stock: (s * 7 + b * 3) % 13,
+    supplyPrice: 90000 + s * 15000 + b * 4000,
+    discontinued: (s + b) % 11 === 0
+})));
+
+const escape = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+
+const LOGIN_PAGE = `<!DOCTYPE html><html><head><title>로그인</title></head><body>
+<form name="flogin" action="/bbs/login_check.php" method="post">
+<input type="text" name="mb_id"><input type="password" name="mb_password"><button>로그인</button>
+</form></body></html>`;
+
+// G5-style pager: window of 10 pages plus 처음/맨끝 links
+const pager = (page, lastPage) => {
+    if (lastPage <= 1) return '';
+    const start = Math.floor((page - 1) / 10) * 10 + 1;
+    const links = [];
+    for (let p = start; p <= Math.min(start + 9, lastPage); p++) {
+        links.push(p === page ? `<strong class="pg_current">${p}</strong>` : `<a href="?page=${p}" class="pg_page">${p}</a>`);
+    }
+    return `<nav class="pg_wrap"><span class="pg"><a href="?page=1" class="pg_page pg_start">처음</a>${links.join('')}<a href="?page=${lastPage}" class="pg_page pg_end">맨끝</a></span></nav>`;
+};
+
+const stockListPage = (items, page, lastPage) => `<!DOCTYPE html><html><head><title>재고관리</title></head><body>
+<table class="stock-list_table">
+<tr><th><input type="checkbox"></th><th>브랜드</th><th>상품명</th><th>품번</th><th>규격</th><th>고유코드</th><th>원산지</th><th>패턴</th><th>계절</th><th>재고</th><th>공급가</th><th>판매가</th><th>배송</th><th>등록일</th><th>수정일</th><th>상태</th></tr>
+${items.map(item => `<tr>
+<td><input type="checkbox" name="chk[]"><input type="hidden" name="it_id[]" value="${item.itId}"><input type="hidden" name="st_id[]" value="${item.stId}"></td>
+<td>${escape(item.brand)}</td><td>${escape(item.model)}</td><td>${item.internalCode}</td><td>${escape(item.size)}</td>
+<td><input type="text" name="uniq[]" value="${item.code}"></td>
+<td>KOREA</td><td>-</td><td>4계절</td><td>${item.stock}</td>
+<td><input type="text" name="price[]" value="${item.supplyPrice.toLocaleString()}"></td>
+<td>${Math.round(item.supplyPrice * 1.3).toLocaleString()}</td><td>택배</td><td>2025-01-01</td><td>2025-06-01</td>
+<td>${item.discontinued ? '단종' : '판매중'}</td>
+</tr>`).join('\n')}
+</table>
+${pager(page, lastPage)}
+</body></html>`;
+
+const shopListChunk = (items) => items.map(item => `<div class="product_list_wrap">
+<div class="title">${escape(item.model)}</div>
+<div class="english_title_box"><span>${escape(item.size.split(' ')[0])}</span></div>
+<div class="sub_price">${Math.round(item.supplyPrice * 1.6).toLocaleString()}원</div>
+</div>`).join('\n');
+
+const getSessionId = (req) => {
+    const match = /PHPSESSID=([^;]+)/.exec(req.headers.cookie || '');
+    return match ? match[1] : null;
+};
+
+const hasValidSession = (req) => {
+    const id = getSessionId(req);
+    if (!id || !sessions.has(id)) return false;
+    if (SESSION_TTL && Date.now() - sessions.get(id) > SESSION_TTL) {
+        sessions.delete(id);
+        return false;
+    }
+    return true;
+};
+
+const readBody = (req) => new Promise(resolve => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(body)));
+});
+
+// Rough stand-in for G5's "sfl=all" search: digits match the size, text matches brand/model
+const matches = (item, stx) => {
+    if (!stx) return true;
+    const digits = stx.replace(/\D/g, '');
+    if (digits) return item.size.replace(/\D/g, '').includes(digits) || item.code.includes(stx);
+    const term = stx.toLowerCase();
+    return item.brand.toLowerCase().includes(term) || item.model.toLowerCase().includes(term);
+};
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    console.log(`[fake-bc] ${req.method} ${url.pathname}${url.search}`);
+
+    const html = (status, body, headers = {}) => {
+        res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+        res.end(body);
+    };
+
+    if (url.pathname === '/__expire') {
+        sessions.clear();
+        return html(200, 'sessions cleared');
+    }
+
+    if (url.pathname === '/bbs/login_check.php' && req.method === 'POST') {
+        const form = await readBody(req);
+        if (form.get('mb_id') !== USER_ID || form.get('mb_password') !== PASSWORD) {
+            return html(200, '<script>alert("아이디 또는 비밀번호가 틀립니다.");history.back();</script>');
+        }
+        const sessionId = crypto.randomBytes(13).toString('hex');
+        sessions.set(sessionId, Date.now());
+        return html(302, '', { 'Set-Cookie': `PHPSESSID=${sessionId}; path=/`, 'Location': '/' });
+    }
+
+    if (url.pathname === '/seller/stock_list_option.php') {
+        if (!hasValidSession(req)) return html(200, LOGIN_PAGE);
+        const stx = url.searchParams.get('stx') || '';
+        const found = ITEMS.filter(item => matches(item, stx));
+        const lastPage = Math.max(1, Math.ceil(found.length / PAGE_ROWS));
+        const page = Math.min(Math.max(1, Number(url.searchParams.get('page')) || 1), lastPage);
+        return html(200, stockListPage(found.slice((page - 1) * PAGE_ROWS, page * PAGE_ROWS), page, lastPage));
+    }
+
+    if (url.pathname === '/shop/list.php' || url.pathname === '/ajax_call/shop/list_more.php') {
+        const form = req.method === 'POST' ? await readBody(req) : url.searchParams;
+        const stx = form.get('stx') || '';
+        return html(200, shopListChunk(ITEMS.filter(item => matches(item, stx))));
+    }
+
+    html(404, 'Not Found');
+});
+
+server.listen(PORT, () => {
+    console.log(`Fake Blackcircles listening on http://localhost:${PORT} (login: ${USER_ID} / ${PASSWORD})`);
+});
@@ -0,0 +1,63 @@
+/**
+ * Import the vehicle fitment CSV we maintain into the dataset bundled with the app.
+ *
+ *   npm run import:fitments                    # data/vehicle-fitments.csv -> src/data/vehicleFitments.json
+ *   npm run import:fitments -- path/to/other.csv
+ *
+ * Columns: maker, model, year_from, year_to (empty = still sold), trim,
+ * front, rear (empty = same size all round). Every size must parse; nothing is written when a row is invalid.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import Papa from 'papaparse';
+import { parseTireSize } from '../src/utils/tireSize.js';
+
+const ROOT = path.resolve(path.dirname(new URL(import.meta.url).pathname), '..');
+const inputPath = path.resolve(process.argv[2] || path.join(ROOT, 'data/vehicle-fitments.csv'));
+const outputPath = path.join(ROOT, 'src/data/vehicleFitments.json');
+
+const { data: rows, errors: csvErrors } = Papa.parse(fs.readFileSync(inputPath, 'utf8'), {
+    header: true,
+    skipEmptyLines: true,
+    transformHeader: (header) => header.trim().toLowerCase()
+});
+
+const errors = csvErrors.map(error => `row ${error.row + 2}: ${error.message}`);
+const vehicles = [];
+
+rows.forEach((row, i) => {
+    const line = i + 2; // 1-based, after the header
+    const maker = (row.maker || '').trim();
+    const model = (row.model || '').trim();
+    const yearFrom = Number(row.year_from);
+    const yearTo = row.year_to?.trim() ? Number(row.year_to) : null;
+    const front = (row.front || '').trim();
+    const rear = (row.rear || '').trim();
+
+    if (!maker || !model) errors.push(`row ${line}: maker and model are required`);
+    if (!Number.isInteger(yearFrom) || (yearTo !== null && (!Number.isInteger(yearTo) || yearTo < yearFrom))) {
+        errors.push(`row ${line}: invalid years ${row.year_from}-${row.year_to}`);
+    }
+    if (!parseTireSize(front)) errors.push(`row ${line}: cannot parse front size "${front}"`);
+    if (rear && !parseTireSize(rear)) errors.push(`row ${line}: cannot parse rear size "${rear}"`);
+
+    vehicles.push({
+        maker,
+        model,
+        yearFrom,
+        yearTo,
+        trim: (row.trim || '').trim(),
+        front,
+        rear: rear && rear !== front ? rear : null
+    });
+});
+
+if (errors.length > 0) {
+    console.error(`[import-fitments] ${errors.length} problem(s) in ${inputPath}, nothing written:`);
+    errors.forEach(error => console.error(`  ${error}`));
+    process.exit(1);
+}
+
+vehicles.sort((a, b) => a.maker.localeCompare(b.maker) || a.model.localeCompare(b.model) || a.yearFrom - b.yearFrom);
+fs.writeFileSync(outputPath, `${JSON.stringify({ importedAt: new Date().toISOString(), vehicles }, null, 2)}\n`);
+console.log(`[import-fitments] ${vehicles.length} fitments from ${path.relative(ROOT, inputPath)} -> ${path.relative(ROOT, outputPath)}`);
@@ -0,0 +1,30 @@
+/**
+ * Run the catalog sync outside of Vercel Cron (e.g. on the shop PC or during development).
+ *
+ *   npm run sync:catalog               # sync once
+ *   npm run sync:catalog -- --every 15 # keep syncing every 15 minutes
+ *
+ * Reads the same environment variables as the /api routes (BLACKCIRCLES_*, DDWT_DATA_DIR, ...).
+ */
+import { syncCatalog } from '../api/_lib/catalog.js';
+
+const everyIndex = process.argv.indexOf('--every');
+const everyMinutes = everyIndex > -1 ? Number(process.argv[everyIndex + 1]) : 0;
+
+const runOnce = async () => {
+    try {
+        const { syncedAt, sources } = await syncCatalog();
+        console.log(`[sync-catalog] ${syncedAt}`, JSON.stringify(sources));
+        return !sources.sheet.error && !sources.stock.error;
+    } catch (error) {
+        console.error('[sync-catalog] Sync failed:', error);
+        return false;
+    }
+};
+
+const ok = await runOnce();
+if (everyMinutes > 0) {
+    setInterval(runOnce, everyMinutes * 60 * 1000);
+} else {
+    process.exitCode = ok ? 0 : 1;
+}
@@ -6,7 +6,7 @@ function App() {
     const [isReady, setIsReady] = useState(false);
 
     useEffect(() => {
-        // Initialize the mock backend
+        // Initialize the inventory service (mock data only in demo mode)
         inventoryService.init();
         setIsReady(true);
     }, []);
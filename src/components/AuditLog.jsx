@@ -0,0 +1,223 @@
+import React, { useState, useEffect } from 'react';
+import { History, RefreshCw, Search, Download, ChevronDown, ChevronRight } from 'lucide-react';
+import { auditService } from '../services/AuditService';
+import { AUDIT_ACTION_LABELS, AUDIT_ENTITY_LABELS } from '../config/audit';
+import { diffAudit } from '../utils/audit';
+import { formatSyncTime } from '../utils/formatters';
+
+const EMPTY_FILTER = { type: '', action: '', actor: '', q: '', from: '', to: '' };
+
+const ACTION_STYLES = {
+    stock: 'bg-blue-100 text-blue-700',
+    price: 'bg-amber-100 text-amber-700',
+    'purchase-order': 'bg-purple-100 text-purple-700',
+    quote: 'bg-green-100 text-green-700',
+    sale: 'bg-rose-100 text-rose-700'
+};
+
+/**
+ * "stockQty: 4 → 2, batches" - long values (lines, batches) only by name; click the row for the full diff.
+ */
+const shortSummary = (changes) => changes
+    .map(c => (c.before.length + c.after.length <= 40 ? `${c.field}: ${c.before} → ${c.after}` : c.field))
+    .join(', ');
+
+/**
+ * Change history: who changed stock, prices, purchase orders, quotes and sales, when, from what to what and why.
+ */
+const AuditLog = () => {
+    const [filter, setFilter] = useState(EMPTY_FILTER);
+    const [entries, setEntries] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [actors, setActors] = useState([]);
+    const [expandedId, setExpandedId] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        loadEntries();
+    }, [filter.type, filter.action, filter.actor, filter.from, filter.to]);
+
+    const loadEntries = async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            const result = await auditService.list(filter);
+            setEntries(result.entries);
+            setTotal(result.total);
+            setActors(result.actors);
+        } catch (err) {
+            console.error('Audit Loading Error:', err);
+            setError('변경 이력을 불러오지 못했습니다.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        loadEntries();
+    };
+
+    const actions = Object.entries(AUDIT_ACTION_LABELS)
+        .filter(([action]) => !filter.type || action.startsWith(`${filter.type}.`));
+
+    return (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+            <div className="p-4 border-b border-gray-200 space-y-3">
+                <div className="flex items-center justify-between">
+                    <h2 className="text-lg font-bold flex items-center gap-2">
+                        <History size={20} className="text-blue-600" /> 변경 이력
+                    </h2>
+                    <a
+                        href={auditService.csvUrl(filter)}
+                        className="px-3 py-1 rounded-lg text-sm font-medium bg-gray-100 text-gray-700 flex items-center gap-1"
+                    >
+                        <Download size={14} /> CSV
+                    </a>
+                </div>
+                <div className="flex flex-wrap gap-2 items-center text-sm">
+                    <select
+                        value={filter.type}
+                        onChange={(e) => setFilter({ ...filter, type: e.target.value, action: '' })}
+                        className="border border-gray-200 rounded-lg px-2 py-1.5"
+                    >
+                        <option value="">전체 구분</option>
+                        {Object.entries(AUDIT_ENTITY_LABELS).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+                    </select>
+                    <select
+                        value={filter.action}
+                        onChange={(e) => setFilter({ ...filter, action: e.target.value })}
+                        className="border border-gray-200 rounded-lg px-2 py-1.5"
+                    >
+                        <option value="">전체 작업</option>
+                        {actions.map(([action, label]) => <option key={action} value={action}>{label}</option>)}
+                    </select>
+                    <select
+                        value={filter.actor}
+                        onChange={(e) => setFilter({ ...filter, actor: e.target.value })}
+                        className="border border-gray-200 rounded-lg px-2 py-1.5"
+                    >
+                        <option value="">전체 작업자</option>
+                        {actors.map(actor => <option key={actor.username} value={actor.username}>{actor.name}</option>)}
+                    </select>
+                    <input
+                        type="date"
+                        value={filter.from}
+                        onChange={(e) => setFilter({ ...filter, from: e.target.value })}
+                        className="border border-gray-200 rounded-lg px-2 py-1"
+                    />
+                    <span className="text-gray-400">~</span>
+                    <input
+                        type="date"
+                        value={filter.to}
+                        onChange={(e) => setFilter({ ...filter, to: e.target.value })}
+                        className="border border-gray-200 rounded-lg px-2 py-1"
+                    />
+                    <form onSubmit={handleSearch} className="relative flex-1 min-w-[200px]">
+                        <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={16} />
+                        <input
+                            type="text"
+                            placeholder="코드, 견적·발주번호, 사유"
+                            className="w-full pl-9 pr-3 py-1.5 border border-gray-200 rounded-lg"
+                            value={filter.q}
+                            onChange={(e) => setFilter({ ...filter, q: e.target.value })}
+                        />
+                    </form>
+                    <button onClick={() => setFilter(EMPTY_FILTER)} className="px-3 py-1.5 rounded-lg text-gray-500 hover:bg-gray-100">
+                        초기화
+                    </button>
+                </div>
+            </div>
+
+            {loading ? (
+                <div className="p-8 text-center text-gray-400 text-sm">
+                    <RefreshCw size={20} className="animate-spin mx-auto mb-2" />
+                    변경 이력 불러오는 중...
+                </div>
+            ) : error ? (
+                <div className="p-8 text-center text-red-500 text-sm font-medium">{error}</div>
+            ) : entries.length === 0 ? (
+                <div className="p-8 text-center text-gray-400 text-sm">기록된 변경이 없습니다.</div>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm text-left">
+                        <thead className="bg-gray-50 text-gray-500 font-medium border-b border-gray-200">
+                            <tr>
+                                <th className="px-4 py-3 w-6"></th>
+                                <th className="px-4 py-3">일시</th>
+                                <th className="px-4 py-3">작업자</th>
+                                <th className="px-4 py-3">작업</th>
+                                <th className="px-4 py-3">대상</th>
+                                <th className="px-4 py-3">변경 내용</th>
+                                <th className="px-4 py-3">사유</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100">
+                            {entries.map(entry => {
+                                const changes = diffAudit(entry.before, entry.after);
+                                const expanded = expandedId === entry.id;
+                                return (
+                                    <React.Fragment key={entry.id}>
+                                        <tr onClick={() => setExpandedId(expanded ? null : entry.id)} className="cursor-pointer hover:bg-gray-50 align-top">
+                                            <td className="px-4 py-3 text-gray-400">
+                                                {expanded ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                                            </td>
+                                            <td className="px-4 py-3 whitespace-nowrap text-gray-500">{formatSyncTime(entry.at)}</td>
+                                            <td className="px-4 py-3 whitespace-nowrap font-medium">{entry.actor.name}</td>
+                                            <td className="px-4 py-3 whitespace-nowrap">
+                                                <span className={`px-2 py-0.5 rounded text-xs font-bold ${ACTION_STYLES[entry.entity.type] || 'bg-gray-100 text-gray-600'}`}>
+                                                    {AUDIT_ACTION_LABELS[entry.action] || entry.action}
+                                                </span>
+                                            </td>
+                                            <td className="px-4 py-3 whitespace-nowrap font-mono text-xs">{entry.entity.label}</td>
+                                            <td className="px-4 py-3 text-xs text-gray-600 max-w-md truncate">
+                                                {shortSummary(changes)}
+                                            </td>
+                                            <td className="px-4 py-3 text-xs text-gray-600">{entry.reason || '-'}</td>
+                                        </tr>
+                                        {expanded && (
+                                            <tr className="bg-slate-50">
+                                                <td></td>
+                                                <td colSpan={6} className="px-4 py-3">
+                                                    <table className="text-xs w-full">
+                                                        <thead className="text-gray-400">
+                                                            <tr>
+                                                                <th className="text-left py-1 pr-4 w-32">항목</th>
+                                                                <th className="text-left py-1 pr-4">변경 전</th>
+                                                                <th className="text-left py-1">변경 후</th>
+                                                            </tr>
+                                                        </thead>
+                                                        <tbody>
+                                                            {changes.map(change => (
+                                                                <tr key={change.field} className="align-top">
+                                                                    <td className="py-1 pr-4 font-mono text-gray-500">{change.field}</td>
+                                                                    <td className="py-1 pr-4 font-mono text-red-600 break-all">{change.before}</td>
+                                                                    <td className="py-1 font-mono text-green-700 break-all">{change.after}</td>
+                                                                </tr>
+                                                            ))}
+                                                        </tbody>
+                                                    </table>
+                                                    <p className="mt-2 text-[11px] text-gray-400">
+                                                        {entry.actor.name} ({entry.actor.username}) · {AUDIT_ENTITY_LABELS[entry.entity.type]} {entry.entity.id}
+                                                    </p>
+                                                </td>
+                                            </tr>
+                                        )}
+                                    </React.Fragment>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                    {total > entries.length && (
+                        <p className="p-4 text-center text-xs text-gray-400">
+                            최근 {entries.length}건 / 전체 {total}건 표시. 기간이나 조건을 좁히거나 CSV로 전체를 받으세요.
+                        </p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AuditLog;
@@ -0,0 +1,189 @@
+import React, { useState, useEffect } from 'react';
+import { Receipt, Plus, X, RefreshCw, WifiOff } from 'lucide-react';
+import { PAYMENT_METHODS } from '../config/sales';
+import { getBrandDisplayName } from '../utils/formatters';
+import { isNetworkError } from '../services/OfflineQueue';
+
+const EMPTY_LABOR = { name: '', qty: 1, unitPrice: 0 };
+
+const won = (amount) => `${amount.toLocaleString()}원`;
+
+/**
+ * Checkout: labor lines, payment method and a last look at the total before the sale is recorded.
+ * Used for the cart (ProductList) and for selling an accepted quote (Quotes); the caller saves the sale
+ * in `onSubmit({ paymentMethod, labor, note })` and gets its result back.
+ * Sales are not queued offline like quote saves (stock could be sold twice before the queue is sent),
+ * so the sale button waits for the connection.
+ *
+ * @param {{ title: string, lines: Object[], labor?: Object[], discount: number, customer: { name: string, phone: string },
+ *   vehicle: string, onSubmit: Function, onClose: Function }} props - lines are sale lines ({ code, brand, model, size, qty, unitPrice }),
+ *   labor the service lines already in the cart or quote, still editable here
+ */
+const Checkout = ({ title, lines, labor: initialLabor = [], discount = 0, customer, vehicle, onSubmit, onClose }) => {
+    const [labor, setLabor] = useState(initialLabor);
+    const [paymentMethod, setPaymentMethod] = useState('');
+    const [note, setNote] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [online, setOnline] = useState(navigator.onLine);
+
+    useEffect(() => {
+        const handleOnline = () => setOnline(true);
+        const handleOffline = () => setOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
+
+    const filledLabor = labor.filter(line => line.name.trim());
+    const tireTotal = lines.reduce((sum, line) => sum + line.qty * line.unitPrice, 0);
+    const laborTotal = filledLabor.reduce((sum, line) => sum + line.qty * line.unitPrice, 0);
+    const total = Math.max(0, tireTotal + laborTotal - discount);
+    const tireQty = lines.reduce((sum, line) => sum + line.qty, 0);
+
+    const updateLabor = (index, changes) => setLabor(prev => prev.map((line, i) => (i === index ? { ...line, ...changes } : line)));
+
+    const handleSubmit = async () => {
+        setSaving(true);
+        try {
+            await onSubmit({ paymentMethod, labor: filledLabor, note });
+        } catch (err) {
+            if (isNetworkError(err)) {
+                alert('서버에 연결할 수 없어 판매를 등록하지 못했습니다. 연결을 확인한 뒤 다시 시도하세요.');
+                return;
+            }
+            alert(err.code === 'insufficient_stock' ? `매장·물류센터 재고가 부족합니다. (${err.message})` : `판매 등록 실패: ${err.message}`);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-[60] flex items-center justify-center p-0 sm:p-4 bg-slate-900/40 backdrop-blur-sm">
+            <div className="bg-white rounded-t-2xl sm:rounded-2xl w-full max-w-lg max-h-[92vh] flex flex-col shadow-2xl overflow-hidden">
+                <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+                    <h3 className="text-lg font-bold flex items-center gap-2">
+                        <Receipt size={20} className="text-blue-600" /> {title}
+                    </h3>
+                    <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-700">
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="flex-1 overflow-y-auto p-4 space-y-4 text-sm">
+                    <div className="text-xs text-gray-500">
+                        {customer.name || '고객 미입력'}{customer.phone && ` · ${customer.phone}`}{vehicle && ` · ${vehicle}`}
+                    </div>
+
+                    <table className="w-full">
+                        <tbody className="divide-y divide-gray-100">
+                            {lines.map((line, i) => (
+                                <tr key={i}>
+                                    <td className="py-1.5">
+                                        <span className="font-medium">{getBrandDisplayName(line.brand)} {line.model}</span>
+                                        <span className="ml-2 text-xs text-gray-400 font-mono">{line.size}</span>
+                                    </td>
+                                    <td className="py-1.5 text-right text-gray-500 whitespace-nowrap">{line.qty}개</td>
+                                    <td className="py-1.5 text-right font-medium whitespace-nowrap">{won(line.qty * line.unitPrice)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    <div className="space-y-2">
+                        <div className="flex items-center justify-between">
+                            <span className="text-xs font-bold text-gray-500">공임 (장착·밸런스 등)</span>
+                            <button
+                                onClick={() => setLabor(prev => [...prev, { ...EMPTY_LABOR, qty: tireQty || 1 }])}
+                                className="px-2 py-1 rounded-lg text-xs font-medium bg-gray-100 text-gray-700 flex items-center gap-1"
+                            >
+                                <Plus size={12} /> 공임 추가
+                            </button>
+                        </div>
+                        {labor.map((line, i) => (
+                            <div key={i} className="flex items-center gap-2">
+                                <input
+                                    type="text"
+                                    placeholder="항목 (예: 탈착·장착)"
+                                    className="flex-1 min-w-0 px-2 py-1.5 border border-gray-200 rounded-lg"
+                                    value={line.name}
+                                    onChange={(e) => updateLabor(i, { name: e.target.value })}
+                                />
+                                <input
+                                    type="text"
+                                    inputMode="numeric"
+                                    className="w-14 px-2 py-1.5 border border-gray-200 rounded-lg text-right"
+                                    value={line.qty}
+                                    onChange={(e) => updateLabor(i, { qty: Math.max(1, Number(e.target.value.replace(/[^0-9]/g, '')) || 1) })}
+                                />
+                                <input
+                                    type="text"
+                                    inputMode="numeric"
+                                    placeholder="단가"
+                                    className="w-24 px-2 py-1.5 border border-gray-200 rounded-lg text-right"
+                                    value={line.unitPrice}
+                                    onChange={(e) => updateLabor(i, { unitPrice: Number(e.target.value.replace(/[^0-9]/g, '')) || 0 })}
+                                />
+                                <button onClick={() => setLabor(prev => prev.filter((_, j) => j !== i))} className="p-1 text-gray-400 hover:text-red-600">
+                                    <X size={14} />
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+
+                    <div>
+                        <span className="text-xs font-bold text-gray-500">결제 수단</span>
+                        <div className="mt-1 grid grid-cols-3 gap-2">
+                            {PAYMENT_METHODS.map(method => (
+                                <button
+                                    key={method.id}
+                                    onClick={() => setPaymentMethod(method.id)}
+                                    className={`py-2 rounded-lg font-bold border ${paymentMethod === method.id ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-200'}`}
+                                >
+                                    {method.label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    <input
+                        type="text"
+                        placeholder="메모 (선택)"
+                        className="w-full px-3 py-2 border border-gray-200 rounded-lg"
+                        value={note}
+                        onChange={(e) => setNote(e.target.value)}
+                    />
+                </div>
+
+                <div className="p-4 border-t border-gray-200 bg-gray-50 space-y-3">
+                    <div className="text-xs text-gray-500 space-y-0.5">
+                        <div className="flex justify-between"><span>타이어</span><span>{won(tireTotal)}</span></div>
+                        {laborTotal > 0 && <div className="flex justify-between"><span>공임</span><span>{won(laborTotal)}</span></div>}
+                        {discount > 0 && <div className="flex justify-between"><span>추가 할인</span><span>-{won(discount)}</span></div>}
+                    </div>
+                    <div className="flex justify-between items-end">
+                        <span className="text-sm font-bold text-gray-500">결제 금액 (VAT 포함)</span>
+                        <span className="text-2xl font-black text-slate-900">{won(total)}</span>
+                    </div>
+                    {!online && (
+                        <p className="text-xs font-bold text-amber-700 bg-amber-50 border border-amber-200 rounded-lg px-3 py-2 flex items-center gap-2">
+                            <WifiOff size={14} /> 오프라인 상태에서는 판매를 등록할 수 없습니다. 연결되면 다시 시도하세요.
+                        </p>
+                    )}
+                    <button
+                        onClick={handleSubmit}
+                        disabled={saving || !paymentMethod || !online}
+                        className="w-full py-3 rounded-xl bg-blue-600 text-white font-bold disabled:opacity-50 flex items-center justify-center gap-2"
+                    >
+                        {saving && <RefreshCw size={14} className="animate-spin" />}
+                        {paymentMethod ? '판매 등록 (재고 차감)' : '결제 수단을 선택하세요'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default Checkout;
@@ -0,0 +1,62 @@
+import React, { useState, useEffect } from 'react';
+import { WifiOff, CloudUpload } from 'lucide-react';
+import { offlineQueue, QUEUE_CHANGED_EVENT } from '../services/OfflineQueue';
+
+/**
+ * Header badge for the offline state and quote saves waiting for the connection.
+ * Sends the queue when the connection comes back, and once on load for saves left from before a refresh.
+ */
+const ConnectionStatus = () => {
+    const [online, setOnline] = useState(navigator.onLine);
+    const [pending, setPending] = useState(offlineQueue.list());
+
+    const flush = async () => {
+        const { failed } = await offlineQueue.flush();
+        if (failed.length > 0) {
+            alert(`저장하지 못한 견적이 있습니다.\n${failed.map(({ entry, error }) => `${entry.label}: ${error.message}`).join('\n')}`);
+        }
+    };
+
+    useEffect(() => {
+        const handleOnline = () => {
+            setOnline(true);
+            flush();
+        };
+        const handleOffline = () => setOnline(false);
+        const handleQueue = () => setPending(offlineQueue.list());
+
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        window.addEventListener(QUEUE_CHANGED_EVENT, handleQueue);
+        if (navigator.onLine && offlineQueue.list().length > 0) flush();
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+            window.removeEventListener(QUEUE_CHANGED_EVENT, handleQueue);
+        };
+    }, []);
+
+    if (online && pending.length === 0) return null;
+
+    return (
+        <div className="flex items-center gap-1 pl-2 ml-1 border-l border-slate-200">
+            {!online && (
+                <span className="px-2 py-1 rounded-lg bg-amber-100 text-amber-700 text-[11px] font-bold flex items-center gap-1 whitespace-nowrap">
+                    <WifiOff size={12} /> 오프라인
+                </span>
+            )}
+            {pending.length > 0 && (
+                <button
+                    onClick={flush}
+                    disabled={!online}
+                    className="px-2 py-1 rounded-lg bg-blue-50 text-blue-700 text-[11px] font-bold flex items-center gap-1 whitespace-nowrap disabled:opacity-60"
+                    title={`${pending.map(entry => entry.label).join(', ')} · 연결되면 자동으로 저장됩니다`}
+                >
+                    <CloudUpload size={12} /> 저장 대기 {pending.length}건
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default ConnectionStatus;
@@ -0,0 +1,331 @@
+import React, { useState, useEffect } from 'react';
+import { Contact, RefreshCw, Search, UserPlus, Save, Trash2, Plus, X, Car } from 'lucide-react';
+import { customerService } from '../services/CustomerService';
+import { QUOTE_STATUS_LABELS } from '../config/quotes';
+import { SALE_STATUS_LABELS, getPaymentMethodLabel } from '../config/sales';
+import { hasPermission } from '../config/roles';
+import { formatSyncTime } from '../utils/formatters';
+
+const EMPTY_CUSTOMER = { name: '', phone: '', note: '', vehicles: [] };
+const EMPTY_VEHICLE = { plate: '', model: '', tireSize: '', note: '' };
+
+const toForm = (customer) => ({
+    name: customer.name,
+    phone: customer.phone,
+    note: customer.note || '',
+    vehicles: customer.vehicles.map(v => ({ ...v }))
+});
+
+/**
+ * Customers, their vehicles (plate, model, tire size) and their quotes and sales.
+ */
+const Customers = ({ onNavigate, user }) => {
+    const [customers, setCustomers] = useState([]);
+    const [query, setQuery] = useState('');
+    const [selectedId, setSelectedId] = useState(null); // 'new' while adding
+    const [current, setCurrent] = useState(null); // the selected customer as saved
+    const [form, setForm] = useState(null);
+    const [history, setHistory] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+    const canManage = hasPermission(user.role, 'manageCustomers');
+
+    useEffect(() => {
+        loadCustomers();
+    }, []);
+
+    const loadCustomers = async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            setCustomers(await customerService.search(query.trim()));
+        } catch (err) {
+            console.error('Customer Loading Error:', err);
+            setError('고객 목록을 불러오지 못했습니다.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const selectCustomer = async (id) => {
+        setSelectedId(id);
+        setHistory(null);
+        try {
+            const result = await customerService.get(id);
+            setCurrent(result.customer);
+            setForm(toForm(result.customer));
+            setHistory(result.history);
+        } catch (err) {
+            alert(`고객 정보를 불러오지 못했습니다: ${err.message}`);
+        }
+    };
+
+    const startNew = () => {
+        setSelectedId('new');
+        setCurrent(null);
+        setForm({ ...EMPTY_CUSTOMER, vehicles: [{ ...EMPTY_VEHICLE }] });
+        setHistory(null);
+    };
+
+    const run = async (task) => {
+        setBusy(true);
+        try {
+            await task();
+            await loadCustomers();
+        } catch (err) {
+            alert(err.code === 'duplicate_phone' ? `이미 등록된 전화번호입니다. (${err.message})` : `저장 실패: ${err.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        loadCustomers();
+    };
+
+    const handleSave = () => run(async () => {
+        // Rows left completely empty are dropped rather than rejected
+        const input = { ...form, vehicles: form.vehicles.filter(v => v.plate.trim() || v.model.trim()) };
+        const saved = selectedId === 'new'
+            ? await customerService.create(input)
+            : await customerService.update(selectedId, input);
+        await selectCustomer(saved.id);
+    });
+
+    const handleDelete = () => {
+        if (!window.confirm(`${form.name} 고객을 삭제하시겠습니까? 견적·판매 기록은 남습니다.`)) return;
+        run(async () => {
+            await customerService.remove(selectedId);
+            setSelectedId(null);
+            setCurrent(null);
+            setForm(null);
+        });
+    };
+
+    const updateVehicle = (index, changes) => {
+        setForm({ ...form, vehicles: form.vehicles.map((v, i) => (i === index ? { ...v, ...changes } : v)) });
+    };
+
+    /** The saved copy of a vehicle row, when it has a tire size to search for. */
+    const savedVehicle = (vehicle) => current?.vehicles.find(v => v.id === vehicle.id && v.tireSize);
+
+    return (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* Customer List */}
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+                <div className="p-4 border-b border-gray-200 space-y-3">
+                    <div className="flex items-center justify-between">
+                        <h2 className="text-lg font-bold flex items-center gap-2">
+                            <Contact size={20} className="text-blue-600" /> 고객
+                        </h2>
+                        {canManage && (
+                            <button onClick={startNew} className="px-3 py-1 rounded-lg text-sm font-medium bg-blue-600 text-white flex items-center gap-1">
+                                <UserPlus size={14} /> 새 고객
+                            </button>
+                        )}
+                    </div>
+                    <form onSubmit={handleSearch} className="relative">
+                        <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={16} />
+                        <input
+                            type="text"
+                            placeholder="전화번호, 차량번호, 차종, 이름"
+                            className="w-full pl-9 pr-3 py-2 border border-gray-200 rounded-lg text-sm"
+                            value={query}
+                            onChange={(e) => setQuery(e.target.value)}
+                        />
+                    </form>
+                </div>
+                {loading ? (
+                    <div className="p-8 text-center text-gray-400 text-sm">
+                        <RefreshCw size={20} className="animate-spin mx-auto mb-2" />
+                        고객 불러오는 중...
+                    </div>
+                ) : error ? (
+                    <div className="p-8 text-center text-red-500 text-sm font-medium">{error}</div>
+                ) : customers.length === 0 ? (
+                    <div className="p-8 text-center text-gray-400 text-sm">등록된 고객이 없습니다.</div>
+                ) : (
+                    <ul className="divide-y divide-gray-100">
+                        {customers.map(customer => (
+                            <li
+                                key={customer.id}
+                                onClick={() => selectCustomer(customer.id)}
+                                className={`p-4 cursor-pointer hover:bg-gray-50 ${customer.id === selectedId ? 'bg-blue-50' : ''}`}
+                            >
+                                <div className="flex items-center justify-between">
+                                    <span className="font-medium text-sm">{customer.name}</span>
+                                    <span className="text-xs text-gray-500 font-mono">{customer.phone}</span>
+                                </div>
+                                <div className="mt-1 text-xs text-gray-500 truncate">
+                                    {customer.vehicles.map(v => [v.plate, v.model].filter(Boolean).join(' ')).join(', ') || '등록 차량 없음'}
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+
+            {/* Customer Detail */}
+            <div className="lg:col-span-2 space-y-6">
+                {!form ? (
+                    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-8 text-center text-gray-400 text-sm">
+                        고객을 선택하세요.
+                    </div>
+                ) : (
+                    <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+                        <div className="p-4 border-b border-gray-200 flex flex-wrap items-center gap-3">
+                            <input
+                                type="text"
+                                placeholder="이름"
+                                readOnly={!canManage}
+                                className="px-3 py-1.5 border border-gray-200 rounded-lg text-sm font-bold"
+                                value={form.name}
+                                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                            />
+                            <input
+                                type="tel"
+                                placeholder="전화번호"
+                                readOnly={!canManage}
+                                className="px-3 py-1.5 border border-gray-200 rounded-lg text-sm font-mono"
+                                value={form.phone}
+                                onChange={(e) => setForm({ ...form, phone: e.target.value })}
+                            />
+                            {canManage && (
+                                <div className="ml-auto flex gap-2">
+                                    <button
+                                        onClick={handleSave}
+                                        disabled={busy || !form.name.trim() || !form.phone.trim()}
+                                        className="px-3 py-1 rounded-lg text-sm font-medium bg-slate-800 text-white flex items-center gap-1 disabled:opacity-50"
+                                    >
+                                        <Save size={14} /> 저장
+                                    </button>
+                                    {selectedId !== 'new' && (
+                                        <button onClick={handleDelete} disabled={busy} className="p-1.5 rounded-lg text-red-500 hover:bg-red-50 disabled:opacity-50">
+                                            <Trash2 size={16} />
+                                        </button>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+
+                        <div className="p-4 space-y-2">
+                            <div className="flex items-center justify-between">
+                                <span className="text-xs font-bold text-gray-500">차량</span>
+                                {canManage && (
+                                    <button
+                                        onClick={() => setForm({ ...form, vehicles: [...form.vehicles, { ...EMPTY_VEHICLE }] })}
+                                        className="px-2 py-1 rounded-lg text-xs font-medium bg-gray-100 text-gray-700 flex items-center gap-1"
+                                    >
+                                        <Plus size={12} /> 차량 추가
+                                    </button>
+                                )}
+                            </div>
+                            {form.vehicles.length === 0 && <p className="text-sm text-gray-400">등록된 차량이 없습니다.</p>}
+                            {form.vehicles.map((vehicle, i) => (
+                                <div key={vehicle.id || i} className="flex flex-wrap items-center gap-2 text-sm">
+                                    <input
+                                        type="text"
+                                        placeholder="차량번호 (12가3456)"
+                                        readOnly={!canManage}
+                                        className="w-36 px-2 py-1.5 border border-gray-200 rounded-lg font-mono"
+                                        value={vehicle.plate}
+                                        onChange={(e) => updateVehicle(i, { plate: e.target.value })}
+                                    />
+                                    <input
+                                        type="text"
+                                        placeholder="차종 (쏘나타 2021)"
+                                        readOnly={!canManage}
+                                        className="flex-1 min-w-[140px] px-2 py-1.5 border border-gray-200 rounded-lg"
+                                        value={vehicle.model}
+                                        onChange={(e) => updateVehicle(i, { model: e.target.value })}
+                                    />
+                                    <input
+                                        type="text"
+                                        placeholder="타이어 규격"
+                                        readOnly={!canManage}
+                                        className="w-32 px-2 py-1.5 border border-gray-200 rounded-lg font-mono"
+                                        value={vehicle.tireSize}
+                                        onChange={(e) => updateVehicle(i, { tireSize: e.target.value })}
+                                    />
+                                    {onNavigate && savedVehicle(vehicle) && (
+                                        <button
+                                            onClick={() => onNavigate('products', { customer: current, vehicle: savedVehicle(vehicle) })}
+                                            className="px-2 py-1.5 rounded-lg text-xs font-medium bg-blue-50 text-blue-700 flex items-center gap-1"
+                                        >
+                                            <Car size={12} /> 타이어 검색
+                                        </button>
+                                    )}
+                                    {canManage && (
+                                        <button
+                                            onClick={() => setForm({ ...form, vehicles: form.vehicles.filter((_, j) => j !== i) })}
+                                            className="p-1 text-gray-400 hover:text-red-600"
+                                        >
+                                            <X size={14} />
+                                        </button>
+                                    )}
+                                </div>
+                            ))}
+                            <textarea
+                                placeholder="메모"
+                                readOnly={!canManage}
+                                rows={2}
+                                className="w-full mt-2 px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                                value={form.note}
+                                onChange={(e) => setForm({ ...form, note: e.target.value })}
+                            />
+                        </div>
+                    </div>
+                )}
+
+                {history && (
+                    <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+                        <div className="p-4 border-b border-gray-200">
+                            <h3 className="font-bold text-sm">이용 내역</h3>
+                        </div>
+                        {history.quotes.length === 0 && history.sales.length === 0 ? (
+                            <div className="p-6 text-center text-gray-400 text-sm">견적·판매 내역이 없습니다.</div>
+                        ) : (
+                            <table className="w-full text-sm text-left">
+                                <tbody className="divide-y divide-gray-100">
+                                    {history.sales.map(sale => (
+                                        <tr key={sale.id}>
+                                            <td className="px-6 py-3 text-gray-500 whitespace-nowrap">{formatSyncTime(sale.createdAt)}</td>
+                                            <td className="px-6 py-3 font-mono">{sale.number}</td>
+                                            <td className="px-6 py-3 text-gray-600 truncate max-w-xs">
+                                                {sale.lines.map(line => `${line.model} ${line.size} ×${line.qty}`).join(', ') || '공임'}
+                                            </td>
+                                            <td className="px-6 py-3 text-xs">
+                                                {sale.status === 'voided' ? <span className="text-red-600 font-bold">{SALE_STATUS_LABELS.voided}</span> : getPaymentMethodLabel(sale.paymentMethod)}
+                                            </td>
+                                            <td className="px-6 py-3 text-right font-medium">{sale.total.toLocaleString()}원</td>
+                                        </tr>
+                                    ))}
+                                    {history.quotes.map(quote => (
+                                        <tr
+                                            key={quote.id}
+                                            onClick={() => onNavigate && onNavigate('products', { quote })}
+                                            className="cursor-pointer hover:bg-gray-50 text-gray-600"
+                                            title="장바구니로 열기"
+                                        >
+                                            <td className="px-6 py-3 text-gray-500 whitespace-nowrap">{formatSyncTime(quote.createdAt)}</td>
+                                            <td className="px-6 py-3 font-mono">{quote.number}</td>
+                                            <td className="px-6 py-3 truncate max-w-xs">
+                                                {quote.lines.map(line => `${line.model} ${line.size} ×${line.qty}`).join(', ')}
+                                            </td>
+                                            <td className="px-6 py-3 text-xs">견적 · {quote.sale ? '판매완료' : QUOTE_STATUS_LABELS[quote.status]}</td>
+                                            <td className="px-6 py-3 text-right">{quote.total.toLocaleString()}원</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default Customers;
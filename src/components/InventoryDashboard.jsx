@@ -1,31 +1,90 @@
 import React, { useState, useEffect } from 'react';
-import { Warehouse, AlertTriangle, RefreshCw, Plus, ScanLine, Search } from 'lucide-react';
-import { inventoryService } from '../services/InventoryService';
+import { Warehouse, AlertTriangle, RefreshCw, Plus, ScanLine, Search, ArrowLeftRight, X, ClipboardList } from 'lucide-react';
+import { inventoryService, DEMO_MODE } from '../services/InventoryService';
+import { stockService } from '../services/StockService';
+import { getBrandDisplayName } from '../utils/formatters';
+import { parseDot, getDotAgeLevel } from '../utils/dot';
+import { hasPermission } from '../config/roles';
 
-const InventoryDashboard = () => {
+const LOCATION_LABELS = { store: '매장', warehouse: '물류센터' };
+const PAGE_SIZE = 50;
+
+const InventoryDashboard = ({ onNavigate, user }) => {
     const [inventory, setInventory] = useState([]);
     const [lowStockItems, setLowStockItems] = useState([]);
     const [filter, setFilter] = useState('all'); // all, store, warehouse
+    const [query, setQuery] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [action, setAction] = useState(null); // { kind: 'adjust' | 'move' | 'add', item?, qty, code?, type? }
+    const [saving, setSaving] = useState(false);
+    const canViewCost = DEMO_MODE || hasPermission(user.role, 'viewCost'); // the API leaves `cost` out otherwise
+    const canAdjust = !DEMO_MODE && hasPermission(user.role, 'adjustStock');
 
     useEffect(() => {
         loadInventory();
     }, []);
 
-    const loadInventory = () => {
-        // In a real app, we would have a specific API for this.
-        // Here we just grab all inventory from the service mock.
-        const allInv = inventoryService.inventory.map(inv => {
-            const product = inventoryService.products.find(p => p.id === inv.productId);
-            return { ...inv, product };
-        });
+    const loadInventory = async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            let allInv;
+            if (DEMO_MODE) {
+                // Demo mode: flatten the mock products/inventory into the same shape as /api/stock
+                allInv = inventoryService.inventory.map(inv => {
+                    const product = inventoryService.products.find(p => p.id === inv.productId);
+                    return { ...inv, code: inv.productId, brand: product?.brand, model: product?.model, size: product?.size };
+                });
+            } else {
+                allInv = await stockService.list();
+            }
+
+            setInventory(allInv);
+            setLowStockItems(allInv.filter(i => i.stockQty <= i.reorderPoint));
+        } catch (err) {
+            console.error('Inventory Loading Error:', err);
+            setError('재고 데이터를 불러오지 못했습니다.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const submitAction = async () => {
+        const qty = Number(action.qty);
+        if (!Number.isInteger(qty) || qty === 0) {
+            alert('수량을 정확히 입력해주세요.');
+            return;
+        }
 
-        setInventory(allInv);
-        setLowStockItems(allInv.filter(i => i.stockQty <= i.reorderPoint));
+        setSaving(true);
+        try {
+            if (action.kind === 'adjust') {
+                await stockService.adjust({ code: action.item.code, type: action.item.type, delta: qty, reason: action.reason });
+            } else if (action.kind === 'move') {
+                const to = action.item.type === 'store' ? 'warehouse' : 'store';
+                await stockService.move({ code: action.item.code, from: action.item.type, to, qty, reason: action.reason });
+            } else {
+                if (!action.code?.trim()) {
+                    alert('상품 코드를 입력해주세요.');
+                    return;
+                }
+                await stockService.adjust({ code: action.code.trim(), type: action.type, delta: qty, reason: action.reason });
+            }
+            setAction(null);
+            await loadInventory();
+        } catch (err) {
+            alert(err.code === 'insufficient_stock' ? '재고가 부족합니다.' : `저장 실패: ${err.message}`);
+        } finally {
+            setSaving(false);
+        }
     };
 
+    const lowerQuery = query.trim().toLowerCase();
     const filteredInventory = inventory.filter(item => {
-        if (filter === 'all') return true;
-        return item.type === filter;
+        if (filter !== 'all' && item.type !== filter) return false;
+        if (!lowerQuery) return true;
+        return [item.code, item.brand, item.model, item.size].some(v => String(v || '').toLowerCase().includes(lowerQuery));
     });
 
     return (
@@ -34,14 +93,16 @@ const InventoryDashboard = () => {
             <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
                 <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
                     <div className="flex items-center justify-between mb-4">
-                        <h3 className="text-gray-500 font-medium">총 재고 자산</h3>
+                        <h3 className="text-gray-500 font-medium">{canViewCost ? '총 재고 자산' : '총 재고 수량'}</h3>
                         <Warehouse className="text-blue-600" size={24} />
                     </div>
                     <p className="text-2xl font-bold text-slate-800">
-                        {(inventory.reduce((acc, curr) => acc + (curr.cost * curr.stockQty), 0) / 1000000).toFixed(1)}M 원
+                        {canViewCost
+                            ? `${(inventory.reduce((acc, curr) => acc + (curr.cost * curr.stockQty), 0) / 1000000).toFixed(1)}M 원`
+                            : `${inventory.reduce((acc, curr) => acc + curr.stockQty, 0).toLocaleString()} 개`}
                     </p>
-                    <p className="text-xs text-green-600 mt-1 flex items-center">
-                        <RefreshCw size={12} className="mr-1" /> 실시간 연동됨
+                    <p className={`text-xs mt-1 flex items-center ${DEMO_MODE ? 'text-amber-600' : 'text-green-600'}`}>
+                        <RefreshCw size={12} className="mr-1" /> {DEMO_MODE ? '데모 데이터' : '실시간 연동됨'}
                     </p>
                 </div>
 
@@ -51,21 +112,44 @@ const InventoryDashboard = () => {
                         <AlertTriangle className="text-red-500" size={24} />
                     </div>
                     <p className="text-2xl font-bold text-slate-800">{lowStockItems.length} 건</p>
-                    <p className="text-xs text-red-500 mt-1">자동 발주 시스템 대기 중</p>
+                    {DEMO_MODE || !onNavigate ? (
+                        <p className="text-xs text-red-500 mt-1">발주 관리는 실데이터 모드에서 사용 가능</p>
+                    ) : canViewCost && (
+                        <button
+                            onClick={() => onNavigate('purchase-orders')}
+                            className="text-xs text-red-500 mt-1 flex items-center hover:underline"
+                        >
+                            <ClipboardList size={12} className="mr-1" /> 발주 제안 만들기
+                        </button>
+                    )}
                 </div>
 
-                <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200 flex flex-col justify-center items-center cursor-pointer hover:bg-gray-50 transition-colors">
+                <button
+                    onClick={() => onNavigate?.('receiving')}
+                    disabled={!canAdjust || !onNavigate}
+                    className="bg-white p-6 rounded-xl shadow-sm border border-gray-200 flex flex-col justify-center items-center hover:bg-gray-50 transition-colors disabled:cursor-not-allowed disabled:opacity-60"
+                >
                     <ScanLine size={32} className="text-blue-600 mb-2" />
-                    <h3 className="font-bold text-slate-800">RFID 입고 스캔</h3>
-                    <p className="text-xs text-gray-400">SGTIN-96 태그 인식</p>
-                </div>
+                    <h3 className="font-bold text-slate-800">입고 스캔</h3>
+                    <p className="text-xs text-gray-400">바코드 · DOT 입력</p>
+                </button>
             </div>
 
             {/* Inventory List */}
             <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
-                <div className="p-6 border-b border-gray-200 flex justify-between items-center">
+                <div className="p-6 border-b border-gray-200 flex flex-col md:flex-row md:justify-between md:items-center gap-4">
                     <h2 className="text-lg font-bold">재고 현황</h2>
-                    <div className="flex gap-2">
+                    <div className="flex flex-wrap gap-2 items-center">
+                        <div className="relative">
+                            <Search className="absolute left-2.5 top-1/2 -translate-y-1/2 text-gray-400" size={14} />
+                            <input
+                                type="text"
+                                placeholder="코드, 모델, 규격"
+                                className="pl-8 pr-3 py-1 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/20"
+                                value={query}
+                                onChange={(e) => setQuery(e.target.value)}
+                            />
+                        </div>
                         <button
                             onClick={() => setFilter('all')}
                             className={`px-3 py-1 rounded-lg text-sm font-medium ${filter === 'all' ? 'bg-slate-800 text-white' : 'bg-gray-100 text-gray-600'}`}
@@ -84,8 +168,74 @@ const InventoryDashboard = () => {
                         >
                             물류센터
                         </button>
+                        {canAdjust && (
+                            <button
+                                onClick={() => setAction({ kind: 'add', code: '', type: 'store', qty: '' })}
+                                className="px-3 py-1 rounded-lg text-sm font-medium bg-blue-600 text-white flex items-center gap-1"
+                            >
+                                <Plus size={14} /> 품목 추가
+                            </button>
+                        )}
                     </div>
                 </div>
+
+                {/* Adjust / Move / Add Panel */}
+                {action && (
+                    <div className="p-4 bg-blue-50 border-b border-blue-100 flex flex-wrap items-center gap-3 text-sm">
+                        <span className="font-bold text-slate-700">
+                            {action.kind === 'adjust' && `수량 조정 · ${action.item.code} (${LOCATION_LABELS[action.item.type]})`}
+                            {action.kind === 'move' && `${LOCATION_LABELS[action.item.type]} → ${LOCATION_LABELS[action.item.type === 'store' ? 'warehouse' : 'store']} 이동 · ${action.item.code}`}
+                            {action.kind === 'add' && '신규 품목 입고'}
+                        </span>
+                        {action.kind === 'add' && (
+                            <>
+                                <input
+                                    type="text"
+                                    placeholder="상품 코드 (시트 code)"
+                                    className="px-3 py-1 border border-gray-200 rounded-lg"
+                                    value={action.code}
+                                    onChange={(e) => setAction({ ...action, code: e.target.value })}
+                                />
+                                <select
+                                    className="px-3 py-1 border border-gray-200 rounded-lg"
+                                    value={action.type}
+                                    onChange={(e) => setAction({ ...action, type: e.target.value })}
+                                >
+                                    <option value="store">매장</option>
+                                    <option value="warehouse">물류센터</option>
+                                </select>
+                            </>
+                        )}
+                        <input
+                            type="text"
+                            inputMode="numeric"
+                            placeholder={action.kind === 'adjust' ? '+/- 수량' : '수량'}
+                            className="w-24 px-3 py-1 border border-gray-200 rounded-lg text-right"
+                            value={action.qty}
+                            onChange={(e) => setAction({ ...action, qty: e.target.value.replace(/[^0-9-]/g, '') })}
+                            onKeyDown={(e) => e.key === 'Enter' && submitAction()}
+                        />
+                        <input
+                            type="text"
+                            placeholder="사유 (예: 실사 차이, 파손)"
+                            className="flex-1 min-w-[160px] px-3 py-1 border border-gray-200 rounded-lg"
+                            value={action.reason || ''}
+                            onChange={(e) => setAction({ ...action, reason: e.target.value })}
+                            onKeyDown={(e) => e.key === 'Enter' && submitAction()}
+                        />
+                        <button
+                            onClick={submitAction}
+                            disabled={saving}
+                            className="px-3 py-1 rounded-lg bg-slate-800 text-white font-medium disabled:opacity-50"
+                        >
+                            저장
+                        </button>
+                        <button onClick={() => setAction(null)} className="p-1 text-gray-400 hover:text-gray-700">
+                            <X size={16} />
+                        </button>
+                    </div>
+                )}
+
                 <div className="overflow-x-auto">
                     <table className="w-full text-sm text-left">
                         <thead className="bg-gray-50 text-gray-500 font-medium border-b border-gray-200">
@@ -95,21 +245,49 @@ const InventoryDashboard = () => {
                                 <th className="px-6 py-3">위치</th>
                                 <th className="px-6 py-3 text-right">재고수량</th>
                                 <th className="px-6 py-3 text-right">상태</th>
+                                {canAdjust && <th className="px-6 py-3 text-right">관리</th>}
                             </tr>
                         </thead>
                         <tbody className="divide-y divide-gray-100">
-                            {filteredInventory.slice(0, 20).map((item, idx) => (
-                                <tr key={idx} className="hover:bg-gray-50">
+                            {loading ? (
+                                <tr>
+                                    <td colSpan="6" className="px-6 py-12 text-center text-gray-400">
+                                        <RefreshCw size={20} className="animate-spin mx-auto mb-2" />
+                                        재고 불러오는 중...
+                                    </td>
+                                </tr>
+                            ) : error ? (
+                                <tr>
+                                    <td colSpan="6" className="px-6 py-12 text-center text-red-500 font-medium">{error}</td>
+                                </tr>
+                            ) : filteredInventory.length === 0 ? (
+                                <tr>
+                                    <td colSpan="6" className="px-6 py-12 text-center text-gray-400">등록된 재고가 없습니다.</td>
+                                </tr>
+                            ) : filteredInventory.slice(0, PAGE_SIZE).map((item) => (
+                                <tr key={`${item.code}-${item.type}`} className="hover:bg-gray-50">
                                     <td className="px-6 py-3 font-medium text-slate-800">
-                                        {item.product?.brand} {item.product?.model}
+                                        {getBrandDisplayName(item.brand)} {item.model}
+                                        <div className="text-[11px] text-gray-400 font-mono">{item.code}</div>
                                     </td>
-                                    <td className="px-6 py-3 text-gray-600">{item.product?.size}</td>
+                                    <td className="px-6 py-3 text-gray-600">{item.size}</td>
                                     <td className="px-6 py-3">
                                         <span className={`px-2 py-1 rounded text-xs font-bold ${item.type === 'store' ? 'bg-green-100 text-green-700' : 'bg-blue-100 text-blue-700'}`}>
                                             {item.location}
                                         </span>
                                     </td>
-                                    <td className="px-6 py-3 text-right font-bold">{item.stockQty}</td>
+                                    <td className="px-6 py-3 text-right font-bold">
+                                        {item.stockQty}
+                                        {item.batches?.length > 0 && (
+                                            <div className="flex flex-wrap justify-end gap-1 mt-1">
+                                                {item.batches.map(batch => (
+                                                    <span key={batch.dot} className={`text-[10px] font-normal px-1.5 py-0.5 rounded border ${getDotAgeLevel(parseDot(batch.dot)).className}`}>
+                                                        {batch.dot} × {batch.qty}
+                                                    </span>
+                                                ))}
+                                            </div>
+                                        )}
+                                    </td>
                                     <td className="px-6 py-3 text-right">
                                         {item.stockQty <= item.reorderPoint ? (
                                             <span className="text-red-500 font-bold text-xs flex items-center justify-end">
@@ -119,13 +297,29 @@ const InventoryDashboard = () => {
                                             <span className="text-green-500 text-xs">정상</span>
                                         )}
                                     </td>
+                                    {canAdjust && (
+                                        <td className="px-6 py-3 text-right whitespace-nowrap">
+                                            <button
+                                                onClick={() => setAction({ kind: 'adjust', item, qty: '' })}
+                                                className="px-2 py-1 text-xs font-medium text-slate-600 bg-gray-100 hover:bg-gray-200 rounded mr-1"
+                                            >
+                                                조정
+                                            </button>
+                                            <button
+                                                onClick={() => setAction({ kind: 'move', item, qty: '' })}
+                                                className="px-2 py-1 text-xs font-medium text-blue-600 bg-blue-50 hover:bg-blue-100 rounded inline-flex items-center gap-1"
+                                            >
+                                                <ArrowLeftRight size={12} /> 이동
+                                            </button>
+                                        </td>
+                                    )}
                                 </tr>
                             ))}
                         </tbody>
                     </table>
                 </div>
                 <div className="p-4 border-t border-gray-200 text-center text-xs text-gray-400">
-                    Showing top 20 items of {filteredInventory.length}
+                    Showing top {Math.min(PAGE_SIZE, filteredInventory.length)} items of {filteredInventory.length}
                 </div>
             </div>
         </div>
@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { Lock, RefreshCw } from 'lucide-react';
+import { authService } from '../services/AuthService';
+
+/**
+ * Staff login. Shown instead of the app until someone is signed in.
+ */
+const Login = ({ onLogin, expired = false }) => {
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setBusy(true);
+        setError(null);
+        try {
+            onLogin(await authService.login(username.trim(), password));
+        } catch (err) {
+            setError(err.code === 'invalid_credentials' ? '아이디 또는 비밀번호가 올바르지 않습니다.' : `로그인 실패: ${err.message}`);
+            setPassword('');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-slate-50 px-4">
+            <form onSubmit={handleSubmit} className="w-full max-w-sm bg-white rounded-xl shadow-sm border border-gray-200 p-6 space-y-4">
+                <div className="text-center">
+                    <h1 className="text-2xl font-black text-slate-900 tracking-tight">대동타이어</h1>
+                    <p className="text-xs text-slate-500 mt-1 flex items-center justify-center gap-1">
+                        <Lock size={12} /> 직원 로그인
+                    </p>
+                </div>
+
+                {expired && !error && (
+                    <p className="text-sm text-amber-700 bg-amber-50 rounded-lg px-3 py-2">로그인이 만료되었습니다. 다시 로그인해 주세요.</p>
+                )}
+                {error && <p className="text-sm text-red-600 bg-red-50 rounded-lg px-3 py-2">{error}</p>}
+
+                <label className="block text-sm font-medium text-gray-700">
+                    아이디
+                    <input
+                        type="text"
+                        autoComplete="username"
+                        autoFocus
+                        className="mt-1 w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                        value={username}
+                        onChange={(e) => setUsername(e.target.value)}
+                    />
+                </label>
+                <label className="block text-sm font-medium text-gray-700">
+                    비밀번호
+                    <input
+                        type="password"
+                        autoComplete="current-password"
+                        className="mt-1 w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                    />
+                </label>
+
+                <button
+                    type="submit"
+                    disabled={busy || !username.trim() || !password}
+                    className="w-full py-2.5 rounded-lg bg-slate-900 text-white text-sm font-bold disabled:opacity-50 flex items-center justify-center gap-2"
+                >
+                    {busy && <RefreshCw size={14} className="animate-spin" />} 로그인
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default Login;
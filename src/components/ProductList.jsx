@@ -1,37 +1,149 @@
-import React, { useState, useEffect } from 'react';
-import { Search, RefreshCw, AlertCircle, ArrowUpDown, ArrowUp, ArrowDown, Share2, X, Copy, ExternalLink, Check, CheckSquare, Square, ShoppingCart, ShoppingBag } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Search, RefreshCw, AlertCircle, ArrowUpDown, ArrowUp, ArrowDown, Share2, X, Copy, ExternalLink, Check, CheckSquare, Square, ShoppingCart, ShoppingBag, TrendingDown, Car, Save, Printer, RotateCcw, Clock, Eye, EyeOff, Receipt, Contact, Link2Off, Wrench, Plus, FilePlus, WifiOff } from 'lucide-react';
 import { inventoryService } from '../services/InventoryService';
 import { googleSheetService } from '../services/GoogleSheetService';
-import { BRAND_KO_MAP, normalizeSize, getBrandDisplayName } from '../utils/formatters';
+import { BRAND_KO_MAP, normalizeSize, getBrandDisplayName, formatSyncTime, formatAge } from '../utils/formatters';
+import { filterSheetBySize, mergeSheetWithStock, sizeMatchRank } from '../utils/catalog';
+import { parseTireSize } from '../utils/tireSize';
+import { shopDate, addDays } from '../utils/dates';
+import { suggestServices, serviceLineKey } from '../utils/services';
+import { vehicleService } from '../services/VehicleService';
+import { dotAgeMonths, formatDotAge, getDotAgeLevel, pickOldestFirst } from '../utils/dot';
+import { quoteService } from '../services/QuoteService';
+import { SHOP_INFO, TOSS_TRANSFER_URL } from '../config/shop';
+import { QUOTE_VALIDITY_DAYS } from '../config/quotes';
+import QuotePrint from './QuotePrint';
+import Checkout from './Checkout';
+import { salesService } from '../services/SalesService';
+import { customerService } from '../services/CustomerService';
+import { cartStorage } from '../services/CartStorage';
+import { offlineCatalog } from '../services/OfflineCatalog';
+import { offlineQueue, isNetworkError, QUEUE_FLUSHED_EVENT } from '../services/OfflineQueue';
+import { priceProduct, applyPriceOverride, getMargin, splitVat } from '../utils/pricing';
+import { priceOverrideService } from '../services/PriceOverrideService';
+import { CUSTOMER_TIERS, DEFAULT_TIER, MARGIN_WARNING_PERCENT } from '../config/pricing';
+import { hasPermission } from '../config/roles';
+
+const EMPTY_QUOTE_FORM = { customerId: '', customerName: '', customerPhone: '', vehicle: '', discount: 0, validUntil: '' };
+
+/**
+ * Cart line -> quote line (prices as shown in the cart, VAT-inclusive).
+ */
+const toQuoteLine = ({ product: p, qty }, tier) => {
+    const price = priceProduct(p, tier);
+    return {
+        code: p.partNo,
+        brand: p.brand,
+        model: p.model,
+        size: p.size,
+        qty,
+        factoryPrice: p.factoryPrice || 0,
+        discountRate: price.discountRate,
+        unitPrice: price.unitPrice,
+        supplyPrice: p.supplyPrice || null
+    };
+};
 
-const ProductList = () => {
+/**
+ * Quote line -> cart line. Stock and DOTs are not part of a quote, so reopened lines show none until searched again.
+ * The quoted unit price and the supply price it was quoted against stay, even if the sheet changed since.
+ */
+const fromQuoteLine = (line) => ({
+    product: {
+        partNo: line.code,
+        brand: line.brand,
+        model: line.model,
+        size: line.size,
+        factoryPrice: line.factoryPrice,
+        discountRate: line.discountRate,
+        quotedPrice: line.unitPrice,
+        supplyPrice: line.supplyPrice ?? undefined,
+        dots: []
+    },
+    qty: line.qty
+});
+
+/**
+ * An empty cart (see CartStorage's StoredCart).
+ */
+const createCart = () => ({ id: crypto.randomUUID(), items: [], services: [], quoteForm: EMPTY_QUOTE_FORM, savedQuote: null, tier: DEFAULT_TIER });
+
+/**
+ * Tab label: the customer's name once entered.
+ */
+const cartLabel = (cart, index) => cart.quoteForm.customerName.trim() || `장바구니 ${index + 1}`;
+
+const defaultValidUntil = () => addDays(shopDate(), QUOTE_VALIDITY_DAYS);
+
+const ProductList = ({ params, user }) => {
     const [products, setProducts] = useState([]);
     const [dotData, setDotData] = useState([]);
     const [loading, setLoading] = useState(true);
     const [filter, setFilter] = useState({ brand: 'All', size: '' });
     const [sortConfig, setSortConfig] = useState({ key: 'totalStock', direction: 'desc' });
     const [selectedItems, setSelectedItems] = useState([]);
-    const [cartItems, setCartItems] = useState([]); // Array of objects: { product, qty }
+    const [storedCarts] = useState(() => {
+        const stored = cartStorage.load();
+        if (stored) return stored;
+        const cart = createCart();
+        return { activeId: cart.id, carts: [cart] };
+    });
+    const initialCart = storedCarts.carts.find(cart => cart.id === storedCarts.activeId);
+    const [carts, setCarts] = useState(storedCarts.carts); // every open cart; the active one is only current in the states below
+    const [activeCartId, setActiveCartId] = useState(storedCarts.activeId);
+    const [cartItems, setCartItems] = useState(initialCart.items); // Array of objects: { product, qty }
+    const [cartServices, setCartServices] = useState(initialCart.services); // Installation labor in the cart (utils/services ServiceLine)
     const [showShareModal, setShowShareModal] = useState(false);
     const [expandedDotItems, setExpandedDotItems] = useState([]); // Track expanded DOT lists on mobile
+    const [stockError, setStockError] = useState(null); // Set when Blackcircles stock could not be loaded
+    const [stockProgress, setStockProgress] = useState(null); // { page, totalPages } while paging through stock
+    const [catalogInfo, setCatalogInfo] = useState(null); // { syncedAt, sources, offline } when results came from the catalog snapshot
+    const [syncing, setSyncing] = useState(false);
+    const [includeAlternatives, setIncludeAlternatives] = useState(false); // same-rim / plus-size sizes within ±3% diameter
+    const [searchMode, setSearchMode] = useState('size'); // 'size' | 'vehicle' | 'customer'
+    const [vehicle, setVehicle] = useState({ maker: '', model: '', year: '', trim: '' }); // trim '' = every trim of that year
+    const [customerQuery, setCustomerQuery] = useState(''); // phone or plate, customer search mode
+    const [customerMatches, setCustomerMatches] = useState(null); // null until looked up
+    const [pendingSearch, setPendingSearch] = useState(false); // run the size search once the picked size is in state
+    const [quoteForm, setQuoteForm] = useState(initialCart.quoteForm);
+    const [savedQuote, setSavedQuote] = useState(initialCart.savedQuote); // the quote the cart was saved as or reopened from
+    const [savingQuote, setSavingQuote] = useState(false);
+    const [showPrint, setShowPrint] = useState(false);
+    const [showCheckout, setShowCheckout] = useState(false);
+    const [tier, setTier] = useState(initialCart.tier); // customer tier for default discounts, per cart
+    const [vatMode, setVatMode] = useState('incl'); // 'incl' | 'excl' - how selling prices are shown
+    const [costMode, setCostMode] = useState(false); // staff only: supply price and margin; off before showing a customer
+    const canViewCost = hasPermission(user.role, 'viewCost');
+    const canEditPrices = hasPermission(user.role, 'editPrices');
+    const canSaveQuotes = hasPermission(user.role, 'manageQuotes');
+    const canSync = hasPermission(user.role, 'syncCatalog');
+    const canSell = hasPermission(user.role, 'sell');
+    const canSellBelowCost = hasPermission(user.role, 'sellBelowCost');
+    const handledParams = useRef(null); // params are applied once, not again when StrictMode re-runs the effect
+
+    const activeCart = { id: activeCartId, items: cartItems, services: cartServices, quoteForm, savedQuote, tier };
+    const openCarts = carts.map(cart => (cart.id === activeCartId ? activeCart : cart));
+    const activeCartIndex = openCarts.findIndex(cart => cart.id === activeCartId);
 
-    /**
-     * Get Tailwind color classes based on DOT year
-     * @param {string} dot - The DOT string (e.g., "3524")
-     */
-    const getDotColor = (dot) => {
-        if (!dot) return 'bg-slate-100 text-slate-400 border-slate-200';
-
-        // Extract year from strings like "3524", "DOT#1-1: 3524", "3524.42"
-        const yearMatch = dot.match(/(\d{2})(\d{2})(?:\.\d+)?$/) || dot.match(/(\d{2})(\d{2})/);
-        const year = yearMatch ? yearMatch[2] : '';
+    useEffect(() => {
+        cartStorage.save({ activeId: activeCartId, carts: openCarts });
+    }, [carts, activeCartId, cartItems, cartServices, quoteForm, savedQuote, tier]);
 
-        switch (year) {
-            case '25': return 'bg-slate-100 text-slate-600 border-slate-200'; // Stock color (Slate)
-            case '24': return 'bg-red-50 text-red-600 border-red-200'; // Red
-            default: return 'bg-slate-50 text-slate-400 border-slate-200';
-        }
-    };
+    useEffect(() => {
+        // A quote saved while offline went through: the cart now edits that quote
+        const handleFlushed = ({ detail }) => detail.done.forEach(({ entry, quote }) => {
+            if (entry.cartId === activeCartId) {
+                setSavedQuote(quote);
+                setQuoteForm(prev => ({ ...prev, validUntil: quote.validUntil }));
+            } else {
+                setCarts(prev => prev.map(cart => (cart.id === entry.cartId
+                    ? { ...cart, savedQuote: quote, quoteForm: { ...cart.quoteForm, validUntil: quote.validUntil } }
+                    : cart)));
+            }
+        });
+        window.addEventListener(QUEUE_FLUSHED_EVENT, handleFlushed);
+        return () => window.removeEventListener(QUEUE_FLUSHED_EVENT, handleFlushed);
+    }, [activeCartId]);
 
     const toggleDotExpansion = (productIndex, e) => {
         e.stopPropagation(); // Prevent card selection logic
@@ -43,6 +155,21 @@ const ProductList = () => {
         });
     };
 
+    useEffect(() => {
+        if (!params || handledParams.current === params) return;
+        handledParams.current = params;
+        // Reopen a saved quote into the cart (from the quote list)
+        if (params.quote) openQuote(params.quote);
+        // Opened from a customer's vehicle (customer list)
+        if (params.customer) pickCustomerVehicle(params.customer, params.vehicle);
+    }, [params]);
+
+    useEffect(() => {
+        if (!pendingSearch) return;
+        setPendingSearch(false);
+        loadData();
+    }, [pendingSearch]);
+
     useEffect(() => {
         // Only clear if empty, no auto-load
         if (filter.size.trim().length === 0) {
@@ -51,70 +178,174 @@ const ProductList = () => {
         }
     }, [filter.size]);
 
+    useEffect(() => {
+        // Re-run the current search when alternatives are toggled
+        if (canSearch && products.length > 0) loadData();
+    }, [includeAlternatives]);
+
+    // Vehicle search mode
+    const vehicleModels = vehicle.maker ? vehicleService.models(vehicle.maker) : [];
+    const vehicleYears = vehicle.model ? vehicleService.years(vehicle.maker, vehicle.model) : [];
+    const yearFitments = vehicle.year ? vehicleService.fitments(vehicle.maker, vehicle.model, vehicle.year) : [];
+    const selectedFitments = vehicle.trim ? yearFitments.filter(f => f.trim === vehicle.trim) : yearFitments;
+    const canSearch = searchMode === 'vehicle' ? selectedFitments.length > 0 : searchMode === 'size' && Boolean(filter.size.trim());
+
+    const switchSearchMode = (mode) => {
+        if (mode === searchMode) return;
+        setSearchMode(mode);
+        setProducts([]);
+        setSelectedItems([]);
+    };
+
+    const lookupCustomer = async () => {
+        try {
+            setCustomerMatches(await customerService.search(customerQuery.trim()));
+        } catch (error) {
+            console.error('Customer Lookup Error:', error);
+            alert(`고객 조회 실패: ${error.message}`);
+        }
+    };
+
+    /**
+     * Link the customer to the cart and search the vehicle's registered tire size.
+     */
+    const pickCustomerVehicle = (customer, entry) => {
+        // A cart already filled for someone else is kept; this customer gets a new one
+        const otherCustomer = quoteForm.customerId ? quoteForm.customerId !== customer.id : Boolean(quoteForm.customerName.trim());
+        if (cartItems.length > 0 && otherCustomer) addCart();
+        setQuoteForm(prev => ({
+            ...prev,
+            customerId: customer.id,
+            customerName: customer.name,
+            customerPhone: customer.phone,
+            vehicle: entry ? [entry.model, entry.plate].filter(Boolean).join(' ') : prev.vehicle
+        }));
+        setCustomerMatches(null);
+        if (!entry?.tireSize) return;
+        setSearchMode('size');
+        setSelectedItems([]);
+        setFilter(prev => ({ ...prev, size: entry.tireSize }));
+        setPendingSearch(true);
+    };
+
+    /**
+     * Live search: fetch the sheet and Blackcircles directly and merge in the browser.
+     * Used when the synced catalog (/api/catalog) is unavailable.
+     */
+    const loadLiveProducts = async (size) => {
+        const searchSizeNorm = normalizeSize(size);
+        console.log(`[LoadData] Starting Sheet-First Search for: ${searchSizeNorm}`);
+
+        // 1. Fetch Google Sheet Data (Primary Source)
+        // 2. Fetch Blackcircles Inventory (Stock Source)
+        // A dead Blackcircles session must not hide the sheet prices, so it is caught separately
+        const [sheetData, productData] = await Promise.all([
+            googleSheetService.fetchSheetData(),
+            inventoryService.fetchShopItems(size, { onProgress: setStockProgress }).catch(error => {
+                if (error.code !== 'session_expired') throw error;
+                setStockError('블랙서클 로그인 세션이 만료되어 재고를 불러오지 못했습니다. 재고 수량이 정확하지 않습니다.');
+                return [];
+            })
+        ]);
+
+        // Blackcircles changed the stock table layout: rows were withheld rather than misread
+        const drift = inventoryService.schemaDrift;
+        if (drift && drift.missing.length > 0) {
+            setStockError(`블랙서클 재고표 형식이 변경되어 재고를 읽지 못했습니다. (누락 항목: ${drift.missing.join(', ')})`);
+        }
+
+        // 3. Filter Sheet Data by Size and Price
+        // Rule: Must match the size AND have factoryPrice > 0
+        // Exact sizes only: the live stock request above only covers the searched size
+        const filteredSheetEntries = filterSheetBySize(sheetData, size);
+        console.log(`[Sheet Data] Found ${filteredSheetEntries.length} matching entries in sheet.`);
+
+        // 4. Merge Sheet Data with Live Stock (matched on partNo / itId / stId)
+        const merged = mergeSheetWithStock(filteredSheetEntries, productData);
+
+        // 5. Attach stock trends recorded by the server (the catalog already includes them)
+        const trends = await inventoryService.fetchStockTrends(merged.map(p => p.partNo));
+        return merged.map(p => ({ ...p, trend: trends[p.partNo] || null }));
+    };
+
+    /**
+     * Offline: search the last catalog snapshot the service worker kept. Results are marked with its age.
+     */
+    const searchOffline = async (size) => {
+        const cached = await offlineCatalog.search(size, { alternatives: includeAlternatives });
+        if (!cached) {
+            setStockError('연결이 끊겨 있고 저장된 재고 데이터가 없어 검색할 수 없습니다.');
+            return [];
+        }
+        setCatalogInfo({ syncedAt: cached.syncedAt, sources: cached.sources, offline: true });
+        return cached.items;
+    };
+
+    /**
+     * Products for one size: the synced catalog when available, otherwise the live sheet + Blackcircles search,
+     * and the cached snapshot when neither can be reached.
+     */
+    const searchSize = async (size) => {
+        if (!navigator.onLine) return searchOffline(size);
+
+        // Prefer the server-side synced catalog: instant, and still works when an upstream is down
+        const catalog = await inventoryService.searchCatalog(size, { alternatives: includeAlternatives });
+        setCatalogInfo(catalog ? { syncedAt: catalog.syncedAt, sources: catalog.sources, offline: false } : null);
+        if (catalog?.sources?.stock?.error) {
+            setStockError(`블랙서클 재고 동기화에 실패하여 ${formatSyncTime(catalog.sources.stock.fetchedAt)} 기준 재고를 표시합니다.`);
+        }
+        if (catalog) {
+            offlineCatalog.refresh(catalog.syncedAt);
+            return catalog.items;
+        }
+        try {
+            return await loadLiveProducts(size);
+        } catch (error) {
+            // Signed out: the login screen takes over, stale results would only hide that
+            if (error.code === 'unauthenticated') throw error;
+            // Connected to the Wi-Fi but not getting anywhere
+            console.warn('[LoadData] Live search failed, using the offline snapshot:', error);
+            return searchOffline(size);
+        }
+    };
+
+    /**
+     * Run the search for the typed size, or for every size of the selected vehicle.
+     * Vehicle results carry `fitment` ({ size, position, trims, order }) so they can be shown in front/rear groups.
+     */
     const loadData = async () => {
         setLoading(true);
         try {
-            const searchSizeNorm = normalizeSize(filter.size);
-            console.log(`[LoadData] Starting Sheet-First Search for: ${searchSizeNorm}`);
-
-            // 1. Fetch Google Sheet Data (Primary Source)
-            // 2. Fetch Blackcircles Inventory (Stock Source)
-            const [sheetData, productData] = await Promise.all([
-                googleSheetService.fetchSheetData(),
-                inventoryService.fetchShopItems(filter.size)
-            ]);
-
-            // 3. Filter Sheet Data by Size and Price
-            // Rule: Must match normalized size AND have factoryPrice > 0
-            const filteredSheetEntries = sheetData.filter(d => {
-                const sheetSizeNorm = normalizeSize(d.size);
-                // match if sheet size (e.g. 2454519) matches search query
-                return sheetSizeNorm.includes(searchSizeNorm) && d.factoryPrice > 0;
-            });
+            setStockError(null);
+            setStockProgress(null);
 
-            console.log(`[Sheet Data] Found ${filteredSheetEntries.length} matching entries in sheet.`);
-
-            // 4. Create Stock Map from Blackcircles data
-            // We've captured uniqueCode, itId, and internalCode. We match against ANY of them.
-            const findInventoryMatch = (sheetCode) => {
-                const sCode = String(sheetCode || '').trim();
-                return productData.find(p => {
-                    return String(p.partNo || '').trim() === sCode ||
-                        String(p.itId || '').trim() === sCode ||
-                        String(p.stId || '').trim() === sCode;
-                });
-            };
-
-            // 5. Merge Sheet Data with Live Stock
-            const mergedProducts = filteredSheetEntries.map(s => {
-                const shopMatch = findInventoryMatch(s.code);
-
-                if (shopMatch) {
-                    console.log(`[Stock Success] Matched Sheet Code: ${s.code} with Shop! Stock: ${shopMatch.totalStock}`);
-                }
+            const searches = searchMode === 'vehicle'
+                ? vehicleService.searchPlan(selectedFitments).map((entry, order) => ({ size: entry.size, fitment: { ...entry, order } }))
+                : [{ size: filter.size, fitment: null }];
 
-                // Priority for display: Sheet Data for Price/DOT/Brand
-                // Priority for Size: Detailed string from Shop if available
-                return {
-                    brand: s.brand || (shopMatch?.brand),
-                    model: s.model || (shopMatch?.model),
-                    size: shopMatch ? shopMatch.size : s.size, // SHOP size has more detail (4P, 105W etc)
-                    partNo: s.code, // From sheet
-                    factoryPrice: s.factoryPrice, // From sheet
-                    dotList: s.dotList || [], // From sheet
-                    totalStock: shopMatch ? shopMatch.totalStock : 0, // FROM SHOP
-                    supplyPrice: shopMatch ? shopMatch.supplyPrice : 0,
-                    discountRate: 0,
-                    internalCode: s.code
-                };
-            }).filter(p => {
-                return p.factoryPrice > 0;
+            const mergedProducts = [];
+            for (const { size, fitment } of searches) {
+                const items = await searchSize(fitment ? normalizeSize(size) : size);
+                mergedProducts.push(...items.map(p => ({ ...p, fitment })));
+            }
+
+            // DOTs we received ourselves come first, then the sheet's DOT columns
+            const ownDots = await inventoryService.fetchOwnDots(mergedProducts.map(p => p.partNo));
+            mergedProducts.forEach(p => {
+                if (ownDots[p.partNo]) p.dots = [...ownDots[p.partNo], ...(p.dots || [])];
             });
 
-            console.log(`[LoadData] Final display list: ${mergedProducts.length} items.`);
+            // Saved manual price edits replace the sheet's price/discount
+            const overrides = await priceOverrideService.list(mergedProducts.map(p => p.partNo)).catch(err => {
+                console.warn('[Price Overrides] Request failed:', err);
+                return {};
+            });
+            const pricedProducts = mergedProducts.map(p => applyPriceOverride(p, overrides[p.partNo]));
+
+            console.log(`[LoadData] Final display list: ${pricedProducts.length} items.`);
 
             // Default Sort by Stock Descending
-            const sortedProducts = [...mergedProducts].sort((a, b) => (b.totalStock || 0) - (a.totalStock || 0));
+            const sortedProducts = [...pricedProducts].sort((a, b) => (b.totalStock || 0) - (a.totalStock || 0));
 
             setProducts(sortedProducts);
             setSortConfig({ key: 'totalStock', direction: 'desc' });
@@ -123,6 +354,23 @@ const ProductList = () => {
             console.error('Data Loading Error:', error);
         } finally {
             setLoading(false);
+            setStockProgress(null);
+        }
+    };
+
+    /**
+     * Ask the server to re-sync the catalog now, then repeat the current search.
+     */
+    const handleSyncNow = async () => {
+        setSyncing(true);
+        try {
+            await inventoryService.syncCatalog();
+            if (canSearch) await loadData();
+        } catch (error) {
+            console.error('Catalog Sync Error:', error);
+            alert('동기화에 실패했습니다. 잠시 후 다시 시도해주세요.');
+        } finally {
+            setSyncing(false);
         }
     };
 
@@ -135,7 +383,7 @@ const ProductList = () => {
     };
 
     /**
-     * Update product pricing info (local state only)
+     * Update product pricing info while typing (saved as an override on blur, see persistPriceOverride)
      */
     const handlePriceUpdate = (index, field, value) => {
         const newProducts = [...products];
@@ -175,6 +423,61 @@ const ProductList = () => {
         setProducts(newProducts);
     };
 
+    /**
+     * Apply a saved (or removed) override to every listed product with that code, in place like handlePriceUpdate.
+     */
+    const applyOverrideToCode = (code, override) => {
+        products.filter(p => p.partNo === code).forEach(p => Object.assign(p, applyPriceOverride(p, override)));
+        setProducts([...products]);
+    };
+
+    /**
+     * Save an inline price edit as an override when the input loses focus.
+     * Values equal to the sheet (or cleared) are not stored, so editing back removes the override.
+     */
+    const persistPriceOverride = async (p, expiresAt = p.priceOverride?.expiresAt || null) => {
+        if (!canEditPrices || !p.sheetPrice || !p.partNo) return;
+        const factoryPrice = p.factoryPrice && p.factoryPrice !== p.sheetPrice.factoryPrice ? p.factoryPrice : null;
+        const discountRate = p.discountRate === '' || p.discountRate === null || p.discountRate === undefined || p.discountRate === p.sheetPrice.discountRate
+            ? null
+            : Number(p.discountRate);
+        const current = p.priceOverride;
+        const unchanged = (current?.factoryPrice ?? null) === factoryPrice
+            && (current?.discountRate ?? null) === discountRate
+            && (current?.expiresAt ?? null) === expiresAt;
+        if (unchanged) {
+            applyOverrideToCode(p.partNo, current); // restores a cleared input to the effective value
+            return;
+        }
+
+        try {
+            const saved = await priceOverrideService.save(p.partNo, { factoryPrice, discountRate, expiresAt });
+            applyOverrideToCode(p.partNo, saved);
+        } catch (err) {
+            alert(`가격 저장 실패: ${err.message}`);
+        }
+    };
+
+    const setOverrideExpiry = (p) => {
+        const input = window.prompt('이 가격을 언제까지 적용할까요? (YYYY-MM-DD, 비우면 계속 적용)', p.priceOverride?.expiresAt || '');
+        if (input === null) return;
+        persistPriceOverride(p, input.trim() || null);
+    };
+
+    /**
+     * Reset products to their sheet price and discount.
+     */
+    const resetPriceOverrides = async (targets) => {
+        const codes = [...new Set(targets.filter(p => p.priceOverride).map(p => p.partNo))];
+        if (codes.length === 0 || !window.confirm(`${codes.length}개 품목의 가격 수정을 시트 값으로 되돌리시겠습니까?`)) return;
+        try {
+            await priceOverrideService.reset(codes);
+            codes.forEach(code => applyOverrideToCode(code, null));
+        } catch (err) {
+            alert(`초기화 실패: ${err.message}`);
+        }
+    };
+
 
     /**
      * Find DOT info for a product.
@@ -230,6 +533,12 @@ const ProductList = () => {
     // Sort Logic
     if (sortConfig.key) {
         filteredProducts.sort((a, b) => {
+            // Vehicle results stay in their size groups; alternatives always stay below the exact size
+            const groupDiff = (a.fitment?.order ?? 0) - (b.fitment?.order ?? 0);
+            if (groupDiff !== 0) return groupDiff;
+            const rankDiff = sizeMatchRank(a) - sizeMatchRank(b);
+            if (rankDiff !== 0) return rankDiff;
+
             let aValue = a[sortConfig.key];
             let bValue = b[sortConfig.key];
 
@@ -239,6 +548,11 @@ const ProductList = () => {
                 aValue = getBrandDisplayName(a.brand);
                 bValue = getBrandDisplayName(b.brand);
             }
+            if (sortConfig.key === 'margin') {
+                // Unknown margins sort as the lowest
+                aValue = getMargin(priceProduct(a, tier), a.supplyPrice)?.percent ?? -Infinity;
+                bValue = getMargin(priceProduct(b, tier), b.supplyPrice)?.percent ?? -Infinity;
+            }
             // Sort by price or stock numbers
             if (sortConfig.key === 'factoryPrice' || sortConfig.key === 'discountedPrice' || sortConfig.key === 'totalStock') {
                 aValue = Number(aValue || 0);
@@ -274,7 +588,8 @@ const ProductList = () => {
             return newCart;
         });
         setSelectedItems([]);
-        alert(`${selectedItems.length}개의 품목이 장바구니에 담겼습니다.`);
+        const target = openCarts.length > 1 ? `'${cartLabel(activeCart, activeCartIndex)}' 장바구니` : '장바구니';
+        alert(`${selectedItems.length}개의 품목이 ${target}에 담겼습니다.`);
     };
 
     const removeFromCart = (cartItem) => {
@@ -291,12 +606,101 @@ const ProductList = () => {
         }));
     };
 
+    const loadCart = (cart) => {
+        setActiveCartId(cart.id);
+        setCartItems(cart.items);
+        setCartServices(cart.services);
+        setQuoteForm(cart.quoteForm);
+        setSavedQuote(cart.savedQuote);
+        setTier(cart.tier);
+    };
+
+    /**
+     * Switch carts. Search results and selection stay as they are.
+     */
+    const switchCart = (id) => {
+        if (id === activeCartId) return;
+        setCarts(openCarts);
+        loadCart(openCarts.find(cart => cart.id === id));
+    };
+
+    const addCart = () => {
+        const cart = createCart();
+        setCarts([...openCarts, cart]);
+        loadCart(cart);
+    };
+
+    /**
+     * Drop a cart; the last one is replaced with an empty cart so there is always one to add to.
+     */
+    const discardCart = (id) => {
+        const index = openCarts.findIndex(cart => cart.id === id);
+        const remaining = openCarts.filter(cart => cart.id !== id);
+        if (remaining.length === 0) remaining.push(createCart());
+        setCarts(remaining);
+        if (id === activeCartId) loadCart(remaining[Math.max(0, index - 1)]);
+    };
+
+    const closeCart = (id) => {
+        const index = openCarts.findIndex(cart => cart.id === id);
+        const cart = openCarts[index];
+        if (cart.items.length > 0 && !window.confirm(`${cartLabel(cart, index)} 장바구니를 닫으시겠습니까? 담긴 품목이 삭제됩니다.`)) return;
+        discardCart(id);
+    };
+
+    /**
+     * Open a saved quote in the cart: in its own tab if it is already open, otherwise in the current cart
+     * when that is still empty or in a new one.
+     */
+    const openQuote = (quote) => {
+        const existing = openCarts.find(cart => cart.savedQuote?.id === quote.id);
+        const target = existing || (cartItems.length === 0 ? activeCart : createCart());
+        const cart = {
+            id: target.id,
+            items: quote.lines.map(fromQuoteLine),
+            services: quote.services || [],
+            savedQuote: quote.sale ? null : quote,
+            tier: quote.tier || DEFAULT_TIER,
+            quoteForm: {
+                customerId: quote.customer.id || '',
+                customerName: quote.customer.name,
+                customerPhone: quote.customer.phone,
+                vehicle: quote.vehicle,
+                discount: quote.discount,
+                validUntil: quote.sale || quote.status === 'expired' ? defaultValidUntil() : quote.validUntil
+            }
+        };
+        setCarts(openCarts.some(c => c.id === cart.id) ? openCarts.map(c => (c.id === cart.id ? cart : c)) : [...openCarts, cart]);
+        loadCart(cart);
+        setShowShareModal(true);
+    };
+
     const clearCart = () => {
         if (window.confirm('장바구니를 모두 비우시겠습니까?')) {
             setCartItems([]);
+            setCartServices([]);
+            setSavedQuote(null);
+            setQuoteForm(EMPTY_QUOTE_FORM);
         }
     };
 
+    /**
+     * Add a service line, or set the quantity of the one already in the cart for the same service and rim.
+     */
+    const applyService = (line) => {
+        setCartServices(prev => (prev.some(l => serviceLineKey(l) === serviceLineKey(line))
+            ? prev.map(l => (serviceLineKey(l) === serviceLineKey(line) ? { ...l, qty: line.qty } : l))
+            : [...prev, line]));
+    };
+
+    const removeService = (line) => {
+        setCartServices(prev => prev.filter(l => l !== line));
+    };
+
+    const updateServiceQty = (line, delta) => {
+        setCartServices(prev => prev.map(l => (l === line ? { ...l, qty: Math.max(1, l.qty + delta) } : l)));
+    };
+
     // Selection Handlers
     const toggleSelectItem = (product) => {
         setSelectedItems(prev => {
@@ -319,25 +723,164 @@ const ProductList = () => {
 
     const isSelected = (product) => selectedItems.includes(product);
 
+    const priceOf = (p) => priceProduct(p, tier);
+    const displayPrice = (price) => (vatMode === 'excl' ? price.unitPriceExVat : price.unitPrice);
+    const vatLabel = vatMode === 'excl' ? 'VAT 별도' : 'VAT 포함';
+    const columnCount = costMode ? 11 : 9;
+
+    const toggleCostMode = () => {
+        // Margin sorting would give away the cost order once the columns are hidden
+        if (costMode && sortConfig.key === 'margin') setSortConfig({ key: 'totalStock', direction: 'desc' });
+        setCostMode(on => !on);
+    };
+
+    const tireSubtotal = cartItems.reduce((acc, item) => acc + priceOf(item.product).unitPrice * item.qty, 0);
+    const serviceSubtotal = cartServices.reduce((acc, line) => acc + line.unitPrice * line.qty, 0);
+    const cartSubtotal = tireSubtotal + serviceSubtotal;
+    // The extra discount may not take the tires below their cost floor either (the server checks the same)
+    const tireFloor = cartItems.reduce((acc, item) => acc + priceOf(item.product).floorPrice * item.qty, 0);
+    const maxDiscount = canSellBelowCost ? cartSubtotal : Math.max(0, cartSubtotal - tireFloor);
+    const quoteDiscount = Math.min(Number(quoteForm.discount) || 0, maxDiscount);
+    const cartTotal = Math.max(0, cartSubtotal - quoteDiscount);
+
+    /**
+     * Catalog services the tires in the cart call for that are missing from the cart or have a different quantity.
+     */
+    const serviceSuggestions = (() => {
+        const inCart = new Map(cartServices.map(line => [serviceLineKey(line), line]));
+        return suggestServices(cartItems.map(item => ({ size: item.product.size, qty: item.qty })))
+            .filter(line => inCart.get(serviceLineKey(line))?.qty !== line.qty)
+            .map(line => ({ ...line, inCart: inCart.has(serviceLineKey(line)) }));
+    })();
+
+    /**
+     * Cost mode: margin of the tires after the extra discount, without VAT. null when a supply price is missing.
+     */
+    const cartMargin = (() => {
+        if (!costMode || cartItems.length === 0) return null;
+        const margins = cartItems.map(item => getMargin(priceOf(item.product), item.product.supplyPrice));
+        if (margins.some(m => !m)) return null;
+        const cost = margins.reduce((sum, m, i) => sum + m.cost * cartItems[i].qty, 0);
+        const revenue = splitVat(Math.max(0, tireSubtotal - quoteDiscount)).supply;
+        const amount = revenue - cost;
+        const percent = revenue ? (amount / revenue) * 100 : 0;
+        return { cost, amount, percent, low: percent < MARGIN_WARNING_PERCENT };
+    })();
+
+    const openCart = () => {
+        // Pre-fill the vehicle from a vehicle search and a default validity date
+        const searchedVehicle = searchMode === 'vehicle' && vehicle.model
+            ? [vehicle.maker, vehicle.model, vehicle.year, vehicle.trim].filter(Boolean).join(' ')
+            : '';
+        setQuoteForm(prev => ({
+            ...prev,
+            vehicle: prev.vehicle || searchedVehicle,
+            validUntil: prev.validUntil || defaultValidUntil()
+        }));
+        setShowShareModal(true);
+    };
+
+    const saveQuote = async () => {
+        const input = {
+            customer: { id: quoteForm.customerId || null, name: quoteForm.customerName, phone: quoteForm.customerPhone },
+            vehicle: quoteForm.vehicle,
+            tier,
+            lines: cartItems.map(item => toQuoteLine(item, tier)),
+            services: cartServices,
+            discount: quoteDiscount,
+            validUntil: quoteForm.validUntil || undefined
+        };
+        setSavingQuote(true);
+        try {
+            const quote = savedQuote
+                ? await quoteService.update(savedQuote.id, input)
+                : await quoteService.create(input);
+            setSavedQuote(quote);
+            setQuoteForm(prev => ({ ...prev, validUntil: quote.validUntil }));
+            alert(`견적서 ${quote.number}이(가) 저장되었습니다.`);
+        } catch (err) {
+            if (!isNetworkError(err)) {
+                alert(`견적 저장 실패: ${err.message}`);
+                return;
+            }
+            offlineQueue.enqueue({
+                cartId: activeCartId,
+                type: savedQuote ? 'quote.update' : 'quote.create',
+                quoteId: savedQuote?.id,
+                input,
+                label: savedQuote?.number || cartLabel(activeCart, activeCartIndex)
+            });
+            alert('연결이 끊겨 있어 견적을 저장 대기열에 넣었습니다. 연결되면 자동으로 저장됩니다.');
+        } finally {
+            setSavingQuote(false);
+        }
+    };
+
+    /**
+     * Record the cart as a sale (Checkout adds labor and the payment method) and close the cart.
+     * A cart saved as or opened from a quote is sold through that quote so it is marked sold too.
+     */
+    const checkout = async ({ paymentMethod, labor, note }) => {
+        const cart = {
+            lines: cartItems.map(item => toQuoteLine(item, tier)),
+            discount: quoteDiscount,
+            customer: { id: quoteForm.customerId || null, name: quoteForm.customerName, phone: quoteForm.customerPhone },
+            vehicle: quoteForm.vehicle
+        };
+        const sale = savedQuote
+            ? (await quoteService.convert(savedQuote.id, { paymentMethod, labor, note, cart })).sale
+            : await salesService.create({ ...cart, labor, paymentMethod, note });
+        setShowCheckout(false);
+        setShowShareModal(false);
+        discardCart(activeCartId);
+        alert(`판매 ${sale.number} 등록 완료 (${sale.total.toLocaleString()}원)`);
+    };
+
+    /**
+     * The cart as a quote for printing (the saved quote's number/date when there is one).
+     */
+    const cartAsQuote = () => ({
+        number: savedQuote?.number,
+        createdAt: savedQuote?.createdAt,
+        validUntil: quoteForm.validUntil,
+        customer: { id: quoteForm.customerId || null, name: quoteForm.customerName, phone: quoteForm.customerPhone },
+        vehicle: quoteForm.vehicle,
+        lines: cartItems.map(item => toQuoteLine(item, tier)),
+        services: cartServices,
+        discount: quoteDiscount
+    });
+
     const generateShareText = () => {
-        let text = "[대동타이어 견적안내]\n";
-        text += "Tel. 053-254-5705\n\n";
-        let totalSum = 0;
+        let text = `[${SHOP_INFO.name} 견적안내]\n`;
+        text += `Tel. ${SHOP_INFO.phone}\n`;
+        if (savedQuote) text += `견적번호: ${savedQuote.number}\n`;
+        if (quoteForm.customerName) text += `고객: ${quoteForm.customerName}님\n`;
+        if (quoteForm.vehicle) text += `차량: ${quoteForm.vehicle}\n`;
+        text += '\n';
         cartItems.forEach((item, i) => {
             const p = item.product;
-            const discountedPrice = Math.floor((p.factoryPrice || 0) * (1 - (p.discountRate || 0) / 100));
-            const subtotal = discountedPrice * item.qty;
-            totalSum += subtotal;
+            const price = priceOf(p);
+            const subtotal = price.unitPrice * item.qty;
 
             text += `${i + 1}. ${getBrandDisplayName(p.brand)} ${p.model}\n`;
             text += `   규격: ${p.size}\n`;
-            text += `   단가: ${discountedPrice.toLocaleString()}원 (할인율: ${p.discountRate}%)\n`;
+            text += `   단가: ${price.unitPrice.toLocaleString()}원 (할인율: ${price.discountRate}%)\n`;
             text += `   수량: ${item.qty}개\n`;
             text += `   소계: ${subtotal.toLocaleString()}원\n\n`;
         });
-        text += `총 합계금액: ${totalSum.toLocaleString()}원\n`;
+        if (cartServices.length > 0) {
+            text += `타이어 소계: ${tireSubtotal.toLocaleString()}원\n\n`;
+            text += '[장착·공임]\n';
+            cartServices.forEach(line => {
+                text += `- ${line.name} ${line.unitPrice.toLocaleString()}원 x ${line.qty} = ${(line.unitPrice * line.qty).toLocaleString()}원\n`;
+            });
+            text += `공임 소계: ${serviceSubtotal.toLocaleString()}원\n\n`;
+        }
+        if (quoteDiscount > 0) text += `추가 할인: -${quoteDiscount.toLocaleString()}원\n`;
+        text += `총 합계금액: ${cartTotal.toLocaleString()}원 (부가세 포함)\n`;
+        if (quoteForm.validUntil) text += `견적 유효기간: ${quoteForm.validUntil}까지\n`;
         text += "-----------------------------\n";
-        text += "기업 15207812304017 (주)대동휠앤타이어";
+        text += `${SHOP_INFO.bankName} ${SHOP_INFO.bankAccount} ${SHOP_INFO.companyName}`;
         return text;
     };
 
@@ -349,8 +892,8 @@ const ProductList = () => {
     };
 
     const copyAccount = () => {
-        navigator.clipboard.writeText("15207812304017").then(() => {
-            alert('계좌번호(기업 15207812304017)가 복사되었습니다.');
+        navigator.clipboard.writeText(SHOP_INFO.bankAccount).then(() => {
+            alert(`계좌번호(${SHOP_INFO.bankName} ${SHOP_INFO.bankAccount})가 복사되었습니다.`);
         });
     };
 
@@ -373,6 +916,169 @@ const ProductList = () => {
             : <ArrowDown size={14} className="text-blue-600" />;
     };
 
+    /**
+     * Small 7-day movement indicator under the stock number.
+     */
+    const TrendBadge = ({ trend, className = '' }) => {
+        if (!trend) return null;
+        if (trend.outOfStockSince) {
+            const since = new Date(trend.outOfStockSince);
+            return (
+                <div className={`text-[10px] font-bold text-red-400 ${className}`}>
+                    {since.getMonth() + 1}/{since.getDate()}부터 품절
+                </div>
+            );
+        }
+        if (trend.sold > 0) {
+            return (
+                <div className={`flex items-center gap-1 text-[10px] font-bold text-amber-600 ${className}`} title={`최근 ${trend.days}일 입고 ${trend.restocked}개`}>
+                    <TrendingDown size={12} />
+                    {trend.days}일간 {trend.sold.toLocaleString()}개 판매
+                </div>
+            );
+        }
+        return null;
+    };
+
+    /**
+     * True when the row at idx starts a new vehicle size group (front / rear / common size).
+     */
+    const isGroupStart = (idx) => {
+        const fitment = filteredProducts[idx].fitment;
+        return Boolean(fitment) && (idx === 0 || filteredProducts[idx - 1].fitment?.order !== fitment.order);
+    };
+
+    const FITMENT_POSITION_LABELS = { all: '앞·뒤 공통', front: '앞바퀴', rear: '뒷바퀴' };
+
+    /**
+     * Group header for vehicle search results.
+     */
+    const FitmentHeader = ({ fitment, className = '' }) => (
+        <div className={`flex flex-wrap items-center gap-2 text-xs font-bold text-slate-600 ${className}`}>
+            <Car size={14} className="text-slate-400" />
+            <span className={`px-1.5 py-0.5 rounded ${fitment.position === 'all' ? 'bg-slate-200 text-slate-700' : 'bg-violet-100 text-violet-700'}`}>
+                {FITMENT_POSITION_LABELS[fitment.position]}
+            </span>
+            <span className="font-mono text-slate-800">{fitment.size}</span>
+            <span className="text-slate-400 font-medium">{fitment.trims.join(', ')}</span>
+        </div>
+    );
+
+    /**
+     * Alternative-size marker (same rim / plus size with diameter difference) and the XL / run-flat markers of the size.
+     */
+    const SizeDetails = ({ product, className = '' }) => {
+        const specs = parseTireSize(product.size);
+        const match = product.sizeMatch;
+        const isAlternative = match && match.kind !== 'exact';
+        if (!isAlternative && !specs?.extraLoad && !specs?.runFlat) return null;
+
+        const diff = match ? `${match.diameterDiff >= 0 ? '+' : ''}${(match.diameterDiff * 100).toFixed(1)}%` : '';
+        return (
+            <div className={`flex flex-wrap items-center gap-1 text-[10px] font-bold ${className}`}>
+                {isAlternative && (
+                    <span className="px-1.5 py-0.5 rounded bg-violet-50 text-violet-700 border border-violet-200" title="외경 차이">
+                        {match.kind === 'sameRim' ? '동일 인치' : `${match.rimDelta > 0 ? '+' : ''}${match.rimDelta}인치`} · 외경 {diff}
+                    </span>
+                )}
+                {specs?.extraLoad && <span className="px-1.5 py-0.5 rounded bg-slate-100 text-slate-600 border border-slate-200">XL</span>}
+                {specs?.runFlat && <span className="px-1.5 py-0.5 rounded bg-slate-800 text-white">런플랫</span>}
+            </div>
+        );
+    };
+
+    /**
+     * DOT chip coloured by age band (see config/dot.js).
+     */
+    const DotChip = ({ dot, className = '' }) => {
+        const months = dotAgeMonths(dot);
+        return (
+            <span
+                className={`px-1.5 py-0.5 rounded border whitespace-nowrap ${getDotAgeLevel(dot).className} ${className}`}
+                title={`${dot.year}년 ${dot.week}주차 생산 · ${formatDotAge(months)} 경과`}
+            >
+                {dot.label ? `${dot.label}: ` : ''}{dot.code}{dot.qty !== null ? ` (${dot.qty})` : ''}
+            </span>
+        );
+    };
+
+    /**
+     * Marks a product whose price/discount was edited by hand, with who/when/expiry and a reset.
+     */
+    const OverrideMarker = ({ product, className = '' }) => {
+        const override = product.priceOverride;
+        if (!override) return null;
+        const changed = [
+            override.factoryPrice !== null && `공장도 (시트 ${(product.sheetPrice.factoryPrice || 0).toLocaleString()})`,
+            override.discountRate !== null && '할인율'
+        ].filter(Boolean).join(', ');
+        const meta = `${override.updatedBy} · ${formatSyncTime(override.updatedAt)}${override.expiresAt ? ` · ${override.expiresAt}까지` : ''}`;
+        return (
+            <div className={`flex items-center gap-1 text-[10px] font-bold text-amber-600 ${className}`}>
+                <span className="px-1.5 py-0.5 rounded bg-amber-50 border border-amber-200" title={`수정: ${changed}\n${meta}`}>
+                    수정됨{override.expiresAt ? ` ~${override.expiresAt.slice(5)}` : ''}
+                </span>
+                {canEditPrices && (
+                    <>
+                        <button onClick={() => setOverrideExpiry(product)} className="p-0.5 hover:text-amber-800" title="적용 기한 설정">
+                            <Clock size={11} />
+                        </button>
+                        <button onClick={() => resetPriceOverrides([product])} className="p-0.5 hover:text-amber-800" title="시트 값으로 되돌리기">
+                            <RotateCcw size={11} />
+                        </button>
+                    </>
+                )}
+            </div>
+        );
+    };
+
+    /**
+     * Cost mode: margin in won and % (without VAT), red below MARGIN_WARNING_PERCENT.
+     */
+    const MarginCell = ({ margin }) => {
+        if (!margin) return <span className="text-slate-300">-</span>;
+        return (
+            <span
+                className={`font-bold ${margin.low ? 'text-red-600' : 'text-emerald-600'}`}
+                title={margin.low ? `마진 ${MARGIN_WARNING_PERCENT}% 미만` : undefined}
+            >
+                {margin.amount.toLocaleString()}원
+                <span className="ml-1 text-[11px]">({margin.percent.toFixed(1)}%)</span>
+            </span>
+        );
+    };
+
+    /**
+     * Shown when the discount would go below cost and the price was raised to the supplyPrice floor.
+     */
+    const FloorBadge = ({ price, className = '' }) => {
+        if (!price.atFloor) return null;
+        return (
+            <div className={`flex items-center gap-1 text-[10px] font-bold text-amber-600 ${className}`} title={`원가 기준 최저가 ${price.floorPrice.toLocaleString()}원`}>
+                <AlertCircle size={10} /> 원가 하한 적용
+            </div>
+        );
+    };
+
+    /**
+     * "Sell oldest first" suggestion for a cart line.
+     */
+    const FifoSuggestion = ({ dots, qty }) => {
+        if (!dots || dots.length === 0) return null;
+        const { picks, shortfall } = pickOldestFirst(dots, qty);
+        return (
+            <div className="flex flex-wrap items-center gap-1 text-[10px] font-bold text-slate-500">
+                <span>오래된 DOT 먼저:</span>
+                {picks.map(({ dot, qty: pickQty }, i) => (
+                    <span key={i} className={`px-1.5 py-0.5 rounded border ${getDotAgeLevel(dot).className}`}>
+                        {dot.label ? `${dot.label} ` : ''}{dot.code} × {pickQty}{dot.qty === null ? '?' : ''}
+                    </span>
+                ))}
+                {shortfall > 0 && <span className="text-red-500">DOT 재고 {shortfall}개 부족</span>}
+            </div>
+        );
+    };
+
     return (
         <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
             {/* Premium Toolbar */}
@@ -380,18 +1086,108 @@ const ProductList = () => {
                 <div className="flex flex-col lg:flex-row lg:items-center gap-4">
                     {/* Search & Brand Group */}
                     <div className="flex flex-col sm:flex-row flex-1 gap-3">
-                        <div className="relative flex-1">
-                            <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-500" size={18} />
-                            <input
-                                type="text"
-                                placeholder="규격 입력 (예: 2454518)"
-                                className="w-full pl-10 pr-4 py-3 bg-white border border-slate-200 rounded-xl text-sm font-medium focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500/50 transition-all placeholder:text-slate-400"
-                                value={filter.size}
-                                onChange={(e) => setFilter({ ...filter, size: e.target.value })}
-                                onKeyDown={(e) => e.key === 'Enter' && filter.size.trim() && loadData()}
-                            />
+                        <div className="flex bg-white border border-slate-200 rounded-xl p-1 shrink-0">
+                            {[{ id: 'size', label: '규격', icon: Search }, { id: 'vehicle', label: '차량', icon: Car }, { id: 'customer', label: '고객', icon: Contact }].map(({ id, label, icon: Icon }) => (
+                                <button
+                                    key={id}
+                                    onClick={() => switchSearchMode(id)}
+                                    className={`flex items-center gap-1.5 px-3 py-2 rounded-lg text-sm font-bold transition-colors ${searchMode === id ? 'bg-slate-800 text-white' : 'text-slate-500 hover:text-slate-800'}`}
+                                >
+                                    <Icon size={14} /> {label}
+                                </button>
+                            ))}
                         </div>
 
+                        {searchMode === 'customer' ? (
+                            <div className="relative flex-1">
+                                <Contact className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-500" size={18} />
+                                <input
+                                    type="text"
+                                    placeholder="전화번호 또는 차량번호 (예: 5678, 12가3456)"
+                                    className="w-full pl-10 pr-4 py-3 bg-white border border-slate-200 rounded-xl text-sm font-medium focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500/50 transition-all placeholder:text-slate-400"
+                                    value={customerQuery}
+                                    onChange={(e) => {
+                                        setCustomerQuery(e.target.value);
+                                        setCustomerMatches(null);
+                                    }}
+                                    onKeyDown={(e) => e.key === 'Enter' && customerQuery.trim() && lookupCustomer()}
+                                />
+                                {customerMatches && (
+                                    <div className="absolute z-20 left-0 right-0 mt-1 bg-white border border-slate-200 rounded-xl shadow-lg max-h-72 overflow-y-auto">
+                                        {customerMatches.length === 0 && <div className="p-3 text-sm text-slate-400">등록된 고객이 없습니다.</div>}
+                                        {customerMatches.flatMap(customer => (customer.vehicles.length > 0 ? customer.vehicles : [null]).map(entry => (
+                                            <button
+                                                key={`${customer.id}-${entry?.id || 'none'}`}
+                                                onClick={() => pickCustomerVehicle(customer, entry)}
+                                                className="w-full text-left px-3 py-2 text-sm hover:bg-slate-50 flex items-center justify-between gap-3"
+                                            >
+                                                <span>
+                                                    <span className="font-bold text-slate-900">{customer.name}</span>
+                                                    <span className="ml-2 text-slate-500 font-mono text-xs">{customer.phone}</span>
+                                                    {entry && <span className="ml-2 text-slate-600">{[entry.plate, entry.model].filter(Boolean).join(' · ')}</span>}
+                                                </span>
+                                                <span className="font-mono text-xs text-blue-600">{entry?.tireSize || '규격 미등록'}</span>
+                                            </button>
+                                        )))}
+                                    </div>
+                                )}
+                            </div>
+                        ) : searchMode === 'size' ? (
+                            <div className="relative flex-1">
+                                <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-500" size={18} />
+                                <input
+                                    type="text"
+                                    placeholder="규격 입력 (예: 2454518)"
+                                    className="w-full pl-10 pr-4 py-3 bg-white border border-slate-200 rounded-xl text-sm font-medium focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500/50 transition-all placeholder:text-slate-400"
+                                    value={filter.size}
+                                    onChange={(e) => setFilter({ ...filter, size: e.target.value })}
+                                    onKeyDown={(e) => e.key === 'Enter' && filter.size.trim() && loadData()}
+                                />
+                            </div>
+                        ) : (
+                            <div className="flex-1 grid grid-cols-2 sm:grid-cols-4 gap-2">
+                                <select
+                                    className="px-3 py-3 bg-white border border-slate-200 rounded-xl text-sm font-bold focus:outline-none focus:ring-2 focus:ring-blue-500/20"
+                                    value={vehicle.maker}
+                                    onChange={(e) => setVehicle({ maker: e.target.value, model: '', year: '', trim: '' })}
+                                >
+                                    <option value="">제조사</option>
+                                    {vehicleService.makers().map(maker => <option key={maker} value={maker}>{maker}</option>)}
+                                </select>
+                                <select
+                                    className="px-3 py-3 bg-white border border-slate-200 rounded-xl text-sm font-bold focus:outline-none focus:ring-2 focus:ring-blue-500/20"
+                                    value={vehicle.model}
+                                    disabled={!vehicle.maker}
+                                    onChange={(e) => setVehicle({ ...vehicle, model: e.target.value, year: '', trim: '' })}
+                                >
+                                    <option value="">모델</option>
+                                    {vehicleModels.map(model => <option key={model} value={model}>{model}</option>)}
+                                </select>
+                                <select
+                                    className="px-3 py-3 bg-white border border-slate-200 rounded-xl text-sm font-bold focus:outline-none focus:ring-2 focus:ring-blue-500/20"
+                                    value={vehicle.year}
+                                    disabled={!vehicle.model}
+                                    onChange={(e) => setVehicle({ ...vehicle, year: e.target.value, trim: '' })}
+                                >
+                                    <option value="">연식</option>
+                                    {vehicleYears.map(year => <option key={year} value={year}>{year}년</option>)}
+                                </select>
+                                <select
+                                    className="px-3 py-3 bg-white border border-slate-200 rounded-xl text-sm font-bold focus:outline-none focus:ring-2 focus:ring-blue-500/20"
+                                    value={vehicle.trim}
+                                    disabled={!vehicle.year}
+                                    onChange={(e) => setVehicle({ ...vehicle, trim: e.target.value })}
+                                >
+                                    <option value="">전체 휠</option>
+                                    {yearFitments.map(f => (
+                                        <option key={f.trim} value={f.trim}>
+                                            {f.trim} · {f.rear ? `${f.front} / ${f.rear}` : f.front}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+
                         <select
                             className="w-full sm:w-48 pl-4 pr-10 py-3 bg-white border border-slate-200 rounded-xl text-sm font-bold focus:outline-none focus:ring-2 focus:ring-blue-500/20 transition-all appearance-none cursor-pointer"
                             value={filter.brand}
@@ -410,7 +1206,7 @@ const ProductList = () => {
                     <div className="flex flex-row gap-2">
                         <button
                             onClick={loadData}
-                            disabled={!filter.size.trim() || loading}
+                            disabled={!canSearch || loading}
                             className="flex-1 lg:flex-none flex items-center justify-center gap-2 px-6 py-3 bg-blue-600 hover:bg-blue-700 disabled:bg-slate-100 disabled:text-slate-400 text-white font-black rounded-xl transition-all shadow-md shadow-blue-500/10 active:scale-[0.98]"
                         >
                             {loading ? <RefreshCw size={18} className="animate-spin" /> : <Search size={18} />}
@@ -428,9 +1224,9 @@ const ProductList = () => {
                                 </button>
                             )}
 
-                            {cartItems.length > 0 && (
+                            {(cartItems.length > 0 || openCarts.length > 1) && (
                                 <button
-                                    onClick={() => setShowShareModal(true)}
+                                    onClick={openCart}
                                     className="p-3 bg-green-500 hover:bg-green-400 text-slate-900 font-bold rounded-xl transition-all shadow-lg active:scale-95 animate-in zoom-in"
                                     title="장바구니 보기"
                                 >
@@ -445,13 +1241,88 @@ const ProductList = () => {
                     <div className="flex items-center gap-3 text-slate-500 uppercase">
                         <span>품목</span>
                         <span className="text-blue-600 bg-blue-50 px-2 py-0.5 rounded border border-blue-100">{filteredProducts.length}</span>
+                        <button
+                            onClick={() => setIncludeAlternatives(v => !v)}
+                            className={`flex items-center gap-1 normal-case px-2 py-0.5 rounded border transition-colors ${includeAlternatives ? 'bg-violet-50 text-violet-700 border-violet-200' : 'text-slate-500 border-slate-200 hover:text-violet-700'}`}
+                            title="외경 ±3% 이내의 동일 인치 · 인치업/다운 사이즈 포함"
+                        >
+                            {includeAlternatives ? <CheckSquare size={12} /> : <Square size={12} />}
+                            대체 사이즈
+                        </button>
+                        <select
+                            value={tier}
+                            onChange={(e) => setTier(e.target.value)}
+                            className="normal-case px-2 py-0.5 rounded border border-slate-200 bg-white text-slate-600 font-bold"
+                            title="고객 등급별 기본 할인율"
+                        >
+                            {CUSTOMER_TIERS.map(t => <option key={t.id} value={t.id}>{t.label}가</option>)}
+                        </select>
+                        <button
+                            onClick={() => setVatMode(mode => (mode === 'incl' ? 'excl' : 'incl'))}
+                            className="normal-case px-2 py-0.5 rounded border border-slate-200 text-slate-500 hover:text-slate-800 transition-colors"
+                            title="판매가 부가세 포함/별도 표시"
+                        >
+                            {vatLabel}
+                        </button>
+                        {canViewCost && (
+                            <button
+                                onClick={toggleCostMode}
+                                className={`flex items-center gap-1 normal-case px-2 py-0.5 rounded border transition-colors ${costMode ? 'bg-slate-800 text-white border-slate-800' : 'text-slate-500 border-slate-200 hover:text-slate-800'}`}
+                                title="공급가·마진 표시 (고객에게 화면을 보여주기 전에 끄세요)"
+                            >
+                                {costMode ? <Eye size={12} /> : <EyeOff size={12} />}
+                                원가
+                            </button>
+                        )}
+                        {canEditPrices && products.some(p => p.priceOverride) && (
+                            <button
+                                onClick={() => resetPriceOverrides(products)}
+                                className="flex items-center gap-1 normal-case px-2 py-0.5 rounded border border-amber-200 bg-amber-50 text-amber-700 hover:bg-amber-100 transition-colors"
+                                title="표시된 품목의 수정된 가격을 모두 시트 값으로 되돌립니다"
+                            >
+                                <RotateCcw size={12} /> 가격 수정 초기화
+                            </button>
+                        )}
                     </div>
-                    <div className="text-slate-600 italic lg:block hidden">
-                        * 공장도 가격이 등록된 상품만 리스팅됩니다.
+                    <div className="flex items-center gap-3">
+                        {catalogInfo?.offline && (
+                            <span className="flex items-center gap-1.5 text-amber-600">
+                                <WifiOff size={12} />
+                                오프라인 · {formatAge(catalogInfo.syncedAt)} 데이터
+                            </span>
+                        )}
+                        {catalogInfo && !catalogInfo.offline && (
+                            <button
+                                onClick={handleSyncNow}
+                                disabled={syncing || !canSync}
+                                className="flex items-center gap-1.5 text-slate-500 hover:text-blue-600 transition-colors disabled:opacity-50 disabled:hover:text-slate-500"
+                                title={canSync ? '지금 동기화' : undefined}
+                            >
+                                {canSync && <RefreshCw size={12} className={syncing ? 'animate-spin' : ''} />}
+                                <span>마지막 동기화 {formatSyncTime(catalogInfo.syncedAt)}</span>
+                            </button>
+                        )}
+                        <div className="text-slate-600 italic lg:block hidden">
+                            * 공장도 가격이 등록된 상품만 리스팅됩니다.
+                        </div>
                     </div>
                 </div>
             </div>
 
+            {catalogInfo?.offline && (
+                <div className="px-5 py-3 bg-amber-50 border-b border-amber-100 text-amber-700 text-xs font-bold flex items-center gap-2">
+                    <WifiOff size={16} className="shrink-0" />
+                    오프라인 검색 결과입니다. {formatSyncTime(catalogInfo.syncedAt)}({formatAge(catalogInfo.syncedAt)})에 동기화된 데이터로, 현재 재고·가격과 다를 수 있습니다.
+                </div>
+            )}
+
+            {stockError && (
+                <div className="px-5 py-3 bg-red-50 border-b border-red-100 text-red-600 text-xs font-bold flex items-center gap-2">
+                    <AlertCircle size={16} className="shrink-0" />
+                    {stockError}
+                </div>
+            )}
+
             {/* Data Display */}
             <div className="relative">
                 {/* Desktop Table */}
@@ -478,7 +1349,15 @@ const ProductList = () => {
                                     <div className="flex items-center justify-end gap-2 text-slate-600">공장도 <SortIcon columnKey="factoryPrice" /></div>
                                 </th>
                                 <th className="px-5 py-4 text-center">할인(%)</th>
-                                <th className="px-5 py-4 text-right font-black text-slate-400">판매가</th>
+                                <th className="px-5 py-4 text-right font-black text-slate-400">판매가 <span className="normal-case font-bold">({vatLabel})</span></th>
+                                {costMode && (
+                                    <>
+                                        <th className="px-5 py-4 text-right text-slate-600">공급가</th>
+                                        <th className="px-5 py-4 text-right cursor-pointer group" onClick={() => handleSort('margin')}>
+                                            <div className="flex items-center justify-end gap-2 text-slate-600">마진 <SortIcon columnKey="margin" /></div>
+                                        </th>
+                                    </>
+                                )}
                                 <th className="px-5 py-4 text-right cursor-pointer group" onClick={() => handleSort('totalStock')}>
                                     <div className="flex items-center justify-end gap-2 text-slate-600">재고 <SortIcon columnKey="totalStock" /></div>
                                 </th>
@@ -488,16 +1367,19 @@ const ProductList = () => {
                         <tbody className="divide-y divide-slate-100">
                             {loading ? (
                                 <tr>
-                                    <td colSpan="9" className="py-24 text-center">
+                                    <td colSpan={columnCount} className="py-24 text-center">
                                         <div className="flex flex-col items-center gap-3">
                                             <div className="w-10 h-10 border-4 border-blue-600/30 border-t-blue-600 rounded-full animate-spin"></div>
                                             <span className="text-slate-500 font-bold">Synchronizing Data...</span>
+                                            {stockProgress && stockProgress.totalPages > 1 && (
+                                                <span className="text-xs text-slate-400 font-bold tabular-nums">재고 페이지 {stockProgress.page} / {stockProgress.totalPages}</span>
+                                            )}
                                         </div>
                                     </td>
                                 </tr>
                             ) : filteredProducts.length === 0 ? (
                                 <tr>
-                                    <td colSpan="9" className="py-24 text-center text-slate-500">
+                                    <td colSpan={columnCount} className="py-24 text-center text-slate-500">
                                         <Search size={48} className="mx-auto mb-4 opacity-10" />
                                         <div className="font-black text-xl mb-1">NO DATA FOUND</div>
                                         <p className="text-sm opacity-50 font-medium">Please refine your search query.</p>
@@ -506,52 +1388,80 @@ const ProductList = () => {
                             ) : (
                                 filteredProducts.map((p, idx) => {
                                     const factoryPrice = p.factoryPrice ?? 0;
-                                    const discountRate = p.discountRate || 0;
-                                    const discountedPrice = Math.floor(factoryPrice * (1 - discountRate / 100));
+                                    const price = priceOf(p);
+                                    const margin = costMode ? getMargin(price, p.supplyPrice) : null;
                                     const selected = isSelected(p);
 
                                     return (
-                                        <tr key={idx} className={`group transition-premium hover:bg-slate-50 ${selected ? 'bg-blue-50' : ''}`}>
-                                            <td className="px-5 py-4 text-center">
-                                                <button onClick={() => toggleSelectItem(p)} className={`transition-colors ${selected ? 'text-blue-500' : 'text-slate-300 group-hover:text-slate-400'}`}>
-                                                    {selected ? <CheckSquare size={20} /> : <Square size={20} />}
-                                                </button>
-                                            </td>
-                                            <td className="px-5 py-4 font-black text-slate-700">{getBrandDisplayName(p.brand)}</td>
-                                            <td className="px-5 py-4 font-bold text-slate-500">{p.model}</td>
-                                            <td className="px-5 py-4">
-                                                <span className="bg-slate-100 px-2 py-1 rounded font-mono text-[13px] border border-slate-200 text-slate-600 font-bold">{p.size}</span>
-                                            </td>
-                                            <td className="px-5 py-4 text-right">
-                                                <input
-                                                    type="text"
-                                                    className="w-24 text-right bg-transparent border-none rounded px-2 py-1 text-xs focus:ring-1 focus:ring-blue-500/20 outline-none transition-all text-slate-600 font-medium"
-                                                    value={factoryPrice ? factoryPrice.toLocaleString() : ''}
-                                                    onChange={(e) => handlePriceUpdate(p, 'factoryPrice', e.target.value)}
-                                                />
-                                            </td>
-                                            <td className="px-5 py-4 text-center">
-                                                <input
-                                                    type="text"
-                                                    className="w-12 text-center bg-blue-50 border border-blue-100 rounded px-1 py-1 text-xs font-black text-blue-600 focus:ring-1 focus:ring-blue-500/20 outline-none transition-all"
-                                                    value={discountRate}
-                                                    onChange={(e) => handlePriceUpdate(p, 'discountRate', e.target.value.replace(/[^0-9]/g, ''))}
-                                                />
-                                            </td>
-                                            <td className="px-5 py-4 text-right font-black text-blue-600 tabular-nums">{discountedPrice.toLocaleString()}</td>
-                                            <td className="px-5 py-4 text-right font-black tabular-nums">
-                                                {p.totalStock > 0 ? <span className="text-slate-600">{p.totalStock.toLocaleString()}</span> : <span className="text-red-500/70 font-medium">품절</span>}
-                                            </td>
-                                            <td className="px-5 py-4 text-center">
-                                                <div className="flex flex-wrap gap-1 justify-center max-h-16 overflow-y-auto no-scrollbar">
-                                                    {p.dotList?.map((dot, i) => (
-                                                        <span key={i} className={`text-[10px] px-1.5 py-0.5 rounded border ${getDotColor(dot)} whitespace-nowrap`}>
-                                                            {dot}
-                                                        </span>
-                                                    ))}
-                                                </div>
-                                            </td>
-                                        </tr>
+                                        <React.Fragment key={idx}>
+                                            {isGroupStart(idx) && (
+                                                <tr className="bg-slate-100/70">
+                                                    <td colSpan={columnCount} className="px-5 py-2"><FitmentHeader fitment={p.fitment} /></td>
+                                                </tr>
+                                            )}
+                                            <tr className={`group transition-premium hover:bg-slate-50 ${selected ? 'bg-blue-50' : ''}`}>
+                                                <td className="px-5 py-4 text-center">
+                                                    <button onClick={() => toggleSelectItem(p)} className={`transition-colors ${selected ? 'text-blue-500' : 'text-slate-300 group-hover:text-slate-400'}`}>
+                                                        {selected ? <CheckSquare size={20} /> : <Square size={20} />}
+                                                    </button>
+                                                </td>
+                                                <td className="px-5 py-4 font-black text-slate-700">{getBrandDisplayName(p.brand)}</td>
+                                                <td className="px-5 py-4 font-bold text-slate-500">{p.model}</td>
+                                                <td className="px-5 py-4">
+                                                    <span className="bg-slate-100 px-2 py-1 rounded font-mono text-[13px] border border-slate-200 text-slate-600 font-bold">{p.size}</span>
+                                                    <SizeDetails product={p} className="mt-1" />
+                                                </td>
+                                                <td className="px-5 py-4 text-right">
+                                                    <input
+                                                        type="text"
+                                                        className={`w-24 text-right border-none rounded px-2 py-1 text-xs focus:ring-1 focus:ring-blue-500/20 outline-none transition-all font-medium ${p.priceOverride?.factoryPrice != null ? 'bg-amber-50 text-amber-700' : 'bg-transparent text-slate-600'}`}
+                                                        value={factoryPrice ? factoryPrice.toLocaleString() : ''}
+                                                        placeholder={p.sheetPrice?.factoryPrice ? p.sheetPrice.factoryPrice.toLocaleString() : ''}
+                                                        onChange={(e) => handlePriceUpdate(p, 'factoryPrice', e.target.value)}
+                                                        onBlur={() => persistPriceOverride(p)}
+                                                        readOnly={!canEditPrices}
+                                                    />
+                                                    <OverrideMarker product={p} className="justify-end mt-1" />
+                                                </td>
+                                                <td className="px-5 py-4 text-center">
+                                                    <input
+                                                        type="text"
+                                                        className={`w-12 text-center border rounded px-1 py-1 text-xs font-black focus:ring-1 focus:ring-blue-500/20 outline-none transition-all ${p.priceOverride?.discountRate != null ? 'bg-amber-50 border-amber-200 text-amber-700' : 'bg-blue-50 border-blue-100 text-blue-600'}`}
+                                                        value={p.discountRate ?? ''}
+                                                        placeholder={String(price.discountRate)}
+                                                        title={price.tierDefault ? '등급 기본 할인율 (입력하면 변경)' : undefined}
+                                                        onChange={(e) => handlePriceUpdate(p, 'discountRate', e.target.value.replace(/[^0-9]/g, ''))}
+                                                        onBlur={() => persistPriceOverride(p)}
+                                                        readOnly={!canEditPrices}
+                                                    />
+                                                </td>
+                                                <td className="px-5 py-4 text-right font-black text-blue-600 tabular-nums">
+                                                    {displayPrice(price).toLocaleString()}
+                                                    <FloorBadge price={price} className="justify-end mt-1" />
+                                                </td>
+                                                {costMode && (
+                                                    <>
+                                                        <td className="px-5 py-4 text-right text-slate-500 tabular-nums">
+                                                            {p.supplyPrice ? p.supplyPrice.toLocaleString() : '-'}
+                                                        </td>
+                                                        <td className="px-5 py-4 text-right tabular-nums">
+                                                            <MarginCell margin={margin} />
+                                                        </td>
+                                                    </>
+                                                )}
+                                                <td className="px-5 py-4 text-right font-black tabular-nums">
+                                                    {p.totalStock > 0 ? <span className="text-slate-600">{p.totalStock.toLocaleString()}</span> : <span className="text-red-500/70 font-medium">품절</span>}
+                                                    <TrendBadge trend={p.trend} className="justify-end mt-1" />
+                                                </td>
+                                                <td className="px-5 py-4 text-center">
+                                                    <div className="flex flex-wrap gap-1 justify-center max-h-16 overflow-y-auto no-scrollbar">
+                                                        {p.dots?.map((dot, i) => (
+                                                            <DotChip key={i} dot={dot} className="text-[10px]" />
+                                                        ))}
+                                                    </div>
+                                                </td>
+                                            </tr>
+                                        </React.Fragment>
                                     );
                                 })
                             )}
@@ -565,6 +1475,9 @@ const ProductList = () => {
                         <div className="py-20 text-center space-y-4">
                             <div className="w-12 h-12 border-4 border-blue-600/20 border-t-blue-600 rounded-full animate-spin mx-auto"></div>
                             <span className="text-lg font-black text-slate-500 italic">LOADING...</span>
+                            {stockProgress && stockProgress.totalPages > 1 && (
+                                <div className="text-xs text-slate-400 font-bold tabular-nums">재고 페이지 {stockProgress.page} / {stockProgress.totalPages}</div>
+                            )}
                         </div>
                     ) : filteredProducts.length === 0 ? (
                         <div className="py-20 text-center opacity-30">
@@ -574,98 +1487,116 @@ const ProductList = () => {
                     ) : (
                         filteredProducts.map((p, idx) => {
                             const factoryPrice = p.factoryPrice ?? 0;
-                            const discountRate = p.discountRate || 0;
-                            const discountedPrice = Math.floor(factoryPrice * (1 - discountRate / 100));
+                            const price = priceOf(p);
+                            const margin = costMode ? getMargin(price, p.supplyPrice) : null;
                             const selected = isSelected(p);
 
                             return (
-                                <div key={idx} className={`relative p-5 rounded-2xl border transition-premium overflow-hidden ${selected ? 'bg-blue-50 border-blue-200 shadow-md shadow-blue-500/10' : 'bg-white border-slate-200 shadow-sm'}`}>
-                                    {/* Selection Glow */}
-                                    {selected && <div className="absolute top-0 right-0 w-32 h-32 bg-blue-500/5 blur-[60px] pointer-events-none"></div>}
-
-                                    <div className="flex justify-between items-start mb-4 relative z-10">
-                                        <div onClick={() => toggleSelectItem(p)} className="cursor-pointer">
-                                            <div className="flex items-center gap-3 mb-1">
-                                                <span className="px-2.5 py-1 bg-blue-600 text-[12px] font-black text-white rounded uppercase tracking-tighter shadow-sm">{getBrandDisplayName(p.brand)}</span>
-                                                <span className={`transition-colors ${selected ? 'text-blue-500' : 'text-slate-300'}`}>
-                                                    {selected ? <CheckSquare size={26} /> : <Square size={26} />}
-                                                </span>
+                                <React.Fragment key={idx}>
+                                    {isGroupStart(idx) && <FitmentHeader fitment={p.fitment} className="pt-2" />}
+                                    <div className={`relative p-5 rounded-2xl border transition-premium overflow-hidden ${selected ? 'bg-blue-50 border-blue-200 shadow-md shadow-blue-500/10' : 'bg-white border-slate-200 shadow-sm'}`}>
+                                        {/* Selection Glow */}
+                                        {selected && <div className="absolute top-0 right-0 w-32 h-32 bg-blue-500/5 blur-[60px] pointer-events-none"></div>}
+
+                                        <div className="flex justify-between items-start mb-4 relative z-10">
+                                            <div onClick={() => toggleSelectItem(p)} className="cursor-pointer">
+                                                <div className="flex items-center gap-3 mb-1">
+                                                    <span className="px-2.5 py-1 bg-blue-600 text-[12px] font-black text-white rounded uppercase tracking-tighter shadow-sm">{getBrandDisplayName(p.brand)}</span>
+                                                    <span className={`transition-colors ${selected ? 'text-blue-500' : 'text-slate-300'}`}>
+                                                        {selected ? <CheckSquare size={26} /> : <Square size={26} />}
+                                                    </span>
+                                                </div>
+                                                <h3 className="text-xl font-black text-slate-900 leading-tight">{p.model}</h3>
+                                                <p className="text-sm font-mono text-slate-500 mt-1">{p.size}</p>
+                                                <SizeDetails product={p} className="mt-1" />
                                             </div>
-                                            <h3 className="text-xl font-black text-slate-900 leading-tight">{p.model}</h3>
-                                            <p className="text-sm font-mono text-slate-500 mt-1">{p.size}</p>
-                                        </div>
-                                        <div className="text-right">
-                                            <div className="text-[11px] text-slate-400 font-bold uppercase tracking-widest mb-1">재고</div>
-                                            <div className={`text-2xl font-black italic ${p.totalStock > 0 ? 'text-slate-800' : 'text-red-500/70'}`}>
-                                                {p.totalStock > 0 ? p.totalStock.toLocaleString() : '품절'}
+                                            <div className="text-right">
+                                                <div className="text-[11px] text-slate-400 font-bold uppercase tracking-widest mb-1">재고</div>
+                                                <div className={`text-2xl font-black italic ${p.totalStock > 0 ? 'text-slate-800' : 'text-red-500/70'}`}>
+                                                    {p.totalStock > 0 ? p.totalStock.toLocaleString() : '품절'}
+                                                </div>
+                                                <TrendBadge trend={p.trend} className="justify-end mt-1" />
                                             </div>
                                         </div>
-                                    </div>
 
-                                    <div className="grid grid-cols-2 gap-4 pt-4 border-t border-slate-100 relative z-10">
-                                        <div>
-                                            <label className="text-[11px] text-slate-500 font-black uppercase mb-1 block">공장도</label>
-                                            <input
-                                                type="text"
-                                                className="w-full bg-transparent border-none px-0 py-2 text-base font-bold text-slate-700 focus:ring-1 focus:ring-blue-500/20 outline-none"
-                                                value={factoryPrice ? factoryPrice.toLocaleString() : ''}
-                                                onChange={(e) => handlePriceUpdate(p, 'factoryPrice', e.target.value)}
-                                            />
-                                        </div>
-                                        <div>
-                                            <label className="text-[11px] text-slate-500 font-black uppercase mb-1 block">할인율 %</label>
-                                            <input
-                                                type="text"
-                                                className="w-full bg-blue-50 border border-blue-100 rounded-lg px-3 py-2 text-base font-black text-blue-600 focus:ring-1 focus:ring-blue-500/20 outline-none"
-                                                value={discountRate}
-                                                onChange={(e) => handlePriceUpdate(p, 'discountRate', e.target.value.replace(/[^0-9]/g, ''))}
-                                            />
+                                        <div className="grid grid-cols-2 gap-4 pt-4 border-t border-slate-100 relative z-10">
+                                            <div>
+                                                <label className="text-[11px] text-slate-500 font-black uppercase mb-1 block">공장도</label>
+                                                <input
+                                                    type="text"
+                                                    className={`w-full border-none px-0 py-2 text-base font-bold focus:ring-1 focus:ring-blue-500/20 outline-none ${p.priceOverride?.factoryPrice != null ? 'bg-amber-50 text-amber-700' : 'bg-transparent text-slate-700'}`}
+                                                    value={factoryPrice ? factoryPrice.toLocaleString() : ''}
+                                                    placeholder={p.sheetPrice?.factoryPrice ? p.sheetPrice.factoryPrice.toLocaleString() : ''}
+                                                    onChange={(e) => handlePriceUpdate(p, 'factoryPrice', e.target.value)}
+                                                    onBlur={() => persistPriceOverride(p)}
+                                                    readOnly={!canEditPrices}
+                                                />
+                                                <OverrideMarker product={p} />
+                                            </div>
+                                            <div>
+                                                <label className="text-[11px] text-slate-500 font-black uppercase mb-1 block">할인율 %</label>
+                                                <input
+                                                    type="text"
+                                                    className={`w-full border rounded-lg px-3 py-2 text-base font-black focus:ring-1 focus:ring-blue-500/20 outline-none ${p.priceOverride?.discountRate != null ? 'bg-amber-50 border-amber-200 text-amber-700' : 'bg-blue-50 border-blue-100 text-blue-600'}`}
+                                                    value={p.discountRate ?? ''}
+                                                    placeholder={String(price.discountRate)}
+                                                    onChange={(e) => handlePriceUpdate(p, 'discountRate', e.target.value.replace(/[^0-9]/g, ''))}
+                                                    onBlur={() => persistPriceOverride(p)}
+                                                    readOnly={!canEditPrices}
+                                                />
+                                            </div>
                                         </div>
-                                    </div>
-
-                                    <div className="mt-4 flex items-end justify-between relative z-10">
-                                        <div className="flex flex-wrap gap-1 max-w-[65%]">
-                                            {/* Show all if expanded, otherwise show first 3 */}
-                                            {(() => {
-                                                const isExpanded = expandedDotItems.includes(idx);
-                                                const visibleDots = isExpanded ? p.dotList : p.dotList?.slice(0, 3);
-                                                const remainingCount = (p.dotList?.length || 0) - 3;
 
-                                                return (
-                                                    <>
-                                                        {visibleDots?.map((dot, i) => (
-                                                            <span key={i} className={`text-[9px] px-1.5 py-0.5 rounded border ${getDotColor(dot)} font-medium`}>
-                                                                {dot}
-                                                            </span>
-                                                        ))}
-                                                        {!isExpanded && remainingCount > 0 && (
-                                                            <button
-                                                                onClick={(e) => toggleDotExpansion(idx, e)}
-                                                                className="text-[9px] text-slate-500 font-bold bg-slate-100 px-1.5 py-0.5 rounded border border-slate-200 hover:bg-slate-200 transition-colors"
-                                                            >
-                                                                +{remainingCount} more
-                                                            </button>
-                                                        )}
-                                                        {isExpanded && p.dotList?.length > 3 && (
-                                                            <button
-                                                                onClick={(e) => toggleDotExpansion(idx, e)}
-                                                                className="text-[9px] text-slate-500 hover:text-slate-800 ml-1 font-bold"
-                                                            >
-                                                                (접기)
-                                                            </button>
-                                                        )}
-                                                    </>
-                                                );
-                                            })()}
-                                        </div>
-                                        <div className="text-right">
-                                            <div className="text-[11px] text-blue-600 font-black uppercase tracking-widest leading-none mb-1">판매가</div>
-                                            <div className="text-3xl font-black text-blue-600">
-                                                {discountedPrice.toLocaleString()}<span className="text-base ml-0.5 font-medium">원</span>
+                                        <div className="mt-4 flex items-end justify-between relative z-10">
+                                            <div className="flex flex-wrap gap-1 max-w-[65%]">
+                                                {/* Show all if expanded, otherwise show first 3 */}
+                                                {(() => {
+                                                    const isExpanded = expandedDotItems.includes(idx);
+                                                    const visibleDots = isExpanded ? p.dots : p.dots?.slice(0, 3);
+                                                    const remainingCount = (p.dots?.length || 0) - 3;
+
+                                                    return (
+                                                        <>
+                                                            {visibleDots?.map((dot, i) => (
+                                                                <DotChip key={i} dot={dot} className="text-[9px] font-medium" />
+                                                            ))}
+                                                            {!isExpanded && remainingCount > 0 && (
+                                                                <button
+                                                                    onClick={(e) => toggleDotExpansion(idx, e)}
+                                                                    className="text-[9px] text-slate-500 font-bold bg-slate-100 px-1.5 py-0.5 rounded border border-slate-200 hover:bg-slate-200 transition-colors"
+                                                                >
+                                                                    +{remainingCount} more
+                                                                </button>
+                                                            )}
+                                                            {isExpanded && p.dots?.length > 3 && (
+                                                                <button
+                                                                    onClick={(e) => toggleDotExpansion(idx, e)}
+                                                                    className="text-[9px] text-slate-500 hover:text-slate-800 ml-1 font-bold"
+                                                                >
+                                                                    (접기)
+                                                                </button>
+                                                            )}
+                                                        </>
+                                                    );
+                                                })()}
+                                            </div>
+                                            <div className="text-right">
+                                                <div className="text-[11px] text-blue-600 font-black uppercase tracking-widest leading-none mb-1">판매가 <span className="normal-case">({vatLabel})</span></div>
+                                                <div className="text-3xl font-black text-blue-600">
+                                                    {displayPrice(price).toLocaleString()}<span className="text-base ml-0.5 font-medium">원</span>
+                                                </div>
+                                                <FloorBadge price={price} className="justify-end mt-1" />
                                             </div>
                                         </div>
+
+                                        {costMode && (
+                                            <div className="mt-3 pt-3 border-t border-dashed border-slate-200 flex items-center justify-between text-sm relative z-10">
+                                                <span className="text-slate-500 font-bold">공급가 {p.supplyPrice ? `${p.supplyPrice.toLocaleString()}원` : '-'}</span>
+                                                <MarginCell margin={margin} />
+                                            </div>
+                                        )}
                                     </div>
-                                </div>
+                                </React.Fragment>
                             );
                         })
                     )}
@@ -707,6 +1638,7 @@ const ProductList = () => {
                                 </h3>
                                 <p className="text-slate-400 text-xs font-bold uppercase tracking-widest mt-1">
                                     {cartItems.length} ITEMS IN BASKET
+                                    {savedQuote && <span className="ml-2 text-blue-600 font-mono normal-case tracking-normal">{savedQuote.number}</span>}
                                 </p>
                             </div>
                             <div className="flex items-center gap-2">
@@ -725,12 +1657,42 @@ const ProductList = () => {
                             </div>
                         </div>
 
+                        {/* Open carts, one per customer being served */}
+                        <div className="px-4 py-2 border-b border-slate-100 flex items-center gap-2 overflow-x-auto no-scrollbar">
+                            {openCarts.map((cart, i) => (
+                                <div
+                                    key={cart.id}
+                                    className={`shrink-0 flex items-center rounded-xl border text-xs font-bold ${cart.id === activeCartId ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-slate-200 text-slate-600 hover:border-slate-400'}`}
+                                >
+                                    <button onClick={() => switchCart(cart.id)} className="pl-3 pr-1 py-1.5 max-w-[10rem] truncate">
+                                        {cartLabel(cart, i)}
+                                        <span className={`ml-1.5 tabular-nums ${cart.id === activeCartId ? 'text-blue-200' : 'text-slate-400'}`}>
+                                            {cart.items.reduce((sum, item) => sum + item.qty, 0)}
+                                        </span>
+                                    </button>
+                                    <button
+                                        onClick={() => closeCart(cart.id)}
+                                        className={`pr-2 pl-1 py-1.5 ${cart.id === activeCartId ? 'text-blue-200 hover:text-white' : 'text-slate-300 hover:text-red-500'}`}
+                                        title="장바구니 닫기"
+                                    >
+                                        <X size={12} />
+                                    </button>
+                                </div>
+                            ))}
+                            <button
+                                onClick={addCart}
+                                className="shrink-0 px-2.5 py-1.5 rounded-xl border border-dashed border-slate-300 text-xs font-bold text-slate-500 hover:text-blue-600 hover:border-blue-400 flex items-center gap-1"
+                            >
+                                <FilePlus size={12} /> 새 장바구니
+                            </button>
+                        </div>
+
                         {/* Content */}
                         <div className="flex-1 overflow-y-auto p-5 space-y-4 no-scrollbar">
                             {cartItems.map((item, i) => {
                                 const p = item.product;
-                                const discountedPrice = Math.floor((p.factoryPrice || 0) * (1 - (p.discountRate || 0) / 100));
-                                const subtotal = discountedPrice * item.qty;
+                                const price = priceOf(p);
+                                const subtotal = price.unitPrice * item.qty;
                                 return (
                                     <div key={i} className="bg-slate-50 border border-slate-200 rounded-2xl p-4 flex flex-col gap-4 group relative">
                                         <button
@@ -774,12 +1736,130 @@ const ProductList = () => {
                                             </div>
 
                                             <div className="text-right text-[10px] text-slate-500 font-bold italic">
-                                                Unit Price: {discountedPrice.toLocaleString()}원
+                                                Unit Price: {price.unitPrice.toLocaleString()}원 (할인 {price.discountRate}%)
+                                                <FloorBadge price={price} className="justify-end mt-1 not-italic" />
                                             </div>
                                         </div>
+
+                                        <FifoSuggestion dots={p.dots} qty={item.qty} />
                                     </div>
                                 );
                             })}
+
+                            {(cartServices.length > 0 || serviceSuggestions.length > 0) && (
+                                <div className="bg-white border border-slate-200 rounded-2xl p-4 space-y-3">
+                                    <div className="flex items-center justify-between">
+                                        <span className="text-slate-900 font-black text-sm flex items-center gap-2">
+                                            <Wrench size={14} className="text-blue-600" /> 장착·공임
+                                        </span>
+                                        {serviceSubtotal > 0 && (
+                                            <span className="text-blue-600 font-black">{serviceSubtotal.toLocaleString()}원</span>
+                                        )}
+                                    </div>
+
+                                    {cartServices.map(line => (
+                                        <div key={serviceLineKey(line)} className="flex items-center gap-3 text-sm">
+                                            <span className="flex-1 min-w-0 font-bold text-slate-700 truncate">{line.name}</span>
+                                            <div className="flex items-center bg-slate-50 rounded-lg border border-slate-200">
+                                                <button onClick={() => updateServiceQty(line, -1)} className="w-7 h-7 text-slate-400 hover:text-slate-900 font-black">-</button>
+                                                <span className="w-6 text-center font-black text-blue-600 tabular-nums">{line.qty}</span>
+                                                <button onClick={() => updateServiceQty(line, 1)} className="w-7 h-7 text-slate-400 hover:text-slate-900 font-black">+</button>
+                                            </div>
+                                            <span className="w-20 text-right font-bold tabular-nums">{(line.unitPrice * line.qty).toLocaleString()}원</span>
+                                            <button onClick={() => removeService(line)} className="p-1 text-slate-300 hover:text-red-500">
+                                                <X size={14} />
+                                            </button>
+                                        </div>
+                                    ))}
+
+                                    {serviceSuggestions.length > 0 && (
+                                        <div className="pt-3 border-t border-dashed border-slate-200 space-y-2">
+                                            <div className="flex items-center justify-between text-[10px] text-slate-400 font-bold">
+                                                <span>타이어 규격 기준 추천 공임</span>
+                                                <button
+                                                    onClick={() => serviceSuggestions.forEach(applyService)}
+                                                    className="text-blue-600 hover:text-blue-500"
+                                                >
+                                                    모두 적용
+                                                </button>
+                                            </div>
+                                            <div className="flex flex-wrap gap-2">
+                                                {serviceSuggestions.map(({ inCart, ...line }) => (
+                                                    <button
+                                                        key={serviceLineKey(line)}
+                                                        onClick={() => applyService(line)}
+                                                        className="px-2.5 py-1.5 rounded-lg bg-slate-50 border border-slate-200 hover:border-blue-400 text-[11px] font-bold text-slate-600 flex items-center gap-1"
+                                                    >
+                                                        <Plus size={12} className="text-blue-600" />
+                                                        {line.name} x{line.qty}
+                                                        <span className="text-slate-400">
+                                                            {inCart ? '수량 맞춤' : `${(line.unitPrice * line.qty).toLocaleString()}원`}
+                                                        </span>
+                                                    </button>
+                                                ))}
+                                            </div>
+                                        </div>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+
+                        {/* Quote Details */}
+                        <div className="px-6 py-4 border-t border-slate-200 grid grid-cols-2 gap-3">
+                            {quoteForm.customerId && (
+                                <div className="col-span-2 flex items-center justify-between text-[11px] font-bold text-blue-600">
+                                    <span className="flex items-center gap-1"><Contact size={12} /> 등록 고객과 연결됨</span>
+                                    <button
+                                        onClick={() => setQuoteForm({ ...quoteForm, customerId: '' })}
+                                        className="flex items-center gap-1 text-slate-400 hover:text-slate-700"
+                                    >
+                                        <Link2Off size={12} /> 연결 해제
+                                    </button>
+                                </div>
+                            )}
+                            <input
+                                type="text"
+                                placeholder="고객명"
+                                className="px-3 py-2 bg-white border border-slate-200 rounded-xl text-sm font-medium"
+                                value={quoteForm.customerName}
+                                onChange={(e) => setQuoteForm({ ...quoteForm, customerName: e.target.value })}
+                            />
+                            <input
+                                type="tel"
+                                placeholder="연락처"
+                                className="px-3 py-2 bg-white border border-slate-200 rounded-xl text-sm font-medium"
+                                value={quoteForm.customerPhone}
+                                onChange={(e) => setQuoteForm({ ...quoteForm, customerPhone: e.target.value })}
+                            />
+                            <input
+                                type="text"
+                                placeholder="차량 (예: 쏘나타 2021)"
+                                className="col-span-2 px-3 py-2 bg-white border border-slate-200 rounded-xl text-sm font-medium"
+                                value={quoteForm.vehicle}
+                                onChange={(e) => setQuoteForm({ ...quoteForm, vehicle: e.target.value })}
+                            />
+                            <label className="text-[10px] text-slate-400 font-bold">
+                                추가 할인 (원)
+                                <input
+                                    type="text"
+                                    inputMode="numeric"
+                                    className="mt-1 w-full px-3 py-2 bg-white border border-slate-200 rounded-xl text-sm font-medium text-right text-slate-900"
+                                    value={quoteDiscount}
+                                    onChange={(e) => setQuoteForm({ ...quoteForm, discount: Math.min(Number(e.target.value.replace(/[^0-9]/g, '')) || 0, maxDiscount) })}
+                                />
+                                {!canSellBelowCost && tireFloor > 0 && quoteDiscount === maxDiscount && (
+                                    <span className="block mt-1 text-amber-600">원가 이하 할인 불가 (최대 {maxDiscount.toLocaleString()}원)</span>
+                                )}
+                            </label>
+                            <label className="text-[10px] text-slate-400 font-bold">
+                                유효기간
+                                <input
+                                    type="date"
+                                    className="mt-1 w-full px-3 py-2 bg-white border border-slate-200 rounded-xl text-sm font-medium text-slate-900"
+                                    value={quoteForm.validUntil}
+                                    onChange={(e) => setQuoteForm({ ...quoteForm, validUntil: e.target.value })}
+                                />
+                            </label>
                         </div>
 
                         {/* Total Sum Footer */}
@@ -787,13 +1867,25 @@ const ProductList = () => {
                             <div>
                                 <span className="text-slate-400 font-bold uppercase tracking-[0.2em] text-[10px] block mb-1">Estimation Total</span>
                                 <span className="text-3xl font-black text-slate-900">
-                                    {cartItems.reduce((acc, item) => {
-                                        const p = item.product;
-                                        const price = Math.floor((p.factoryPrice || 0) * (1 - (p.discountRate || 0) / 100));
-                                        return acc + (price * item.qty);
-                                    }, 0).toLocaleString()}<span className="text-sm ml-1 text-slate-400 font-medium italic uppercase">KRW</span>
+                                    {cartTotal.toLocaleString()}<span className="text-sm ml-1 text-slate-400 font-medium italic uppercase">KRW</span>
                                 </span>
+                                {serviceSubtotal > 0 && (
+                                    <span className="block text-xs text-slate-400 font-bold mt-1">
+                                        타이어 {tireSubtotal.toLocaleString()}원 + 공임 {serviceSubtotal.toLocaleString()}원
+                                    </span>
+                                )}
+                                {quoteDiscount > 0 && (
+                                    <span className="block text-xs text-slate-400 font-bold mt-1">
+                                        {cartSubtotal.toLocaleString()}원 - 추가 할인 {quoteDiscount.toLocaleString()}원
+                                    </span>
+                                )}
                             </div>
+                            {cartMargin && (
+                                <div className="text-right">
+                                    <span className="text-slate-400 font-bold text-[10px] block mb-1">마진 (VAT 별도)</span>
+                                    <MarginCell margin={cartMargin} />
+                                </div>
+                            )}
                         </div>
 
                         {/* Action Bar */}
@@ -807,6 +1899,34 @@ const ProductList = () => {
                                 <div className="absolute inset-0 bg-white/10 translate-x-[-100%] group-hover:translate-x-[100%] transition-transform duration-1000 rotate-12"></div>
                             </button>
 
+                            <div className="grid grid-cols-3 gap-3">
+                                {canSaveQuotes && (
+                                    <button
+                                        onClick={saveQuote}
+                                        disabled={savingQuote}
+                                        className="col-span-2 py-3 bg-slate-800 hover:bg-slate-700 text-white font-bold text-sm rounded-xl flex items-center justify-center gap-2 transition-all disabled:opacity-50"
+                                    >
+                                        <Save size={16} />
+                                        {savedQuote ? `견적서 ${savedQuote.number} 수정 저장` : '견적서 저장'}
+                                    </button>
+                                )}
+                                <button
+                                    onClick={() => setShowPrint(true)}
+                                    className={`${canSaveQuotes ? '' : 'col-span-3 '}py-3 bg-slate-100 hover:bg-slate-200 text-slate-700 font-bold text-sm rounded-xl flex items-center justify-center gap-2 transition-all border border-slate-200`}
+                                >
+                                    <Printer size={16} /> 인쇄/PDF
+                                </button>
+                            </div>
+
+                            {canSell && (
+                                <button
+                                    onClick={() => setShowCheckout(true)}
+                                    className="w-full py-3 bg-green-600 hover:bg-green-500 text-white font-bold text-sm rounded-xl flex items-center justify-center gap-2 transition-all"
+                                >
+                                    <Receipt size={16} /> 결제·판매 등록
+                                </button>
+                            )}
+
                             <div className="grid grid-cols-2 gap-3">
                                 <button
                                     onClick={copyAccount}
@@ -815,7 +1935,7 @@ const ProductList = () => {
                                     계좌번호 복사
                                 </button>
                                 <a
-                                    href="https://toss.im/_m/transfer?bank=%EA%B8%B0%EC%97%85&account=15207812304017"
+                                    href={TOSS_TRANSFER_URL}
                                     target="_blank"
                                     rel="noopener noreferrer"
                                     className="py-3 bg-blue-500/10 hover:bg-blue-500/20 text-blue-400 font-bold text-xs rounded-xl transition-all border border-blue-500/20 text-center flex items-center justify-center"
@@ -834,6 +1954,20 @@ const ProductList = () => {
                     </div>
                 </div>
             )}
+
+            {showPrint && <QuotePrint quote={cartAsQuote()} onClose={() => setShowPrint(false)} />}
+            {showCheckout && (
+                <Checkout
+                    title="결제·판매 등록"
+                    lines={cartItems.map(item => toQuoteLine(item, tier))}
+                    labor={cartServices}
+                    discount={quoteDiscount}
+                    customer={{ name: quoteForm.customerName, phone: quoteForm.customerPhone }}
+                    vehicle={quoteForm.vehicle}
+                    onSubmit={checkout}
+                    onClose={() => setShowCheckout(false)}
+                />
+            )}
         </div>
     );
 };
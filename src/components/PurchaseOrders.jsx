@@ -0,0 +1,367 @@
+import React, { useState, useEffect } from 'react';
+import { ClipboardList, RefreshCw, Wand2, Printer, Download, Trash2, Send, PackageCheck, Save, AlertCircle, ScanLine } from 'lucide-react';
+import { purchaseOrderService } from '../services/PurchaseOrderService';
+import { PO_STATUS_LABELS } from '../config/purchasing';
+import { getBrandDisplayName, formatSyncTime } from '../utils/formatters';
+import { hasPermission } from '../config/roles';
+
+const STATUS_FILTERS = [
+    { id: '', label: '전체' },
+    { id: 'draft', label: PO_STATUS_LABELS.draft },
+    { id: 'sent', label: PO_STATUS_LABELS.sent },
+    { id: 'received', label: PO_STATUS_LABELS.received }
+];
+
+const STATUS_STYLES = {
+    draft: 'bg-amber-100 text-amber-700',
+    sent: 'bg-blue-100 text-blue-700',
+    received: 'bg-green-100 text-green-700'
+};
+
+const LOCATION_LABELS = { store: '매장', warehouse: '물류센터' };
+
+const orderTotal = (lines) => lines.reduce((sum, line) => sum + line.qty * line.unitCost, 0);
+
+/**
+ * Lines grouped by brand, in first-seen order.
+ */
+const groupByBrand = (lines) => {
+    const groups = new Map();
+    lines.forEach((line, index) => {
+        const brand = line.brand || '기타';
+        groups.set(brand, [...(groups.get(brand) || []), { ...line, index }]);
+    });
+    return [...groups.entries()];
+};
+
+const PurchaseOrders = ({ onNavigate, user }) => {
+    const [orders, setOrders] = useState([]);
+    const [statusFilter, setStatusFilter] = useState('');
+    const [selectedId, setSelectedId] = useState(null);
+    const [draft, setDraft] = useState(null); // editable copy of the selected draft PO
+    const [loading, setLoading] = useState(true);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+    const canManage = hasPermission(user.role, 'managePurchaseOrders');
+    const canReceive = hasPermission(user.role, 'adjustStock');
+
+    useEffect(() => {
+        loadOrders();
+    }, [statusFilter]);
+
+    const selected = orders.find(o => o.id === selectedId) || null;
+
+    useEffect(() => {
+        // Only owners get an editable copy; everyone else sees drafts read-only
+        setDraft(canManage && selected && selected.status === 'draft'
+            ? { supplier: selected.supplier, note: selected.note, lines: selected.lines.map(line => ({ ...line })) }
+            : null);
+    }, [selectedId, selected?.updatedAt]);
+
+    const loadOrders = async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            setOrders(await purchaseOrderService.list(statusFilter));
+        } catch (err) {
+            console.error('Purchase Order Loading Error:', err);
+            setError('발주서를 불러오지 못했습니다.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const run = async (task) => {
+        setBusy(true);
+        try {
+            await task();
+        } catch (err) {
+            alert(err.code === 'insufficient_stock' ? '재고가 부족합니다.' : `처리 실패: ${err.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleGenerate = () => run(async () => {
+        const created = await purchaseOrderService.generate();
+        if (created.length === 0) {
+            alert('발주가 필요한 품목이 없습니다. (이미 발주 중인 품목은 제외됩니다)');
+            return;
+        }
+        setStatusFilter('');
+        await loadOrders();
+        setSelectedId(created[0].id);
+    });
+
+    const handleSave = () => run(async () => {
+        await purchaseOrderService.update(selected.id, draft);
+        await loadOrders();
+    });
+
+    const handleAdvance = (status) => {
+        const message = status === 'sent'
+            ? '발주를 확정하시겠습니까? 확정 후에는 수정할 수 없습니다.'
+            : '입고 처리하시겠습니까? 모든 품목이 DOT 없이 재고에 추가됩니다.';
+        if (!window.confirm(message)) return;
+
+        run(async () => {
+            // Unsaved edits are sent along with the confirmation
+            await purchaseOrderService.update(selected.id, draft ? { ...draft, status } : { status });
+            await loadOrders();
+        });
+    };
+
+    const handleDelete = () => {
+        if (!window.confirm(`${selected.number} 발주서를 삭제하시겠습니까?`)) return;
+        run(async () => {
+            await purchaseOrderService.remove(selected.id);
+            setSelectedId(null);
+            await loadOrders();
+        });
+    };
+
+    const updateLine = (index, changes) => {
+        setDraft({ ...draft, lines: draft.lines.map((line, i) => (i === index ? { ...line, ...changes } : line)) });
+    };
+
+    const removeLine = (index) => {
+        setDraft({ ...draft, lines: draft.lines.filter((_, i) => i !== index) });
+    };
+
+    const lines = draft ? draft.lines : selected?.lines || [];
+
+    return (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* Order List */}
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden no-print">
+                <div className="p-4 border-b border-gray-200 space-y-3">
+                    <div className="flex items-center justify-between">
+                        <h2 className="text-lg font-bold flex items-center gap-2">
+                            <ClipboardList size={20} className="text-blue-600" /> 발주서
+                        </h2>
+                        {canManage && (
+                            <button
+                                onClick={handleGenerate}
+                                disabled={busy}
+                                className="px-3 py-1 rounded-lg text-sm font-medium bg-blue-600 text-white flex items-center gap-1 disabled:opacity-50"
+                            >
+                                <Wand2 size={14} /> 발주 제안 생성
+                            </button>
+                        )}
+                    </div>
+                    <div className="flex flex-wrap gap-2">
+                        {STATUS_FILTERS.map(f => (
+                            <button
+                                key={f.id || 'all'}
+                                onClick={() => setStatusFilter(f.id)}
+                                className={`px-3 py-1 rounded-lg text-sm font-medium ${statusFilter === f.id ? 'bg-slate-800 text-white' : 'bg-gray-100 text-gray-600'}`}
+                            >
+                                {f.label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                <div className="divide-y divide-gray-100 max-h-[70vh] overflow-y-auto">
+                    {loading ? (
+                        <div className="p-8 text-center text-gray-400 text-sm">
+                            <RefreshCw size={20} className="animate-spin mx-auto mb-2" />
+                            발주서 불러오는 중...
+                        </div>
+                    ) : error ? (
+                        <div className="p-8 text-center text-red-500 text-sm font-medium">{error}</div>
+                    ) : orders.length === 0 ? (
+                        <div className="p-8 text-center text-gray-400 text-sm">발주서가 없습니다.</div>
+                    ) : orders.map(order => (
+                        <button
+                            key={order.id}
+                            onClick={() => setSelectedId(order.id)}
+                            className={`w-full text-left p-4 hover:bg-gray-50 ${order.id === selectedId ? 'bg-blue-50' : ''}`}
+                        >
+                            <div className="flex items-center justify-between">
+                                <span className="font-mono text-sm font-bold text-slate-800">{order.number}</span>
+                                <span className={`px-2 py-0.5 rounded text-xs font-bold ${STATUS_STYLES[order.status]}`}>
+                                    {PO_STATUS_LABELS[order.status]}
+                                </span>
+                            </div>
+                            <div className="text-sm text-gray-600 mt-1">{order.supplier}</div>
+                            <div className="text-xs text-gray-400 mt-1">
+                                {order.lines.length}개 품목 · {orderTotal(order.lines).toLocaleString()}원 · {formatSyncTime(order.createdAt)}
+                            </div>
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {/* Order Detail / Editor */}
+            <div className="lg:col-span-2 bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+                {!selected ? (
+                    <div className="p-12 text-center text-gray-400 text-sm no-print">
+                        발주서를 선택하거나 재고 부족 품목으로 발주 제안을 생성하세요.
+                    </div>
+                ) : (
+                    <div className="print-area">
+                        <div className="p-6 border-b border-gray-200 flex flex-col md:flex-row md:justify-between md:items-start gap-4">
+                            <div className="space-y-1">
+                                <h2 className="text-xl font-bold text-slate-800">발주서 {selected.number}</h2>
+                                {draft ? (
+                                    <input
+                                        type="text"
+                                        className="px-3 py-1 border border-gray-200 rounded-lg text-sm no-print"
+                                        value={draft.supplier}
+                                        onChange={(e) => setDraft({ ...draft, supplier: e.target.value })}
+                                    />
+                                ) : null}
+                                <p className={`text-sm text-gray-600 ${draft ? 'hidden print:block' : ''}`}>공급처: {draft ? draft.supplier : selected.supplier}</p>
+                                <p className="text-xs text-gray-400">
+                                    작성 {formatSyncTime(selected.createdAt)}
+                                    {selected.sentAt && ` · 발주 ${formatSyncTime(selected.sentAt)}`}
+                                    {selected.receivedAt && ` · 입고 ${formatSyncTime(selected.receivedAt)}`}
+                                </p>
+                            </div>
+                            <div className="flex flex-wrap gap-2 no-print">
+                                <button
+                                    onClick={() => window.print()}
+                                    className="px-3 py-1 rounded-lg text-sm font-medium bg-gray-100 text-gray-700 flex items-center gap-1"
+                                >
+                                    <Printer size={14} /> 인쇄
+                                </button>
+                                <a
+                                    href={purchaseOrderService.csvUrl(selected.id)}
+                                    className="px-3 py-1 rounded-lg text-sm font-medium bg-gray-100 text-gray-700 flex items-center gap-1"
+                                >
+                                    <Download size={14} /> CSV
+                                </a>
+                                {draft && (
+                                    <>
+                                        <button
+                                            onClick={handleSave}
+                                            disabled={busy}
+                                            className="px-3 py-1 rounded-lg text-sm font-medium bg-slate-800 text-white flex items-center gap-1 disabled:opacity-50"
+                                        >
+                                            <Save size={14} /> 저장
+                                        </button>
+                                        <button
+                                            onClick={() => handleAdvance('sent')}
+                                            disabled={busy || draft.lines.length === 0}
+                                            className="px-3 py-1 rounded-lg text-sm font-medium bg-blue-600 text-white flex items-center gap-1 disabled:opacity-50"
+                                        >
+                                            <Send size={14} /> 발주 확정
+                                        </button>
+                                        <button
+                                            onClick={handleDelete}
+                                            disabled={busy}
+                                            className="p-1.5 rounded-lg text-red-500 hover:bg-red-50 disabled:opacity-50"
+                                        >
+                                            <Trash2 size={16} />
+                                        </button>
+                                    </>
+                                )}
+                                {selected.status === 'sent' && canReceive && onNavigate && (
+                                    <button
+                                        onClick={() => onNavigate('receiving', { orderId: selected.id })}
+                                        className="px-3 py-1 rounded-lg text-sm font-medium bg-green-600 text-white flex items-center gap-1"
+                                    >
+                                        <ScanLine size={14} /> 입고 검수
+                                    </button>
+                                )}
+                                {selected.status === 'sent' && canManage && (
+                                    <button
+                                        onClick={() => handleAdvance('received')}
+                                        disabled={busy}
+                                        className="px-3 py-1 rounded-lg text-sm font-medium bg-gray-100 text-gray-700 flex items-center gap-1 disabled:opacity-50"
+                                    >
+                                        <PackageCheck size={14} /> 전량 입고
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+
+                        {draft && draft.lines.length === 0 && (
+                            <div className="m-4 p-3 rounded-lg bg-amber-50 text-amber-700 text-sm flex items-center gap-2 no-print">
+                                <AlertCircle size={16} /> 품목이 없는 발주서는 확정할 수 없습니다.
+                            </div>
+                        )}
+
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-sm text-left">
+                                <thead className="bg-gray-50 text-gray-500 font-medium border-b border-gray-200">
+                                    <tr>
+                                        <th className="px-6 py-3">상품명 (Model)</th>
+                                        <th className="px-6 py-3">사이즈</th>
+                                        <th className="px-6 py-3">입고위치</th>
+                                        <th className="px-6 py-3 text-right">수량</th>
+                                        <th className="px-6 py-3 text-right">단가</th>
+                                        <th className="px-6 py-3 text-right">금액</th>
+                                        {draft && <th className="px-6 py-3 no-print"></th>}
+                                    </tr>
+                                </thead>
+                                {groupByBrand(lines).map(([brand, brandLines]) => (
+                                    <tbody key={brand} className="divide-y divide-gray-100 border-b border-gray-200">
+                                        <tr className="bg-slate-50">
+                                            <td colSpan={draft ? 7 : 6} className="px-6 py-2 text-xs font-bold text-slate-600">
+                                                {getBrandDisplayName(brand)} · {brandLines.reduce((sum, line) => sum + line.qty, 0)}개
+                                            </td>
+                                        </tr>
+                                        {brandLines.map(line => (
+                                            <tr key={`${line.code}-${line.type}`}>
+                                                <td className="px-6 py-3 font-medium text-slate-800">
+                                                    {line.model}
+                                                    <div className="text-[11px] text-gray-400 font-mono">{line.code}</div>
+                                                </td>
+                                                <td className="px-6 py-3 text-gray-600">{line.size}</td>
+                                                <td className="px-6 py-3 text-gray-600">{LOCATION_LABELS[line.type]}</td>
+                                                <td className="px-6 py-3 text-right font-bold">
+                                                    {draft ? (
+                                                        <input
+                                                            type="text"
+                                                            inputMode="numeric"
+                                                            className="w-16 px-2 py-1 border border-gray-200 rounded text-right"
+                                                            value={line.qty}
+                                                            onChange={(e) => updateLine(line.index, { qty: Number(e.target.value.replace(/[^0-9]/g, '')) || 0 })}
+                                                        />
+                                                    ) : line.qty}
+                                                </td>
+                                                <td className="px-6 py-3 text-right text-gray-600">{line.unitCost.toLocaleString()}</td>
+                                                <td className="px-6 py-3 text-right font-medium">{(line.qty * line.unitCost).toLocaleString()}</td>
+                                                {draft && (
+                                                    <td className="px-6 py-3 text-right no-print">
+                                                        <button onClick={() => removeLine(line.index)} className="p-1 text-gray-400 hover:text-red-500">
+                                                            <Trash2 size={14} />
+                                                        </button>
+                                                    </td>
+                                                )}
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                ))}
+                            </table>
+                        </div>
+
+                        <div className="p-6 flex flex-col md:flex-row md:justify-between gap-4">
+                            <div className="flex-1">
+                                <label className="text-xs text-gray-500 font-medium">메모</label>
+                                {draft ? (
+                                    <textarea
+                                        rows={2}
+                                        className="w-full mt-1 px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                                        value={draft.note}
+                                        onChange={(e) => setDraft({ ...draft, note: e.target.value })}
+                                    />
+                                ) : (
+                                    <p className="text-sm text-gray-700 mt-1">{selected.note || '-'}</p>
+                                )}
+                            </div>
+                            <div className="text-right">
+                                <div className="text-xs text-gray-500">합계 ({lines.reduce((sum, line) => sum + line.qty, 0)}개)</div>
+                                <div className="text-2xl font-bold text-slate-800">{orderTotal(lines).toLocaleString()}원</div>
+                            </div>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default PurchaseOrders;
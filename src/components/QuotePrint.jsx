@@ -0,0 +1,216 @@
+import React from 'react';
+import { createPortal } from 'react-dom';
+import { Printer, FileDown, X } from 'lucide-react';
+import { SHOP_INFO } from '../config/shop';
+import { QUOTE_DOCUMENT } from '../config/quotes';
+import { getBrandDisplayName, formatKoreanWon } from '../utils/formatters';
+import { splitVat } from '../utils/pricing';
+
+const formatDate = (value) => {
+    const date = value ? new Date(value) : new Date();
+    return `${date.getFullYear()}년 ${date.getMonth() + 1}월 ${date.getDate()}일`;
+};
+
+const won = (amount) => amount.toLocaleString();
+
+/**
+ * A4 estimate (견적서) preview with print and PDF export. The PDF is produced by the browser's own
+ * print dialog ("PDF로 저장"), so nothing leaves the shop PC.
+ *
+ * `quote` is a saved quote or an unsaved cart in the same shape:
+ * { number?, createdAt?, validUntil, customer: { name, phone }, vehicle, lines, services?, discount, note? }
+ * Services (installation labor) are listed after the tires with a subtotal of their own.
+ */
+const QuotePrint = ({ quote, onClose }) => {
+    const withAmounts = (line) => {
+        const amount = line.qty * line.unitPrice;
+        return { ...line, amount, ...splitVat(amount) };
+    };
+    const lines = quote.lines.map(withAmounts);
+    const services = (quote.services || []).map(withAmounts);
+    const tireSubtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+    const serviceSubtotal = services.reduce((sum, line) => sum + line.amount, 0);
+    const subtotal = tireSubtotal + serviceSubtotal;
+    const discount = quote.discount || 0;
+    const total = Math.max(0, subtotal - discount);
+    const totals = splitVat(total);
+
+    const supplierRows = [
+        ['등록번호', SHOP_INFO.businessNumber],
+        ['상호', SHOP_INFO.companyName],
+        ['대표자', SHOP_INFO.representative && `${SHOP_INFO.representative} (인)`],
+        ['주소', SHOP_INFO.address],
+        ['전화', [SHOP_INFO.phone, SHOP_INFO.fax && `FAX ${SHOP_INFO.fax}`].filter(Boolean).join(' / ')]
+    ].filter(([, value]) => value);
+
+    const handlePrint = () => window.print();
+
+    const handlePdf = () => {
+        // The browser suggests the document title as the PDF file name
+        const previousTitle = document.title;
+        document.title = `견적서_${quote.number || formatDate(quote.createdAt).replace(/\s/g, '')}_${quote.customer.name || '고객'}`;
+        window.addEventListener('afterprint', () => { document.title = previousTitle; }, { once: true });
+        window.print();
+    };
+
+    return createPortal(
+        <div className="print-document fixed inset-0 z-[60] bg-slate-900/40 backdrop-blur-sm overflow-y-auto print:static print:bg-white print:backdrop-blur-none print:overflow-visible">
+            <div className="sticky top-0 z-10 flex items-center justify-end gap-2 p-3 bg-white/90 border-b border-slate-200 no-print">
+                <span className="mr-auto text-sm font-bold text-slate-600">견적서 미리보기 (A4)</span>
+                <button
+                    onClick={handlePrint}
+                    className="px-3 py-1.5 rounded-lg text-sm font-medium bg-gray-100 text-gray-700 flex items-center gap-1"
+                >
+                    <Printer size={14} /> 인쇄
+                </button>
+                <button
+                    onClick={handlePdf}
+                    title="인쇄 창에서 'PDF로 저장'을 선택하세요"
+                    className="px-3 py-1.5 rounded-lg text-sm font-medium bg-blue-600 text-white flex items-center gap-1"
+                >
+                    <FileDown size={14} /> PDF 저장
+                </button>
+                <button onClick={onClose} className="p-1.5 rounded-full text-slate-400 hover:text-slate-900 hover:bg-slate-100">
+                    <X size={20} />
+                </button>
+            </div>
+
+            <div className="print-area mx-auto my-6 bg-white shadow-xl w-[210mm] min-h-[297mm] p-[15mm] text-[12px] text-black print:m-0 print:shadow-none print:w-full print:min-h-0 print:p-0">
+                {/* Header */}
+                <h1 className="text-center text-3xl font-black tracking-[0.5em] border-b-4 border-double border-black pb-3 mb-6">
+                    {QUOTE_DOCUMENT.title}
+                </h1>
+
+                <div className="grid grid-cols-2 gap-6 mb-5">
+                    <div className="space-y-1.5">
+                        {quote.number && <p>견적번호: <span className="font-mono">{quote.number}</span></p>}
+                        <p>견적일자: {formatDate(quote.createdAt)}</p>
+                        {quote.validUntil && <p>유효기간: {formatDate(quote.validUntil)}까지</p>}
+                        <p className="pt-2 text-lg font-bold border-b border-black">{quote.customer.name || '　　　　'} 귀하</p>
+                        {quote.customer.phone && <p>연락처: {quote.customer.phone}</p>}
+                        {quote.vehicle && <p>차량: {quote.vehicle}</p>}
+                        <p className="pt-2">{QUOTE_DOCUMENT.greeting}</p>
+                    </div>
+                    <table className="w-full border border-black border-collapse">
+                        <tbody>
+                            {supplierRows.map(([label, value], i) => (
+                                <tr key={label}>
+                                    {i === 0 && (
+                                        <th rowSpan={supplierRows.length} className="w-6 border border-black bg-gray-100 font-bold [writing-mode:vertical-rl] tracking-[0.5em]">
+                                            공급자
+                                        </th>
+                                    )}
+                                    <th className="w-16 border border-black bg-gray-100 px-2 py-1.5 font-medium">{label}</th>
+                                    <td className="border border-black px-2 py-1.5">{value}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div className="flex items-center justify-between border-2 border-black px-4 py-3 mb-5">
+                    <span className="font-bold">합계금액 (VAT 포함)</span>
+                    <span className="text-base font-black">
+                        {formatKoreanWon(total)} <span className="font-mono">(₩{won(total)})</span>
+                    </span>
+                </div>
+
+                {/* Line items */}
+                <table className="w-full border border-black border-collapse mb-4">
+                    <thead className="bg-gray-100">
+                        <tr>
+                            <th className="border border-black px-2 py-1.5 w-8">No</th>
+                            <th className="border border-black px-2 py-1.5">품명</th>
+                            <th className="border border-black px-2 py-1.5">규격</th>
+                            <th className="border border-black px-2 py-1.5 w-12">수량</th>
+                            <th className="border border-black px-2 py-1.5">단가</th>
+                            <th className="border border-black px-2 py-1.5">공급가액</th>
+                            <th className="border border-black px-2 py-1.5">세액</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {lines.map((line, i) => (
+                            <tr key={`${line.code}-${i}`}>
+                                <td className="border border-black px-2 py-1.5 text-center">{i + 1}</td>
+                                <td className="border border-black px-2 py-1.5">{getBrandDisplayName(line.brand)} {line.model}</td>
+                                <td className="border border-black px-2 py-1.5 font-mono">{line.size}</td>
+                                <td className="border border-black px-2 py-1.5 text-right">{line.qty}</td>
+                                <td className="border border-black px-2 py-1.5 text-right">{won(line.unitPrice)}</td>
+                                <td className="border border-black px-2 py-1.5 text-right">{won(line.supply)}</td>
+                                <td className="border border-black px-2 py-1.5 text-right">{won(line.vat)}</td>
+                            </tr>
+                        ))}
+                        {services.length > 0 && (
+                            <tr className="bg-gray-50">
+                                <td colSpan={7} className="border border-black px-2 py-1 font-bold">장착·공임</td>
+                            </tr>
+                        )}
+                        {services.map((line, i) => (
+                            <tr key={`service-${i}`}>
+                                <td className="border border-black px-2 py-1.5 text-center">{lines.length + i + 1}</td>
+                                <td colSpan={2} className="border border-black px-2 py-1.5">{line.name}</td>
+                                <td className="border border-black px-2 py-1.5 text-right">{line.qty}</td>
+                                <td className="border border-black px-2 py-1.5 text-right">{won(line.unitPrice)}</td>
+                                <td className="border border-black px-2 py-1.5 text-right">{won(line.supply)}</td>
+                                <td className="border border-black px-2 py-1.5 text-right">{won(line.vat)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                    <tfoot className="font-bold">
+                        {services.length > 0 && (
+                            <>
+                                <tr>
+                                    <td colSpan={5} className="border border-black px-2 py-1.5 text-right">타이어 소계</td>
+                                    <td colSpan={2} className="border border-black px-2 py-1.5 text-right">{won(tireSubtotal)}</td>
+                                </tr>
+                                <tr>
+                                    <td colSpan={5} className="border border-black px-2 py-1.5 text-right">공임 소계</td>
+                                    <td colSpan={2} className="border border-black px-2 py-1.5 text-right">{won(serviceSubtotal)}</td>
+                                </tr>
+                            </>
+                        )}
+                        {discount > 0 && (
+                            <>
+                                <tr>
+                                    <td colSpan={5} className="border border-black px-2 py-1.5 text-right">소계</td>
+                                    <td colSpan={2} className="border border-black px-2 py-1.5 text-right">{won(subtotal)}</td>
+                                </tr>
+                                <tr>
+                                    <td colSpan={5} className="border border-black px-2 py-1.5 text-right">추가 할인</td>
+                                    <td colSpan={2} className="border border-black px-2 py-1.5 text-right">-{won(discount)}</td>
+                                </tr>
+                            </>
+                        )}
+                        <tr>
+                            <td colSpan={5} className="border border-black px-2 py-1.5 text-right">공급가액</td>
+                            <td colSpan={2} className="border border-black px-2 py-1.5 text-right">{won(totals.supply)}</td>
+                        </tr>
+                        <tr>
+                            <td colSpan={5} className="border border-black px-2 py-1.5 text-right">부가세</td>
+                            <td colSpan={2} className="border border-black px-2 py-1.5 text-right">{won(totals.vat)}</td>
+                        </tr>
+                        <tr className="bg-gray-100">
+                            <td colSpan={5} className="border border-black px-2 py-1.5 text-right">합계</td>
+                            <td colSpan={2} className="border border-black px-2 py-1.5 text-right">{won(total)}</td>
+                        </tr>
+                    </tfoot>
+                </table>
+
+                {quote.note && <p className="mb-4">비고: {quote.note}</p>}
+
+                {/* Footer */}
+                <div className="border-t border-black pt-3 space-y-1 text-[11px]">
+                    {QUOTE_DOCUMENT.footerNotes.map(note => <p key={note}>※ {note}</p>)}
+                    {services.length === 0 && <p>※ {QUOTE_DOCUMENT.noServicesNote}</p>}
+                    <p className="pt-2 font-bold text-[12px]">
+                        입금계좌: {SHOP_INFO.bankName} {SHOP_INFO.bankAccount} ({SHOP_INFO.companyName})
+                    </p>
+                    <p className="pt-4 text-center text-[12px]">{QUOTE_DOCUMENT.closing} — {SHOP_INFO.name} Tel. {SHOP_INFO.phone}</p>
+                </div>
+            </div>
+        </div>,
+        document.body
+    );
+};
+
+export default QuotePrint;
@@ -0,0 +1,337 @@
+import React, { useState, useEffect } from 'react';
+import { FileText, RefreshCw, Search, ShoppingCart, CheckCircle, XCircle, Send, Receipt, Trash2, Printer } from 'lucide-react';
+import { quoteService } from '../services/QuoteService';
+import { QUOTE_STATUS_LABELS } from '../config/quotes';
+import { hasPermission } from '../config/roles';
+import { getBrandDisplayName, formatSyncTime } from '../utils/formatters';
+import QuotePrint from './QuotePrint';
+import Checkout from './Checkout';
+
+const STATUS_FILTERS = [
+    { id: '', label: '전체' },
+    { id: 'sent', label: QUOTE_STATUS_LABELS.sent },
+    { id: 'accepted', label: QUOTE_STATUS_LABELS.accepted },
+    { id: 'expired', label: QUOTE_STATUS_LABELS.expired }
+];
+
+const STATUS_STYLES = {
+    sent: 'bg-blue-100 text-blue-700',
+    accepted: 'bg-green-100 text-green-700',
+    expired: 'bg-gray-100 text-gray-500'
+};
+
+const StatusBadge = ({ quote }) => (quote.sale ? (
+    <span className="px-2 py-0.5 rounded text-xs font-bold bg-slate-800 text-white">판매완료</span>
+) : (
+    <span className={`px-2 py-0.5 rounded text-xs font-bold ${STATUS_STYLES[quote.status]}`}>
+        {QUOTE_STATUS_LABELS[quote.status]}
+    </span>
+));
+
+const Quotes = ({ onNavigate, user }) => {
+    const [quotes, setQuotes] = useState([]);
+    const [query, setQuery] = useState('');
+    const [statusFilter, setStatusFilter] = useState('');
+    const [selectedId, setSelectedId] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+    const [showPrint, setShowPrint] = useState(false);
+    const [showCheckout, setShowCheckout] = useState(false);
+    const canManage = hasPermission(user.role, 'manageQuotes');
+
+    useEffect(() => {
+        loadQuotes();
+    }, [statusFilter]);
+
+    const selected = quotes.find(q => q.id === selectedId) || null;
+
+    const loadQuotes = async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            setQuotes(await quoteService.list({ q: query, status: statusFilter }));
+        } catch (err) {
+            console.error('Quote Loading Error:', err);
+            setError('견적서를 불러오지 못했습니다.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const run = async (task) => {
+        setBusy(true);
+        try {
+            await task();
+        } catch (err) {
+            alert(err.code === 'insufficient_stock' ? `재고가 부족합니다. (${err.message})` : `처리 실패: ${err.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        loadQuotes();
+    };
+
+    const handleStatus = (status) => run(async () => {
+        await quoteService.update(selected.id, { status });
+        await loadQuotes();
+    });
+
+    /**
+     * Checkout's submit: sells the quote with the labor and payment method entered there.
+     */
+    const handleConvert = async (checkout) => {
+        const { sale } = await quoteService.convert(selected.id, checkout);
+        setShowCheckout(false);
+        await loadQuotes();
+        alert(`판매 ${sale.number} 등록 완료 (${sale.total.toLocaleString()}원)`);
+    };
+
+    const handleDelete = () => {
+        if (!window.confirm(`${selected.number} 견적서를 삭제하시겠습니까?`)) return;
+        run(async () => {
+            await quoteService.remove(selected.id);
+            setSelectedId(null);
+            await loadQuotes();
+        });
+    };
+
+    return (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* Quote List */}
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+                <div className="p-4 border-b border-gray-200 space-y-3">
+                    <h2 className="text-lg font-bold flex items-center gap-2">
+                        <FileText size={20} className="text-blue-600" /> 견적서
+                    </h2>
+                    <form onSubmit={handleSearch} className="relative">
+                        <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={16} />
+                        <input
+                            type="text"
+                            placeholder="견적번호, 고객명, 전화번호, 차량, 규격"
+                            className="w-full pl-9 pr-3 py-2 border border-gray-200 rounded-lg text-sm"
+                            value={query}
+                            onChange={(e) => setQuery(e.target.value)}
+                        />
+                    </form>
+                    <div className="flex flex-wrap gap-2">
+                        {STATUS_FILTERS.map(f => (
+                            <button
+                                key={f.id || 'all'}
+                                onClick={() => setStatusFilter(f.id)}
+                                className={`px-3 py-1 rounded-lg text-sm font-medium ${statusFilter === f.id ? 'bg-slate-800 text-white' : 'bg-gray-100 text-gray-600'}`}
+                            >
+                                {f.label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                <div className="divide-y divide-gray-100 max-h-[70vh] overflow-y-auto">
+                    {loading ? (
+                        <div className="p-8 text-center text-gray-400 text-sm">
+                            <RefreshCw size={20} className="animate-spin mx-auto mb-2" />
+                            견적서 불러오는 중...
+                        </div>
+                    ) : error ? (
+                        <div className="p-8 text-center text-red-500 text-sm font-medium">{error}</div>
+                    ) : quotes.length === 0 ? (
+                        <div className="p-8 text-center text-gray-400 text-sm">견적서가 없습니다.</div>
+                    ) : quotes.map(quote => (
+                        <button
+                            key={quote.id}
+                            onClick={() => setSelectedId(quote.id)}
+                            className={`w-full text-left p-4 hover:bg-gray-50 ${quote.id === selectedId ? 'bg-blue-50' : ''}`}
+                        >
+                            <div className="flex items-center justify-between">
+                                <span className="font-mono text-sm font-bold text-slate-800">{quote.number}</span>
+                                <StatusBadge quote={quote} />
+                            </div>
+                            <div className="text-sm text-gray-600 mt-1">
+                                {quote.customer.name || '고객 미입력'}{quote.vehicle && ` · ${quote.vehicle}`}
+                            </div>
+                            <div className="text-xs text-gray-400 mt-1">
+                                {quote.lines.length}개 품목 · {quote.total.toLocaleString()}원 · {formatSyncTime(quote.createdAt)}
+                            </div>
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {/* Quote Detail */}
+            <div className="lg:col-span-2 bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+                {!selected ? (
+                    <div className="p-12 text-center text-gray-400 text-sm">
+                        견적서를 선택하세요. 견적은 실시간 재고 조회의 장바구니에서 저장할 수 있습니다.
+                    </div>
+                ) : (
+                    <>
+                        <div className="p-6 border-b border-gray-200 flex flex-col md:flex-row md:justify-between md:items-start gap-4">
+                            <div className="space-y-1">
+                                <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+                                    견적서 {selected.number} <StatusBadge quote={selected} />
+                                </h2>
+                                <p className="text-sm text-gray-600">
+                                    {selected.customer.name || '고객 미입력'}
+                                    {selected.customer.phone && ` · ${selected.customer.phone}`}
+                                    {selected.vehicle && ` · ${selected.vehicle}`}
+                                </p>
+                                <p className="text-xs text-gray-400">
+                                    작성 {formatSyncTime(selected.createdAt)} · 유효기간 {selected.validUntil}까지
+                                    {selected.acceptedAt && ` · 수락 ${formatSyncTime(selected.acceptedAt)}`}
+                                    {selected.sale?.number && ` · 판매 ${selected.sale.number} (${formatSyncTime(selected.sale.soldAt)})`}
+                                </p>
+                            </div>
+                            <div className="flex flex-wrap gap-2">
+                                <button
+                                    onClick={() => setShowPrint(true)}
+                                    className="px-3 py-1 rounded-lg text-sm font-medium bg-gray-100 text-gray-700 flex items-center gap-1"
+                                >
+                                    <Printer size={14} /> 인쇄/PDF
+                                </button>
+                                {onNavigate && (
+                                    <button
+                                        onClick={() => onNavigate('products', { quote: selected })}
+                                        className="px-3 py-1 rounded-lg text-sm font-medium bg-gray-100 text-gray-700 flex items-center gap-1"
+                                    >
+                                        <ShoppingCart size={14} /> 장바구니로 열기
+                                    </button>
+                                )}
+                                {canManage && !selected.sale && (
+                                    <>
+                                        {selected.status !== 'accepted' && (
+                                            <button
+                                                onClick={() => handleStatus('accepted')}
+                                                disabled={busy}
+                                                className="px-3 py-1 rounded-lg text-sm font-medium bg-green-600 text-white flex items-center gap-1 disabled:opacity-50"
+                                            >
+                                                <CheckCircle size={14} /> 수락
+                                            </button>
+                                        )}
+                                        {selected.status === 'accepted' && (
+                                            <button
+                                                onClick={() => setShowCheckout(true)}
+                                                disabled={busy}
+                                                className="px-3 py-1 rounded-lg text-sm font-medium bg-blue-600 text-white flex items-center gap-1 disabled:opacity-50"
+                                            >
+                                                <Receipt size={14} /> 판매 전환
+                                            </button>
+                                        )}
+                                        {selected.status !== 'sent' && (
+                                            <button
+                                                onClick={() => handleStatus('sent')}
+                                                disabled={busy}
+                                                className="px-3 py-1 rounded-lg text-sm font-medium bg-gray-100 text-gray-700 flex items-center gap-1 disabled:opacity-50"
+                                            >
+                                                <Send size={14} /> 발송 상태로
+                                            </button>
+                                        )}
+                                        {selected.status !== 'expired' && (
+                                            <button
+                                                onClick={() => handleStatus('expired')}
+                                                disabled={busy}
+                                                className="px-3 py-1 rounded-lg text-sm font-medium bg-gray-100 text-gray-700 flex items-center gap-1 disabled:opacity-50"
+                                            >
+                                                <XCircle size={14} /> 만료 처리
+                                            </button>
+                                        )}
+                                        <button
+                                            onClick={handleDelete}
+                                            disabled={busy}
+                                            className="p-1.5 rounded-lg text-red-500 hover:bg-red-50 disabled:opacity-50"
+                                        >
+                                            <Trash2 size={16} />
+                                        </button>
+                                    </>
+                                )}
+                            </div>
+                        </div>
+
+                        {selected.status === 'expired' && !selected.sale && (
+                            <div className="m-4 p-3 rounded-lg bg-gray-50 text-gray-600 text-sm">
+                                유효기간이 지난 견적입니다. 장바구니로 열어 가격을 확인한 뒤 다시 저장하세요.
+                            </div>
+                        )}
+
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-sm text-left">
+                                <thead className="bg-gray-50 text-gray-500 font-medium border-b border-gray-200">
+                                    <tr>
+                                        <th className="px-6 py-3">브랜드</th>
+                                        <th className="px-6 py-3">상품명 (Model)</th>
+                                        <th className="px-6 py-3">사이즈</th>
+                                        <th className="px-6 py-3 text-right">수량</th>
+                                        <th className="px-6 py-3 text-right">단가</th>
+                                        <th className="px-6 py-3 text-right">금액</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-100">
+                                    {selected.lines.map(line => (
+                                        <tr key={line.code}>
+                                            <td className="px-6 py-3 text-gray-600">{getBrandDisplayName(line.brand)}</td>
+                                            <td className="px-6 py-3 font-medium text-slate-800">
+                                                {line.model}
+                                                <div className="text-[11px] text-gray-400 font-mono">{line.code}</div>
+                                            </td>
+                                            <td className="px-6 py-3 text-gray-600">{line.size}</td>
+                                            <td className="px-6 py-3 text-right font-bold">{line.qty}</td>
+                                            <td className="px-6 py-3 text-right text-gray-600">
+                                                {line.unitPrice.toLocaleString()}
+                                                {line.discountRate > 0 && <div className="text-[11px] text-gray-400">할인 {line.discountRate}%</div>}
+                                            </td>
+                                            <td className="px-6 py-3 text-right font-medium">{(line.qty * line.unitPrice).toLocaleString()}</td>
+                                        </tr>
+                                    ))}
+                                    {selected.services.map((line, i) => (
+                                        <tr key={`service-${i}`} className="text-gray-600">
+                                            <td className="px-6 py-3">공임</td>
+                                            <td colSpan={2} className="px-6 py-3">{line.name}</td>
+                                            <td className="px-6 py-3 text-right font-bold">{line.qty}</td>
+                                            <td className="px-6 py-3 text-right">{line.unitPrice.toLocaleString()}</td>
+                                            <td className="px-6 py-3 text-right font-medium">{(line.qty * line.unitPrice).toLocaleString()}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        <div className="p-6 flex flex-col md:flex-row md:justify-between gap-4">
+                            <div className="flex-1">
+                                <label className="text-xs text-gray-500 font-medium">메모</label>
+                                <p className="text-sm text-gray-700 mt-1">{selected.note || '-'}</p>
+                            </div>
+                            <div className="text-right space-y-1">
+                                {selected.discount > 0 && (
+                                    <div className="text-xs text-gray-500">
+                                        소계 {selected.subtotal.toLocaleString()}원 · 추가 할인 -{selected.discount.toLocaleString()}원
+                                    </div>
+                                )}
+                                <div className="text-xs text-gray-500">합계 ({selected.lines.reduce((sum, line) => sum + line.qty, 0)}개)</div>
+                                <div className="text-2xl font-bold text-slate-800">{selected.total.toLocaleString()}원</div>
+                            </div>
+                        </div>
+                    </>
+                )}
+            </div>
+
+            {showPrint && selected && <QuotePrint quote={selected} onClose={() => setShowPrint(false)} />}
+            {showCheckout && selected && (
+                <Checkout
+                    title={`판매 전환 · ${selected.number}`}
+                    lines={selected.lines}
+                    labor={selected.services}
+                    discount={selected.discount}
+                    customer={selected.customer}
+                    vehicle={selected.vehicle}
+                    onSubmit={handleConvert}
+                    onClose={() => setShowCheckout(false)}
+                />
+            )}
+        </div>
+    );
+};
+
+export default Quotes;
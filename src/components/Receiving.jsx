@@ -0,0 +1,366 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { PackagePlus, ScanLine, RefreshCw, Trash2, Plus, CheckCircle2, AlertCircle } from 'lucide-react';
+import { receivingService } from '../services/ReceivingService';
+import { purchaseOrderService } from '../services/PurchaseOrderService';
+import { normalizeDot } from '../utils/dot';
+import { getBrandDisplayName, formatSyncTime } from '../utils/formatters';
+
+const LOCATION_LABELS = { store: '매장', warehouse: '물류센터' };
+
+let nextLineKey = 1;
+
+/**
+ * @returns {{ key: number, code: string, brand: string, model: string, size: string, type: string, dot: string, qty: number, ordered: number|null, scanned: boolean }}
+ */
+const createLine = (fields) => ({
+    key: nextLineKey++,
+    brand: '',
+    model: '',
+    size: '',
+    type: 'store',
+    dot: '',
+    qty: 1,
+    ordered: null,
+    scanned: false,
+    ...fields
+});
+
+/**
+ * Goods receiving: pick a sent PO (or receive freely), count quantities per DOT and post them to stock.
+ * The scan field works with keyboard-wedge barcode scanners: each scan arrives as fast keystrokes
+ * followed by Enter. A 4-digit scan sets the current DOT; anything else is a product code.
+ */
+const Receiving = ({ params }) => {
+    const [orders, setOrders] = useState([]);
+    const [orderId, setOrderId] = useState(params?.orderId || '');
+    const [lines, setLines] = useState([]);
+    const [currentDot, setCurrentDot] = useState('');
+    const [scanValue, setScanValue] = useState('');
+    const [scanMessage, setScanMessage] = useState(null); // { tone: 'ok' | 'error', text }
+    const [note, setNote] = useState('');
+    const [receipts, setReceipts] = useState([]);
+    const [posting, setPosting] = useState(false);
+    const scanRef = useRef(null);
+
+    useEffect(() => {
+        loadOrders();
+        loadReceipts();
+    }, []);
+
+    useEffect(() => {
+        const order = orders.find(o => o.id === orderId);
+        setLines(order
+            ? order.lines.map(line => createLine({ ...line, qty: line.qty, ordered: line.qty }))
+            : []);
+    }, [orderId, orders]);
+
+    const loadOrders = async () => {
+        try {
+            setOrders(await purchaseOrderService.list('sent'));
+        } catch (err) {
+            console.error('Purchase Order Loading Error:', err);
+        }
+    };
+
+    const loadReceipts = async () => {
+        try {
+            setReceipts(await receivingService.recent());
+        } catch (err) {
+            console.error('Receipt Loading Error:', err);
+        }
+    };
+
+    const focusScan = () => scanRef.current?.focus();
+
+    const handleScan = async (raw) => {
+        const value = raw.trim();
+        setScanValue('');
+        if (!value) return;
+
+        const dot = /^\d{4}$/.test(value) ? normalizeDot(value) : null;
+        if (dot) {
+            setCurrentDot(dot);
+            setScanMessage({ tone: 'ok', text: `DOT ${dot} 적용` });
+            return;
+        }
+
+        // First scan of a PO line without a DOT: start counting that line from 1
+        const unscanned = lines.find(l => l.code === value && !l.dot && !l.scanned);
+        if (unscanned) {
+            updateLine(unscanned.key, { dot: currentDot, qty: 1, scanned: true });
+            setScanMessage({ tone: 'ok', text: `${value} · 1개` });
+            return;
+        }
+
+        // Same code and DOT: count one more
+        const existing = lines.find(l => l.code === value && l.dot === currentDot);
+        if (existing) {
+            updateLine(existing.key, { qty: existing.qty + 1, scanned: true });
+            setScanMessage({ tone: 'ok', text: `${value} · ${existing.qty + 1}개` });
+            return;
+        }
+
+        const sameCode = lines.find(l => l.code === value);
+        const item = sameCode || await receivingService.lookup(value).catch(() => null);
+        if (!item) {
+            setScanMessage({ tone: 'error', text: `알 수 없는 코드: ${value}` });
+            return;
+        }
+        setLines(prev => [...prev, createLine({
+            code: item.code,
+            brand: item.brand,
+            model: item.model,
+            size: item.size,
+            type: sameCode?.type || 'store',
+            dot: currentDot,
+            scanned: true
+        })]);
+        setScanMessage({ tone: 'ok', text: `${item.code} 추가` });
+    };
+
+    const updateLine = (key, changes) => {
+        setLines(prev => prev.map(line => (line.key === key ? { ...line, ...changes } : line)));
+    };
+
+    const splitLine = (line) => {
+        const copy = createLine({ code: line.code, brand: line.brand, model: line.model, size: line.size, type: line.type, qty: 0, scanned: true });
+        setLines(prev => {
+            const index = prev.findIndex(l => l.key === line.key);
+            return [...prev.slice(0, index + 1), copy, ...prev.slice(index + 1)];
+        });
+    };
+
+    const removeLine = (key) => setLines(prev => prev.filter(l => l.key !== key));
+
+    const handlePost = async () => {
+        const counted = lines.filter(l => l.qty > 0);
+        if (counted.length === 0) {
+            alert('입고할 품목이 없습니다.');
+            return;
+        }
+        const invalidDot = counted.find(l => l.dot && !normalizeDot(l.dot));
+        if (invalidDot) {
+            alert(`${invalidDot.code}의 DOT(${invalidDot.dot})가 올바르지 않습니다. 주차 2자리 + 연도 2자리로 입력해주세요.`);
+            return;
+        }
+        const withoutDot = counted.filter(l => !l.dot).length;
+        if (withoutDot > 0 && !window.confirm(`DOT가 없는 품목이 ${withoutDot}건 있습니다. 그대로 입고하시겠습니까?`)) return;
+
+        setPosting(true);
+        try {
+            await receivingService.post({
+                orderId: orderId || undefined,
+                lines: counted.map(l => ({ code: l.code, type: l.type, dot: l.dot || undefined, qty: l.qty })),
+                note
+            });
+            setOrderId('');
+            setLines([]);
+            setNote('');
+            setCurrentDot('');
+            setScanMessage({ tone: 'ok', text: '입고 처리되었습니다.' });
+            await Promise.all([loadOrders(), loadReceipts()]);
+        } catch (err) {
+            alert(`입고 실패: ${err.message}`);
+        } finally {
+            setPosting(false);
+            focusScan();
+        }
+    };
+
+    const totalQty = lines.reduce((sum, l) => sum + l.qty, 0);
+    const orderedQty = lines.reduce((sum, l) => sum + (l.ordered || 0), 0);
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+                <div className="p-6 border-b border-gray-200 flex flex-col md:flex-row md:justify-between md:items-center gap-4">
+                    <h2 className="text-lg font-bold flex items-center gap-2">
+                        <PackagePlus size={20} className="text-blue-600" /> 입고 처리
+                    </h2>
+                    <select
+                        className="px-3 py-1.5 border border-gray-200 rounded-lg text-sm"
+                        value={orderId}
+                        onChange={(e) => setOrderId(e.target.value)}
+                    >
+                        <option value="">발주서 없이 직접 입고</option>
+                        {orders.map(order => (
+                            <option key={order.id} value={order.id}>
+                                {order.number} · {order.supplier} ({order.lines.length}개 품목)
+                            </option>
+                        ))}
+                    </select>
+                </div>
+
+                {/* Scan Bar */}
+                <div className="p-4 bg-slate-50 border-b border-gray-200 flex flex-wrap items-center gap-3 text-sm">
+                    <div className="relative flex-1 min-w-[220px]">
+                        <ScanLine className="absolute left-3 top-1/2 -translate-y-1/2 text-blue-600" size={18} />
+                        <input
+                            ref={scanRef}
+                            type="text"
+                            autoFocus
+                            autoComplete="off"
+                            placeholder="바코드 스캔 또는 코드 입력 후 Enter (4자리 = DOT)"
+                            className="w-full pl-10 pr-3 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500/20"
+                            value={scanValue}
+                            onChange={(e) => setScanValue(e.target.value)}
+                            onKeyDown={(e) => {
+                                if (e.key === 'Enter') {
+                                    e.preventDefault();
+                                    handleScan(e.currentTarget.value);
+                                }
+                            }}
+                        />
+                    </div>
+                    <label className="flex items-center gap-2 text-gray-600">
+                        현재 DOT
+                        <input
+                            type="text"
+                            inputMode="numeric"
+                            maxLength={4}
+                            placeholder="WWYY"
+                            className="w-20 px-2 py-1.5 border border-gray-200 rounded-lg text-center font-mono"
+                            value={currentDot}
+                            onChange={(e) => setCurrentDot(e.target.value.replace(/[^0-9]/g, ''))}
+                        />
+                    </label>
+                    {scanMessage && (
+                        <span className={`flex items-center gap-1 font-medium ${scanMessage.tone === 'ok' ? 'text-green-600' : 'text-red-500'}`}>
+                            {scanMessage.tone === 'ok' ? <CheckCircle2 size={14} /> : <AlertCircle size={14} />}
+                            {scanMessage.text}
+                        </span>
+                    )}
+                </div>
+
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm text-left">
+                        <thead className="bg-gray-50 text-gray-500 font-medium border-b border-gray-200">
+                            <tr>
+                                <th className="px-6 py-3">상품명 (Model)</th>
+                                <th className="px-6 py-3">사이즈</th>
+                                <th className="px-6 py-3">입고위치</th>
+                                <th className="px-6 py-3">DOT</th>
+                                <th className="px-6 py-3 text-right">발주</th>
+                                <th className="px-6 py-3 text-right">입고수량</th>
+                                <th className="px-6 py-3"></th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100">
+                            {lines.length === 0 ? (
+                                <tr>
+                                    <td colSpan="7" className="px-6 py-12 text-center text-gray-400">
+                                        발주서를 선택하거나 바코드를 스캔하세요.
+                                    </td>
+                                </tr>
+                            ) : lines.map(line => (
+                                <tr key={line.key} className="hover:bg-gray-50">
+                                    <td className="px-6 py-3 font-medium text-slate-800">
+                                        {getBrandDisplayName(line.brand)} {line.model}
+                                        <div className="text-[11px] text-gray-400 font-mono">{line.code}</div>
+                                    </td>
+                                    <td className="px-6 py-3 text-gray-600">{line.size}</td>
+                                    <td className="px-6 py-3">
+                                        <select
+                                            className="px-2 py-1 border border-gray-200 rounded"
+                                            value={line.type}
+                                            onChange={(e) => updateLine(line.key, { type: e.target.value })}
+                                        >
+                                            {Object.entries(LOCATION_LABELS).map(([type, label]) => (
+                                                <option key={type} value={type}>{label}</option>
+                                            ))}
+                                        </select>
+                                    </td>
+                                    <td className="px-6 py-3">
+                                        <input
+                                            type="text"
+                                            inputMode="numeric"
+                                            maxLength={4}
+                                            placeholder="WWYY"
+                                            className={`w-20 px-2 py-1 border rounded text-center font-mono ${line.dot && !normalizeDot(line.dot) ? 'border-red-400' : 'border-gray-200'}`}
+                                            value={line.dot}
+                                            onChange={(e) => updateLine(line.key, { dot: e.target.value.replace(/[^0-9]/g, '') })}
+                                        />
+                                    </td>
+                                    <td className="px-6 py-3 text-right text-gray-400">{line.ordered ?? '-'}</td>
+                                    <td className="px-6 py-3 text-right">
+                                        <input
+                                            type="text"
+                                            inputMode="numeric"
+                                            className="w-16 px-2 py-1 border border-gray-200 rounded text-right font-bold"
+                                            value={line.qty}
+                                            onChange={(e) => updateLine(line.key, { qty: Number(e.target.value.replace(/[^0-9]/g, '')) || 0 })}
+                                        />
+                                    </td>
+                                    <td className="px-6 py-3 text-right whitespace-nowrap">
+                                        <button
+                                            onClick={() => splitLine(line)}
+                                            title="다른 DOT 추가"
+                                            className="p-1 text-gray-400 hover:text-blue-600"
+                                        >
+                                            <Plus size={14} />
+                                        </button>
+                                        <button onClick={() => removeLine(line.key)} className="p-1 text-gray-400 hover:text-red-500">
+                                            <Trash2 size={14} />
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div className="p-6 border-t border-gray-200 flex flex-col md:flex-row md:items-end gap-4">
+                    <div className="flex-1">
+                        <label className="text-xs text-gray-500 font-medium">메모</label>
+                        <input
+                            type="text"
+                            className="w-full mt-1 px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                            value={note}
+                            onChange={(e) => setNote(e.target.value)}
+                        />
+                    </div>
+                    <div className="text-right text-sm text-gray-500">
+                        입고 {totalQty}개{orderId && ` / 발주 ${orderedQty}개`}
+                        {orderId && totalQty !== orderedQty && (
+                            <div className="text-amber-600 text-xs font-medium">발주 수량과 다릅니다</div>
+                        )}
+                    </div>
+                    <button
+                        onClick={handlePost}
+                        disabled={posting || lines.length === 0}
+                        className="px-4 py-2 rounded-lg bg-blue-600 text-white font-bold flex items-center justify-center gap-2 disabled:opacity-50"
+                    >
+                        {posting ? <RefreshCw size={16} className="animate-spin" /> : <PackagePlus size={16} />}
+                        재고에 입고
+                    </button>
+                </div>
+            </div>
+
+            {/* Recent Receipts */}
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+                <div className="p-4 border-b border-gray-200">
+                    <h3 className="font-bold text-slate-800">최근 입고 내역</h3>
+                </div>
+                <div className="divide-y divide-gray-100 text-sm">
+                    {receipts.length === 0 ? (
+                        <div className="p-6 text-center text-gray-400">입고 내역이 없습니다.</div>
+                    ) : receipts.map(receipt => (
+                        <div key={receipt.id} className="p-4 flex flex-col md:flex-row md:items-center gap-2">
+                            <div className="w-40 text-gray-500">{formatSyncTime(receipt.receivedAt)}</div>
+                            <div className="w-44 font-mono text-xs text-slate-700">{receipt.orderNumber || '직접 입고'}</div>
+                            <div className="flex-1 flex flex-wrap gap-1">
+                                {receipt.lines.map((line, i) => (
+                                    <span key={i} className="px-2 py-0.5 rounded bg-gray-100 text-gray-700 text-xs">
+                                        {line.code} · {LOCATION_LABELS[line.type]} · {line.dot ? `DOT ${line.dot}` : 'DOT 없음'} × {line.qty}
+                                    </span>
+                                ))}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default Receiving;
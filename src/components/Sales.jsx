@@ -0,0 +1,248 @@
+import React, { useState, useEffect } from 'react';
+import { Receipt, RefreshCw, ChevronLeft, ChevronRight, Ban } from 'lucide-react';
+import { salesService } from '../services/SalesService';
+import { PAYMENT_METHODS, SALE_STATUS_LABELS, getPaymentMethodLabel } from '../config/sales';
+import { hasPermission } from '../config/roles';
+import { getBrandDisplayName, formatSyncTime } from '../utils/formatters';
+import { shopDate, addDays } from '../utils/dates';
+
+const won = (amount) => `${amount.toLocaleString()}원`;
+
+const SummaryCard = ({ label, value, detail }) => (
+    <div className="bg-white p-4 rounded-xl shadow-sm border border-gray-200">
+        <p className="text-xs text-gray-500 font-medium">{label}</p>
+        <p className="text-xl font-bold text-slate-900 mt-1">{value}</p>
+        {detail && <p className="text-xs text-gray-400 mt-1">{detail}</p>}
+    </div>
+);
+
+/**
+ * Sales of one day with the day's totals per payment method; owners can void a sale.
+ */
+const Sales = ({ user }) => {
+    const [date, setDate] = useState(shopDate());
+    const [sales, setSales] = useState([]);
+    const [summary, setSummary] = useState(null);
+    const [selectedId, setSelectedId] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+    const canVoid = hasPermission(user.role, 'voidSales');
+
+    useEffect(() => {
+        loadSales();
+    }, [date]);
+
+    const selected = sales.find(s => s.id === selectedId) || null;
+
+    const loadSales = async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            const result = await salesService.list(date);
+            setSales(result.sales);
+            setSummary(result.summary);
+        } catch (err) {
+            console.error('Sales Loading Error:', err);
+            setError('판매 내역을 불러오지 못했습니다.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleVoid = async () => {
+        const reason = window.prompt(`${selected.number} 판매를 취소하시겠습니까? 타이어는 재고로 돌아갑니다.\n취소 사유:`);
+        if (reason === null) return;
+        setBusy(true);
+        try {
+            await salesService.void(selected.id, reason);
+            await loadSales();
+        } catch (err) {
+            alert(err.code === 'already_voided' ? '이미 취소된 판매입니다.' : `취소 실패: ${err.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="flex items-center gap-2">
+                <button onClick={() => setDate(addDays(date, -1))} className="p-2 rounded-lg bg-white border border-gray-200 text-gray-500 hover:text-gray-900">
+                    <ChevronLeft size={16} />
+                </button>
+                <input
+                    type="date"
+                    value={date}
+                    onChange={(e) => e.target.value && setDate(e.target.value)}
+                    className="px-3 py-1.5 border border-gray-200 rounded-lg text-sm"
+                />
+                <button onClick={() => setDate(addDays(date, 1))} className="p-2 rounded-lg bg-white border border-gray-200 text-gray-500 hover:text-gray-900">
+                    <ChevronRight size={16} />
+                </button>
+                {date !== shopDate() && (
+                    <button onClick={() => setDate(shopDate())} className="px-3 py-1.5 rounded-lg text-sm text-gray-500 hover:bg-gray-100">
+                        오늘
+                    </button>
+                )}
+                <button onClick={loadSales} className="ml-auto p-2 text-gray-400 hover:text-gray-700" title="새로고침">
+                    <RefreshCw size={16} className={loading ? 'animate-spin' : ''} />
+                </button>
+            </div>
+
+            {summary && (
+                <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+                    <SummaryCard
+                        label="매출 합계 (VAT 포함)"
+                        value={won(summary.total)}
+                        detail={summary.discount > 0 ? `추가 할인 ${won(summary.discount)} 반영` : null}
+                    />
+                    <SummaryCard
+                        label="판매 건수"
+                        value={`${summary.count}건`}
+                        detail={summary.voidedCount > 0 ? `취소 ${summary.voidedCount}건 제외` : null}
+                    />
+                    <SummaryCard
+                        label="타이어 / 공임"
+                        value={won(summary.tireTotal)}
+                        detail={`타이어 ${summary.tireQty}개 · 공임 ${won(summary.laborTotal)}`}
+                    />
+                    <div className="bg-white p-4 rounded-xl shadow-sm border border-gray-200">
+                        <p className="text-xs text-gray-500 font-medium">결제 수단별</p>
+                        <div className="mt-1 space-y-0.5 text-sm">
+                            {PAYMENT_METHODS.map(method => (
+                                <div key={method.id} className="flex justify-between">
+                                    <span className="text-gray-500">{method.label} ({summary.byPaymentMethod[method.id].count})</span>
+                                    <span className="font-medium">{won(summary.byPaymentMethod[method.id].total)}</span>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+                    <div className="p-4 border-b border-gray-200">
+                        <h2 className="text-lg font-bold flex items-center gap-2">
+                            <Receipt size={20} className="text-blue-600" /> 판매 내역
+                        </h2>
+                    </div>
+                    {error ? (
+                        <div className="p-8 text-center text-red-500 text-sm font-medium">{error}</div>
+                    ) : !loading && sales.length === 0 ? (
+                        <div className="p-8 text-center text-gray-400 text-sm">이 날의 판매가 없습니다.</div>
+                    ) : (
+                        <ul className="divide-y divide-gray-100">
+                            {sales.map(sale => (
+                                <li
+                                    key={sale.id}
+                                    onClick={() => setSelectedId(sale.id)}
+                                    className={`p-4 cursor-pointer hover:bg-gray-50 ${sale.id === selectedId ? 'bg-blue-50' : ''}`}
+                                >
+                                    <div className="flex items-center justify-between">
+                                        <span className={`font-mono text-sm font-medium ${sale.status === 'voided' ? 'line-through text-gray-400' : ''}`}>
+                                            {sale.number}
+                                        </span>
+                                        <span className="text-sm font-bold">{won(sale.total)}</span>
+                                    </div>
+                                    <div className="mt-1 flex items-center justify-between text-xs text-gray-500">
+                                        <span>{sale.customer.name || '고객 미입력'}{sale.vehicle && ` · ${sale.vehicle}`}</span>
+                                        <span>
+                                            {sale.status === 'voided'
+                                                ? <span className="text-red-600 font-bold">{SALE_STATUS_LABELS.voided}</span>
+                                                : getPaymentMethodLabel(sale.paymentMethod)}
+                                        </span>
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+
+                <div className="lg:col-span-2 bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+                    {!selected ? (
+                        <div className="p-8 text-center text-gray-400 text-sm">판매를 선택하세요.</div>
+                    ) : (
+                        <>
+                            <div className="p-4 border-b border-gray-200 flex flex-wrap items-start justify-between gap-3">
+                                <div>
+                                    <h3 className="font-bold font-mono">{selected.number}</h3>
+                                    <p className="text-xs text-gray-500 mt-1">
+                                        {formatSyncTime(selected.createdAt)} · {getPaymentMethodLabel(selected.paymentMethod)}
+                                        {selected.quoteNumber && ` · 견적 ${selected.quoteNumber}`}
+                                    </p>
+                                    <p className="text-xs text-gray-500">
+                                        {selected.customer.name || '고객 미입력'}{selected.customer.phone && ` · ${selected.customer.phone}`}
+                                        {selected.vehicle && ` · ${selected.vehicle}`}
+                                    </p>
+                                </div>
+                                {canVoid && selected.status === 'completed' && (
+                                    <button
+                                        onClick={handleVoid}
+                                        disabled={busy}
+                                        className="px-3 py-1 rounded-lg text-sm font-medium bg-red-50 text-red-600 flex items-center gap-1 disabled:opacity-50"
+                                    >
+                                        <Ban size={14} /> 판매 취소
+                                    </button>
+                                )}
+                            </div>
+
+                            {selected.voided && (
+                                <div className="m-4 p-3 rounded-lg bg-red-50 text-red-700 text-sm">
+                                    {formatSyncTime(selected.voided.at)} 취소됨{selected.voided.reason && ` · ${selected.voided.reason}`}. 타이어는 재고로 복원되었습니다.
+                                </div>
+                            )}
+
+                            <table className="w-full text-sm text-left">
+                                <thead className="bg-gray-50 text-gray-500 font-medium border-b border-gray-200">
+                                    <tr>
+                                        <th className="px-6 py-3">품목</th>
+                                        <th className="px-6 py-3 text-right">수량</th>
+                                        <th className="px-6 py-3 text-right">단가</th>
+                                        <th className="px-6 py-3 text-right">금액</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-100">
+                                    {selected.lines.map((line, i) => (
+                                        <tr key={`tire-${i}`}>
+                                            <td className="px-6 py-3">
+                                                <span className="font-medium">{getBrandDisplayName(line.brand)} {line.model}</span>
+                                                <span className="ml-2 text-xs text-gray-400 font-mono">{line.size}</span>
+                                            </td>
+                                            <td className="px-6 py-3 text-right">{line.qty}</td>
+                                            <td className="px-6 py-3 text-right">{line.unitPrice.toLocaleString()}</td>
+                                            <td className="px-6 py-3 text-right font-medium">{(line.qty * line.unitPrice).toLocaleString()}</td>
+                                        </tr>
+                                    ))}
+                                    {selected.labor.map((line, i) => (
+                                        <tr key={`labor-${i}`} className="text-gray-600">
+                                            <td className="px-6 py-3">공임 · {line.name}</td>
+                                            <td className="px-6 py-3 text-right">{line.qty}</td>
+                                            <td className="px-6 py-3 text-right">{line.unitPrice.toLocaleString()}</td>
+                                            <td className="px-6 py-3 text-right font-medium">{(line.qty * line.unitPrice).toLocaleString()}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                                <tfoot className="border-t border-gray-200">
+                                    {selected.discount > 0 && (
+                                        <tr className="text-gray-500">
+                                            <td colSpan={3} className="px-6 py-2 text-right">추가 할인</td>
+                                            <td className="px-6 py-2 text-right">-{selected.discount.toLocaleString()}</td>
+                                        </tr>
+                                    )}
+                                    <tr className="font-bold">
+                                        <td colSpan={3} className="px-6 py-3 text-right">합계 (VAT 포함)</td>
+                                        <td className="px-6 py-3 text-right">{won(selected.total)}</td>
+                                    </tr>
+                                </tfoot>
+                            </table>
+                            {selected.note && <p className="px-6 pb-4 text-xs text-gray-500">메모: {selected.note}</p>}
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default Sales;
@@ -1,6 +1,9 @@
 import React from 'react';
+import { LogOut } from 'lucide-react';
+import { getRoleLabel } from '../config/roles';
+import ConnectionStatus from './ConnectionStatus';
 
-const ShopLayout = ({ children }) => {
+const ShopLayout = ({ children, navItems = [], activeNav, onNavigate, user, onLogout }) => {
     return (
         <div className="min-h-screen bg-slate-50 text-slate-900 flex flex-col selection:bg-blue-500/30">
             {/* Background Decorative Elements */}
@@ -19,8 +22,33 @@ const ShopLayout = ({ children }) => {
                         </h1>
                     </div>
 
-                    <div className="flex items-center gap-4">
-                    </div>
+                    <nav className="flex items-center gap-1 overflow-x-auto no-scrollbar">
+                        {navItems.map(item => (
+                            <button
+                                key={item.id}
+                                onClick={() => onNavigate?.(item.id)}
+                                className={`px-3 py-1.5 rounded-lg text-xs font-bold whitespace-nowrap transition-colors ${activeNav === item.id ? 'bg-slate-900 text-white' : 'text-slate-500 hover:bg-slate-100'}`}
+                            >
+                                {item.label}
+                            </button>
+                        ))}
+                        {user && <ConnectionStatus />}
+                        {user && (
+                            <div className="flex items-center gap-1 pl-2 ml-1 border-l border-slate-200">
+                                <span className="text-xs font-bold text-slate-700 whitespace-nowrap">
+                                    {user.name}
+                                    <span className="ml-1 text-[10px] font-medium text-slate-400">{getRoleLabel(user.role)}</span>
+                                </span>
+                                <button
+                                    onClick={onLogout}
+                                    className="p-1.5 rounded-lg text-slate-400 hover:text-slate-900 hover:bg-slate-100"
+                                    title="로그아웃"
+                                >
+                                    <LogOut size={14} />
+                                </button>
+                            </div>
+                        )}
+                    </nav>
                 </div>
             </header>
 
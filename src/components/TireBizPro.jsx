@@ -1,14 +1,107 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import ShopLayout from './ShopLayout';
+import Login from './Login';
 import ProductList from './ProductList';
+import Quotes from './Quotes';
+import Sales from './Sales';
+import Customers from './Customers';
+import InventoryDashboard from './InventoryDashboard';
+import PurchaseOrders from './PurchaseOrders';
+import Receiving from './Receiving';
+import Users from './Users';
+import AuditLog from './AuditLog';
+import { authService } from '../services/AuthService';
+import { AUTH_EXPIRED_EVENT } from '../services/ApiClient';
+import { offlineQueue } from '../services/OfflineQueue';
+import { hasPermission } from '../config/roles';
+
+/**
+ * Top-level screens, shown as tabs in the header. Each receives `onNavigate(viewId, params)` to link to
+ * another screen, the `params` it was opened with (e.g. `{ orderId }`, `{ quote }`, `{ customer, vehicle }`)
+ * and the signed-in `user`.
+ * Screens with a `permission` are only listed for roles that have it (the API checks the same table).
+ */
+const VIEWS = [
+    { id: 'products', label: '실시간 재고 조회', component: ProductList },
+    { id: 'quotes', label: '견적 관리', component: Quotes },
+    { id: 'sales', label: '판매 내역', component: Sales, permission: 'sell' },
+    { id: 'customers', label: '고객 관리', component: Customers },
+    { id: 'inventory', label: '매장 재고', component: InventoryDashboard },
+    { id: 'purchase-orders', label: '발주 관리', component: PurchaseOrders, permission: 'viewCost' },
+    { id: 'receiving', label: '입고', component: Receiving, permission: 'adjustStock' },
+    { id: 'audit', label: '변경 이력', component: AuditLog, permission: 'viewAudit' },
+    { id: 'users', label: '직원 관리', component: Users, permission: 'manageUsers' }
+];
 
 const TireBizPro = () => {
+    const [user, setUser] = useState(null);
+    const [authChecked, setAuthChecked] = useState(false);
+    const [sessionExpired, setSessionExpired] = useState(false);
+    const [activeView, setActiveView] = useState(VIEWS[0].id);
+    const [viewParams, setViewParams] = useState(null);
+
+    useEffect(() => {
+        authService.me()
+            .then(setUser)
+            .catch(err => console.error('Auth Check Error:', err))
+            .finally(() => setAuthChecked(true));
+    }, []);
+
+    // Any request that comes back 401 while signed in ends the session in the UI too
+    useEffect(() => {
+        if (!user) return undefined;
+        const handleExpired = () => {
+            setUser(null);
+            setSessionExpired(true);
+        };
+        window.addEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+        return () => window.removeEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+    }, [user]);
+
+    if (!authChecked) return null;
+    if (!user) {
+        return (
+            <Login
+                expired={sessionExpired}
+                onLogin={(signedIn) => {
+                    setUser(signedIn);
+                    setSessionExpired(false);
+                }}
+            />
+        );
+    }
+
+    const views = VIEWS.filter(v => !v.permission || hasPermission(user.role, v.permission));
+    const view = views.find(v => v.id === activeView) || views[0];
+    const ViewComponent = view.component;
+
+    const navigate = (viewId, params = null) => {
+        setActiveView(viewId);
+        setViewParams(params);
+    };
+
+    const logout = async () => {
+        // Queued saves would be sent under the next person's login
+        const pending = offlineQueue.list().length;
+        if (pending > 0 && !window.confirm(`아직 저장되지 않은 견적 ${pending}건이 있습니다. 로그아웃하면 삭제됩니다. 계속하시겠습니까?`)) return;
+        offlineQueue.clear();
+        await authService.logout().catch(err => console.error('Logout Error:', err));
+        setUser(null);
+        navigate(VIEWS[0].id);
+    };
+
     return (
-        <ShopLayout title="실시간 재고 조회">
-            <ProductList />
+        <ShopLayout
+            title={view.label}
+            navItems={views}
+            activeNav={view.id}
+            onNavigate={navigate}
+            user={user}
+            onLogout={logout}
+        >
+            <ViewComponent key={view.id} onNavigate={navigate} params={viewParams} user={user} />
         </ShopLayout>
     );
 };
 
 export default TireBizPro;
-
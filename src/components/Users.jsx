@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react';
+import { Users as UsersIcon, UserPlus, KeyRound, Trash2, RefreshCw } from 'lucide-react';
+import { authService } from '../services/AuthService';
+import { ROLES } from '../config/roles';
+
+const EMPTY_FORM = { username: '', name: '', role: 'staff', password: '' };
+
+const ROLE_HINTS = {
+    viewer: '재고·가격 조회만',
+    staff: '원가 보기, 가격 수정, 재고 조정, 견적·판매',
+    owner: '전체 + 판매 취소, 발주, 직원 관리, 변경 이력'
+};
+
+/**
+ * Staff accounts and roles (owners only).
+ */
+const Users = ({ user: currentUser }) => {
+    const [users, setUsers] = useState([]);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [loading, setLoading] = useState(true);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        loadUsers();
+    }, []);
+
+    const loadUsers = async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            setUsers(await authService.listUsers());
+        } catch (err) {
+            console.error('User Loading Error:', err);
+            setError('직원 목록을 불러오지 못했습니다.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const run = async (task) => {
+        setBusy(true);
+        try {
+            await task();
+            await loadUsers();
+        } catch (err) {
+            alert(err.code === 'last_owner' ? '사장 계정이 최소 1개는 있어야 합니다.' : `처리 실패: ${err.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleCreate = (e) => {
+        e.preventDefault();
+        run(async () => {
+            await authService.createUser(form);
+            setForm(EMPTY_FORM);
+        });
+    };
+
+    const handleRole = (user, role) => run(() => authService.updateUser(user.username, { role }));
+
+    const handleRename = (user) => {
+        const name = window.prompt('표시 이름', user.name);
+        if (name === null || name.trim() === user.name) return;
+        run(() => authService.updateUser(user.username, { name }));
+    };
+
+    const handlePassword = (user) => {
+        const password = window.prompt(`${user.username}의 새 비밀번호 (8자 이상). 기존 로그인은 모두 끊어집니다.`);
+        if (!password) return;
+        run(() => authService.updateUser(user.username, { password }));
+    };
+
+    const handleDelete = (user) => {
+        if (!window.confirm(`${user.name} (${user.username}) 계정을 삭제하시겠습니까?`)) return;
+        run(() => authService.deleteUser(user.username));
+    };
+
+    return (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="lg:col-span-2 bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+                <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+                    <h2 className="text-lg font-bold flex items-center gap-2">
+                        <UsersIcon size={20} className="text-blue-600" /> 직원 계정
+                    </h2>
+                    <button onClick={loadUsers} className="p-2 text-gray-400 hover:text-gray-700" title="새로고침">
+                        <RefreshCw size={16} className={loading ? 'animate-spin' : ''} />
+                    </button>
+                </div>
+
+                {error ? (
+                    <div className="p-8 text-center text-red-500 text-sm font-medium">{error}</div>
+                ) : (
+                    <table className="w-full text-sm">
+                        <thead className="bg-gray-50 text-gray-500 text-xs">
+                            <tr>
+                                <th className="px-4 py-2 text-left">이름</th>
+                                <th className="px-4 py-2 text-left">아이디</th>
+                                <th className="px-4 py-2 text-left">권한</th>
+                                <th className="px-4 py-2" />
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100">
+                            {users.map(user => (
+                                <tr key={user.username}>
+                                    <td className="px-4 py-2">
+                                        <button onClick={() => handleRename(user)} className="font-medium hover:underline" title="이름 변경">
+                                            {user.name}
+                                        </button>
+                                        {user.username === currentUser.username && <span className="ml-2 text-xs text-blue-600">(나)</span>}
+                                    </td>
+                                    <td className="px-4 py-2 font-mono text-gray-500">{user.username}</td>
+                                    <td className="px-4 py-2">
+                                        <select
+                                            value={user.role}
+                                            disabled={busy}
+                                            onChange={(e) => handleRole(user, e.target.value)}
+                                            className="border border-gray-200 rounded-lg px-2 py-1 text-sm"
+                                        >
+                                            {ROLES.map(role => <option key={role.id} value={role.id}>{role.label}</option>)}
+                                        </select>
+                                    </td>
+                                    <td className="px-4 py-2 text-right whitespace-nowrap">
+                                        <button onClick={() => handlePassword(user)} disabled={busy} className="p-1.5 text-gray-400 hover:text-gray-700" title="비밀번호 변경">
+                                            <KeyRound size={16} />
+                                        </button>
+                                        {user.username !== currentUser.username && (
+                                            <button onClick={() => handleDelete(user)} disabled={busy} className="p-1.5 text-gray-400 hover:text-red-600" title="삭제">
+                                                <Trash2 size={16} />
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+
+            <form onSubmit={handleCreate} className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 space-y-3 self-start">
+                <h2 className="text-lg font-bold flex items-center gap-2">
+                    <UserPlus size={20} className="text-blue-600" /> 직원 추가
+                </h2>
+                <input
+                    type="text"
+                    placeholder="아이디 (영문·숫자)"
+                    className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                    value={form.username}
+                    onChange={(e) => setForm({ ...form, username: e.target.value })}
+                />
+                <input
+                    type="text"
+                    placeholder="표시 이름"
+                    className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                    value={form.name}
+                    onChange={(e) => setForm({ ...form, name: e.target.value })}
+                />
+                <input
+                    type="password"
+                    autoComplete="new-password"
+                    placeholder="비밀번호 (8자 이상)"
+                    className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                    value={form.password}
+                    onChange={(e) => setForm({ ...form, password: e.target.value })}
+                />
+                <div className="space-y-1">
+                    {ROLES.map(role => (
+                        <label key={role.id} className="flex items-center gap-2 text-sm">
+                            <input
+                                type="radio"
+                                name="role"
+                                checked={form.role === role.id}
+                                onChange={() => setForm({ ...form, role: role.id })}
+                            />
+                            <span className="font-medium">{role.label}</span>
+                            <span className="text-xs text-gray-400">{ROLE_HINTS[role.id]}</span>
+                        </label>
+                    ))}
+                </div>
+                <button
+                    type="submit"
+                    disabled={busy || !form.username.trim() || form.password.length < 8}
+                    className="w-full py-2 rounded-lg bg-blue-600 text-white text-sm font-bold disabled:opacity-50"
+                >
+                    추가
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default Users;
@@ -0,0 +1,30 @@
+/**
+ * Audit log labels, shared by the log screen and the CSV export (server).
+ */
+
+export const AUDIT_ENTITY_LABELS = {
+    stock: '재고',
+    price: '가격',
+    'purchase-order': '발주',
+    quote: '견적',
+    sale: '판매'
+};
+
+export const AUDIT_ACTION_LABELS = {
+    'stock.adjust': '재고 조정',
+    'stock.move': '재고 이동',
+    'stock.receive': '입고',
+    'stock.sale': '판매 출고',
+    'stock.void': '판매 취소 복원',
+    'price.set': '가격 수정',
+    'price.reset': '가격 초기화',
+    'purchase-order.create': '발주서 작성',
+    'purchase-order.update': '발주서 변경',
+    'purchase-order.delete': '발주서 삭제',
+    'quote.create': '견적 저장',
+    'quote.update': '견적 변경',
+    'quote.delete': '견적 삭제',
+    'quote.convert': '판매 전환',
+    'sale.create': '판매 등록',
+    'sale.void': '판매 취소'
+};
@@ -0,0 +1,10 @@
+/**
+ * DOT age bands used to colour DOT chips (ProductList, stock screens), youngest first.
+ * A DOT falls into the first band whose `maxMonths` it is below; adjust the months to change the colouring.
+ */
+export const DOT_AGE_LEVELS = [
+    { id: 'fresh', label: '1년 미만', maxMonths: 12, className: 'bg-slate-100 text-slate-600 border-slate-200' },
+    { id: 'aging', label: '1~2년', maxMonths: 24, className: 'bg-amber-50 text-amber-700 border-amber-200' },
+    { id: 'old', label: '2~3년', maxMonths: 36, className: 'bg-red-50 text-red-600 border-red-200' },
+    { id: 'expired', label: '3년 이상', maxMonths: Infinity, className: 'bg-red-100 text-red-800 border-red-300 font-bold' }
+];
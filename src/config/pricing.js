@@ -0,0 +1,49 @@
+/**
+ * Pricing rules used by src/utils/pricing.js (product list, cart, share text, quotes).
+ */
+
+export const CUSTOMER_TIERS = [
+    { id: 'retail', label: '소매' },
+    { id: 'wholesale', label: '도매' },
+    { id: 'fleet', label: '법인' }
+];
+
+export const DEFAULT_TIER = 'retail';
+
+/**
+ * Default discount (% off factoryPrice) per brand and tier. Brands not listed use `default`.
+ * Staff can still type another rate per product.
+ */
+export const BRAND_TIER_DISCOUNTS = {
+    default: { retail: 0, wholesale: 15, fleet: 10 },
+    Hankook: { retail: 5, wholesale: 20, fleet: 15 },
+    Laufenn: { retail: 5, wholesale: 20, fleet: 15 },
+    Kumho: { retail: 5, wholesale: 18, fleet: 12 },
+    Nexen: { retail: 5, wholesale: 18, fleet: 12 },
+    Michelin: { retail: 0, wholesale: 12, fleet: 8 },
+    Continental: { retail: 0, wholesale: 12, fleet: 8 },
+    Pirelli: { retail: 0, wholesale: 12, fleet: 8 }
+};
+
+export const VAT_RATE = 0.1;
+
+/**
+ * factoryPrice (공장도) is a consumer price and includes VAT; Blackcircles supplyPrice (공급가) does not.
+ */
+export const FACTORY_PRICE_INCLUDES_VAT = true;
+export const SUPPLY_PRICE_INCLUDES_VAT = false;
+
+/**
+ * Rounding of VAT-inclusive selling prices: to `unit` won, 'floor' | 'round' | 'ceil'.
+ */
+export const PRICE_ROUNDING = { unit: 100, mode: 'floor' };
+
+/**
+ * Minimum markup over supplyPrice (%). 0 = never below cost.
+ */
+export const MIN_MARKUP_PERCENT = 0;
+
+/**
+ * Cost mode flags a selling price whose margin over supplyPrice is below this (%).
+ */
+export const MARGIN_WARNING_PERCENT = 10;
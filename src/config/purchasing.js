@@ -0,0 +1,30 @@
+/**
+ * Purchasing settings shared by the PO generator (server) and the PO screen.
+ */
+
+/**
+ * Reorders top stock back up to reorderPoint × this multiplier.
+ */
+export const REORDER_TARGET_MULTIPLIER = 2;
+
+/**
+ * Supplier per brand (English sheet brand name). Brands not listed are ordered from a supplier named after the brand.
+ */
+export const SUPPLIER_BY_BRAND = {
+    Hankook: '한국타이어 대리점',
+    Laufenn: '한국타이어 대리점',
+    Kumho: '금호타이어 대리점',
+    Nexen: '넥센타이어 대리점'
+};
+
+/**
+ * @param {string} brand
+ * @returns {string}
+ */
+export const getSupplierForBrand = (brand) => SUPPLIER_BY_BRAND[brand] || brand || '미지정';
+
+export const PO_STATUS_LABELS = {
+    draft: '작성중',
+    sent: '발주완료',
+    received: '입고완료'
+};
@@ -0,0 +1,29 @@
+/**
+ * Quote settings shared by the quote API and the quote screens.
+ */
+
+/**
+ * A new quote is valid for this many days unless another date is entered.
+ */
+export const QUOTE_VALIDITY_DAYS = 14;
+
+export const QUOTE_STATUS_LABELS = {
+    sent: '발송',
+    accepted: '수락',
+    expired: '만료'
+};
+
+/**
+ * Header and footer of the printed estimate (견적서). Shop details come from SHOP_INFO.
+ */
+export const QUOTE_DOCUMENT = {
+    title: '견 적 서',
+    greeting: '아래와 같이 견적합니다.',
+    footerNotes: [
+        '상기 금액은 부가세가 포함된 금액입니다.',
+        '견적 유효기간이 지나면 가격과 재고가 변동될 수 있습니다.'
+    ],
+    // Only printed when the quote lists no services
+    noServicesNote: '장착·휠 밸런스 공임은 별도 문의 바랍니다.',
+    closing: '저희 매장을 찾아주셔서 감사합니다.'
+};
@@ -0,0 +1,55 @@
+/**
+ * Staff roles and what each may do. Shared with the /api routes, which enforce the same table
+ * the UI uses to hide buttons, so imports keep their extensions.
+ */
+
+/** Lowest to highest; every role can do what the roles before it can. */
+export const ROLES = [
+    { id: 'viewer', label: '조회' },
+    { id: 'staff', label: '직원' },
+    { id: 'owner', label: '사장' }
+];
+
+/**
+ * Minimum role per permission.
+ *   viewCost             - supply prices, stock cost, margins and purchase orders (which carry costs)
+ *   editPrices           - manual price / discount overrides
+ *   adjustStock          - stock adjust/move and posting receipts
+ *   manageQuotes         - save, edit, accept and sell quotes
+ *   manageCustomers      - add, edit and delete customers and their vehicles
+ *   syncCatalog          - the "sync now" button
+ *   sell                 - checkout and the sales list / daily summary
+ *   voidSales            - void a sale (puts its tires back into stock)
+ *   sellBelowCost        - quote or sell under the cost floor (line prices or the whole-cart discount)
+ *   managePurchaseOrders - create, generate, edit, send and delete purchase orders
+ *   manageUsers          - staff accounts
+ *   viewAudit            - the change history (audit log)
+ */
+export const PERMISSIONS = {
+    viewCost: 'staff',
+    editPrices: 'staff',
+    adjustStock: 'staff',
+    manageQuotes: 'staff',
+    manageCustomers: 'staff',
+    syncCatalog: 'staff',
+    sell: 'staff',
+    voidSales: 'owner',
+    sellBelowCost: 'owner',
+    managePurchaseOrders: 'owner',
+    manageUsers: 'owner',
+    viewAudit: 'owner'
+};
+
+const rank = (role) => ROLES.findIndex(r => r.id === role);
+
+/**
+ * @param {string|undefined} role
+ * @param {keyof PERMISSIONS} permission
+ */
+export const hasPermission = (role, permission) => {
+    const required = PERMISSIONS[permission];
+    if (!required) throw new Error(`Unknown permission ${permission}`);
+    return rank(role) >= 0 && rank(role) >= rank(required);
+};
+
+export const getRoleLabel = (role) => ROLES.find(r => r.id === role)?.label || role;
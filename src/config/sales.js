@@ -0,0 +1,16 @@
+/**
+ * Sales / checkout settings shared by the sales API and the checkout and sales screens.
+ */
+
+export const PAYMENT_METHODS = [
+    { id: 'cash', label: '현금' },
+    { id: 'card', label: '카드' },
+    { id: 'transfer', label: '계좌이체' }
+];
+
+export const getPaymentMethodLabel = (method) => PAYMENT_METHODS.find(m => m.id === method)?.label || '미지정';
+
+export const SALE_STATUS_LABELS = {
+    completed: '완료',
+    voided: '취소'
+};
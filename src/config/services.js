@@ -0,0 +1,35 @@
+/**
+ * Installation labor and other services offered with a tire job (cart, quotes, checkout).
+ * Prices are VAT-inclusive won.
+ *
+ *   per: 'tire'    - one per tire; the cart suggests as many as there are tires (per rim size)
+ *   per: 'vehicle' - once per job
+ *   rimPrices      - price by rim diameter: the first band whose maxRim is >= the tire's rim,
+ *                    the band without maxRim for anything larger. Services without it use `price`.
+ */
+export const SERVICE_CATALOG = [
+    {
+        id: 'mounting',
+        label: '탈착·장착',
+        per: 'tire',
+        rimPrices: [
+            { maxRim: 16, price: 10000 },
+            { maxRim: 18, price: 15000 },
+            { maxRim: 20, price: 20000 },
+            { price: 30000 }
+        ]
+    },
+    {
+        id: 'balancing',
+        label: '휠 밸런스',
+        per: 'tire',
+        rimPrices: [
+            { maxRim: 17, price: 5000 },
+            { maxRim: 19, price: 7000 },
+            { price: 10000 }
+        ]
+    },
+    { id: 'valve', label: '고무 밸브 교체', per: 'tire', price: 3000 },
+    { id: 'disposal', label: '폐타이어 처리', per: 'tire', price: 2000 },
+    { id: 'alignment', label: '휠 얼라인먼트', per: 'vehicle', price: 50000 }
+];
@@ -0,0 +1,27 @@
+/**
+ * Shop details printed on quotes and in the shared quote text.
+ * Empty fields are left off the printed estimate.
+ */
+export const SHOP_INFO = {
+    name: '대동타이어',
+    companyName: '(주)대동휠앤타이어',
+    representative: '',
+    businessNumber: '', // 사업자등록번호, e.g. "123-45-67890"
+    address: '',
+    phone: '053-254-5705',
+    fax: '',
+    bankName: '기업',
+    bankAccount: '15207812304017'
+};
+
+/**
+ * Toss deep link that opens a transfer to the shop account.
+ */
+export const TOSS_TRANSFER_URL = `https://toss.im/_m/transfer?bank=${encodeURIComponent(SHOP_INFO.bankName)}&account=${SHOP_INFO.bankAccount}`;
+
+
+/**
+ * The shop's clock: business days (document numbers, daily sales, quote validity) follow this time zone,
+ * not the server's or UTC.
+ */
+export const SHOP_TIME_ZONE = 'Asia/Seoul';
@@ -22,6 +22,12 @@
  * @property {number} rimDiameter - e.g., 19
  * @property {number} loadIndex - e.g., 98
  * @property {string} speedRating - e.g., "V"
+ * @property {number} [dualLoadIndex] - Second (dual fitment) load index of LT/C sizes, e.g. 120 in "123/120S"
+ * @property {'metric'|'P'|'LT'|'C'|'flotation'} [category] - Size system (utils/tireSize.parseTireSize)
+ * @property {string} [construction] - "R", "ZR", "D" or "B"
+ * @property {boolean} [extraLoad] - XL / Extra Load
+ * @property {boolean} [runFlat] - RF, RFT, ROF, ZP, SSR, HRS ...
+ * @property {{ diameterIn: number, widthIn: number }} [flotation] - Original inch values of flotation sizes (31x10.50R15)
  */
 
 /**
@@ -42,6 +48,22 @@
  * @property {number} reorderPoint - Minimum stock level before reorder
  */
 
+/**
+ * Our own stock (persisted by /api/stock), keyed by the Google Sheet `code`.
+ * @typedef {Object} StockRecord
+ * @property {string} code - Sheet product code
+ * @property {'store' | 'warehouse'} type - Inventory Source Type
+ * @property {string} brand - Copied from the sheet when the record was created
+ * @property {string} model
+ * @property {string} size
+ * @property {number} stockQty - Available Quantity
+ * @property {number} cost - Unit Cost
+ * @property {string} location - Warehouse Location ID
+ * @property {number} reorderPoint - Minimum stock level before reorder
+ * @property {{ dot: string, qty: number, receivedAt: string }[]} [batches] - Quantity per DOT ("WWYY"); stock received before DOTs were tracked is not in any batch
+ * @property {string} updatedAt - ISO timestamp of the last change
+ */
+
 export const BRANDS = [
     'Hankook', 'Kumho', 'Nexen', 'Michelin', 'Continental',
     'Pirelli', 'Bridgestone', 'Dunlop', 'Goodyear', 'Yokohama',
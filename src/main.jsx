@@ -8,3 +8,10 @@ ReactDOM.createRoot(document.getElementById('root')).render(
         <App />
     </React.StrictMode>,
 )
+
+// Offline support (public/sw.js). Not in dev, where the worker would keep serving stale Vite modules
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js').catch(err => console.error('Service Worker Error:', err))
+    })
+}
@@ -0,0 +1,37 @@
+/**
+ * Dispatched on `window` when the server says the session is gone (401 unauthenticated),
+ * so the app can go back to the login screen from wherever the request was made.
+ */
+export const AUTH_EXPIRED_EVENT = 'ddwt:auth-expired';
+
+export const notifyAuthExpired = () => window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+
+/**
+ * Thin fetch wrapper for our JSON /api routes.
+ * Non-2xx responses throw an Error carrying `status` and the server's `code` ({ error, message } body).
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {string} [options.method]
+ * @param {Object} [options.body] - Sent as JSON
+ * @returns {Promise<Object>}
+ */
+export const apiRequest = async (url, { method = 'GET', body } = {}) => {
+    const response = await fetch(url, {
+        method,
+        headers: {
+            'Accept': 'application/json',
+            ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(payload.message || `Request failed (HTTP ${response.status})`);
+        error.status = response.status;
+        error.code = payload.error;
+        if (error.code === 'unauthenticated') notifyAuthExpired();
+        throw error;
+    }
+    return payload;
+};
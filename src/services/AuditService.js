@@ -0,0 +1,20 @@
+import { apiRequest } from './ApiClient';
+
+const toQuery = (filter) => new URLSearchParams(Object.entries(filter).filter(([, v]) => v)).toString();
+
+/**
+ * Client for the change history (/api/audit-log, owners only).
+ */
+export const auditService = {
+    /**
+     * @param {{ type?: string, action?: string, actor?: string, q?: string, from?: string, to?: string, limit?: number }} [filter]
+     * @returns {Promise<{ entries: Object[], total: number, actors: { username: string, name: string }[] }>}
+     */
+    list: async (filter = {}) => {
+        const query = toQuery(filter);
+        return apiRequest(`/api/audit-log${query ? `?${query}` : ''}`);
+    },
+
+    /** Download link for every entry matching the filter. */
+    csvUrl: (filter = {}) => `/api/audit-log?${toQuery({ ...filter, format: 'csv' })}`
+};
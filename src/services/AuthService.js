@@ -0,0 +1,63 @@
+import { apiRequest } from './ApiClient';
+import { offlineCatalog } from './OfflineCatalog';
+
+/**
+ * Client for staff login (/api/auth) and account management (/api/users, owners only).
+ * The session itself is an HttpOnly cookie, so nothing is kept in the browser here.
+ */
+export const authService = {
+    /**
+     * @returns {Promise<Object|null>} The signed-in user, or null
+     */
+    me: async () => {
+        try {
+            const { user } = await apiRequest('/api/auth/me');
+            return user;
+        } catch (err) {
+            if (err.status === 401) return null;
+            throw err;
+        }
+    },
+
+    login: async (username, password) => {
+        const { user } = await apiRequest('/api/auth/login', { method: 'POST', body: { username, password } });
+        return user;
+    },
+
+    /**
+     * End the session and drop the offline data it cached, even when the server cannot be reached.
+     */
+    logout: async () => {
+        try {
+            await apiRequest('/api/auth/logout', { method: 'POST' });
+        } finally {
+            await offlineCatalog.clear().catch(err => console.error('Offline Cache Error:', err));
+        }
+    },
+
+    listUsers: async () => {
+        const { users } = await apiRequest('/api/users');
+        return users;
+    },
+
+    /**
+     * @param {{ username: string, name?: string, role: string, password: string }} input
+     */
+    createUser: async (input) => {
+        const { user } = await apiRequest('/api/users', { method: 'POST', body: input });
+        return user;
+    },
+
+    /**
+     * @param {string} username
+     * @param {{ name?: string, role?: string, password?: string }} changes
+     */
+    updateUser: async (username, changes) => {
+        const { user } = await apiRequest(`/api/users/${encodeURIComponent(username)}`, { method: 'PATCH', body: changes });
+        return user;
+    },
+
+    deleteUser: async (username) => {
+        await apiRequest(`/api/users/${encodeURIComponent(username)}`, { method: 'DELETE' });
+    }
+};
@@ -0,0 +1,65 @@
+/**
+ * Open carts kept in this browser's localStorage, so a refresh or a closed tab does not lose a quote
+ * in progress. Carts are per device (the shop PC), not per staff account.
+ */
+
+const STORAGE_KEY = 'ddwt:carts';
+
+/**
+ * @typedef {Object} StoredCart
+ * @property {string} id
+ * @property {Object[]} items - { product, qty } as in ProductList
+ * @property {import('../utils/services').ServiceLine[]} services
+ * @property {Object} quoteForm - Customer, vehicle, discount and validity entered for the cart
+ * @property {Object|null} savedQuote - The quote the cart was saved as or reopened from
+ * @property {string} tier - Customer tier the cart is priced at
+ */
+
+const isCart = (cart) => Boolean(cart?.id) && Array.isArray(cart.items) && Array.isArray(cart.services) && Boolean(cart.quoteForm);
+
+export const cartStorage = {
+    /**
+     * @returns {{ activeId: string, carts: StoredCart[] }|null} null when nothing (usable) was stored
+     */
+    load: () => {
+        try {
+            const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+            const carts = Array.isArray(stored?.carts) ? stored.carts.filter(isCart) : [];
+            if (carts.length === 0) return null;
+            const activeId = carts.some(cart => cart.id === stored.activeId) ? stored.activeId : carts[0].id;
+            return { activeId, carts };
+        } catch (error) {
+            console.error('Cart Loading Error:', error);
+            return null;
+        }
+    },
+
+    /**
+     * @param {{ activeId: string, carts: StoredCart[] }} state
+     */
+    save: ({ activeId, carts }) => {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ activeId, carts }));
+        } catch (error) {
+            // Private mode or a full quota: the carts still work, they just won't survive a refresh
+            console.error('Cart Saving Error:', error);
+        }
+    },
+
+    /**
+     * Record that a cart was saved as `quote` (a queued save that went through later).
+     * Nothing happens when the cart was closed meanwhile.
+     * @param {string} cartId
+     * @param {Object} quote
+     */
+    attachQuote: (cartId, quote) => {
+        const stored = cartStorage.load();
+        if (!stored?.carts.some(cart => cart.id === cartId)) return;
+        cartStorage.save({
+            activeId: stored.activeId,
+            carts: stored.carts.map(cart => (cart.id === cartId
+                ? { ...cart, savedQuote: quote, quoteForm: { ...cart.quoteForm, validUntil: quote.validUntil } }
+                : cart))
+        });
+    }
+};
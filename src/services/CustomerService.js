@@ -0,0 +1,36 @@
+import { apiRequest } from './ApiClient';
+
+/**
+ * Client for customers and their vehicles (/api/customers).
+ */
+export const customerService = {
+    /**
+     * @param {string} [q] - Phone digits, plate, vehicle model or name
+     */
+    search: async (q = '') => {
+        const { customers } = await apiRequest(`/api/customers${q ? `?q=${encodeURIComponent(q)}` : ''}`);
+        return customers;
+    },
+
+    /**
+     * @returns {Promise<{ customer: Object, history: { quotes: Object[], sales: Object[] } }>}
+     */
+    get: async (id) => apiRequest(`/api/customers/${id}`),
+
+    create: async (input) => {
+        const { customer } = await apiRequest('/api/customers', { method: 'POST', body: input });
+        return customer;
+    },
+
+    /**
+     * `vehicles` replaces the customer's vehicle list.
+     */
+    update: async (id, changes) => {
+        const { customer } = await apiRequest(`/api/customers/${id}`, { method: 'PATCH', body: changes });
+        return customer;
+    },
+
+    remove: async (id) => {
+        await apiRequest(`/api/customers/${id}`, { method: 'DELETE' });
+    }
+};
@@ -1,4 +1,5 @@
 import Papa from 'papaparse';
+import { parseDot } from '../utils/dot.js';
 
 // Consolidated Sheet URL from User (Corrected to output CSV)
 const GOOGLE_SHEET_CSV_URL = 'https://docs.google.com/spreadsheets/d/e/2PACX-1vTHpRh8_kaiBQQaXE0i8nz2tH8uAwm1I1oS6hHQF87C5-LrlDcNTbRKN5xCVeEtbgro8pA2LAjRgT8V/pub?gid=903841373&single=true&output=csv';
@@ -41,16 +42,13 @@ export const googleSheetService = {
                             const model = row['model'] ? String(row['model']).trim() : '';
                             const price = row['factory price'] ? row['factory price'].replace(/[^0-9]/g, '') : '0';
 
-                            // Extract DOT columns (e.g., "DOT #1-1", "DOT #1-2" ... "DOT #1-9")
-                            const dotList = [];
+                            // Extract DOT columns (e.g., "DOT #1-1", "DOT #1-2" ... "DOT #1-9") into DotRecords
+                            const dots = [];
                             Object.keys(row).forEach(key => {
                                 if (key.includes('#')) {
-                                    const val = row[key] ? row[key].trim() : '';
                                     // Clean up label: "DOT #1-1" -> "#1-1"
-                                    const label = key.replace('DOT ', '').trim();
-                                    if (val && val !== '0' && val !== '-') {
-                                        dotList.push(`${label}: ${val}`);
-                                    }
+                                    const dot = parseDot(row[key], key.replace('DOT ', '').trim());
+                                    if (dot) dots.push(dot);
                                 }
                             });
 
@@ -60,7 +58,7 @@ export const googleSheetService = {
                                 brand: brand,
                                 model: model,
                                 factoryPrice: Number(price),
-                                dotList: dotList
+                                dots: dots
                             };
                         });
 
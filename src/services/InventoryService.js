@@ -1,23 +1,40 @@
 import { generateProducts, generateInventory } from '../data/mockData';
+import { toShopItems } from '../utils/catalog';
+import { collectPages, DEFAULT_MAX_PAGES } from '../utils/paging';
+import { stockService } from './StockService';
+import { notifyAuthExpired } from './ApiClient';
+import { dotFromBatch } from '../utils/dot';
+
+/**
+ * Demo flag: random products/inventory are only generated when VITE_DEMO_MODE=true.
+ * Without it, our own stock comes from /api/stock (see StockService).
+ */
+export const DEMO_MODE = import.meta.env.VITE_DEMO_MODE === 'true';
 
 class InventoryService {
     constructor() {
         this.products = [];
         this.inventory = [];
         this.initialized = false;
+        this.schemaDrift = null; // Last SchemaDrift reported by /api/inventory (null when the layout matched)
     }
 
     /**
-     * Initialize the mock database
+     * Initialize the service. Loads the mock database only in demo mode.
      */
     init() {
         if (this.initialized) return;
+        this.initialized = true;
+
+        if (!DEMO_MODE) {
+            console.log('Inventory Service ready (live data).');
+            return;
+        }
 
-        console.log('Initializing Inventory Service...');
+        console.log('Initializing Inventory Service (DEMO MODE)...');
         // Simulate loading 120k products (scaled down to 2000 for browser performance)
         this.products = generateProducts(2000);
         this.inventory = generateInventory(this.products);
-        this.initialized = true;
         console.log(`Loaded ${this.products.length} products and ${this.inventory.length} inventory records.`);
     }
 
@@ -28,58 +45,95 @@ class InventoryService {
      */
 
 
+    /**
+     * Fetch one page of the Blackcircles stock list through /api/inventory (parsed on the server).
+     * @param {string} sizeSearch
+     * @param {number} page - G5 page number (1-based)
+     * @returns {Promise<{ items: Object[], drift: Object|null, pagination: { page: number, lastPage: number } }>}
+     * @throws {Error} with `code === 'session_expired'` when the proxy could not log in to Blackcircles,
+     *   `code === 'unauthenticated'` when our own login has expired
+     */
+    async fetchShopPage(sizeSearch, page) {
+        const params = new URLSearchParams();
+        params.append('format', 'json'); // Parsed on the server, much smaller than the HTML
+        if (sizeSearch) {
+            params.append('sfl', 'all'); // search all fields (standard G5)
+            params.append('stx', sizeSearch);
+        }
+        if (page > 1) params.append('page', String(page));
+        const url = `/api/inventory?${params.toString()}`;
+
+        console.log(`[Shop Fetch] URL: ${url}`);
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 8000);
+
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/json'
+                },
+                signal: controller.signal
+            });
+        } finally {
+            clearTimeout(timeoutId);
+        }
+
+        // The proxy logs in again on its own; a 401 means even the retry failed
+        if (response.status === 401) {
+            const { error, message } = await response.json().catch(() => ({}));
+            if (error === 'unauthenticated') { // our own login, not the Blackcircles one
+                notifyAuthExpired();
+                const authError = new Error(message || 'Login required');
+                authError.status = 401;
+                authError.code = 'unauthenticated';
+                throw authError;
+            }
+            const sessionError = new Error(message || 'Blackcircles session expired');
+            sessionError.code = 'session_expired';
+            throw sessionError;
+        }
+
+        if (!response.ok) throw new Error('Network response was not ok');
+        return response.json();
+    }
+
     /**
      * Fetch items for the Shop View.
+     * Follows the G5 pager and merges every page (up to `maxPages`).
      * Tries to fetch from the real proxy if configured, otherwise falls back to mock data.
+     * @param {string} sizeSearch
+     * @param {Object} [options]
+     * @param {number} [options.maxPages] - Page cap (defaults to DEFAULT_MAX_PAGES)
+     * @param {(progress: import('../utils/paging').PageProgress) => void} [options.onProgress]
+     * @throws {Error} with `code === 'session_expired'` when the proxy could not log in to Blackcircles,
+     *   `code === 'unauthenticated'` when our own login has expired
      */
-    async fetchShopItems(sizeSearch = '') {
+    async fetchShopItems(sizeSearch = '', { maxPages = DEFAULT_MAX_PAGES, onProgress } = {}) {
         // Feature Flag: Set to true if you have the proxy working and want to try real fetch
         const ENABLE_REAL_FETCH = true;
 
         if (ENABLE_REAL_FETCH) {
             try {
-                // Use the consolidated proxy endpoint (works for both local and Vercel)
-                let url = '/api/inventory';
-                const params = new URLSearchParams();
-                if (sizeSearch) {
-                    params.append('sfl', 'all'); // search all fields (standard G5)
-                    params.append('stx', sizeSearch);
-                }
-
-                if (params.toString()) {
-                    url += `?${params.toString()}`;
-                }
-
-                console.log(`[Shop Fetch] URL: ${url}`);
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), 8000);
-
-                const response = await fetch(url, {
-                    method: 'GET',
-                    headers: {
-                        'Accept': 'text/html'
-                    },
-                    signal: controller.signal
-                });
-                clearTimeout(timeoutId);
-
-                if (!response.ok) throw new Error('Network response was not ok');
-                const text = await response.text();
-
-                console.log(`[Shop Fetch] Received HTML (first 200 chars): ${text.substring(0, 200)}...`);
-
-                // Check if response is actually a login page (common issue with proxies)
-                // However, stock_list_option.php returns HTML table on success
-                if (text.includes('login') || text.includes('로그인') || (text.includes('<!DOCTYPE html>') && !text.includes('<table'))) {
-                    console.warn("API returned login page. Falling back to mock data.");
-                    return this.generateMockShopData();
-                }
+                const { items, pages, lastPage, truncated } = await collectPages(
+                    (page) => this.fetchShopPage(sizeSearch, page),
+                    { maxPages, onProgress }
+                );
+                console.log(`[Shop Fetch] Received ${items.length} parsed rows from ${pages.length}/${lastPage} pages`);
+                if (truncated) console.warn(`[Shop Fetch] Stopped at the ${maxPages}-page cap; refine the search for complete results`);
+
+                // Blackcircles changed its table layout; rows are withheld if a required column is gone
+                const drift = pages.find(page => page.drift)?.drift;
+                this.schemaDrift = drift || null;
+                if (drift) console.warn('[Shop Fetch] Stock list schema drift:', drift);
 
-                const parsedData = this.parseShopData(text);
                 // Return whatever the API gave us (empty if no valid items)
-                return parsedData;
+                return this.parseShopData(items);
 
             } catch (err) {
+                // Let the UI tell the user that stock is unavailable, or send them to the login, rather than showing zeros
+                if (err.code === 'session_expired' || err.code === 'unauthenticated') throw err;
                 console.warn("Real fetch failed or timed out:", err);
                 return []; // Return empty instead of mock if it actually fails
             }
@@ -89,6 +143,81 @@ class InventoryService {
         return this.generateMockShopData();
     }
 
+    /**
+     * Search the server-side synced catalog (sheet + stock merged by the sync job).
+     * @param {string} sizeSearch
+     * @param {{ alternatives?: boolean }} [options] - Include same-rim / plus-size alternatives
+     * @returns {Promise<{ items: Object[], syncedAt: string, sources: Object } | null>} null when the catalog is unavailable
+     */
+    async searchCatalog(sizeSearch, { alternatives = false } = {}) {
+        try {
+            const response = await fetch(`/api/catalog?size=${encodeURIComponent(sizeSearch)}${alternatives ? '&alternatives=1' : ''}`, {
+                headers: { 'Accept': 'application/json' }
+            });
+            if (!response.ok) {
+                console.warn(`[Catalog] Unavailable (HTTP ${response.status}), falling back to live search`);
+                return null;
+            }
+            return await response.json();
+        } catch (err) {
+            console.warn('[Catalog] Request failed, falling back to live search:', err);
+            return null;
+        }
+    }
+
+    /**
+     * Fetch 7-day stock trends (sold / restocked / out-of-stock since) for the given codes.
+     * @param {string[]} codes - Sheet codes / partNo
+     * @returns {Promise<Object<string, Object>>} Trend per code; empty when history is unavailable
+     */
+    async fetchStockTrends(codes) {
+        const unique = [...new Set(codes.filter(Boolean))];
+        if (unique.length === 0) return {};
+        try {
+            const response = await fetch(`/api/stock-history?codes=${encodeURIComponent(unique.join(','))}&days=7`);
+            if (!response.ok) return {};
+            const { trends } = await response.json();
+            return trends;
+        } catch (err) {
+            console.warn('[Stock History] Trend request failed:', err);
+            return {};
+        }
+    }
+
+    /**
+     * DOT batches from our own stock records, keyed by sheet code.
+     * These come from receiving, unlike the sheet's manually maintained DOT columns.
+     * @param {string[]} codes
+     * @returns {Promise<Object<string, import('../utils/dot').DotRecord[]>>} Empty in demo mode or when the stock API fails
+     */
+    async fetchOwnDots(codes) {
+        if (DEMO_MODE) return {};
+        const wanted = new Set(codes.filter(Boolean));
+        try {
+            const records = await stockService.list();
+            const dots = {};
+            records.filter(r => wanted.has(r.code)).forEach(record => {
+                (record.batches || []).forEach(batch => {
+                    dots[record.code] = [...(dots[record.code] || []), dotFromBatch(batch, record.type)];
+                });
+            });
+            return dots;
+        } catch (err) {
+            console.warn('[Own Stock] DOT request failed:', err);
+            return {};
+        }
+    }
+
+    /**
+     * Trigger an immediate catalog sync on the server.
+     * @returns {Promise<Object>} Sync summary
+     */
+    async syncCatalog() {
+        const response = await fetch('/api/sync', { method: 'POST' });
+        if (!response.ok) throw new Error(`Catalog sync failed (HTTP ${response.status})`);
+        return response.json();
+    }
+
     generateMockShopData() {
         return new Promise(resolve => {
             setTimeout(() => {
@@ -104,7 +233,7 @@ class InventoryService {
                         totalStock: totalStock,
                         apiPrice: 0, // Initialize mock with 0
                         factoryPrice: 0, // Initialize mock with 0
-                        discountRate: 0
+                        discountRate: null
                     };
                 });
                 resolve(shopData);
@@ -112,101 +241,15 @@ class InventoryService {
         });
     }
 
-    parseShopData(responseBody) {
-        console.log("Parsing API Response (stock_list_option) with Dynamic Header Detection...");
-
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(responseBody, 'text/html');
-        const rows = Array.from(doc.querySelectorAll('table.stock-list_table tr'));
-
-        if (rows.length === 0) {
-            console.warn("No rows found in HTML response");
-            return [];
-        }
-
-        // Helper to get text or input value
-        const getValue = (col) => {
-            if (!col) return '';
-            const input = col.querySelector('input[type="text"]');
-            if (input) return input.value.trim();
-            return col.textContent.trim();
-        };
-
-        const getText = (col) => col ? col.textContent.trim() : '';
-
-        // Detect Offset: If first column is a checkbox or empty, shift everything by 1
-        const firstHeader = rows[0].querySelector('th, td');
-        const hasCheckbox = firstHeader && (firstHeader.querySelector('input[type="checkbox"]') || getText(firstHeader) === '');
-        const offset = hasCheckbox ? 1 : 0;
-
-        console.log(`[Parser] Offset detected: ${offset} (Checkbox: ${hasCheckbox})`);
-
-        // Exact indices based on User's 15-column map (1-based + offset)
-        const getIdx = (n) => (n - 1) + offset;
-
-        // Step 2: Parse Rows
-        const parsedItems = rows.slice(1).map((row) => {
-            const cols = Array.from(row.querySelectorAll('td'));
-            if (cols.length < 5) return null;
-
-            // 1. DISCONTINUED CHECK (15th Column)
-            const statusText = getText(cols[getIdx(15)]);
-            if (statusText.includes('단종') || row.textContent.includes('단종')) return null;
-
-            // 2. DATA EXTRACTION
-            const rawBrand = getText(cols[getIdx(1)]);
-            const rawModel = getText(cols[getIdx(2)]);
-            const rawSize = getText(cols[getIdx(4)]); // Detailed Size: 4th Col
-
-            // 3. CODE CAPTURE (Multi-Source for Robust Matching)
-            // 5th Col (Index 4+off) is '고유코드'
-            const uniqueCodeCol = cols[getIdx(5)];
-            const uniqueCodeInput = uniqueCodeCol ? uniqueCodeCol.querySelector('input') : null;
-            const uniqueCode = (uniqueCodeInput ? uniqueCodeInput.value : getText(uniqueCodeCol)).trim();
-
-            // Also search all inputs in the row for hidden IDs (it_id, st_id)
-            let itId = '';
-            let stId = '';
-            row.querySelectorAll('input').forEach(input => {
-                const name = input.name || '';
-                if (name.includes('it_id')) itId = input.value.trim();
-                if (name.includes('st_id')) stId = input.value.trim();
-            });
-
-            const stockQty = Number(getText(cols[getIdx(9)]).replace(/[^0-9]/g, '')) || 0;
-            const supplyPrice = Number(getValue(cols[getIdx(10)]).replace(/[^0-9]/g, '')) || 0;
-
-            if (!uniqueCode && !itId) return null;
-
-            return {
-                brand: rawBrand,
-                model: rawModel,
-                size: rawSize, // This contains Speed/Load/Origin as requested
-                partNo: uniqueCode, // Match Key for Sheet
-                itId: itId,
-                stId: stId,
-                internalCode: getText(cols[getIdx(3)]), // 3rd Column (Part No)
-                supplyPrice: supplyPrice,
-                factoryPrice: 0,
-                totalStock: stockQty,
-                discountRate: 0,
-                type: ''
-            };
-        }).filter(item => item !== null);
-
+    /**
+     * Convert parsed stock rows (see utils/stockListParser) into Shop View items.
+     * Discontinued (단종) rows are dropped and duplicates removed.
+     * @param {import('../utils/stockListParser').StockRow[]} rows
+     */
+    parseShopData(rows) {
+        const parsedItems = toShopItems(rows);
         console.log(`[Parser] Successfully parsed ${parsedItems.length} items from shop.`);
-        const uniqueItems = [];
-        const seen = new Set();
-
-        parsedItems.forEach(item => {
-            const key = `${item.brand}-${item.model}-${item.size}-${item.partNo}`;
-            if (!seen.has(key)) {
-                seen.add(key);
-                uniqueItems.push(item);
-            }
-        });
-
-        return uniqueItems;
+        return parsedItems;
     }
 
     /**
@@ -251,12 +294,18 @@ class InventoryService {
     }
 
     /**
-     * Simulate placing an order
-     * @param {string} productId 
-     * @param {number} qty 
-     * @param {'store' | 'warehouse'} source 
+     * Take stock out for an order.
+     * Live: decrements our own stock through /api/stock. Demo mode: mutates the mock arrays.
+     * @param {string} productId - Sheet code (mock product id in demo mode)
+     * @param {number} qty
+     * @param {'store' | 'warehouse'} source
+     * @returns {Promise<import('../data/types').StockRecord | Object>} The updated record
      */
-    placeOrder(productId, qty, source) {
+    async placeOrder(productId, qty, source) {
+        if (!DEMO_MODE) {
+            return stockService.adjust({ code: productId, type: source, delta: -qty });
+        }
+
         const record = this.inventory.find(i => i.productId === productId && i.type === source);
         if (!record) throw new Error('Inventory record not found');
         if (record.stockQty < qty) throw new Error('Insufficient stock');
@@ -269,7 +318,7 @@ class InventoryService {
             // In a real app, this would trigger an automatic PO
         }
 
-        return true;
+        return record;
     }
 
     /**
@@ -0,0 +1,58 @@
+import { filterSheetBySize, mergeSheetWithStock } from '../utils/catalog';
+
+/**
+ * Size search without a connection, on the last catalog snapshot the service worker kept
+ * (/api/catalog-snapshot, see public/sw.js). Results are exactly as old as that snapshot's syncedAt.
+ */
+
+const SNAPSHOT_URL = '/api/catalog-snapshot';
+const SYNCED_AT_KEY = 'ddwt:offline-catalog-synced-at';
+const DATA_CACHE = 'ddwt-data'; // same name as in public/sw.js
+
+export const offlineCatalog = {
+    /**
+     * Fetch the snapshot through the service worker so it is cached, unless the copy held is from this sync already.
+     * @param {string} syncedAt - From the latest /api/catalog response
+     */
+    refresh: async (syncedAt) => {
+        if (!navigator.serviceWorker?.controller || window.localStorage.getItem(SYNCED_AT_KEY) === syncedAt) return;
+        try {
+            const response = await fetch(SNAPSHOT_URL, { headers: { 'Accept': 'application/json' } });
+            if (!response.ok) return;
+            const snapshot = await response.json();
+            window.localStorage.setItem(SYNCED_AT_KEY, snapshot.syncedAt);
+        } catch (err) {
+            console.warn('[Offline Catalog] Snapshot download failed:', err);
+        }
+    },
+
+    /**
+     * Search the cached snapshot like /api/catalog does.
+     * @param {string} sizeSearch
+     * @param {{ alternatives?: boolean }} [options]
+     * @returns {Promise<{ items: Object[], syncedAt: string, sources: Object }|null>} null when nothing is cached
+     */
+    search: async (sizeSearch, { alternatives = false } = {}) => {
+        try {
+            const response = await fetch(SNAPSHOT_URL, { headers: { 'Accept': 'application/json' } });
+            if (!response.ok) return null;
+            const snapshot = await response.json();
+            return {
+                items: mergeSheetWithStock(filterSheetBySize(snapshot.sheetRows, sizeSearch, { alternatives }), snapshot.stockItems),
+                syncedAt: snapshot.syncedAt,
+                sources: snapshot.sources
+            };
+        } catch (err) {
+            console.warn('[Offline Catalog] No cached snapshot:', err);
+            return null;
+        }
+    },
+
+    /**
+     * Drop the cached snapshot and session (on logout).
+     */
+    clear: async () => {
+        window.localStorage.removeItem(SYNCED_AT_KEY);
+        if ('caches' in window) await window.caches.delete(DATA_CACHE);
+    }
+};
@@ -0,0 +1,102 @@
+import { quoteService } from './QuoteService.js';
+import { cartStorage } from './CartStorage.js';
+
+/**
+ * Quote saves made without a connection, kept in localStorage and sent in order once the connection is back
+ * (ConnectionStatus flushes on the browser's `online` event). One pending entry per cart: saving the same
+ * cart again replaces it, so a quote is never created twice.
+ * Imports keep their extensions (here and in what it imports) so the tests can load it under plain Node.
+ */
+
+const STORAGE_KEY = 'ddwt:offline-queue';
+
+/** Dispatched on `window` whenever the queue changes. */
+export const QUEUE_CHANGED_EVENT = 'ddwt:queue-changed';
+
+/** Dispatched on `window` after a flush, with `detail: { done: [{ entry, quote }] }`. */
+export const QUEUE_FLUSHED_EVENT = 'ddwt:queue-flushed';
+
+/**
+ * @typedef {Object} QueuedAction
+ * @property {string} cartId - The cart the quote was saved from
+ * @property {'quote.create'|'quote.update'} type
+ * @property {string|null} quoteId - For quote.update
+ * @property {Object} input - quoteService.create / update input
+ * @property {string} label - For the pending list, e.g. the customer's name
+ * @property {string} queuedAt
+ */
+
+/**
+ * True when the request never reached the server (apiRequest errors from the server carry a status).
+ * @param {Error} error
+ */
+export const isNetworkError = (error) => error.status === undefined;
+
+const read = () => {
+    try {
+        return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || [];
+    } catch {
+        return [];
+    }
+};
+
+const write = (entries) => {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+    window.dispatchEvent(new Event(QUEUE_CHANGED_EVENT));
+};
+
+const run = (entry) => (entry.type === 'quote.update'
+    ? quoteService.update(entry.quoteId, entry.input)
+    : quoteService.create(entry.input));
+
+let flushing = null;
+
+export const offlineQueue = {
+    /**
+     * @returns {QueuedAction[]}
+     */
+    list: () => read(),
+
+    /**
+     * @param {{ cartId: string, type: 'quote.create'|'quote.update', quoteId?: string|null, input: Object, label: string }} action
+     */
+    enqueue: ({ cartId, type, quoteId = null, input, label }) => {
+        const entries = read().filter(entry => entry.cartId !== cartId);
+        write([...entries, { cartId, type, quoteId, input, label, queuedAt: new Date().toISOString() }]);
+    },
+
+    /**
+     * Send the queue in order. Stops at the first network error (still offline); an entry the server rejects
+     * is dropped and reported in `failed`. Saved quotes are attached to their carts. Concurrent calls share one flush.
+     * @returns {Promise<{ done: { entry: QueuedAction, quote: Object }[], failed: { entry: QueuedAction, error: Error }[] }>}
+     */
+    flush: () => {
+        if (flushing) return flushing;
+        flushing = (async () => {
+            const done = [];
+            const failed = [];
+            for (const entry of read()) {
+                let quote = null;
+                try {
+                    quote = await run(entry);
+                    cartStorage.attachQuote(entry.cartId, quote);
+                    done.push({ entry, quote });
+                } catch (error) {
+                    if (isNetworkError(error)) break;
+                    failed.push({ entry, error });
+                }
+                // The cart may have been saved again meanwhile; that save now edits the quote just created
+                write(read()
+                    .filter(e => e.cartId !== entry.cartId || e.queuedAt !== entry.queuedAt)
+                    .map(e => (quote && e.cartId === entry.cartId && e.type === 'quote.create' ? { ...e, type: 'quote.update', quoteId: quote.id } : e)));
+            }
+            if (done.length > 0) window.dispatchEvent(new CustomEvent(QUEUE_FLUSHED_EVENT, { detail: { done } }));
+            return { done, failed };
+        })().finally(() => {
+            flushing = null;
+        });
+        return flushing;
+    },
+
+    clear: () => write([])
+};
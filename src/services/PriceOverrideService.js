@@ -0,0 +1,36 @@
+import { apiRequest } from './ApiClient';
+
+/**
+ * Client for manual price overrides (/api/price-overrides).
+ */
+export const priceOverrideService = {
+    /**
+     * @param {string[]} codes
+     * @returns {Promise<Object<string, Object>>} Active overrides keyed by code
+     */
+    list: async (codes) => {
+        const unique = [...new Set(codes.filter(Boolean))];
+        if (unique.length === 0) return {};
+        const { overrides } = await apiRequest(`/api/price-overrides?codes=${encodeURIComponent(unique.join(','))}`);
+        return Object.fromEntries(overrides.map(o => [o.code, o]));
+    },
+
+    /**
+     * Save (or, with both values null, remove) the override for a code, as the signed-in user.
+     * @returns {Promise<Object|null>}
+     */
+    save: async (code, { factoryPrice, discountRate, expiresAt }) => {
+        const { override } = await apiRequest(`/api/price-overrides/${encodeURIComponent(code)}`, {
+            method: 'PUT',
+            body: { factoryPrice, discountRate, expiresAt }
+        });
+        return override;
+    },
+
+    /**
+     * Reset codes to their sheet values.
+     */
+    reset: async (codes) => {
+        await apiRequest(`/api/price-overrides?codes=${encodeURIComponent(codes.join(','))}`, { method: 'DELETE' });
+    }
+};
@@ -0,0 +1,42 @@
+import { apiRequest } from './ApiClient';
+
+/**
+ * Client for purchase orders (/api/purchase-orders).
+ */
+export const purchaseOrderService = {
+    /**
+     * @param {'draft'|'sent'|'received'} [status]
+     */
+    list: async (status) => {
+        const { orders } = await apiRequest(`/api/purchase-orders${status ? `?status=${status}` : ''}`);
+        return orders;
+    },
+
+    /**
+     * Create drafts from reorder points.
+     * @returns {Promise<Object[]>} The new drafts
+     */
+    generate: async () => {
+        const { orders } = await apiRequest('/api/purchase-orders/generate', { method: 'POST' });
+        return orders;
+    },
+
+    create: async ({ supplier, lines, note }) => {
+        const { order } = await apiRequest('/api/purchase-orders', { method: 'POST', body: { supplier, lines, note } });
+        return order;
+    },
+
+    /**
+     * Edit a draft and/or advance its status ('sent', then 'received').
+     */
+    update: async (id, changes) => {
+        const { order } = await apiRequest(`/api/purchase-orders/${id}`, { method: 'PATCH', body: changes });
+        return order;
+    },
+
+    remove: async (id) => {
+        await apiRequest(`/api/purchase-orders/${id}`, { method: 'DELETE' });
+    },
+
+    csvUrl: (id) => `/api/purchase-orders/${id}?format=csv`
+};
@@ -0,0 +1,48 @@
+import { apiRequest } from './ApiClient.js';
+
+/**
+ * Client for customer quotes (/api/quotes).
+ */
+export const quoteService = {
+    /**
+     * @param {{ q?: string, status?: 'sent'|'accepted'|'expired' }} [filter]
+     */
+    list: async ({ q, status } = {}) => {
+        const params = new URLSearchParams();
+        if (q) params.set('q', q);
+        if (status) params.set('status', status);
+        const query = params.toString();
+        const { quotes } = await apiRequest(`/api/quotes${query ? `?${query}` : ''}`);
+        return quotes;
+    },
+
+    get: async (id) => {
+        const { quote } = await apiRequest(`/api/quotes/${id}`);
+        return quote;
+    },
+
+    create: async (input) => {
+        const { quote } = await apiRequest('/api/quotes', { method: 'POST', body: input });
+        return quote;
+    },
+
+    /**
+     * Edit a quote and/or set its status.
+     */
+    update: async (id, changes) => {
+        const { quote } = await apiRequest(`/api/quotes/${id}`, { method: 'PATCH', body: changes });
+        return quote;
+    },
+
+    remove: async (id) => {
+        await apiRequest(`/api/quotes/${id}`, { method: 'DELETE' });
+    },
+
+    /**
+     * Sell an accepted quote (decrements our own stock), or the cart opened from it when `cart` is given.
+     * @param {string} id
+     * @param {{ paymentMethod: string, labor?: Object[], note?: string, cart?: { lines: Object[], discount: number, customer: Object, vehicle: string } }} checkout
+     * @returns {Promise<{ quote: Object, sale: Object }>}
+     */
+    convert: async (id, checkout) => apiRequest(`/api/quotes/${id}/convert`, { method: 'POST', body: checkout })
+};
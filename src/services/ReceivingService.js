@@ -0,0 +1,37 @@
+import { apiRequest } from './ApiClient';
+
+/**
+ * Client for goods receiving (/api/receiving).
+ */
+export const receivingService = {
+    /**
+     * @returns {Promise<Object[]>} Recent receipts, newest first
+     */
+    recent: async () => {
+        const { receipts } = await apiRequest('/api/receiving');
+        return receipts;
+    },
+
+    /**
+     * Resolve a scanned code to { code, brand, model, size }.
+     * @returns {Promise<Object|null>} null when the code is unknown
+     */
+    lookup: async (code) => {
+        try {
+            const { item } = await apiRequest(`/api/receiving?code=${encodeURIComponent(code)}`);
+            return item;
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+    },
+
+    /**
+     * Post counted lines to stock, optionally against a sent PO.
+     * @param {{ orderId?: string, lines: { code: string, type: string, dot?: string, qty: number }[], note?: string }} receipt
+     */
+    post: async ({ orderId, lines, note }) => {
+        const { receipt } = await apiRequest('/api/receiving', { method: 'POST', body: { orderId, lines, note } });
+        return receipt;
+    }
+};
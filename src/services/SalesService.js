@@ -0,0 +1,34 @@
+import { apiRequest } from './ApiClient';
+
+/**
+ * Client for sales / checkout (/api/sales).
+ */
+export const salesService = {
+    /**
+     * One day's sales and their summary.
+     * @param {string} [date] - YYYY-MM-DD, default today
+     * @returns {Promise<{ sales: Object[], summary: Object }>}
+     */
+    list: async (date) => apiRequest(`/api/sales${date ? `?date=${date}` : ''}`),
+
+    get: async (id) => {
+        const { sale } = await apiRequest(`/api/sales/${id}`);
+        return sale;
+    },
+
+    /**
+     * Check out: records the sale and takes the tires out of our own stock.
+     */
+    create: async (input) => {
+        const { sale } = await apiRequest('/api/sales', { method: 'POST', body: input });
+        return sale;
+    },
+
+    /**
+     * Void a sale; its tires go back into stock.
+     */
+    void: async (id, reason) => {
+        const { sale } = await apiRequest(`/api/sales/${id}/void`, { method: 'POST', body: { reason } });
+        return sale;
+    }
+};
@@ -0,0 +1,38 @@
+import { apiRequest } from './ApiClient';
+
+/**
+ * Client for our own store/warehouse stock (/api/stock).
+ */
+export const stockService = {
+    /**
+     * @param {{ type?: 'store'|'warehouse', code?: string }} [filter]
+     * @returns {Promise<import('../data/types').StockRecord[]>}
+     */
+    list: async (filter = {}) => {
+        const params = new URLSearchParams(Object.entries(filter).filter(([, v]) => v));
+        const { records } = await apiRequest(`/api/stock${params.toString() ? `?${params}` : ''}`);
+        return records;
+    },
+
+    /**
+     * Add/remove quantity (`delta`) or set a counted quantity (`set`), optionally for one DOT batch.
+     * `reason` goes into the change history.
+     * @returns {Promise<import('../data/types').StockRecord>}
+     */
+    adjust: async ({ code, type, delta, set, reorderPoint, cost, dot, reason }) => {
+        const { record } = await apiRequest('/api/stock/adjust', {
+            method: 'POST',
+            body: { code, type, delta, set, reorderPoint, cost, dot, reason }
+        });
+        return record;
+    },
+
+    /**
+     * Move quantity between store and warehouse (a single DOT batch when `dot` is given).
+     * @returns {Promise<import('../data/types').StockRecord[]>} [from, to]
+     */
+    move: async ({ code, from, to, qty, dot, reason }) => {
+        const { records } = await apiRequest('/api/stock/move', { method: 'POST', body: { code, from, to, qty, dot, reason } });
+        return records;
+    }
+};
@@ -0,0 +1,93 @@
+import dataset from '../data/vehicleFitments.json';
+import { parseTireSize } from '../utils/tireSize';
+
+/**
+ * Vehicle fitment lookup (maker → model → year → OE sizes) over the bundled dataset.
+ * The dataset is generated from data/vehicle-fitments.csv by `npm run import:fitments`.
+ */
+
+/**
+ * @typedef {Object} VehicleFitment
+ * @property {string} maker
+ * @property {string} model
+ * @property {number} yearFrom
+ * @property {number|null} yearTo - null while still sold
+ * @property {string} trim
+ * @property {string} front
+ * @property {string|null} rear - null when front and rear sizes are the same
+ */
+
+/**
+ * One size to search for a vehicle.
+ * @typedef {Object} FitmentSearch
+ * @property {string} size - Size without load/speed (what the size search expects)
+ * @property {'all'|'front'|'rear'} position
+ * @property {string[]} trims
+ */
+
+const unique = (values) => [...new Set(values)];
+
+const lastYear = (fitment) => fitment.yearTo ?? new Date().getFullYear();
+
+const matchesYear = (fitment, year) => year >= fitment.yearFrom && year <= lastYear(fitment);
+
+/**
+ * "245/45R18 100Y XL" -> "245/45R18": load/speed must not narrow the stock search.
+ */
+const searchableSize = (size) => {
+    const specs = parseTireSize(size);
+    return specs && !specs.flotation ? `${specs.sectionWidth}/${specs.aspectRatio}R${specs.rimDiameter}` : size;
+};
+
+export const vehicleService = {
+    importedAt: dataset.importedAt,
+
+    /** @returns {string[]} */
+    makers: () => unique(dataset.vehicles.map(v => v.maker)),
+
+    /** @returns {string[]} */
+    models: (maker) => unique(dataset.vehicles.filter(v => v.maker === maker).map(v => v.model)),
+
+    /**
+     * @returns {number[]} Newest first
+     */
+    years: (maker, model) => {
+        const fitments = dataset.vehicles.filter(v => v.maker === maker && v.model === model);
+        if (fitments.length === 0) return [];
+        const from = Math.min(...fitments.map(v => v.yearFrom));
+        const to = Math.max(...fitments.map(lastYear));
+        return Array.from({ length: to - from + 1 }, (_, i) => to - i).filter(year => fitments.some(v => matchesYear(v, year)));
+    },
+
+    /**
+     * @returns {VehicleFitment[]} Every trim sold in that year
+     */
+    fitments: (maker, model, year) =>
+        dataset.vehicles.filter(v => v.maker === maker && v.model === model && matchesYear(v, Number(year))),
+
+    /**
+     * Sizes to search for the given trims. A size used front and rear (or on a square setup) is searched once.
+     * Staggered setups yield separate front and rear entries.
+     * @param {VehicleFitment[]} fitments
+     * @returns {FitmentSearch[]}
+     */
+    searchPlan: (fitments) => {
+        const plan = new Map();
+        const add = (size, position, trim) => {
+            const key = searchableSize(size);
+            const entry = plan.get(key) || { size: key, positions: new Set(), trims: [] };
+            entry.positions.add(position);
+            if (!entry.trims.includes(trim)) entry.trims.push(trim);
+            plan.set(key, entry);
+        };
+        fitments.forEach(f => {
+            add(f.front, f.rear ? 'front' : 'all', f.trim);
+            if (f.rear) add(f.rear, 'rear', f.trim);
+        });
+        return [...plan.values()].map(({ size, positions, trims }) => ({
+            size,
+            position: positions.size === 1 ? [...positions][0] : 'all',
+            trims
+        }));
+    }
+};
@@ -0,0 +1,39 @@
+/**
+ * Field-level differences between an audit entry's before/after values, so the log screen and the
+ * CSV export describe a change the same way. Shared with Node, so imports keep their extensions.
+ */
+
+const toText = (value) => {
+    if (value === null || value === undefined || value === '') return '-';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * @typedef {Object} AuditChange
+ * @property {string} field
+ * @property {string} before - '-' when the field (or the whole entity) did not exist
+ * @property {string} after
+ */
+
+/**
+ * Top-level fields that differ. Nested values (lines, batches) are compared and shown as JSON.
+ * @param {Object|null} before - null when the entity was created
+ * @param {Object|null} after - null when the entity was deleted
+ * @returns {AuditChange[]}
+ */
+export const diffAudit = (before, after) => {
+    const fields = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+    return fields
+        .filter(field => field !== 'updatedAt')
+        .map(field => ({ field, before: toText(before?.[field]), after: toText(after?.[field]) }))
+        .filter(change => change.before !== change.after);
+};
+
+/**
+ * One-line summary, e.g. "stockQty: 4 → 2, cost: - → 52000".
+ * @param {Object|null} before
+ * @param {Object|null} after
+ */
+export const summarizeAudit = (before, after) => diffAudit(before, after)
+    .map(change => `${change.field}: ${change.before} → ${change.after}`)
+    .join(', ');
@@ -0,0 +1,111 @@
+import { normalizeSize } from './formatters.js';
+import { dedupeStockItems } from './stockListParser.js';
+import { parseTireSize, compareSizes } from './tireSize.js';
+
+/**
+ * Merge logic shared by the browser (live search) and the server (catalog sync).
+ * Imports keep their `.js` extension so this module also runs under plain Node.
+ */
+
+/**
+ * Convert parsed stock rows (see stockListParser) into Shop View items.
+ * Discontinued (단종) rows are dropped and duplicates removed.
+ * @param {import('./stockListParser').StockRow[]} rows
+ */
+export const toShopItems = (rows) => dedupeStockItems(rows
+    .filter(row => !row.discontinued)
+    .map(row => ({
+        brand: row.brand,
+        model: row.model,
+        size: row.size, // This contains Speed/Load/Origin as requested
+        partNo: row.partNo, // Match Key for Sheet
+        itId: row.itId,
+        stId: row.stId,
+        internalCode: row.internalCode,
+        supplyPrice: row.supplyPrice,
+        factoryPrice: 0,
+        totalStock: row.stock,
+        discountRate: null,
+        type: ''
+    })));
+
+const MATCH_RANK = { exact: 0, sameRim: 1, plusSize: 2 };
+
+/**
+ * Sort rank of a search result: exact sizes first, then same-rim, then plus-size alternatives.
+ * @param {{ sizeMatch?: import('./tireSize').SizeMatch|null }} item
+ */
+export const sizeMatchRank = (item) => MATCH_RANK[item.sizeMatch?.kind] ?? 0;
+
+/**
+ * Keep sheet entries whose size matches the search and that have a factory price.
+ * A complete size ("245/45R18", "2454518") is compared structurally and each entry gets `sizeMatch`;
+ * with `alternatives`, same-rim and plus-size entries within ±3% overall diameter are included too.
+ * A partial search ("24545") falls back to digit prefix matching.
+ * @param {Object[]} sheetData - Rows from googleSheetService.fetchSheetData
+ * @param {string} sizeSearch
+ * @param {{ alternatives?: boolean }} [options]
+ * @returns {Object[]} Exact matches first
+ */
+export const filterSheetBySize = (sheetData, sizeSearch, { alternatives = false } = {}) => {
+    const priced = sheetData.filter(d => d.factoryPrice > 0);
+    const searchSizeNorm = normalizeSize(sizeSearch);
+    const wanted = parseTireSize(sizeSearch);
+    if (!wanted) {
+        return priced
+            .filter(d => normalizeSize(d.size).startsWith(searchSizeNorm))
+            .map(d => ({ ...d, sizeMatch: null }));
+    }
+
+    return priced
+        .map(d => {
+            const specs = parseTireSize(d.size);
+            // Sheet sizes we cannot parse still match on their digits
+            if (!specs) return normalizeSize(d.size).startsWith(searchSizeNorm) ? { ...d, sizeMatch: null } : null;
+            const sizeMatch = compareSizes(wanted, specs);
+            if (!sizeMatch || (sizeMatch.kind !== 'exact' && !alternatives)) return null;
+            return { ...d, sizeMatch };
+        })
+        .filter(Boolean)
+        .sort((a, b) => sizeMatchRank(a) - sizeMatchRank(b));
+};
+
+/**
+ * Merge sheet entries (price, DOT) with Blackcircles stock.
+ * Sheet codes are matched against the shop's partNo, itId or stId.
+ * @param {Object[]} sheetEntries
+ * @param {Object[]} shopItems - Output of toShopItems
+ * @returns {Object[]} Products for the ProductList table
+ */
+export const mergeSheetWithStock = (sheetEntries, shopItems) => {
+    // We've captured uniqueCode, itId, and internalCode. We match against ANY of them.
+    const stockIndex = new Map();
+    shopItems.forEach(p => {
+        [p.partNo, p.itId, p.stId].forEach(code => {
+            const key = String(code || '').trim();
+            if (key && !stockIndex.has(key)) stockIndex.set(key, p);
+        });
+    });
+
+    return sheetEntries.map(s => {
+        const shopMatch = stockIndex.get(String(s.code || '').trim());
+
+        // Priority for display: Sheet Data for Price/DOT/Brand
+        // Priority for Size: Detailed string from Shop if available
+        return {
+            brand: s.brand || (shopMatch?.brand),
+            model: s.model || (shopMatch?.model),
+            size: shopMatch ? shopMatch.size : s.size, // SHOP size has more detail (4P, 105W etc)
+            partNo: s.code, // From sheet
+            factoryPrice: s.factoryPrice, // From sheet
+            dots: s.dots || [], // From sheet (DotRecords)
+            totalStock: shopMatch ? shopMatch.totalStock : 0, // FROM SHOP
+            supplyPrice: shopMatch ? shopMatch.supplyPrice : 0,
+            discountRate: null, // null = customer tier default (see utils/pricing)
+            internalCode: s.code,
+            sizeMatch: s.sizeMatch || null // From filterSheetBySize
+        };
+    }).filter(p => {
+        return p.factoryPrice > 0;
+    });
+};
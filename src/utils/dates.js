@@ -0,0 +1,21 @@
+/**
+ * Calendar dates (YYYY-MM-DD) in the shop's time zone. Shared with Node, so imports keep their extensions.
+ */
+import { SHOP_TIME_ZONE } from '../config/shop.js';
+
+const DATE_FORMAT = new Intl.DateTimeFormat('en-CA', { timeZone: SHOP_TIME_ZONE, year: 'numeric', month: '2-digit', day: '2-digit' });
+
+/**
+ * The shop's local date of a moment, e.g. 2025-03-12T23:30:00Z -> "2025-03-13".
+ * @param {string|number|Date} [value] - Defaults to now
+ * @returns {string} YYYY-MM-DD
+ */
+export const shopDate = (value = new Date()) => DATE_FORMAT.format(new Date(value));
+
+/**
+ * Calendar arithmetic on a YYYY-MM-DD date.
+ * @param {string} date
+ * @param {number} days - May be negative
+ * @returns {string} YYYY-MM-DD
+ */
+export const addDays = (date, days) => new Date(Date.parse(date) + days * 86400000).toISOString().slice(0, 10);
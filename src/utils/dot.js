@@ -0,0 +1,138 @@
+import { DOT_AGE_LEVELS } from '../config/dot.js';
+
+/**
+ * DOT date codes: the last four digits of a tire's DOT number, week then year ("3524" = week 35 of 2024).
+ * Shared by the API (receiving, own stock) and the screens.
+ */
+
+/**
+ * @typedef {Object} DotRecord
+ * @property {string} code - "WWYY"
+ * @property {number} week - 1-53
+ * @property {number} year - Four digits, e.g. 2024
+ * @property {string} label - Slot label ("#1-1" for sheet columns, "매장"/"물류" for our own batches); may be empty
+ * @property {number|null} qty - Tires with this DOT, when known
+ * @property {'sheet'|'store'|'warehouse'} source
+ */
+
+/**
+ * Normalize user/scanner input ("3524", "DOT 3524", "35/24") to "WWYY".
+ * @param {string|number} value
+ * @returns {string|null} null when the input is not a valid week/year
+ */
+export const normalizeDot = (value) => {
+    const digits = String(value ?? '').replace(/[^0-9]/g, '');
+    if (digits.length !== 4) return null;
+    const week = Number(digits.slice(0, 2));
+    return week >= 1 && week <= 53 ? digits : null;
+};
+
+/**
+ * Sort key so older production sorts first ("3523" < "0124").
+ * @param {string} dot - "WWYY"
+ * @returns {string} "YYWW"
+ */
+export const dotSortKey = (dot) => `${dot.slice(2)}${dot.slice(0, 2)}`;
+
+/**
+ * Parse a sheet DOT cell. The cell holds the DOT, optionally followed by a quantity:
+ * "3524", "3524.4", "3524(4)", "3524 x4", "3524*4".
+ * @param {string} value
+ * @param {string} [label] - Slot label, e.g. "#1-1"
+ * @param {'sheet'|'store'|'warehouse'} [source]
+ * @returns {DotRecord|null} null when no DOT can be read
+ */
+export const parseDot = (value, label = '', source = 'sheet') => {
+    const match = String(value ?? '').trim().match(/^(?:DOT\s*)?(\d{4})(?:\s*(?:[.(*xX×]|개)\s*(\d+)\)?)?/);
+    const code = match ? normalizeDot(match[1]) : null;
+    if (!code) return null;
+    return {
+        code,
+        week: Number(code.slice(0, 2)),
+        year: 2000 + Number(code.slice(2)),
+        label,
+        qty: match[2] ? Number(match[2]) : null,
+        source
+    };
+};
+
+/**
+ * Our own stock batch as a DotRecord.
+ * @param {{ dot: string, qty: number }} batch
+ * @param {'store'|'warehouse'} type
+ */
+export const dotFromBatch = (batch, type) => ({
+    ...parseDot(batch.dot, type === 'store' ? '매장' : '물류', type),
+    qty: batch.qty
+});
+
+/**
+ * Approximate production date: Monday of the DOT week.
+ * @param {DotRecord} dot
+ * @returns {Date}
+ */
+export const dotProductionDate = (dot) => {
+    const jan4 = new Date(dot.year, 0, 4);
+    const week1Monday = new Date(dot.year, 0, 4 - ((jan4.getDay() + 6) % 7));
+    return new Date(week1Monday.getFullYear(), week1Monday.getMonth(), week1Monday.getDate() + (dot.week - 1) * 7);
+};
+
+/**
+ * Whole months since production (0 for DOTs in the current month or the future).
+ * @param {DotRecord} dot
+ * @param {Date} [now]
+ * @returns {number}
+ */
+export const dotAgeMonths = (dot, now = new Date()) => {
+    const produced = dotProductionDate(dot);
+    const months = (now.getFullYear() - produced.getFullYear()) * 12 + now.getMonth() - produced.getMonth()
+        - (now.getDate() < produced.getDate() ? 1 : 0);
+    return Math.max(0, months);
+};
+
+/**
+ * Age band for a DOT, from the configured thresholds.
+ * @param {DotRecord|null} dot
+ * @param {Date} [now]
+ * @returns {{ id: string, label: string, className: string }}
+ */
+export const getDotAgeLevel = (dot, now = new Date()) => {
+    if (!dot) return DOT_AGE_LEVELS[DOT_AGE_LEVELS.length - 1];
+    const months = dotAgeMonths(dot, now);
+    return DOT_AGE_LEVELS.find(level => months < level.maxMonths) || DOT_AGE_LEVELS[DOT_AGE_LEVELS.length - 1];
+};
+
+/**
+ * "1년 2개월" style age text.
+ * @param {number} months
+ */
+export const formatDotAge = (months) => {
+    if (months < 12) return `${months}개월`;
+    return months % 12 === 0 ? `${months / 12}년` : `${Math.floor(months / 12)}년 ${months % 12}개월`;
+};
+
+/**
+ * Oldest first.
+ * @param {DotRecord[]} dots
+ */
+export const sortDotsOldestFirst = (dots) => [...dots].sort((a, b) => dotSortKey(a.code).localeCompare(dotSortKey(b.code)));
+
+/**
+ * "Sell oldest first": pick DOT batches for `qty` tires.
+ * Batches with a known quantity are used up in age order; a batch without a quantity takes the rest.
+ * @param {DotRecord[]} dots
+ * @param {number} qty
+ * @returns {{ picks: { dot: DotRecord, qty: number }[], shortfall: number }} shortfall > 0 when the known batches do not cover qty
+ */
+export const pickOldestFirst = (dots, qty) => {
+    const picks = [];
+    let remaining = qty;
+    for (const dot of sortDotsOldestFirst(dots)) {
+        if (remaining <= 0) break;
+        const taken = dot.qty === null ? remaining : Math.min(dot.qty, remaining);
+        if (taken <= 0) continue;
+        picks.push({ dot, qty: taken });
+        remaining -= taken;
+    }
+    return { picks, shortfall: remaining };
+};
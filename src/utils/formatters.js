@@ -38,3 +38,56 @@ export const normalizeSize = (sizeStr) => {
 export const getBrandDisplayName = (brandName) => {
     return BRAND_KO_MAP[brandName] || brandName;
 };
+
+/**
+ * Format a sync timestamp for display ("오늘 14:05" or "3/12 14:05").
+ * @param {string|number|Date} timestamp
+ * @returns {string}
+ */
+export const formatSyncTime = (timestamp) => {
+    if (!timestamp) return '-';
+    const date = new Date(timestamp);
+    const time = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    const isToday = date.toDateString() === new Date().toDateString();
+    return isToday ? `오늘 ${time}` : `${date.getMonth() + 1}/${date.getDate()} ${time}`;
+};
+
+/**
+ * How old something is ("방금", "25분 전", "3시간 전", "2일 전").
+ * @param {string|number|Date} timestamp
+ * @returns {string}
+ */
+export const formatAge = (timestamp) => {
+    const minutes = Math.floor((Date.now() - new Date(timestamp).getTime()) / 60000);
+    if (minutes < 1) return '방금';
+    if (minutes < 60) return `${minutes}분 전`;
+    if (minutes < 1440) return `${Math.floor(minutes / 60)}시간 전`;
+    return `${Math.floor(minutes / 1440)}일 전`;
+};
+
+const KOREAN_DIGITS = ['', '일', '이', '삼', '사', '오', '육', '칠', '팔', '구'];
+const KOREAN_SMALL_UNITS = ['', '십', '백', '천'];
+const KOREAN_LARGE_UNITS = ['', '만', '억', '조'];
+
+/**
+ * Amount in Korean words as written on estimates and receipts.
+ * Example: 1250000 -> "일금 일백이십오만원정"
+ * @param {number} amount - Whole won
+ * @returns {string}
+ */
+export const formatKoreanWon = (amount) => {
+    const value = Math.floor(Math.abs(Number(amount) || 0));
+    if (value === 0) return '일금 영원정';
+
+    const groups = [];
+    for (let rest = value; rest > 0; rest = Math.floor(rest / 10000)) groups.push(rest % 10000);
+
+    const words = groups.map((group, groupIndex) => {
+        if (group === 0) return '';
+        const digits = String(group).padStart(4, '0').split('').map(Number);
+        const text = digits.map((digit, i) => (digit ? `${KOREAN_DIGITS[digit]}${KOREAN_SMALL_UNITS[3 - i]}` : '')).join('');
+        return `${text}${KOREAN_LARGE_UNITS[groupIndex]}`;
+    }).reverse().join('');
+
+    return `일금 ${words}원정`;
+};
@@ -0,0 +1,44 @@
+/**
+ * Default cap on how many G5 list pages a single search may pull.
+ */
+export const DEFAULT_MAX_PAGES = 10;
+
+/**
+ * @typedef {Object} PageProgress
+ * @property {number} page - Pages fetched so far
+ * @property {number} totalPages - Pages that will be fetched (after the cap)
+ * @property {number} lastPage - Last page reported by the upstream pager
+ */
+
+/**
+ * Fetch consecutive G5 list pages until the pager's last page or `maxPages` is reached.
+ * Pages are fetched one at a time so the upstream is not hammered.
+ * @template T
+ * @param {(page: number) => Promise<{ items: T[], pagination?: { lastPage: number } }>} fetchPage
+ * @param {Object} [options]
+ * @param {number} [options.maxPages]
+ * @param {(progress: PageProgress) => void} [options.onProgress]
+ * @returns {Promise<{ items: T[], pages: Object[], lastPage: number, truncated: boolean }>}
+ */
+export const collectPages = async (fetchPage, { maxPages = DEFAULT_MAX_PAGES, onProgress } = {}) => {
+    const pages = [];
+    let lastPage = 1;
+
+    for (let page = 1; page <= Math.min(lastPage, maxPages); page++) {
+        const result = await fetchPage(page);
+        pages.push(result);
+
+        // The pager only shows a window of pages, so keep widening as we go
+        lastPage = Math.max(lastPage, result.pagination?.lastPage || 1);
+        if (result.items.length === 0) break;
+
+        onProgress?.({ page, totalPages: Math.min(lastPage, maxPages), lastPage });
+    }
+
+    return {
+        items: pages.flatMap(result => result.items),
+        pages,
+        lastPage,
+        truncated: lastPage > maxPages
+    };
+};
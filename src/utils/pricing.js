@@ -0,0 +1,152 @@
+/**
+ * Central pricing: tier discounts, rounding, VAT and the cost floor.
+ * Every selling price shown or quoted comes from priceProduct so the table, cards, cart,
+ * share text and quotes always agree. Shared with Node, so imports keep their extensions.
+ */
+import {
+    BRAND_TIER_DISCOUNTS,
+    DEFAULT_TIER,
+    VAT_RATE,
+    FACTORY_PRICE_INCLUDES_VAT,
+    SUPPLY_PRICE_INCLUDES_VAT,
+    PRICE_ROUNDING,
+    MIN_MARKUP_PERCENT,
+    MARGIN_WARNING_PERCENT
+} from '../config/pricing.js';
+
+const ROUNDERS = { floor: Math.floor, round: Math.round, ceil: Math.ceil };
+
+/**
+ * Round a won amount to the configured unit.
+ * @param {number} amount
+ * @param {{ unit: number, mode: 'floor'|'round'|'ceil' }} [rounding]
+ */
+export const roundPrice = (amount, rounding = PRICE_ROUNDING) => {
+    const unit = rounding.unit || 1;
+    return ROUNDERS[rounding.mode](amount / unit) * unit;
+};
+
+/**
+ * VAT-inclusive amount -> { supply, vat }.
+ * @param {number} amount
+ */
+export const splitVat = (amount) => {
+    const supply = Math.round(amount / (1 + VAT_RATE));
+    return { supply, vat: amount - supply };
+};
+
+/**
+ * @param {number} amount - VAT-exclusive
+ */
+export const addVat = (amount) => Math.round(amount * (1 + VAT_RATE));
+
+/**
+ * Default discount (%) for a brand and customer tier.
+ * @param {string} brand - English sheet brand name
+ * @param {string} [tier]
+ */
+export const getTierDiscountRate = (brand, tier = DEFAULT_TIER) => {
+    const rates = BRAND_TIER_DISCOUNTS[brand] || BRAND_TIER_DISCOUNTS.default;
+    return rates[tier] ?? BRAND_TIER_DISCOUNTS.default[tier] ?? 0;
+};
+
+/**
+ * Lowest VAT-inclusive price we may quote: supplyPrice plus the minimum markup, rounded up.
+ * 0 when the supply price is unknown.
+ * @param {number} supplyPrice
+ */
+export const getFloorPrice = (supplyPrice) => {
+    if (!supplyPrice) return 0;
+    const cost = supplyPrice * (1 + MIN_MARKUP_PERCENT / 100);
+    const withVat = SUPPLY_PRICE_INCLUDES_VAT ? cost : cost * (1 + VAT_RATE);
+    // Whole won first: 100000 * 1.1 is 110000.00000000001 in floating point and must not round up to 110100
+    return roundPrice(Math.round(withVat), { ...PRICE_ROUNDING, mode: 'ceil' });
+};
+
+/**
+ * @typedef {Object} ProductPrice
+ * @property {number} listPrice - factoryPrice, VAT-inclusive
+ * @property {number} discountRate - Rate applied (the product's own rate, else the tier default)
+ * @property {boolean} tierDefault - true when discountRate came from the tier table
+ * @property {number} unitPrice - Selling price per tire, VAT-inclusive, rounded and never below floorPrice
+ *   (a quotedPrice is kept as it is)
+ * @property {number} unitPriceExVat
+ * @property {number} vat
+ * @property {number} floorPrice - 0 when supplyPrice is unknown
+ * @property {boolean} atFloor - The discount would have gone below cost, so unitPrice was raised to floorPrice
+ */
+
+/**
+ * Price one product for a customer tier.
+ * @param {{ brand: string, factoryPrice?: number, supplyPrice?: number, discountRate?: number|string|null, quotedPrice?: number }} product
+ *   discountRate null/'' means "use the tier default"; quotedPrice is the unit price of a saved quote line,
+ *   which a reopened quote keeps even if the sheet or tier table changed since
+ * @param {string} [tier]
+ * @returns {ProductPrice}
+ */
+export const priceProduct = (product, tier = DEFAULT_TIER) => {
+    const factoryPrice = Number(product.factoryPrice) || 0;
+    const listPrice = FACTORY_PRICE_INCLUDES_VAT ? factoryPrice : addVat(factoryPrice);
+    const ownRate = product.discountRate === null || product.discountRate === undefined || product.discountRate === ''
+        ? null
+        : Number(product.discountRate) || 0;
+    const discountRate = ownRate ?? getTierDiscountRate(product.brand, tier);
+
+    const quotedPrice = Number(product.quotedPrice) || 0;
+    const discounted = quotedPrice || roundPrice(listPrice * (1 - discountRate / 100));
+    const floorPrice = getFloorPrice(Number(product.supplyPrice) || 0);
+    const atFloor = !quotedPrice && listPrice > 0 && discounted < floorPrice;
+    const unitPrice = atFloor ? floorPrice : discounted;
+    const { supply, vat } = splitVat(unitPrice);
+
+    return {
+        listPrice,
+        discountRate,
+        tierDefault: ownRate === null,
+        unitPrice,
+        unitPriceExVat: supply,
+        vat,
+        floorPrice,
+        atFloor
+    };
+};
+
+/**
+ * @typedef {Object} Margin
+ * @property {number} cost - supplyPrice without VAT
+ * @property {number} amount - unitPriceExVat - cost, in won
+ * @property {number} percent - amount as % of unitPriceExVat
+ * @property {boolean} low - percent is below MARGIN_WARNING_PERCENT
+ */
+
+/**
+ * Margin of a priced product over its supply price, both without VAT.
+ * @param {ProductPrice} price - From priceProduct
+ * @param {number} supplyPrice
+ * @returns {Margin|null} null when the supply or selling price is unknown
+ */
+export const getMargin = (price, supplyPrice) => {
+    if (!supplyPrice || !price.unitPrice) return null;
+    const cost = SUPPLY_PRICE_INCLUDES_VAT ? splitVat(supplyPrice).supply : supplyPrice;
+    const amount = price.unitPriceExVat - cost;
+    const percent = (amount / price.unitPriceExVat) * 100;
+    return { cost, amount, percent, low: percent < MARGIN_WARNING_PERCENT };
+};
+
+/**
+ * Apply a saved manual override (factoryPrice / discountRate) to a product.
+ * The sheet values are kept in `sheetPrice` so the UI can mark and reset what differs.
+ * @param {Object} product
+ * @param {{ factoryPrice: number|null, discountRate: number|null }|undefined} override
+ * @returns {Object} A new product with `sheetPrice` and `priceOverride` (null when none)
+ */
+export const applyPriceOverride = (product, override) => {
+    const sheetPrice = product.sheetPrice || { factoryPrice: product.factoryPrice, discountRate: product.discountRate ?? null };
+    return {
+        ...product,
+        sheetPrice,
+        priceOverride: override || null,
+        factoryPrice: override?.factoryPrice ?? sheetPrice.factoryPrice,
+        discountRate: override?.discountRate ?? sheetPrice.discountRate
+    };
+};
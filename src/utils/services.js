@@ -0,0 +1,77 @@
+/**
+ * Service (labor) lines for a set of tires, priced by rim size from SERVICE_CATALOG.
+ * Shared with Node, so imports keep their extensions.
+ */
+import { SERVICE_CATALOG } from '../config/services.js';
+import { parseTireSize } from './tireSize.js';
+
+/**
+ * @typedef {Object} ServiceLine
+ * @property {string|null} serviceId - SERVICE_CATALOG id, null for a line typed by hand
+ * @property {number|null} rim - Rim diameter the price was taken for, null when it does not depend on it
+ * @property {string} name - e.g. "탈착·장착 (18인치)"
+ * @property {number} qty
+ * @property {number} unitPrice - VAT-inclusive
+ */
+
+export const getService = (id) => SERVICE_CATALOG.find(service => service.id === id);
+
+/**
+ * @param {string} size - Tire size text
+ * @returns {number|null}
+ */
+export const getRimDiameter = (size) => parseTireSize(size)?.rimDiameter ?? null;
+
+/**
+ * Price of one service for a rim diameter. An unknown rim gets the smallest band.
+ * @param {Object} service - From SERVICE_CATALOG
+ * @param {number|null} rim
+ */
+export const getServicePrice = (service, rim) => {
+    if (!service.rimPrices) return service.price;
+    const band = service.rimPrices.find(b => b.maxRim === undefined || (rim ?? 0) <= b.maxRim);
+    return band.price;
+};
+
+/**
+ * A priced line for a service.
+ * @param {Object} service - From SERVICE_CATALOG
+ * @param {number|null} rim - Ignored for services without rimPrices
+ * @param {number} qty
+ * @returns {ServiceLine}
+ */
+export const makeServiceLine = (service, rim, qty) => {
+    const byRim = Boolean(service.rimPrices);
+    return {
+        serviceId: service.id,
+        rim: byRim ? rim : null,
+        name: byRim && rim ? `${service.label} (${rim}인치)` : service.label,
+        qty,
+        unitPrice: getServicePrice(service, rim)
+    };
+};
+
+/** Identifies "the same service for the same rim" across the suggestion and the cart. */
+export const serviceLineKey = (line) => `${line.serviceId || line.name}|${line.rim ?? ''}`;
+
+/**
+ * Every catalog service a job with these tires would normally need: per-tire services once per rim size
+ * (or once in total when the price does not depend on the rim), per-vehicle services once.
+ * @param {{ size: string, qty: number }[]} tires
+ * @returns {ServiceLine[]}
+ */
+export const suggestServices = (tires) => {
+    if (tires.length === 0) return [];
+    const byRim = new Map();
+    tires.forEach(tire => {
+        const rim = getRimDiameter(tire.size);
+        byRim.set(rim, (byRim.get(rim) || 0) + tire.qty);
+    });
+    const tireCount = tires.reduce((sum, tire) => sum + tire.qty, 0);
+
+    return SERVICE_CATALOG.flatMap(service => {
+        if (service.per === 'vehicle') return [makeServiceLine(service, null, 1)];
+        if (!service.rimPrices) return [makeServiceLine(service, null, tireCount)];
+        return [...byRim].map(([rim, qty]) => makeServiceLine(service, rim, qty));
+    });
+};
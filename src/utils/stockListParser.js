@@ -0,0 +1,210 @@
+import { parse } from 'node-html-parser';
+
+/**
+ * Parser for Blackcircles `seller/stock_list_option.php` HTML.
+ * Shared by the /api/inventory endpoint (format=json) and the browser,
+ * so it must only depend on node-html-parser (no DOMParser, no Vite-only imports).
+ */
+
+/**
+ * @typedef {Object} StockRow
+ * @property {string} brand
+ * @property {string} model
+ * @property {string} size - Detailed size (contains Speed/Load/Origin)
+ * @property {string} partNo - 고유코드 (match key for the Google Sheet `code`)
+ * @property {string} itId - Hidden G5 item id
+ * @property {string} stId - Hidden G5 stock id
+ * @property {string} internalCode - 품번
+ * @property {number} supplyPrice
+ * @property {number} stock
+ * @property {boolean} discontinued - 단종
+ */
+
+/**
+ * @typedef {Object} SchemaDrift
+ * @property {'schema_drift'} code
+ * @property {string[]} missing - Required fields without a matching column (no rows are returned)
+ * @property {string[]} missingOptional - Optional fields without a matching column (left empty)
+ * @property {string[]} headers - Header labels as found in the table
+ */
+
+/**
+ * @typedef {Object} Pagination
+ * @property {number} page - Current G5 page (1-based)
+ * @property {number} lastPage - Last page number the pager links to
+ */
+
+/**
+ * Header labels (Korean, as shown on Blackcircles) for each field.
+ * Exact matches win; otherwise a header containing the label is accepted.
+ */
+export const COLUMN_LABELS = {
+    brand: ['브랜드', '제조사'],
+    model: ['상품명', '모델명', '패턴명'],
+    internalCode: ['품번', '상품코드'],
+    size: ['규격', '사이즈'],
+    partNo: ['고유코드'],
+    stock: ['재고', '재고수량'],
+    supplyPrice: ['공급가', '공급가격'],
+    status: ['상태', '판매상태']
+};
+
+// Without these the rows would carry wrong prices or stock, so they are withheld instead
+const REQUIRED_FIELDS = ['size', 'partNo', 'stock', 'supplyPrice'];
+
+const toNumber = (text) => Number(String(text || '').replace(/[^0-9]/g, '')) || 0;
+
+const getText = (col) => col ? col.textContent.trim() : '';
+
+const normalizeLabel = (label) => label.replace(/\s+/g, '');
+
+// Helper to get text or input value
+const getValue = (col) => {
+    if (!col) return '';
+    const input = col.querySelector('input[type="text"]') || col.querySelector('input:not([type])');
+    if (input) return (input.getAttribute('value') || '').trim();
+    return getText(col);
+};
+
+/**
+ * Expand a row into one entry per visual column (honouring colspan).
+ */
+const expandCells = (row) => row.querySelectorAll('th, td').flatMap(cell => {
+    const span = Math.max(1, Number(cell.getAttribute('colspan')) || 1);
+    return Array(span).fill(cell);
+});
+
+/**
+ * Map each field to its column index using the header labels.
+ * @param {string[]} headers
+ * @returns {Object<string, number>}
+ */
+export const mapColumns = (headers) => {
+    const normalized = headers.map(normalizeLabel);
+    const columns = {};
+    const claimed = new Set();
+
+    const assign = (matcher) => {
+        Object.entries(COLUMN_LABELS).forEach(([field, labels]) => {
+            if (field in columns) return;
+            const index = normalized.findIndex((header, i) => !claimed.has(i) && header && labels.some(label => matcher(header, label)));
+            if (index > -1) {
+                columns[field] = index;
+                claimed.add(index);
+            }
+        });
+    };
+
+    assign((header, label) => header === label);
+    assign((header, label) => header.includes(label));
+    return columns;
+};
+
+/**
+ * Read the G5 pager (`.pg_wrap`): current page and the highest page it links to.
+ * The pager only shows a window of pages, but its "맨끝" (pg_end) link points at the last one.
+ * @param {import('node-html-parser').HTMLElement} root
+ * @returns {Pagination}
+ */
+const parsePagination = (root) => {
+    const current = root.querySelector('.pg_wrap .pg_current');
+    const page = current ? toNumber(getText(current)) || 1 : 1;
+    const linkedPages = root.querySelectorAll('.pg_wrap a').map(link => {
+        const match = /[?&]page=(\d+)/.exec(link.getAttribute('href') || '');
+        return match ? Number(match[1]) : 0;
+    });
+    return { page, lastPage: Math.max(page, ...linkedPages) };
+};
+
+/**
+ * Parse the stock list table into typed rows, locating columns by their header labels.
+ * @param {string} html
+ * @returns {{ items: StockRow[], drift: SchemaDrift | null, pagination: Pagination }}
+ */
+export const parseStockList = (html) => {
+    const root = parse(html || '');
+    const rows = root.querySelectorAll('table.stock-list_table tr');
+    const pagination = parsePagination(root);
+
+    if (rows.length === 0) {
+        console.warn("No rows found in HTML response");
+        return { items: [], drift: null, pagination };
+    }
+
+    const headerRow = rows.find(row => row.querySelector('th')) || rows[0];
+    const headers = expandCells(headerRow).map(getText);
+    const columns = mapColumns(headers);
+
+    const missing = REQUIRED_FIELDS.filter(field => !(field in columns));
+    const missingOptional = Object.keys(COLUMN_LABELS).filter(field => !(field in columns) && !REQUIRED_FIELDS.includes(field));
+    const drift = (missing.length > 0 || missingOptional.length > 0)
+        ? { code: 'schema_drift', missing, missingOptional, headers }
+        : null;
+
+    if (drift) {
+        console.warn(`[Parser] Schema drift: missing ${[...missing, ...missingOptional].join(', ')}`, headers);
+    }
+    if (missing.length > 0) return { items: [], drift, pagination };
+
+    const cell = (cols, field) => (field in columns ? cols[columns[field]] : null);
+
+    const items = rows.filter(row => row !== headerRow).map((row) => {
+        const cols = expandCells(row);
+        if (cols.length < 5) return null;
+
+        // 고유코드 can be plain text or an input
+        const uniqueCodeCol = cell(cols, 'partNo');
+        const uniqueCodeInput = uniqueCodeCol ? uniqueCodeCol.querySelector('input') : null;
+        const partNo = (uniqueCodeInput ? uniqueCodeInput.getAttribute('value') || '' : getText(uniqueCodeCol)).trim();
+
+        // Also search all inputs in the row for hidden IDs (it_id, st_id)
+        let itId = '';
+        let stId = '';
+        row.querySelectorAll('input').forEach(input => {
+            const name = input.getAttribute('name') || '';
+            if (name.includes('it_id')) itId = (input.getAttribute('value') || '').trim();
+            if (name.includes('st_id')) stId = (input.getAttribute('value') || '').trim();
+        });
+
+        if (!partNo && !itId) return null;
+
+        const statusText = getText(cell(cols, 'status'));
+
+        return {
+            brand: getText(cell(cols, 'brand')),
+            model: getText(cell(cols, 'model')),
+            size: getText(cell(cols, 'size')),
+            partNo,
+            itId,
+            stId,
+            internalCode: getText(cell(cols, 'internalCode')),
+            supplyPrice: toNumber(getValue(cell(cols, 'supplyPrice'))),
+            stock: toNumber(getValue(cell(cols, 'stock'))),
+            discontinued: statusText.includes('단종') || row.textContent.includes('단종')
+        };
+    }).filter(item => item !== null);
+
+    return { items, drift, pagination };
+};
+
+/**
+ * De-duplication key used wherever stock rows from several sources are merged.
+ * @param {{ brand: string, model: string, size: string, partNo: string }} item
+ */
+export const stockItemKey = (item) => `${item.brand}-${item.model}-${item.size}-${item.partNo}`;
+
+/**
+ * Drop repeated rows (same brand/model/size/partNo), keeping the first occurrence.
+ * @template T
+ * @param {T[]} items
+ * @returns {T[]}
+ */
+export const dedupeStockItems = (items) => {
+    const seen = new Set();
+    return items.filter(item => {
+        const key = stockItemKey(item);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+};
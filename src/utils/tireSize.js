@@ -0,0 +1,126 @@
+/**
+ * Tire size parsing and size comparison for search.
+ * Shared by the catalog API and the browser, so it must stay dependency-free.
+ *
+ * Handles metric ("245/45ZR18 100Y XL", "P215/65R16", "LT265/75R16 123/120S", "195/70R15C"),
+ * digit-only shop shorthand ("2454518") and flotation sizes ("31x10.50R15LT").
+ */
+
+const MM_PER_INCH = 25.4;
+
+/**
+ * Default tolerance for size alternatives: ±3% overall diameter.
+ */
+export const DIAMETER_TOLERANCE = 0.03;
+
+const SPEED_RATINGS = 'JKLMNPQRSTUHVWYZ';
+
+// Run-flat markings used by the brands we sell (RF is how the shop writes run-flat)
+const RUN_FLAT_MARKERS = ['RF', 'RFT', 'ROF', 'RUNFLAT', 'ZP', 'SSR', 'HRS', 'DSST', 'EMT', '런플랫'];
+const EXTRA_LOAD_MARKERS = ['XL', 'EXTRALOAD', 'RFD'];
+
+const FLOTATION_PATTERN = /^(LT)?\s*(\d{2}(?:\.\d+)?)\s*[X×*]\s*(\d{1,2}(?:\.\d+)?)\s*(ZR|R|D|B|-)?\s*(\d{2}(?:\.\d)?)\s*(LT)?/;
+const METRIC_PATTERN = /^(P|LT|ST|T)?\s*(\d{3})\s*[/\s-]?\s*(\d{2})\s*(ZR|R|D|B|-)?\s*(\d{2}(?:\.\d)?)\s*(C|LT)?/;
+const LOAD_SPEED_PATTERN = new RegExp(`(?:^|[^0-9])(\\d{2,3})(?:/(\\d{2,3}))?\\s*\\(?([${SPEED_RATINGS}])\\)?(?![A-Z])`);
+
+/**
+ * Parse a tire size. Returns the TireSpecs shape (see data/types.js) plus the markers we use for search.
+ * @param {string} value
+ * @returns {import('../data/types').TireSpecs|null} null when no complete size (width, ratio, rim) can be read
+ */
+export const parseTireSize = (value) => {
+    const text = String(value ?? '').toUpperCase().trim();
+    if (!text) return null;
+
+    let specs;
+    let rest;
+    const flotation = text.match(FLOTATION_PATTERN);
+    if (flotation) {
+        const diameterIn = Number(flotation[2]);
+        const widthIn = Number(flotation[3]);
+        const rimDiameter = Number(flotation[5]);
+        if (diameterIn <= rimDiameter) return null;
+        specs = {
+            sectionWidth: Math.round(widthIn * MM_PER_INCH),
+            aspectRatio: Math.round(((diameterIn - rimDiameter) / 2 / widthIn) * 100),
+            rimDiameter,
+            category: 'flotation',
+            construction: flotation[4] || 'R',
+            flotation: { diameterIn, widthIn }
+        };
+        rest = text.slice(flotation[0].length);
+    } else {
+        const metric = text.match(METRIC_PATTERN);
+        if (!metric) return null;
+        const lt = metric[1] === 'LT' || metric[6] === 'LT';
+        specs = {
+            sectionWidth: Number(metric[2]),
+            aspectRatio: Number(metric[3]),
+            rimDiameter: Number(metric[5]),
+            category: lt ? 'LT' : metric[6] === 'C' ? 'C' : metric[1] === 'P' ? 'P' : 'metric',
+            construction: metric[4] || 'R'
+        };
+        rest = text.slice(metric[0].length);
+    }
+
+    const loadSpeed = rest.match(LOAD_SPEED_PATTERN);
+    const words = rest.replace(/[^A-Z0-9가-힣]+/g, ' ').split(' ').filter(Boolean);
+    const compact = rest.replace(/[^A-Z가-힣]/g, '');
+
+    return {
+        ...specs,
+        loadIndex: loadSpeed ? Number(loadSpeed[1]) : null,
+        dualLoadIndex: loadSpeed?.[2] ? Number(loadSpeed[2]) : null,
+        speedRating: loadSpeed ? loadSpeed[3] : specs.construction === 'ZR' ? 'Z' : null,
+        extraLoad: words.some(w => EXTRA_LOAD_MARKERS.includes(w)) || compact.includes('EXTRALOAD'),
+        runFlat: words.some(w => RUN_FLAT_MARKERS.includes(w)) || compact.includes('RUNFLAT') || rest.includes('런플랫')
+    };
+};
+
+/**
+ * Overall (unloaded) diameter in mm.
+ * @param {import('../data/types').TireSpecs} specs
+ */
+export const overallDiameter = (specs) => specs.flotation
+    ? specs.flotation.diameterIn * MM_PER_INCH
+    : specs.rimDiameter * MM_PER_INCH + 2 * specs.sectionWidth * (specs.aspectRatio / 100);
+
+/**
+ * Canonical size text, e.g. "245/45ZR18 100Y XL" or "31x10.5R15LT".
+ * @param {import('../data/types').TireSpecs} specs
+ */
+export const formatTireSize = (specs) => {
+    const base = specs.flotation
+        ? `${specs.flotation.diameterIn}x${specs.flotation.widthIn}${specs.construction}${specs.rimDiameter}LT`
+        : `${specs.category === 'LT' ? 'LT' : specs.category === 'P' ? 'P' : ''}${specs.sectionWidth}/${specs.aspectRatio}${specs.construction}${specs.rimDiameter}${specs.category === 'C' ? 'C' : ''}`;
+    const service = specs.loadIndex
+        ? ` ${specs.loadIndex}${specs.dualLoadIndex ? `/${specs.dualLoadIndex}` : ''}${specs.speedRating || ''}`
+        : '';
+    return `${base}${service}${specs.extraLoad ? ' XL' : ''}${specs.runFlat ? ' RF' : ''}`;
+};
+
+/**
+ * @typedef {Object} SizeMatch
+ * @property {'exact'|'sameRim'|'plusSize'} kind - plusSize covers any other rim diameter (rimDelta tells which way)
+ * @property {number} diameterDiff - Relative overall diameter difference (0.012 = +1.2%)
+ * @property {number} rimDelta - Candidate rim minus wanted rim, in inches
+ */
+
+/**
+ * Compare a candidate size against the wanted size.
+ * @param {import('../data/types').TireSpecs} wanted
+ * @param {import('../data/types').TireSpecs} candidate
+ * @param {number} [tolerance]
+ * @returns {SizeMatch|null} null when the candidate is outside the diameter tolerance
+ */
+export const compareSizes = (wanted, candidate, tolerance = DIAMETER_TOLERANCE) => {
+    const wantedDiameter = overallDiameter(wanted);
+    const diameterDiff = (overallDiameter(candidate) - wantedDiameter) / wantedDiameter;
+    const rimDelta = candidate.rimDiameter - wanted.rimDiameter;
+
+    if (rimDelta === 0 && candidate.sectionWidth === wanted.sectionWidth && candidate.aspectRatio === wanted.aspectRatio) {
+        return { kind: 'exact', diameterDiff, rimDelta };
+    }
+    if (Math.abs(diameterDiff) > tolerance) return null;
+    return { kind: rimDelta === 0 ? 'sameRim' : 'plusSize', diameterDiff, rimDelta };
+};
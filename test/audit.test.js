@@ -0,0 +1,16 @@
+import './helpers/dataDir.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { auditContext, recordAudit, listAudit } from '../api/_lib/audit.js';
+
+test('the date filter uses the KST day the change was made', async (t) => {
+    const context = auditContext({ username: 'owner', name: '사장', role: 'owner' });
+    const entity = { type: 'price', id: 'A1', label: 'A1' };
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2025-03-12T14:00:00Z') }); // 23:00 KST, March 12
+    await recordAudit(context, 'price.set', [{ entity, before: null, after: { discountRate: 10 } }]);
+    t.mock.timers.setTime(Date.parse('2025-03-12T15:30:00Z')); // 00:30 KST, March 13
+    await recordAudit(context, 'price.reset', [{ entity, before: { discountRate: 10 }, after: null }]);
+
+    assert.deepEqual((await listAudit({ from: '2025-03-13', to: '2025-03-13' })).map(e => e.action), ['price.reset']);
+    assert.deepEqual((await listAudit({ to: '2025-03-12' })).map(e => e.action), ['price.set']);
+});
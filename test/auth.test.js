@@ -0,0 +1,24 @@
+import './helpers/dataDir.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { startSession, getSessionUser } from '../api/_lib/auth.js';
+import { createUser, findUser } from '../api/_lib/users.js';
+
+const signIn = async (username) => {
+    await createUser({ username, name: '직원', role: 'staff', password: 'correct-horse-42' });
+    const headers = {};
+    startSession({ headers: {} }, { setHeader: (name, value) => { headers[name] = value; } }, await findUser(username));
+    return headers['Set-Cookie'].split(';')[0];
+};
+
+test('a session cookie signs the user in', async () => {
+    const cookie = await signIn('kim');
+    assert.equal((await getSessionUser({ headers: { cookie } })).username, 'kim');
+});
+
+test('a malformed cookie next to the session is skipped, not a 500', async () => {
+    const cookie = await signIn('lee');
+    const user = await getSessionUser({ headers: { cookie: `tracker=%E0%A4%A; ${cookie}` } });
+    assert.equal(user.username, 'lee');
+    assert.equal(await getSessionUser({ headers: { cookie: 'ddwt_session=%E0%A4%A' } }), null);
+});
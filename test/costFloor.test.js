@@ -0,0 +1,54 @@
+import './helpers/dataDir.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { writeCollection } from '../api/_lib/store.js';
+import { applyStockChanges } from '../api/_lib/ownStock.js';
+import { createQuote, updateQuote, convertQuoteToSale } from '../api/_lib/quotes.js';
+import { createSale } from '../api/_lib/sales.js';
+
+// Supply 100,000 won + VAT -> floor 110,000 won per tire
+await writeCollection('catalog', {
+    syncedAt: new Date().toISOString(),
+    sources: {},
+    sheetRows: [{ code: 'F1', brand: 'Hankook', model: 'Ventus', size: '2055516', factoryPrice: 200000, dots: [] }],
+    stockItems: [{ partNo: 'F1', brand: 'Hankook', model: 'Ventus', size: '205/55R16', supplyPrice: 100000, totalStock: 10 }]
+});
+await applyStockChanges([{ code: 'F1', type: 'store', delta: 20 }]);
+
+const line = (unitPrice, qty = 4) => ({ code: 'F1', brand: 'Hankook', model: 'Ventus', size: '205/55R16', qty, unitPrice });
+const service = { name: '탈착·장착', qty: 4, unitPrice: 10000 };
+
+test('a line priced below its floor is refused', async () => {
+    await assert.rejects(createQuote({ lines: [line(100000)] }), { status: 400, code: 'below_cost' });
+    await assert.rejects(createSale({ lines: [line(100000)], paymentMethod: 'cash' }), { status: 400, code: 'below_cost' });
+});
+
+test('the whole-cart discount may not take the tires below their floor', async () => {
+    // Tires 480,000 (floor 440,000) + services 40,000: up to 80,000 off is fine
+    const quote = await createQuote({ lines: [line(120000)], services: [service], discount: 80000 });
+    assert.equal(quote.total, 440000);
+
+    await assert.rejects(createQuote({ lines: [line(120000)], services: [service], discount: 80100 }), { code: 'below_cost' });
+    await assert.rejects(updateQuote(quote.id, { discount: 100000 }), { code: 'below_cost' });
+    await assert.rejects(createSale({ lines: [line(120000)], discount: 50000, paymentMethod: 'card' }), { code: 'below_cost' });
+});
+
+test('the owner may go below cost', async () => {
+    const quote = await createQuote({ lines: [line(100000)], allowBelowCost: true });
+    const sale = await createSale({ lines: [line(90000, 1)], paymentMethod: 'cash', allowBelowCost: true });
+    assert.equal(quote.total, 400000);
+    assert.equal(sale.total, 90000);
+});
+
+test('a quote the owner priced below cost can still be accepted and sold by staff', async () => {
+    const quote = await createQuote({ lines: [line(100000, 2)], allowBelowCost: true });
+    await updateQuote(quote.id, { status: 'accepted' });
+    const { sale } = await convertQuoteToSale(quote.id, { paymentMethod: 'card' });
+    assert.equal(sale.total, 200000);
+});
+
+test('a cart checked out through its quote is checked again', async () => {
+    const quote = await createQuote({ lines: [line(120000, 2)] });
+    const cart = { lines: [line(100000, 2)], discount: 0 };
+    await assert.rejects(convertQuoteToSale(quote.id, { paymentMethod: 'card', cart }), { code: 'below_cost' });
+});
@@ -0,0 +1,15 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv } from '../api/_lib/csv.js';
+
+const columns = [{ key: 'value', label: 'value' }];
+const body = (rows) => toCsv(rows, columns).replace(/^\uFEFF/, '').split('\r\n').slice(1, -1);
+
+test('text that Excel would run as a formula is quoted', () => {
+    assert.deepEqual(body([{ value: '=HYPERLINK("x")' }, { value: '+1' }, { value: '-1' }, { value: '@SUM(A1)' }]),
+        ['"\'=HYPERLINK(""x"")"', "'+1", "'-1", "'@SUM(A1)"]);
+});
+
+test('numbers and ordinary text are left alone', () => {
+    assert.deepEqual(body([{ value: -4 }, { value: '금호, 205/55R16' }, { value: null }]), ['-4', '"금호, 205/55R16"', '']);
+});
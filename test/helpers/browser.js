@@ -0,0 +1,38 @@
+/**
+ * The bits of a browser the client services use: `window` (events + localStorage) and a scripted `fetch`.
+ */
+
+const memoryStorage = () => {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear()
+    };
+};
+
+globalThis.window = Object.assign(new EventTarget(), { localStorage: memoryStorage() });
+
+/**
+ * Requests the code under test made, as { method, url, body }.
+ * @type {{ method: string, url: string, body: Object|undefined }[]}
+ */
+export const requests = [];
+
+let respond = () => { throw new TypeError('fetch failed'); };
+
+/**
+ * Answer the next requests with `handler(request)`: a `{ status, body }` to respond, or throw for a network error.
+ * @param {(request: { method: string, url: string, body: Object|undefined }) => { status: number, body: Object }} handler
+ */
+export const respondWith = (handler) => {
+    respond = handler;
+};
+
+globalThis.fetch = async (url, { method = 'GET', body } = {}) => {
+    const request = { method, url, body: body === undefined ? undefined : JSON.parse(body) };
+    requests.push(request);
+    const { status, body: payload } = respond(request);
+    return new Response(JSON.stringify(payload), { status, headers: { 'Content-Type': 'application/json' } });
+};
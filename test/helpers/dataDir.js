@@ -0,0 +1,10 @@
+/**
+ * Point the JSON store at a fresh temp directory. Import it first in every test file that touches api/_lib.
+ */
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+process.env.DDWT_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ddwt-test-'));
+
+process.on('exit', () => fs.rmSync(process.env.DDWT_DATA_DIR, { recursive: true, force: true }));
@@ -0,0 +1,35 @@
+import './helpers/dataDir.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { nextDocumentNumber } from '../api/_lib/numbering.js';
+import { createQuote, deleteQuote } from '../api/_lib/quotes.js';
+import { shopDate } from '../src/utils/dates.js';
+
+test('the day is the shop (KST) day, not the UTC day', async () => {
+    // 08:30 KST on March 13 is still March 12 in UTC
+    const number = await nextDocumentNumber('T', [], new Date('2025-03-12T23:30:00Z'));
+    assert.equal(number, 'T-20250313-001');
+});
+
+test('counts on from the highest existing suffix', async () => {
+    const at = new Date('2025-03-12T03:00:00Z');
+    const number = await nextDocumentNumber('U', [{ number: 'U-20250312-001' }, { number: 'U-20250312-007' }, { number: 'U-20250311-020' }], at);
+    assert.equal(number, 'U-20250312-008');
+});
+
+test('a deleted quote never frees its number', async () => {
+    const line = { code: 'A1', brand: 'TEST', model: 'M', size: '205/55R16', qty: 1, unitPrice: 100000 };
+    const first = await createQuote({ customer: { name: '홍길동' }, lines: [line] });
+    const second = await createQuote({ customer: { name: '홍길동' }, lines: [line] });
+    await deleteQuote(first.id);
+    const third = await createQuote({ customer: { name: '홍길동' }, lines: [line] });
+
+    const day = shopDate().replace(/-/g, '');
+    assert.deepEqual([first.number, second.number, third.number], [`Q-${day}-001`, `Q-${day}-002`, `Q-${day}-003`]);
+});
+
+test('simultaneous creates get distinct numbers', async () => {
+    const line = { code: 'A1', brand: 'TEST', model: 'M', size: '205/55R16', qty: 1, unitPrice: 100000 };
+    const quotes = await Promise.all(Array.from({ length: 5 }, () => createQuote({ customer: { name: '김철수' }, lines: [line] })));
+    assert.equal(new Set(quotes.map(q => q.number)).size, 5);
+});
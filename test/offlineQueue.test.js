@@ -0,0 +1,83 @@
+import { requests, respondWith } from './helpers/browser.js';
+import test, { beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { offlineQueue, QUEUE_FLUSHED_EVENT } from '../src/services/OfflineQueue.js';
+import { cartStorage } from '../src/services/CartStorage.js';
+
+const offline = () => { throw new TypeError('fetch failed'); };
+const input = (name) => ({ customer: { name }, lines: [{ code: 'A1', qty: 1, unitPrice: 100000 }] });
+
+let saved = 0;
+const server = ({ method, url, body }) => {
+    saved += 1;
+    const id = method === 'POST' ? `q${saved}` : url.split('/').pop();
+    return { status: method === 'POST' ? 201 : 200, body: { quote: { id, number: `Q-${id}`, validUntil: '2025-04-01', ...body } } };
+};
+
+beforeEach(() => {
+    window.localStorage.clear();
+    requests.length = 0;
+    respondWith(offline);
+});
+
+test('one pending save per cart: saving again replaces it', () => {
+    offlineQueue.enqueue({ cartId: 'c1', type: 'quote.create', input: input('A'), label: 'A' });
+    offlineQueue.enqueue({ cartId: 'c2', type: 'quote.create', input: input('B'), label: 'B' });
+    offlineQueue.enqueue({ cartId: 'c1', type: 'quote.create', input: input('A2'), label: 'A2' });
+    assert.deepEqual(offlineQueue.list().map(e => [e.cartId, e.label]), [['c2', 'B'], ['c1', 'A2']]);
+});
+
+test('still offline: nothing is lost', async () => {
+    offlineQueue.enqueue({ cartId: 'c1', type: 'quote.create', input: input('A'), label: 'A' });
+    const result = await offlineQueue.flush();
+    assert.deepEqual(result, { done: [], failed: [] });
+    assert.equal(offlineQueue.list().length, 1);
+});
+
+test('back online: saves run in order and the quotes are attached to their carts', async () => {
+    cartStorage.save({ activeId: 'c1', carts: [{ id: 'c1', items: [], services: [], quoteForm: { validUntil: '' }, savedQuote: null, tier: 'retail' }] });
+    offlineQueue.enqueue({ cartId: 'c1', type: 'quote.create', input: input('A'), label: 'A' });
+    offlineQueue.enqueue({ cartId: 'c2', type: 'quote.update', quoteId: 'q-old', input: input('B'), label: 'B' });
+    respondWith(server);
+
+    let flushed = null;
+    window.addEventListener(QUEUE_FLUSHED_EVENT, (event) => { flushed = event.detail; }, { once: true });
+    const { done, failed } = await offlineQueue.flush();
+
+    assert.deepEqual(requests.map(r => [r.method, r.url]), [['POST', '/api/quotes'], ['PATCH', '/api/quotes/q-old']]);
+    assert.equal(done.length, 2);
+    assert.deepEqual(failed, []);
+    assert.equal(flushed.done.length, 2);
+    assert.deepEqual(offlineQueue.list(), []);
+    const [cart] = cartStorage.load().carts;
+    assert.equal(cart.savedQuote.number, done[0].quote.number);
+    assert.equal(cart.quoteForm.validUntil, '2025-04-01');
+});
+
+test('a save the server rejects is dropped and reported', async () => {
+    offlineQueue.enqueue({ cartId: 'c1', type: 'quote.create', input: input('A'), label: 'A' });
+    respondWith(() => ({ status: 400, body: { error: 'below_cost', message: 'Price below cost' } }));
+
+    const { done, failed } = await offlineQueue.flush();
+    assert.deepEqual(done, []);
+    assert.equal(failed[0].error.code, 'below_cost');
+    assert.deepEqual(offlineQueue.list(), []);
+});
+
+test('a network error halfway keeps the rest queued', async () => {
+    offlineQueue.enqueue({ cartId: 'c1', type: 'quote.create', input: input('A'), label: 'A' });
+    offlineQueue.enqueue({ cartId: 'c2', type: 'quote.create', input: input('B'), label: 'B' });
+    respondWith((request) => (requests.length === 1 ? server(request) : offline()));
+
+    const { done } = await offlineQueue.flush();
+    assert.equal(done.length, 1);
+    assert.deepEqual(offlineQueue.list().map(e => e.cartId), ['c2']);
+});
+
+test('concurrent flushes share one run', async () => {
+    offlineQueue.enqueue({ cartId: 'c1', type: 'quote.create', input: input('A'), label: 'A' });
+    respondWith(server);
+    const [first, second] = await Promise.all([offlineQueue.flush(), offlineQueue.flush()]);
+    assert.equal(first, second);
+    assert.equal(requests.length, 1);
+});
@@ -0,0 +1,64 @@
+import './helpers/dataDir.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyStockChanges, listStock, moveStock, splitByDot } from '../api/_lib/ownStock.js';
+
+const batchesOf = (record) => record.batches.map(b => [b.dot, b.qty]);
+const recordOf = async (code, type = 'store') => (await listStock({ code, type }))[0];
+
+test('received DOTs are kept as batches, oldest first', async () => {
+    await applyStockChanges([
+        { code: 'D1', type: 'store', delta: 2, dot: '1024' },
+        { code: 'D1', type: 'store', delta: 3, dot: '4523' },
+        { code: 'D1', type: 'store', delta: 1, dot: '1024' }
+    ]);
+    const record = await recordOf('D1');
+    assert.equal(record.stockQty, 6);
+    assert.deepEqual(batchesOf(record), [['4523', 3], ['1024', 3]]);
+});
+
+test('taking without a DOT uses untracked stock first, then the oldest DOT', async () => {
+    await applyStockChanges([
+        { code: 'D2', type: 'store', delta: 2 },
+        { code: 'D2', type: 'store', delta: 2, dot: '0124' },
+        { code: 'D2', type: 'store', delta: 2, dot: '3023' }
+    ]);
+    await applyStockChanges([{ code: 'D2', type: 'store', delta: -3 }]);
+    const record = await recordOf('D2');
+    assert.equal(record.stockQty, 3);
+    assert.deepEqual(batchesOf(record), [['3023', 1], ['0124', 2]]);
+});
+
+test('taking a named DOT needs that batch to cover it', async () => {
+    await applyStockChanges([{ code: 'D3', type: 'store', delta: 4 }, { code: 'D3', type: 'store', delta: 1, dot: '0524' }]);
+    await assert.rejects(applyStockChanges([{ code: 'D3', type: 'store', delta: -2, dot: '0524' }]), { code: 'insufficient_stock' });
+    await assert.rejects(applyStockChanges([{ code: 'D3', type: 'store', delta: -1, dot: '9999' }]), { code: 'invalid_dot' });
+    assert.equal((await recordOf('D3')).stockQty, 5);
+});
+
+test('a stock count below the batch total trims the oldest DOTs', async () => {
+    await applyStockChanges([{ code: 'D4', type: 'store', delta: 2, dot: '0123' }, { code: 'D4', type: 'store', delta: 2, dot: '0124' }]);
+    await applyStockChanges([{ code: 'D4', type: 'store', set: 3 }]);
+    assert.deepEqual(batchesOf(await recordOf('D4')), [['0123', 1], ['0124', 2]]);
+});
+
+test('a failing change leaves every record untouched', async () => {
+    await applyStockChanges([{ code: 'D5', type: 'store', delta: 1 }]);
+    await assert.rejects(applyStockChanges([
+        { code: 'D5', type: 'warehouse', delta: 1 },
+        { code: 'D5', type: 'store', delta: -2 }
+    ]), { code: 'insufficient_stock' });
+    assert.equal((await recordOf('D5')).stockQty, 1);
+    assert.equal(await recordOf('D5', 'warehouse'), undefined);
+});
+
+test('splitByDot and moves keep each tire\'s DOT', async () => {
+    await applyStockChanges([{ code: 'D6', type: 'warehouse', delta: 1 }, { code: 'D6', type: 'warehouse', delta: 2, dot: '2024' }]);
+    assert.deepEqual(splitByDot(await recordOf('D6', 'warehouse'), 4), [{ dot: undefined, qty: 1 }, { dot: '2024', qty: 2 }, { dot: undefined, qty: 1 }]);
+
+    const [from, to] = await moveStock({ code: 'D6', from: 'warehouse', to: 'store', qty: 2 });
+    assert.equal(from.stockQty, 1);
+    assert.deepEqual(batchesOf(from), [['2024', 1]]);
+    assert.equal(to.stockQty, 2);
+    assert.deepEqual(batchesOf(to), [['2024', 1]]);
+});
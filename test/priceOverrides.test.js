@@ -0,0 +1,15 @@
+import './helpers/dataDir.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { setPriceOverride, listPriceOverrides } from '../api/_lib/priceOverrides.js';
+
+test('an override runs out at the end of its last KST day, not at 09:00 the next morning', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2025-03-12T03:00:00Z') });
+    await setPriceOverride('P1', { discountRate: 20, expiresAt: '2025-03-12' });
+    await setPriceOverride('P2', { discountRate: 20, expiresAt: '2025-03-13' });
+    assert.deepEqual((await listPriceOverrides()).map(o => o.code), ['P1', 'P2']);
+
+    // 00:30 KST on March 13 is still March 12 in UTC
+    t.mock.timers.setTime(Date.parse('2025-03-12T15:30:00Z'));
+    assert.deepEqual((await listPriceOverrides()).map(o => o.code), ['P2']);
+});
@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { roundPrice, splitVat, getFloorPrice, priceProduct, getMargin } from '../src/utils/pricing.js';
+
+test('prices round down to 100 won, floors round up', () => {
+    assert.equal(roundPrice(123456), 123400);
+    // 100,001 supply + 10% VAT = 110,001.1 -> 110,100
+    assert.equal(getFloorPrice(100001), 110100);
+    assert.equal(getFloorPrice(0), 0);
+});
+
+test('VAT splits back into supply and tax', () => {
+    assert.deepEqual(splitVat(110000), { supply: 100000, vat: 10000 });
+});
+
+test('tier defaults per brand, the product\'s own rate wins', () => {
+    const product = { brand: 'Hankook', factoryPrice: 200000 };
+    assert.equal(priceProduct(product, 'retail').unitPrice, 190000);
+    assert.equal(priceProduct(product, 'wholesale').unitPrice, 160000);
+    assert.equal(priceProduct({ ...product, discountRate: '30' }, 'wholesale').unitPrice, 140000);
+    assert.equal(priceProduct({ ...product, discountRate: '' }, 'wholesale').tierDefault, true);
+});
+
+test('a discount below cost is raised to the floor', () => {
+    const price = priceProduct({ brand: 'Hankook', factoryPrice: 200000, supplyPrice: 150000, discountRate: 30 });
+    assert.equal(price.atFloor, true);
+    assert.equal(price.unitPrice, 165000);
+    assert.equal(price.floorPrice, 165000);
+
+    const unknownCost = priceProduct({ brand: 'Hankook', factoryPrice: 200000, discountRate: 30 });
+    assert.equal(unknownCost.atFloor, false);
+    assert.equal(unknownCost.unitPrice, 140000);
+});
+
+test('a quoted price is kept even when the sheet or tier would price it differently now', () => {
+    const price = priceProduct({ brand: 'Hankook', factoryPrice: 250000, supplyPrice: 150000, discountRate: 30, quotedPrice: 180000 }, 'wholesale');
+    assert.equal(price.unitPrice, 180000);
+    assert.equal(price.discountRate, 30);
+    assert.equal(price.floorPrice, 165000);
+    assert.equal(price.atFloor, false);
+});
+
+test('margin is measured without VAT', () => {
+    const price = priceProduct({ brand: 'Michelin', factoryPrice: 220000 });
+    const margin = getMargin(price, 150000);
+    assert.equal(margin.cost, 150000);
+    assert.equal(margin.amount, 50000);
+    assert.equal(margin.low, false);
+    assert.equal(getMargin(price, 0), null);
+});
+
+test('a floor on a round supply price is not pushed up by floating point', () => {
+    assert.equal(getFloorPrice(100000), 110000);
+});
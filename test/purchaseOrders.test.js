@@ -0,0 +1,43 @@
+import './helpers/dataDir.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createPurchaseOrder, deletePurchaseOrder, getPurchaseOrder, updatePurchaseOrder } from '../api/_lib/purchaseOrders.js';
+import { listStock } from '../api/_lib/ownStock.js';
+
+const line = (code, qty) => ({ code, brand: 'TEST', model: 'M', size: '205/55R16', type: 'store', qty, unitCost: 50000 });
+
+test('a deleted draft never frees its PO number', async () => {
+    const first = await createPurchaseOrder({ supplier: 'A', lines: [line('P1', 4)] });
+    const second = await createPurchaseOrder({ supplier: 'A', lines: [line('P1', 4)] });
+    await deletePurchaseOrder(first.id);
+    const third = await createPurchaseOrder({ supplier: 'A', lines: [line('P1', 4)] });
+
+    const suffix = (order) => order.number.slice(-3);
+    assert.deepEqual([first, second, third].map(suffix), ['001', '002', '003']);
+});
+
+test('receiving posts the lines to stock', async () => {
+    const order = await createPurchaseOrder({ supplier: 'A', lines: [line('P2', 6)] });
+    await updatePurchaseOrder(order.id, { status: 'sent' });
+    const received = await updatePurchaseOrder(order.id, { status: 'received' });
+
+    assert.equal(received.status, 'received');
+    const [record] = await listStock({ code: 'P2', type: 'store' });
+    assert.equal(record.stockQty, 6);
+});
+
+test('a receipt whose stock cannot be posted leaves the PO sent', async () => {
+    const order = await createPurchaseOrder({ supplier: 'A', lines: [line('P3', 2)] });
+    await updatePurchaseOrder(order.id, { status: 'sent' });
+
+    await assert.rejects(
+        updatePurchaseOrder(order.id, { status: 'received', receivedLines: [{ code: 'P3', type: 'store', delta: -1 }] }),
+        { code: 'insufficient_stock' }
+    );
+    const after = await getPurchaseOrder(order.id);
+    assert.equal(after.status, 'sent');
+    assert.equal(after.receivedAt, null);
+
+    const received = await updatePurchaseOrder(order.id, { status: 'received' });
+    assert.equal(received.status, 'received');
+});
@@ -0,0 +1,55 @@
+import './helpers/dataDir.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyStockChanges, listStock } from '../api/_lib/ownStock.js';
+import { createQuote, updateQuote, getQuote, convertQuoteToSale } from '../api/_lib/quotes.js';
+
+const line = (code, qty) => ({ code, brand: 'TEST', model: 'M', size: '205/55R16', qty, unitPrice: 100000 });
+const stockQty = async (code) => (await listStock({ code, type: 'store' }))[0].stockQty;
+
+test('an accepted quote is sold once, with its services as labor', async () => {
+    await applyStockChanges([{ code: 'Q1', type: 'store', delta: 4 }]);
+    const quote = await createQuote({ customer: { name: '홍길동' }, lines: [line('Q1', 4)], services: [{ name: '휠 밸런스', qty: 4, unitPrice: 5000 }] });
+    await updateQuote(quote.id, { status: 'accepted' });
+
+    const { quote: sold, sale } = await convertQuoteToSale(quote.id, { paymentMethod: 'card' });
+    assert.equal(sold.sale.id, sale.id);
+    assert.equal(sale.quoteId, quote.id);
+    assert.deepEqual(sale.labor.map(l => [l.name, l.qty]), [['휠 밸런스', 4]]);
+    assert.equal(await stockQty('Q1'), 0);
+    await assert.rejects(convertQuoteToSale(quote.id, { paymentMethod: 'card' }), { code: 'already_sold' });
+});
+
+test('only accepted quotes can be sold on their own', async () => {
+    const quote = await createQuote({ customer: { name: '홍길동' }, lines: [line('Q2', 1)] });
+    await assert.rejects(convertQuoteToSale(quote.id, { paymentMethod: 'card' }), { code: 'invalid_status' });
+});
+
+test('a cart opened from a quote is sold through it, and the quote cannot be sold again', async () => {
+    await applyStockChanges([{ code: 'Q3', type: 'store', delta: 4 }]);
+    const quote = await createQuote({ customer: { name: '김철수' }, lines: [line('Q3', 4)] });
+    // The customer takes two instead of four at the counter
+    const cart = { lines: [line('Q3', 2)], discount: 10000, customer: quote.customer, vehicle: '12가3456' };
+
+    const { quote: sold, sale } = await convertQuoteToSale(quote.id, { paymentMethod: 'cash', cart });
+    assert.equal(sold.status, 'accepted');
+    assert.equal(sale.total, 190000);
+    assert.equal(sale.vehicle, '12가3456');
+    assert.equal(await stockQty('Q3'), 2);
+    await assert.rejects(convertQuoteToSale(quote.id, { paymentMethod: 'cash', cart }), { code: 'already_sold' });
+    assert.equal(await stockQty('Q3'), 2);
+});
+
+test('a sale that fails hands the quote back unsold', async () => {
+    const quote = await createQuote({ customer: { name: '홍길동' }, lines: [line('Q4', 1)] });
+    await updateQuote(quote.id, { status: 'accepted' });
+
+    await assert.rejects(convertQuoteToSale(quote.id, { paymentMethod: 'card' }), { code: 'insufficient_stock' });
+    assert.equal((await getQuote(quote.id)).sale, null);
+});
+
+test('a quote keeps the supply price of its lines when edited by someone who cannot see it', async () => {
+    const quote = await createQuote({ customer: { name: '홍길동' }, lines: [{ ...line('Q5', 4), supplyPrice: 80000 }] });
+    const updated = await updateQuote(quote.id, { lines: [line('Q5', 2), line('Q6', 1)] });
+    assert.deepEqual(updated.lines.map(l => [l.code, l.qty, l.supplyPrice]), [['Q5', 2, 80000], ['Q6', 1, null]]);
+});
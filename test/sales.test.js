@@ -0,0 +1,78 @@
+import './helpers/dataDir.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { writeCollection } from '../api/_lib/store.js';
+import { applyStockChanges, listStock } from '../api/_lib/ownStock.js';
+import { createSale, listSales, voidSale, getSale } from '../api/_lib/sales.js';
+
+const line = (code, qty) => ({ code, brand: 'TEST', model: 'M', size: '205/55R16', qty, unitPrice: 100000 });
+const stockOf = async (code, type) => (await listStock({ code, type }))[0];
+
+test('a sale takes the store first, then the warehouse, oldest DOT first', async () => {
+    await applyStockChanges([
+        { code: 'S1', type: 'store', delta: 1, dot: '0123' },
+        { code: 'S1', type: 'store', delta: 1, dot: '0124' },
+        { code: 'S1', type: 'warehouse', delta: 4, dot: '1024' }
+    ]);
+    const sale = await createSale({ lines: [line('S1', 3)], paymentMethod: 'card' });
+
+    assert.equal(sale.total, 300000);
+    assert.deepEqual(sale.stockChanges, [
+        { code: 'S1', type: 'store', delta: -1, dot: '0123' },
+        { code: 'S1', type: 'store', delta: -1, dot: '0124' },
+        { code: 'S1', type: 'warehouse', delta: -1, dot: '1024' }
+    ]);
+    assert.equal((await stockOf('S1', 'store')).stockQty, 0);
+    assert.equal((await stockOf('S1', 'warehouse')).stockQty, 3);
+});
+
+test('a sale short of stock is refused and records nothing', async () => {
+    await assert.rejects(createSale({ lines: [line('S2', 1)], paymentMethod: 'cash' }), { code: 'insufficient_stock' });
+    assert.equal((await listSales()).filter(sale => sale.lines.some(l => l.code === 'S2')).length, 0);
+});
+
+test('when two sales race for the last tire, the one that cannot post its stock is removed', async () => {
+    await applyStockChanges([{ code: 'S3', type: 'store', delta: 1 }]);
+    const results = await Promise.allSettled([
+        createSale({ lines: [line('S3', 1)], paymentMethod: 'cash' }),
+        createSale({ lines: [line('S3', 1)], paymentMethod: 'cash' })
+    ]);
+
+    assert.deepEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal((await listSales()).filter(sale => sale.lines.some(l => l.code === 'S3')).length, 1);
+    assert.equal((await stockOf('S3', 'store')).stockQty, 0);
+});
+
+test('voiding puts the tires back into their DOT batches, once', async () => {
+    await applyStockChanges([{ code: 'S4', type: 'store', delta: 2, dot: '0524' }]);
+    const sale = await createSale({ lines: [line('S4', 2)], paymentMethod: 'transfer' });
+    const voided = await voidSale(sale.id, { reason: '고객 변심' });
+
+    assert.equal(voided.status, 'voided');
+    assert.equal(voided.voided.reason, '고객 변심');
+    const record = await stockOf('S4', 'store');
+    assert.equal(record.stockQty, 2);
+    assert.deepEqual(record.batches.map(b => [b.dot, b.qty]), [['0524', 2]]);
+    await assert.rejects(voidSale(sale.id), { code: 'already_voided' });
+});
+
+test('a void whose stock cannot be put back leaves the sale standing', async () => {
+    await applyStockChanges([{ code: 'S5', type: 'store', delta: 1 }]);
+    const sale = await createSale({ lines: [line('S5', 1)], paymentMethod: 'cash' });
+    // Restocking a malformed change fails before anything is posted
+    await writeCollection('sales', (await listSales()).map(s => (s.id === sale.id
+        ? { ...s, stockChanges: [{ code: 'S5', type: 'shelf', delta: -1 }] }
+        : s)));
+
+    await assert.rejects(voidSale(sale.id), { code: 'invalid_type' });
+    assert.equal((await getSale(sale.id)).status, 'completed');
+});
+
+test('sales are grouped by the shop (KST) day', async () => {
+    await writeCollection('sales', [
+        { id: 'a', number: 'S-20250313-001', lines: [], discount: 0, total: 0, createdAt: '2025-03-12T23:30:00.000Z' },
+        { id: 'b', number: 'S-20250312-001', lines: [], discount: 0, total: 0, createdAt: '2025-03-12T14:30:00.000Z' }
+    ]);
+    assert.deepEqual((await listSales({ date: '2025-03-13' })).map(s => s.id), ['a']);
+    assert.deepEqual((await listSales({ date: '2025-03-12' })).map(s => s.id), ['b']);
+});
@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseStockList, mapColumns, dedupeStockItems } from '../src/utils/stockListParser.js';
+
+const page = (headers, rows, pager = '') => `
+    <table class="stock-list_table">
+        <tr>${headers.map(h => `<th>${h}</th>`).join('')}</tr>
+        ${rows.map(cells => `<tr>${cells.map(c => `<td>${c}</td>`).join('')}</tr>`).join('')}
+    </table>
+    ${pager}`;
+
+const HEADERS = ['브랜드', '상품명', '품번', '규격', '고유코드', '재고', '공급가', '상태'];
+
+test('rows are read by header label, wherever the columns are', () => {
+    const { items, drift } = parseStockList(page([...HEADERS].reverse(), [
+        ['판매중', '98,500', '<input type="text" value="12">', 'THH1234567', '205/55R16 91V', 'K-001', 'Ventus S1', 'Hankook'],
+        ['단종', '80,000', '3', 'THH7654321', '195/65R15 91H', 'K-002', 'Kinergy', 'Hankook']
+    ]));
+
+    assert.equal(drift, null);
+    assert.deepEqual(items[0], {
+        brand: 'Hankook',
+        model: 'Ventus S1',
+        size: '205/55R16 91V',
+        partNo: 'THH1234567',
+        itId: '',
+        stId: '',
+        internalCode: 'K-001',
+        supplyPrice: 98500,
+        stock: 12,
+        discontinued: false
+    });
+    assert.equal(items[1].discontinued, true);
+});
+
+test('hidden G5 ids are picked up from the row inputs', () => {
+    const { items } = parseStockList(page(HEADERS, [[
+        'Kumho', 'Ecsta', 'M-1', '225/45R17', '<input value="THH1">', '4', '70000',
+        '판매중<input type="hidden" name="it_id[0]" value="IT9"><input type="hidden" name="st_id[0]" value="ST9">'
+    ]]));
+    assert.deepEqual([items[0].partNo, items[0].itId, items[0].stId], ['THH1', 'IT9', 'ST9']);
+});
+
+test('a missing required column withholds every row and reports drift', () => {
+    const { items, drift } = parseStockList(page(HEADERS.filter(h => h !== '공급가'), [
+        ['Nexen', 'N Fera', 'X-1', '235/40R18', 'THH2', '8', '판매중']
+    ]));
+    assert.deepEqual(items, []);
+    assert.deepEqual(drift.missing, ['supplyPrice']);
+});
+
+test('exact labels win over labels that only contain them', () => {
+    assert.deepEqual(mapColumns(['재고현황', '재고', '공급가']), { stock: 1, supplyPrice: 2 });
+});
+
+test('the pager\'s last link gives the page count', () => {
+    const pager = '<div class="pg_wrap"><strong class="pg_current">2</strong><a href="?page=3">3</a><a class="pg_end" href="?sfl=all&page=17">맨끝</a></div>';
+    assert.deepEqual(parseStockList(page(HEADERS, [], pager)).pagination, { page: 2, lastPage: 17 });
+});
+
+test('repeated rows are dropped', () => {
+    const row = { brand: 'A', model: 'B', size: 'C', partNo: 'D' };
+    assert.equal(dedupeStockItems([row, { ...row }, { ...row, partNo: 'E' }]).length, 2);
+});
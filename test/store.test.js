@@ -0,0 +1,21 @@
+import './helpers/dataDir.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readCollection, updateCollection } from '../api/_lib/store.js';
+
+test('on Vercel the store refuses to run without DDWT_DATA_DIR', async (t) => {
+    const dataDir = process.env.DDWT_DATA_DIR;
+    t.after(() => {
+        process.env.DDWT_DATA_DIR = dataDir;
+        delete process.env.VERCEL;
+    });
+    delete process.env.DDWT_DATA_DIR;
+    process.env.VERCEL = '1';
+
+    await assert.rejects(readCollection('anything', []), { status: 500, code: 'storage_not_configured' });
+});
+
+test('updates to one collection run one after another', async () => {
+    await Promise.all(Array.from({ length: 10 }, () => updateCollection('counter', { n: 0 }, ({ n }) => ({ data: { n: n + 1 } }))));
+    assert.deepEqual(await readCollection('counter', null), { n: 10 });
+});
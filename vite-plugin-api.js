@@ -0,0 +1,130 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { loadEnv } from 'vite';
+
+/**
+ * Resolve a request path against the /api directory using Vercel's file routing:
+ * `api/foo.js`, `api/foo/index.js` and dynamic `api/[id].js` segments.
+ * Files and folders starting with `_` are private helpers and never routed.
+ * @param {string} apiDir
+ * @param {string} pathname - Path below /api (e.g. "/inventory")
+ * @returns {{ file: string, params: Object } | null}
+ */
+const resolveRoute = (apiDir, pathname) => {
+    const segments = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    const params = {};
+    let dir = apiDir;
+
+    const findDynamic = (entries, predicate) => entries.find(name => /^\[.+\]/.test(name) && predicate(name));
+
+    for (let i = 0; i < segments.length; i++) {
+        const segment = segments[i];
+        if (segment.startsWith('_')) return null;
+        const entries = fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+        const isLast = i === segments.length - 1;
+
+        if (isLast && entries.includes(`${segment}.js`)) {
+            return { file: path.join(dir, `${segment}.js`), params };
+        }
+        if (entries.includes(segment) && fs.statSync(path.join(dir, segment)).isDirectory()) {
+            dir = path.join(dir, segment);
+            continue;
+        }
+
+        const dynamicFile = isLast && findDynamic(entries, name => name.endsWith('.js'));
+        if (dynamicFile) {
+            params[dynamicFile.slice(1, dynamicFile.indexOf(']'))] = segment;
+            return { file: path.join(dir, dynamicFile), params };
+        }
+        const dynamicDir = findDynamic(entries, name => fs.statSync(path.join(dir, name)).isDirectory());
+        if (!dynamicDir) return null;
+        params[dynamicDir.slice(1, -1)] = segment;
+        dir = path.join(dir, dynamicDir);
+    }
+
+    const indexFile = path.join(dir, 'index.js');
+    return fs.existsSync(indexFile) ? { file: indexFile, params } : null;
+};
+
+/**
+ * Parse the request body the same way the Vercel Node runtime does.
+ */
+const readBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('error', reject);
+    req.on('end', () => {
+        if (chunks.length === 0) return resolve(undefined);
+        const raw = Buffer.concat(chunks).toString('utf8');
+        const contentType = req.headers['content-type'] || '';
+        try {
+            if (contentType.includes('application/json')) return resolve(JSON.parse(raw));
+            if (contentType.includes('application/x-www-form-urlencoded')) {
+                return resolve(Object.fromEntries(new URLSearchParams(raw)));
+            }
+        } catch (error) {
+            return reject(error);
+        }
+        resolve(raw);
+    });
+});
+
+/**
+ * Add the Vercel response helpers (status/send/json) to a Node response.
+ */
+const decorateResponse = (res) => {
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.send = (body) => {
+        if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) return res.json(body);
+        if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        res.end(body);
+        return res;
+    };
+    res.json = (body) => {
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.end(JSON.stringify(body));
+        return res;
+    };
+    return res;
+};
+
+/**
+ * Serve the serverless functions in /api from the Vite dev server,
+ * so local development hits the same handlers (and upstreams) as Vercel.
+ */
+export default function vercelApi() {
+    return {
+        name: 'vercel-api-dev',
+        configureServer(server) {
+            const apiDir = path.resolve(server.config.root, 'api');
+
+            // Expose .env values to the handlers like Vercel does (without overriding the shell)
+            const env = loadEnv(server.config.mode, server.config.root, '');
+            Object.entries(env).forEach(([key, value]) => {
+                if (process.env[key] === undefined) process.env[key] = value;
+            });
+
+            server.middlewares.use('/api', async (req, res, next) => {
+                const url = new URL(req.url, 'http://localhost');
+                const route = resolveRoute(apiDir, url.pathname);
+                if (!route) return next();
+
+                try {
+                    const { default: handler } = await server.ssrLoadModule(route.file);
+                    req.query = { ...Object.fromEntries(url.searchParams), ...route.params };
+                    req.body = await readBody(req);
+                    await handler(req, decorateResponse(res));
+                } catch (error) {
+                    console.error(`[api] ${req.method} ${req.originalUrl} failed:`, error);
+                    if (!res.headersSent) {
+                        res.statusCode = 500;
+                        res.end(`API Error: ${error.message}`);
+                    }
+                }
+            });
+        }
+    };
+}